@@ -10,14 +10,36 @@ CREATE TABLE IF NOT EXISTS appointments (
   caller_phone VARCHAR(20) NOT NULL,
   appointment_time TIMESTAMP NOT NULL,
   reason TEXT,
+  service_type VARCHAR(50),
+  duration_minutes INTEGER DEFAULT 30,
+  provider_id VARCHAR(50),
+  resource_id VARCHAR(50),
   google_calendar_event_id VARCHAR(255),
+  resource_event_id VARCHAR(255),
+  idempotency_key VARCHAR(255),
   status VARCHAR(50) DEFAULT 'confirmed',
   sms_sent BOOLEAN DEFAULT FALSE,
   reminder_sent BOOLEAN DEFAULT FALSE,
+  patient_confirmed_at TIMESTAMP,
+  reminder_channel VARCHAR(10), -- sms or call; NULL follows the patient's reminder_preferences row
+  reminder_result VARCHAR(30), -- Reminder calls: confirmed, cancelled, rescheduled, answered, voicemail or no_answer
+  caller_timezone VARCHAR(64), -- IANA timezone the caller is in (voice calls), for reminder quiet hours
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Columns added after the initial release (no-ops on fresh databases)
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS service_type VARCHAR(50);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS duration_minutes INTEGER DEFAULT 30;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS provider_id VARCHAR(50);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS resource_id VARCHAR(50);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS resource_event_id VARCHAR(255);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS patient_confirmed_at TIMESTAMP;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reminder_channel VARCHAR(10);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reminder_result VARCHAR(30);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS caller_timezone VARCHAR(64);
+
 -- Index for fast phone number lookup (rescheduling, cancellations)
 CREATE INDEX IF NOT EXISTS idx_appointments_caller_phone ON appointments(caller_phone);
 
@@ -27,6 +49,9 @@ CREATE INDEX IF NOT EXISTS idx_appointments_time ON appointments(appointment_tim
 -- Index for calendar event lookup
 CREATE INDEX IF NOT EXISTS idx_appointments_calendar_event ON appointments(google_calendar_event_id);
 
+-- One live appointment per call + slot, so a retried create_appointment can't book twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_idempotency_key ON appointments(idempotency_key) WHERE status = 'confirmed';
+
 -- Optional: Call logs table (simple logging without multi-tenant complexity)
 CREATE TABLE IF NOT EXISTS call_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -38,12 +63,117 @@ CREATE TABLE IF NOT EXISTS call_logs (
   transcript TEXT,
   appointment_booked BOOLEAN DEFAULT FALSE,
   appointment_id UUID REFERENCES appointments(id),
+  recording_url TEXT, -- Two-channel WAV (CALL_RECORDING), cleared when retention deletes it
+  answered_by VARCHAR(30), -- Outbound calls: Twilio's answering machine detection (human, machine_end_beep, fax, ...)
+  outcome VARCHAR(30), -- Outbound calls: answered, voicemail, voicemail_failed or fax
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Columns added after the initial release (no-ops on fresh databases)
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_url TEXT;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS answered_by VARCHAR(30);
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS outcome VARCHAR(30);
+
 -- Index for call log lookup by Twilio SID
 CREATE INDEX IF NOT EXISTS idx_call_logs_twilio_sid ON call_logs(twilio_call_sid);
 
+-- Index for finding recordings past retention
+CREATE INDEX IF NOT EXISTS idx_call_logs_recordings ON call_logs(created_at) WHERE recording_url IS NOT NULL;
+
+-- Short-lived holds on a calendar's time while a caller decides or books
+-- Keeps two concurrent calls (on any machine) from booking the same slot
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  holder VARCHAR(255) NOT NULL,
+  calendar_id VARCHAR(255) NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for overlap checks on a calendar
+CREATE INDEX IF NOT EXISTS idx_slot_holds_calendar ON slot_holds(calendar_id, starts_at);
+
+-- Index for releasing a caller's holds
+CREATE INDEX IF NOT EXISTS idx_slot_holds_holder ON slot_holds(holder);
+
+-- Text-message booking conversations, one per phone number
+-- A conversation idle longer than SMS_CONVERSATION_TIMEOUT_MINUTES starts over
+CREATE TABLE IF NOT EXISTS sms_conversations (
+  phone VARCHAR(20) PRIMARY KEY,
+  session_id VARCHAR(255) NOT NULL,
+  messages JSONB NOT NULL,
+  appointment_data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Messages taken for staff (take_message): callbacks, billing questions, refills
+-- Worked through the /api/messages callback queue
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_log_id UUID REFERENCES call_logs(id), -- Set when the call's log is written (voice only)
+  session_id VARCHAR(255) NOT NULL, -- Twilio call SID or SMS session ID
+  channel VARCHAR(10) NOT NULL DEFAULT 'voice',
+  caller_name VARCHAR(255),
+  callback_phone VARCHAR(20) NOT NULL,
+  topic VARCHAR(255) NOT NULL,
+  details TEXT,
+  urgency VARCHAR(10) NOT NULL DEFAULT 'normal', -- normal, urgent
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, assigned, resolved
+  assigned_to VARCHAR(255),
+  assigned_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  resolution TEXT,
+  staff_notified BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for the callback queue
+CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status, created_at);
+
+-- Index for linking a call's messages to its call log
+CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id);
+
+-- How each patient wants their appointment reminders (set when booking)
+-- An appointment's own reminder_channel wins over this
+CREATE TABLE IF NOT EXISTS reminder_preferences (
+  caller_phone VARCHAR(20) PRIMARY KEY,
+  reminder_channel VARCHAR(10) NOT NULL, -- sms, call
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Reminders waiting to go out, one per appointment and stage (REMINDER_OFFSETS_HOURS)
+-- Machines claim due jobs with a lease, so a job is only worked on by one at a time
+CREATE TABLE IF NOT EXISTS reminder_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id UUID NOT NULL REFERENCES appointments(id),
+  offset_minutes INTEGER NOT NULL, -- How long before the appointment this stage goes out
+  due_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, sent, failed, expired, cancelled
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_by VARCHAR(255), -- Machine working on it (while running)
+  locked_until TIMESTAMPTZ, -- Lease; another machine may take the job over after this
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (appointment_id, offset_minutes)
+);
+
+-- Index for claiming due jobs
+CREATE INDEX IF NOT EXISTS idx_reminder_jobs_due ON reminder_jobs(status, due_at);
+
+-- Periodic jobs that only one machine should run at a time (e.g. calendar reconciliation)
+-- The machine running one holds its row until locked_until
+CREATE TABLE IF NOT EXISTS scheduler_locks (
+  name VARCHAR(100) PRIMARY KEY,
+  locked_by VARCHAR(255) NOT NULL,
+  locked_until TIMESTAMPTZ NOT NULL
+);
+
 -- ====================================================================
 -- Example data (for testing)
 -- ====================================================================
@@ -77,3 +207,18 @@ INSERT INTO appointments (
 
 -- View call logs:
 -- SELECT * FROM call_logs ORDER BY created_at DESC LIMIT 10;
+
+-- View active slot holds:
+-- SELECT * FROM slot_holds WHERE expires_at > NOW() ORDER BY starts_at;
+
+-- View the open callback queue:
+-- SELECT urgency, caller_name, callback_phone, topic, assigned_to, created_at FROM messages WHERE status <> 'resolved' ORDER BY urgency = 'urgent' DESC, created_at;
+
+-- View recent SMS conversations:
+-- SELECT phone, session_id, jsonb_array_length(messages), updated_at FROM sms_conversations ORDER BY updated_at DESC LIMIT 10;
+
+-- View reminders still to go out:
+-- SELECT j.due_at, j.offset_minutes / 60.0 AS hours_before, j.status, j.attempts, a.caller_name, a.appointment_time FROM reminder_jobs j JOIN appointments a ON a.id = j.appointment_id WHERE j.status IN ('pending', 'running') ORDER BY j.due_at;
+
+-- View how recent reminder calls went:
+-- SELECT caller_name, caller_phone, appointment_time, reminder_result FROM appointments WHERE reminder_channel = 'call' ORDER BY appointment_time DESC LIMIT 10;
@@ -0,0 +1,40 @@
+/**
+ * Compare upcoming appointments with the calendars and report (or repair) drift
+ * Run with: npm run reconcile            (report only)
+ *           npm run reconcile -- --fix   (apply repairs)
+ */
+
+import { reconcileCalendars } from '../src/services/calendar-reconciler.js';
+
+const fix = process.argv.includes('--fix');
+
+async function main() {
+  try {
+    console.log(fix ? '🔧 Reconciling calendars (applying fixes)...\n' : '🔍 Reconciling calendars (report only, pass --fix to repair)...\n');
+
+    const report = await reconcileCalendars({ dryRun: !fix });
+
+    if (report.skipped) {
+      console.log('⏭️  Another machine is reconciling right now; try again in a few minutes');
+      process.exit(0);
+    }
+
+    console.log(`Checked ${report.checked} upcoming appointments`);
+    report.details.forEach((finding) => {
+      console.log(`  • ${finding.action}`, JSON.stringify({ ...finding, action: undefined }));
+    });
+
+    if (fix) {
+      console.log(`\n✅ Cancelled ${report.cancelled}, recreated ${report.recreated} resource blocks, retimed ${report.retimed}, removed ${report.orphansRemoved} orphaned events, ${report.failed} failures`);
+    } else {
+      console.log(`\n${report.details.length} findings (nothing changed)`);
+    }
+
+    process.exit(report.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -44,7 +44,13 @@ async function setupDatabase() {
         caller_phone VARCHAR(20) NOT NULL,
         appointment_time TIMESTAMP NOT NULL,
         reason TEXT,
+        service_type VARCHAR(50),
+        duration_minutes INTEGER DEFAULT 30,
+        provider_id VARCHAR(50),
+        resource_id VARCHAR(50),
         google_calendar_event_id VARCHAR(255),
+        resource_event_id VARCHAR(255),
+        idempotency_key VARCHAR(255),
         status VARCHAR(50) DEFAULT 'confirmed',
         sms_sent BOOLEAN DEFAULT FALSE,
         created_at TIMESTAMP DEFAULT NOW(),
@@ -52,6 +58,18 @@ async function setupDatabase() {
       )
     `;
 
+    // Columns added after the initial release (no-ops on fresh databases)
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS service_type VARCHAR(50)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS duration_minutes INTEGER DEFAULT 30`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS provider_id VARCHAR(50)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS resource_id VARCHAR(50)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS resource_event_id VARCHAR(255)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS patient_confirmed_at TIMESTAMP`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reminder_channel VARCHAR(10)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reminder_result VARCHAR(30)`;
+    await sql`ALTER TABLE appointments ADD COLUMN IF NOT EXISTS caller_timezone VARCHAR(64)`;
+
     console.log('✅ Appointments table created');
 
     console.log('📋 Creating indexes...');
@@ -59,6 +77,7 @@ async function setupDatabase() {
     await sql`CREATE INDEX IF NOT EXISTS idx_appointments_caller_phone ON appointments(caller_phone)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_appointments_time ON appointments(appointment_time)`;
     await sql`CREATE INDEX IF NOT EXISTS idx_appointments_calendar_event ON appointments(google_calendar_event_id)`;
+    await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_idempotency_key ON appointments(idempotency_key) WHERE status = 'confirmed'`;
 
     console.log('✅ Indexes created');
 
@@ -75,22 +94,141 @@ async function setupDatabase() {
         transcript TEXT,
         appointment_booked BOOLEAN DEFAULT FALSE,
         appointment_id UUID REFERENCES appointments(id),
+        recording_url TEXT,
+        answered_by VARCHAR(30),
+        outcome VARCHAR(30),
         created_at TIMESTAMP DEFAULT NOW()
       )
     `;
 
+    await sql`ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_url TEXT`;
+    await sql`ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS answered_by VARCHAR(30)`;
+    await sql`ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS outcome VARCHAR(30)`;
+
     console.log('✅ Call logs table created');
 
     await sql`CREATE INDEX IF NOT EXISTS idx_call_logs_twilio_sid ON call_logs(twilio_call_sid)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_call_logs_recordings ON call_logs(created_at) WHERE recording_url IS NOT NULL`;
 
     console.log('✅ Call logs index created');
 
+    console.log('📋 Creating slot_holds table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS slot_holds (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        holder VARCHAR(255) NOT NULL,
+        calendar_id VARCHAR(255) NOT NULL,
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS idx_slot_holds_calendar ON slot_holds(calendar_id, starts_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_slot_holds_holder ON slot_holds(holder)`;
+
+    console.log('✅ Slot holds table created');
+
+    console.log('📋 Creating sms_conversations table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS sms_conversations (
+        phone VARCHAR(20) PRIMARY KEY,
+        session_id VARCHAR(255) NOT NULL,
+        messages JSONB NOT NULL,
+        appointment_data JSONB NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    console.log('✅ SMS conversations table created');
+
+    console.log('📋 Creating messages table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        call_log_id UUID REFERENCES call_logs(id),
+        session_id VARCHAR(255) NOT NULL,
+        channel VARCHAR(10) NOT NULL DEFAULT 'voice',
+        caller_name VARCHAR(255),
+        callback_phone VARCHAR(20) NOT NULL,
+        topic VARCHAR(255) NOT NULL,
+        details TEXT,
+        urgency VARCHAR(10) NOT NULL DEFAULT 'normal',
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        assigned_to VARCHAR(255),
+        assigned_at TIMESTAMPTZ,
+        resolved_at TIMESTAMPTZ,
+        resolution TEXT,
+        staff_notified BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status, created_at)`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id)`;
+
+    console.log('✅ Messages table created');
+
+    console.log('📋 Creating reminder_preferences table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS reminder_preferences (
+        caller_phone VARCHAR(20) PRIMARY KEY,
+        reminder_channel VARCHAR(10) NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `;
+
+    console.log('✅ Reminder preferences table created');
+
+    console.log('📋 Creating reminder_jobs table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS reminder_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        appointment_id UUID NOT NULL REFERENCES appointments(id),
+        offset_minutes INTEGER NOT NULL,
+        due_at TIMESTAMPTZ NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        locked_by VARCHAR(255),
+        locked_until TIMESTAMPTZ,
+        last_error TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (appointment_id, offset_minutes)
+      )
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS idx_reminder_jobs_due ON reminder_jobs(status, due_at)`;
+
+    console.log('✅ Reminder jobs table created');
+
+    console.log('📋 Creating scheduler_locks table...');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS scheduler_locks (
+        name VARCHAR(100) PRIMARY KEY,
+        locked_by VARCHAR(255) NOT NULL,
+        locked_until TIMESTAMPTZ NOT NULL
+      )
+    `;
+
+    console.log('✅ Scheduler locks table created');
+
     // Verify tables exist
     const tables = await sql`
       SELECT tablename
       FROM pg_tables
       WHERE schemaname = 'public'
-      AND tablename IN ('appointments', 'call_logs')
+      AND tablename IN ('appointments', 'call_logs', 'slot_holds', 'sms_conversations', 'messages', 'reminder_preferences', 'reminder_jobs', 'scheduler_locks')
       ORDER BY tablename
     `;
 
@@ -6,7 +6,9 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
-import { checkAvailability, getAvailableSlots } from '../src/services/google-calendar.js';
+import { checkAvailability, getDefaultCalendarId } from '../src/services/calendar.js';
+import { getAvailableSlots } from '../src/services/availability.js';
+import { getService } from '../src/services/service-catalog.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,7 +27,8 @@ async function testCalendar() {
   try {
     console.log('🔌 Testing Google Calendar API connection...\n');
 
-    console.log('📅 Calendar ID:', process.env.GOOGLE_CALENDAR_ID);
+    console.log('🗓️  Backend:', process.env.CALENDAR_BACKEND || 'google');
+    console.log('📅 Calendar ID:', getDefaultCalendarId());
     console.log('🔑 Service Account:', process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL);
     console.log('');
 
@@ -42,7 +45,7 @@ async function testCalendar() {
 
     // Test 2: Get all available slots for tomorrow
     console.log('🔍 Test 2: Getting available slots for tomorrow...');
-    const slots = await getAvailableSlots(tomorrow, 30);
+    const slots = await getAvailableSlots(tomorrow, getService('checkup'));
 
     console.log(`   Found ${slots.length} available 30-minute slots:\n`);
     slots.slice(0, 5).forEach(slot => {
@@ -1,70 +1,43 @@
 /**
  * Calendar events API handler
- * Returns upcoming events from Google Calendar
+ * Returns upcoming events from the configured calendar backend
  */
 
-import { google } from 'googleapis';
 import { logger } from '../../utils/logger.js';
+import { listEvents, getDefaultCalendarId } from '../../services/calendar.js';
 
 const apiLogger = logger.child('API:CALENDAR:EVENTS');
 
 export async function getCalendarEvents(req, res) {
   try {
-    const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID;
-    const SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
-
-    // Validate environment variables
-    if (!CALENDAR_ID || !SERVICE_ACCOUNT_KEY) {
+    // Google needs a service account; the other backends are configured in calendar.js
+    if ((process.env.CALENDAR_BACKEND || 'google') === 'google' && !process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
       apiLogger.error('Missing Google Calendar credentials', {
-        hasCalendarId: !!CALENDAR_ID,
-        hasServiceAccountKey: !!SERVICE_ACCOUNT_KEY,
+        hasServiceAccountKey: false,
       });
       return res.status(500).json({
         error: 'Calendar not configured',
       });
     }
 
-    // Decode base64-encoded service account key (same as working google-calendar.js)
-    const serviceAccountKey = Buffer.from(SERVICE_ACCOUNT_KEY, 'base64').toString('utf-8');
-    const credentials = JSON.parse(serviceAccountKey);
-
-    // Create JWT auth client (same pattern as working code)
-    const auth = new google.auth.JWT({
-      email: credentials.client_email,
-      key: credentials.private_key,
-      scopes: ['https://www.googleapis.com/auth/calendar'],
-    });
-
-    const calendar = google.calendar({ version: 'v3', auth });
-
     // Get events from today (midnight) onwards (next 7 days)
     // This ensures events that started earlier today are still visible
     const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
 
-    const response = await calendar.events.list({
-      calendarId: CALENDAR_ID,
-      timeMin: todayStart.toISOString(),
-      timeMax: weekFromNow.toISOString(),
-      singleEvents: true,
-      maxResults: 50,
-    });
-
-    const events = response.data.items || [];
+    const events = (await listEvents(getDefaultCalendarId(), todayStart, weekFromNow, { showDeleted: false }))
+      .slice(0, 50);
 
     // Format events for frontend
     const formattedEvents = events.map((event) => ({
       id: event.id,
       summary: event.summary,
       description: event.description,
-      start: event.start.dateTime || event.start.date,
-      end: event.end.dateTime || event.end.date,
-      created: event.created, // When the event was created in Google Calendar
-      attendees: event.attendees?.map(a => ({
-        email: a.email,
-        displayName: a.displayName
-      })),
+      start: event.start.toISOString(),
+      end: event.end.toISOString(),
+      created: event.created?.toISOString() || null, // When the event was created in the calendar
+      attendees: event.attendees,
       htmlLink: event.htmlLink,
     }));
 
@@ -1,30 +1,14 @@
 /**
  * Demo outbound call API
  * Initiates an outbound call to a user's phone with custom business name
+ * (with answering machine detection - see services/outbound-call.js)
  */
 
-import twilio from 'twilio';
 import { logger } from '../../utils/logger.js';
+import { placeOutboundCall } from '../../services/outbound-call.js';
 
 const demoLogger = logger.child('DEMO_CALL');
 
-// Initialize Twilio client
-let twilioClient = null;
-
-function initializeTwilio() {
-  if (twilioClient) return twilioClient;
-
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-
-  if (!accountSid || !authToken) {
-    throw new Error('Twilio credentials not configured');
-  }
-
-  twilioClient = twilio(accountSid, authToken);
-  return twilioClient;
-}
-
 /**
  * Handle demo call request
  * Note: Input validation and rate limiting handled by middleware
@@ -35,7 +19,6 @@ export async function handleDemoCall(req, res) {
   // At this point, phoneNumber is already validated and sanitized by middleware
 
   try {
-    const client = initializeTwilio();
     const from = process.env.TWILIO_PHONE_NUMBER;
     const streamUrl = process.env.FLY_STREAM_URL;
 
@@ -52,33 +35,20 @@ export async function handleDemoCall(req, res) {
       from
     });
 
-    // Create TwiML that connects to our WebSocket stream
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect>
-    <Stream url="${streamUrl}">
-      <Parameter name="To" value="${from}" />
-      <Parameter name="From" value="${phoneNumber}" />
-    </Stream>
-  </Connect>
-  <Pause length="60"/>
-</Response>`;
-
-    // Initiate outbound call
-    const call = await client.calls.create({
-      twiml,
+    // Initiate outbound call; if voicemail answers, the agent leaves a message instead
+    const call = await placeOutboundCall({
       to: phoneNumber,
-      from,
+      purpose: 'demo',
     });
 
     demoLogger.info('Demo call initiated successfully', {
-      callSid: call.sid,
+      callSid: call.callSid,
       to: phoneNumber
     });
 
     res.json({
       success: true,
-      callSid: call.sid,
+      callSid: call.callSid,
       message: `Calling ${phoneNumber} for Dr. Smith's Dental Office`
     });
 
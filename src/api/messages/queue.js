@@ -0,0 +1,122 @@
+/**
+ * Callback queue API
+ * Messages callers left with take_message (see services/staff-messages.js),
+ * for staff to work through: list them, assign one to whoever is calling
+ * back, and mark it resolved. Protected by ADMIN_API_KEY (X-API-Key header).
+ */
+
+import { logger } from '../../utils/logger.js';
+import { getMessages, getMessageById, assignMessage, resolveMessage } from '../../db/queries.js';
+
+const apiLogger = logger.child('API:MESSAGES');
+
+const STATUSES = ['open', 'assigned', 'resolved'];
+const DEFAULT_STATUSES = ['open', 'assigned'];
+const MAX_LIMIT = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Find the message a request is about, or answer 404
+ * @returns {Promise<Object|null>} Message, or null if the response was sent
+ */
+async function findMessage(req, res) {
+  const message = UUID_PATTERN.test(req.params.id) ? await getMessageById(req.params.id) : null;
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+  return message;
+}
+
+/**
+ * GET /api/messages
+ * The queue, urgent first then oldest first
+ * Query: status (open, assigned, resolved or all; comma-separated; default open,assigned),
+ * assignedTo, limit (default 100)
+ */
+export async function handleListMessages(req, res) {
+  try {
+    const status = String(req.query.status || DEFAULT_STATUSES.join(','));
+    const statuses = status === 'all' ? null : status.split(',').map((s) => s.trim());
+    if (statuses && !statuses.every((s) => STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be all or any of ${STATUSES.join(', ')}` });
+    }
+
+    const limit = Number(req.query.limit ?? 100);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const messages = await getMessages({
+      statuses,
+      assignedTo: req.query.assignedTo || null,
+      limit,
+    });
+
+    apiLogger.info('Messages listed', { statuses, count: messages.length });
+
+    return res.status(200).json({
+      success: true,
+      messages,
+      count: messages.length,
+    });
+  } catch (error) {
+    apiLogger.error('Error listing messages', error);
+    return res.status(500).json({ error: 'Failed to list messages' });
+  }
+}
+
+/**
+ * POST /api/messages/:id/assign
+ * Body: { assignedTo } - who is calling back (reassigning is fine)
+ */
+export async function handleAssignMessage(req, res) {
+  try {
+    const assignedTo = typeof req.body?.assignedTo === 'string' ? req.body.assignedTo.trim() : '';
+    if (!assignedTo) {
+      return res.status(400).json({ error: 'assignedTo is required' });
+    }
+
+    const message = await findMessage(req, res);
+    if (!message) return;
+
+    if (message.status === 'resolved') {
+      return res.status(409).json({ error: 'Message is already resolved' });
+    }
+
+    const updated = await assignMessage(message.id, assignedTo);
+    return res.status(200).json({ success: true, message: updated });
+  } catch (error) {
+    apiLogger.error('Error assigning message', error, { messageId: req.params.id });
+    return res.status(500).json({ error: 'Failed to assign message' });
+  }
+}
+
+/**
+ * POST /api/messages/:id/resolve
+ * Body: { resolution } - optional note on what was done
+ */
+export async function handleResolveMessage(req, res) {
+  try {
+    const message = await findMessage(req, res);
+    if (!message) return;
+
+    if (message.status === 'resolved') {
+      return res.status(409).json({ error: 'Message is already resolved' });
+    }
+
+    const resolution = typeof req.body?.resolution === 'string' ? req.body.resolution.trim() || null : null;
+    const updated = await resolveMessage(message.id, resolution);
+    return res.status(200).json({ success: true, message: updated });
+  } catch (error) {
+    apiLogger.error('Error resolving message', error, { messageId: req.params.id });
+    return res.status(500).json({ error: 'Failed to resolve message' });
+  }
+}
+
+export default {
+  handleAssignMessage,
+  handleListMessages,
+  handleResolveMessage,
+};
@@ -0,0 +1,90 @@
+/**
+ * Twilio webhook for answered outbound calls (see services/outbound-call.js)
+ * - /api/twilio/outbound-answer?purpose=...: answering machine detection has
+ *   decided who picked up. People and voicemail both go to the voice agent's
+ *   stream (which leaves the voicemail); fax machines are hung up on.
+ * - /api/twilio/outbound-status?purpose=...: the call ended. Only asked for
+ *   calls about an appointment; a reminder nobody picked up is texted instead.
+ * Requests must carry a valid Twilio signature (see
+ * middleware/validate-twilio-signature.js).
+ *
+ * The URL is set when the call is placed - nothing to configure on the number.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { createCallLog } from '../../db/queries.js';
+import { buildOutboundStreamTwiml } from '../../services/outbound-call.js';
+import { handleUnansweredReminderCall } from '../../services/reminder-calls.js';
+
+const outboundLogger = logger.child('TWILIO_OUTBOUND');
+
+const HANGUP_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response/>';
+
+// Final call statuses for calls that never reached the answer webhook
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+/**
+ * Call URL: connect the call, or hang up on a fax
+ */
+export async function handleOutboundAnswer(req, res) {
+  const { CallSid, To, From, AnsweredBy } = req.body;
+  const { purpose, appointmentId = null } = req.query;
+
+  outboundLogger.info('Outbound call answered', { callSid: CallSid, to: To, answeredBy: AnsweredBy, purpose, appointmentId });
+
+  res.type('text/xml');
+
+  try {
+    if (AnsweredBy === 'fax') {
+      const now = new Date().toISOString();
+      await createCallLog({
+        twilioCallSid: CallSid,
+        callerPhone: To,
+        callStartedAt: now,
+        callEndedAt: now,
+        answeredBy: AnsweredBy,
+        outcome: 'fax',
+      });
+      return res.send(HANGUP_TWIML);
+    }
+
+    return res.send(buildOutboundStreamTwiml({
+      patientPhone: To,
+      twilioNumber: From,
+      answeredBy: AnsweredBy,
+      purpose,
+      appointmentId,
+    }));
+  } catch (error) {
+    outboundLogger.error('Error answering outbound call', error, { callSid: CallSid });
+    return res.send(HANGUP_TWIML);
+  }
+}
+
+/**
+ * Status callback: follow up on a reminder call nobody picked up
+ */
+export async function handleOutboundStatus(req, res) {
+  const { CallSid, CallStatus } = req.body;
+  const { purpose, appointmentId = null } = req.query;
+
+  outboundLogger.info('Outbound call ended', { callSid: CallSid, status: CallStatus, purpose, appointmentId });
+
+  try {
+    if (purpose === 'reminder' && appointmentId && UNANSWERED_STATUSES.includes(CallStatus)) {
+      await handleUnansweredReminderCall(appointmentId, CallStatus);
+    }
+  } catch (error) {
+    outboundLogger.error('Error handling outbound call status', error, { callSid: CallSid });
+  }
+
+  // Nothing left to do on the call
+  res.type('text/xml');
+  return res.send(EMPTY_TWIML);
+}
+
+export default {
+  handleOutboundAnswer,
+  handleOutboundStatus,
+};
@@ -0,0 +1,101 @@
+/**
+ * Twilio inbound SMS webhook
+ *
+ * Keyword replies to confirmation and reminder texts (CANCEL, CONFIRM, HELP)
+ * are answered directly. Anything else - including RESCHEDULE and every text
+ * while a booking conversation is open - goes to the SMS booking conversation,
+ * which answers through the REST API so the webhook returns before Twilio's
+ * timeout. Requests must carry a valid Twilio signature (see
+ * middleware/validate-twilio-signature.js).
+ *
+ * Usage:
+ * Set the number's "A message comes in" webhook to
+ * https://your-app.fly.dev/api/twilio/sms (HTTP POST)
+ */
+
+import twilio from 'twilio';
+import { logger } from '../../utils/logger.js';
+import { parseSmsCommand } from '../../utils/sms-commands.js';
+import { handleSmsReply } from '../../services/sms-replies.js';
+import {
+  hasActiveSmsConversation,
+  endSmsConversation,
+  handleSmsConversation,
+} from '../../services/sms-conversation.js';
+import { sendSms } from '../../services/sms.js';
+
+const smsLogger = logger.child('TWILIO_SMS');
+
+// Keywords answered without the LLM when no conversation is open
+const KEYWORD_REPLIES = ['cancel', 'confirm', 'help'];
+
+const FALLBACK_REPLY = "Sorry, we couldn't process your message. Please give us a call.";
+
+/**
+ * TwiML answering a message (an empty response sends nothing)
+ * @param {string|null} text - Reply text
+ * @returns {string} TwiML
+ */
+function generateReplyTwiML(text) {
+  const response = new twilio.twiml.MessagingResponse();
+  if (text) response.message(text);
+  return response.toString();
+}
+
+/**
+ * Continue the sender's booking conversation and text back the reply
+ * Runs after the webhook has answered; failures are texted as an apology
+ * @param {string} from - Sender's phone number (E.164)
+ * @param {string} body - Message text
+ * @param {string} messageSid - Inbound message SID (for logs)
+ */
+async function replyInConversation(from, body, messageSid) {
+  let reply;
+  try {
+    reply = await handleSmsConversation({ from, body });
+  } catch (error) {
+    smsLogger.error('Error in SMS conversation', error, { messageSid });
+    reply = FALLBACK_REPLY;
+  }
+
+  if (!reply) return;
+
+  try {
+    await sendSms(from, reply);
+  } catch (error) {
+    smsLogger.error('Failed to send SMS conversation reply', error, { messageSid });
+  }
+}
+
+/**
+ * Inbound SMS handler
+ */
+export async function handleInboundSms(req, res) {
+  const { From, Body, MessageSid } = req.body;
+  const command = parseSmsCommand(Body);
+
+  smsLogger.info('Inbound SMS received', {
+    from: From,
+    messageSid: MessageSid,
+    command,
+  });
+
+  let reply = null;
+  try {
+    if (command === 'opt_out') {
+      // Twilio answers opt-out keywords itself; just drop any open conversation
+      await endSmsConversation(From);
+    } else if (KEYWORD_REPLIES.includes(command) && !(await hasActiveSmsConversation(From))) {
+      ({ reply } = await handleSmsReply({ from: From, body: Body }));
+    } else if (Body?.trim()) {
+      // The LLM and tools can take longer than Twilio waits for the webhook
+      replyInConversation(From, Body, MessageSid);
+    }
+  } catch (error) {
+    smsLogger.error('Error handling inbound SMS', error, { messageSid: MessageSid });
+    reply = FALLBACK_REPLY;
+  }
+
+  res.type('text/xml');
+  return res.send(generateReplyTwiML(reply));
+}
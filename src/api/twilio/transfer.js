@@ -0,0 +1,61 @@
+/**
+ * Twilio webhooks for transferred calls (see services/call-transfer.js)
+ * - /api/twilio/transfer-status: the front desk's phone stopped ringing.
+ *   Answered calls end when staff hang up; otherwise the caller leaves a message.
+ * - /api/twilio/voicemail: a message was recorded; staff get a text linking it.
+ * Requests must carry a valid Twilio signature (see
+ * middleware/validate-twilio-signature.js).
+ *
+ * Both URLs are set by the transfer TwiML itself - nothing to configure on the number.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { buildNoAnswerTwiml, buildVoicemailThanksTwiml, sendVoicemailNotice } from '../../services/call-transfer.js';
+
+const transferLogger = logger.child('TWILIO_TRANSFER');
+
+/**
+ * Dial action: send unanswered transfers to voicemail
+ */
+export function handleTransferStatus(req, res) {
+  const { CallSid, DialCallStatus } = req.body;
+
+  transferLogger.info('Transfer finished ringing', { callSid: CallSid, status: DialCallStatus });
+
+  res.type('text/xml');
+
+  if (DialCallStatus === 'completed' || DialCallStatus === 'answered') {
+    return res.send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+
+  return res.send(buildNoAnswerTwiml());
+}
+
+/**
+ * Record action: tell staff about the message, thank the caller and hang up
+ */
+export async function handleVoicemail(req, res) {
+  const { CallSid, From, RecordingUrl, RecordingDuration } = req.body;
+
+  transferLogger.info('Voicemail recorded', {
+    callSid: CallSid,
+    from: From,
+    durationSeconds: RecordingDuration,
+  });
+
+  if (RecordingUrl) {
+    await sendVoicemailNotice({
+      callerPhone: From,
+      recordingUrl: RecordingUrl,
+      durationSeconds: Number(RecordingDuration),
+    });
+  }
+
+  res.type('text/xml');
+  return res.send(buildVoicemailThanksTwiml());
+}
+
+export default {
+  handleTransferStatus,
+  handleVoicemail,
+};
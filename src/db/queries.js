@@ -20,7 +20,15 @@ export async function createAppointment(appointmentData) {
       callerPhone,
       appointmentTime,
       reason = 'Appointment',
+      serviceType = null,
+      durationMinutes = 30,
+      providerId = null,
+      resourceId = null,
       googleCalendarEventId,
+      resourceEventId = null,
+      idempotencyKey = null,
+      reminderChannel = null,
+      callerTimezone = null,
       status = 'confirmed',
     } = appointmentData;
 
@@ -36,7 +44,15 @@ export async function createAppointment(appointmentData) {
         caller_phone,
         appointment_time,
         reason,
+        service_type,
+        duration_minutes,
+        provider_id,
+        resource_id,
         google_calendar_event_id,
+        resource_event_id,
+        idempotency_key,
+        reminder_channel,
+        caller_timezone,
         status
       )
       VALUES (
@@ -44,7 +60,15 @@ export async function createAppointment(appointmentData) {
         ${callerPhone},
         ${appointmentTime},
         ${reason},
+        ${serviceType},
+        ${durationMinutes},
+        ${providerId},
+        ${resourceId},
         ${googleCalendarEventId},
+        ${resourceEventId},
+        ${idempotencyKey},
+        ${reminderChannel},
+        ${callerTimezone},
         ${status}
       )
       RETURNING *
@@ -63,6 +87,72 @@ export async function createAppointment(appointmentData) {
   }
 }
 
+/**
+ * Call logs whose recordings are older than the retention cutoff
+ * @param {Date} before - Calls logged before this have expired
+ * @returns {Promise<Array>} Call logs with a recording_url
+ */
+export async function getCallLogsWithExpiredRecordings(before) {
+  try {
+    return await sql`
+      SELECT id, twilio_call_sid, recording_url, created_at
+      FROM call_logs
+      WHERE recording_url IS NOT NULL
+        AND created_at < ${before}
+      ORDER BY created_at
+    `;
+  } catch (error) {
+    dbLogger.error('Error getting expired call recordings', error);
+    throw error;
+  }
+}
+
+/**
+ * Unlink a call log from its (deleted) recording
+ * @param {string} callLogId - Call log ID
+ * @returns {Promise<Object>} Updated call log
+ */
+export async function clearCallLogRecording(callLogId) {
+  try {
+    const result = await sql`
+      UPDATE call_logs
+      SET recording_url = NULL
+      WHERE id = ${callLogId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error(`Call log not found: ${callLogId}`);
+    }
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error clearing call recording', error, { callLogId });
+    throw error;
+  }
+}
+
+/**
+ * Get the confirmed appointment created under an idempotency key
+ * @param {string} idempotencyKey - Key from create_appointment (call + slot)
+ * @returns {Promise<Object|null>} Appointment record, or null if none (or it was cancelled)
+ */
+export async function getAppointmentByIdempotencyKey(idempotencyKey) {
+  try {
+    const result = await sql`
+      SELECT *
+      FROM appointments
+      WHERE idempotency_key = ${idempotencyKey}
+        AND status = 'confirmed'
+    `;
+
+    return result[0] || null;
+  } catch (error) {
+    dbLogger.error('Error fetching appointment by idempotency key', error);
+    throw error;
+  }
+}
+
 /**
  * Get appointments for a phone number
  * @param {string} callerPhone - Phone number to lookup
@@ -163,6 +253,196 @@ export async function updateAppointmentStatus(appointmentId, status) {
   }
 }
 
+/**
+ * Update appointment time (used when rescheduling)
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} appointmentTime - New appointment time (ISO string)
+ * @param {Object} assignment - Provider/resource and calendar events the appointment now uses
+ *   ({ providerId, resourceId, eventId, resourceEventId }); omit to leave unchanged
+ * @returns {Promise<Object>} Updated appointment
+ */
+export async function updateAppointmentTime(appointmentId, appointmentTime, assignment = null) {
+  try {
+    dbLogger.info('Updating appointment time', {
+      appointmentId,
+      time: appointmentTime,
+      providerId: assignment?.providerId,
+    });
+
+    const result = assignment
+      ? await sql`
+        UPDATE appointments
+        SET
+          appointment_time = ${appointmentTime},
+          provider_id = ${assignment.providerId},
+          resource_id = ${assignment.resourceId},
+          google_calendar_event_id = ${assignment.eventId},
+          resource_event_id = ${assignment.resourceEventId},
+          reminder_sent = false,
+          updated_at = NOW()
+        WHERE id = ${appointmentId}
+        RETURNING *
+      `
+      : await sql`
+        UPDATE appointments
+        SET
+          appointment_time = ${appointmentTime},
+          reminder_sent = false,
+          updated_at = NOW()
+        WHERE id = ${appointmentId}
+        RETURNING *
+      `;
+
+    if (result.length === 0) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
+    dbLogger.info('Appointment time updated', {
+      appointmentId: result[0].id,
+      time: result[0].appointment_time,
+    });
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error updating appointment time', error, {
+      appointmentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Point an appointment at new calendar events (used by reconciliation)
+ * Only applies if the appointment still references expectedEventId, so two
+ * reconcilers can't both repair the same row
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} events - { eventId, resourceEventId }
+ * @param {string|null} expectedEventId - The provider event ID the row had when read
+ * @returns {Promise<Object|null>} Updated appointment, or null if it changed underneath
+ */
+export async function updateAppointmentEvents(appointmentId, events, expectedEventId) {
+  try {
+    const result = await sql`
+      UPDATE appointments
+      SET
+        google_calendar_event_id = ${events.eventId},
+        resource_event_id = ${events.resourceEventId},
+        updated_at = NOW()
+      WHERE id = ${appointmentId}
+        AND google_calendar_event_id IS NOT DISTINCT FROM ${expectedEventId}
+      RETURNING *
+    `;
+
+    if (result.length > 0) {
+      dbLogger.info('Appointment calendar events updated', {
+        appointmentId,
+        eventId: events.eventId,
+      });
+    }
+
+    return result[0] || null;
+  } catch (error) {
+    dbLogger.error('Error updating appointment calendar events', error, {
+      appointmentId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get confirmed appointments in a time range (used by reconciliation)
+ * @param {string} timeMin - Range start (ISO string)
+ * @param {string} timeMax - Range end (ISO string)
+ * @returns {Promise<Array>} Appointments, soonest first
+ */
+export async function getConfirmedAppointmentsBetween(timeMin, timeMax) {
+  try {
+    const result = await sql`
+      SELECT *
+      FROM appointments
+      WHERE appointment_time >= ${timeMin}
+        AND appointment_time < ${timeMax}
+        AND status = 'confirmed'
+      ORDER BY appointment_time ASC
+    `;
+
+    return result;
+  } catch (error) {
+    dbLogger.error('Error fetching confirmed appointments', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the calendar event IDs referenced by confirmed appointments
+ * @param {Array<string>} eventIds - Event IDs to look for
+ * @returns {Promise<Set<string>>} The subset still in use (provider events and resource blocks)
+ */
+export async function getReferencedEventIds(eventIds) {
+  try {
+    if (eventIds.length === 0) return new Set();
+
+    const result = await sql`
+      SELECT google_calendar_event_id, resource_event_id
+      FROM appointments
+      WHERE status = 'confirmed'
+        AND (
+          google_calendar_event_id = ANY(${eventIds}::text[])
+          OR resource_event_id = ANY(${eventIds}::text[])
+        )
+    `;
+
+    return new Set(result.flatMap((row) => [row.google_calendar_event_id, row.resource_event_id]).filter(Boolean));
+  } catch (error) {
+    dbLogger.error('Error fetching referenced event IDs', error);
+    throw error;
+  }
+}
+
+/**
+ * Take the lock on a periodic job, so only one machine runs it at a time
+ * Succeeds if nobody holds it, its holder's lease ran out, or the worker already holds it
+ * @param {string} name - Job name
+ * @param {string} workerId - Machine taking the lock
+ * @param {number} leaseSeconds - How long the lock is the worker's
+ * @returns {Promise<boolean>} True if the worker now holds the lock
+ */
+export async function acquireSchedulerLock(name, workerId, leaseSeconds) {
+  try {
+    const result = await sql`
+      INSERT INTO scheduler_locks (name, locked_by, locked_until)
+      VALUES (${name}, ${workerId}, NOW() + make_interval(secs => ${leaseSeconds}))
+      ON CONFLICT (name) DO UPDATE
+      SET locked_by = EXCLUDED.locked_by, locked_until = EXCLUDED.locked_until
+      WHERE scheduler_locks.locked_until < NOW() OR scheduler_locks.locked_by = EXCLUDED.locked_by
+      RETURNING name
+    `;
+
+    return result.length > 0;
+  } catch (error) {
+    dbLogger.error('Error acquiring scheduler lock', error, { name, workerId });
+    throw error;
+  }
+}
+
+/**
+ * Let go of a periodic job's lock
+ * @param {string} name - Job name
+ * @param {string} workerId - Machine holding the lock (nothing changes if it lost it)
+ * @returns {Promise<void>}
+ */
+export async function releaseSchedulerLock(name, workerId) {
+  try {
+    await sql`
+      DELETE FROM scheduler_locks
+      WHERE name = ${name} AND locked_by = ${workerId}
+    `;
+  } catch (error) {
+    dbLogger.error('Error releasing scheduler lock', error, { name, workerId });
+    throw error;
+  }
+}
+
 /**
  * Mark SMS as sent for an appointment
  * @param {string} appointmentId - Appointment ID
@@ -202,6 +482,9 @@ export async function createCallLog(callData) {
       transcript = '',
       appointmentBooked = false,
       appointmentId = null,
+      recordingUrl = null,
+      answeredBy = null,
+      outcome = null,
     } = callData;
 
     dbLogger.info('Creating call log', {
@@ -218,7 +501,10 @@ export async function createCallLog(callData) {
         duration_seconds,
         transcript,
         appointment_booked,
-        appointment_id
+        appointment_id,
+        recording_url,
+        answered_by,
+        outcome
       )
       VALUES (
         ${twilioCallSid},
@@ -228,7 +514,10 @@ export async function createCallLog(callData) {
         ${durationSeconds},
         ${transcript},
         ${appointmentBooked},
-        ${appointmentId}
+        ${appointmentId},
+        ${recordingUrl},
+        ${answeredBy},
+        ${outcome}
       )
       RETURNING *
     `;
@@ -320,52 +609,44 @@ export async function getAppointmentById(appointmentId) {
 }
 
 /**
- * Get appointments needing reminders (24 hours before appointment time)
- * @returns {Promise<Array>} Array of appointments needing reminders
+ * Mark reminder as sent for an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} Updated appointment
  */
-export async function getAppointmentsNeedingReminders() {
+export async function markReminderSent(appointmentId) {
   try {
-    // Get appointments happening in 23-25 hours (24 hours +/- 1 hour window)
-    const now = new Date();
-    const reminderWindowStart = new Date(now.getTime() + 23 * 60 * 60 * 1000);
-    const reminderWindowEnd = new Date(now.getTime() + 25 * 60 * 60 * 1000);
-
-    dbLogger.info('Looking for appointments needing reminders', {
-      windowStart: reminderWindowStart.toISOString(),
-      windowEnd: reminderWindowEnd.toISOString(),
-    });
-
     const result = await sql`
-      SELECT *
-      FROM appointments
-      WHERE appointment_time >= ${reminderWindowStart.toISOString()}
-        AND appointment_time <= ${reminderWindowEnd.toISOString()}
-        AND status = 'confirmed'
-        AND (reminder_sent IS NULL OR reminder_sent = false)
-      ORDER BY appointment_time ASC
+      UPDATE appointments
+      SET reminder_sent = true
+      WHERE id = ${appointmentId}
+      RETURNING *
     `;
 
-    dbLogger.info('Appointments needing reminders found', {
-      count: result.length,
-    });
+    if (result.length === 0) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
 
-    return result;
+    dbLogger.info('Reminder marked as sent', { appointmentId });
+
+    return result[0];
   } catch (error) {
-    dbLogger.error('Error fetching appointments needing reminders', error);
+    dbLogger.error('Error marking reminder as sent', error, { appointmentId });
     throw error;
   }
 }
 
 /**
- * Mark reminder as sent for an appointment
+ * Record that the patient confirmed they're coming (e.g. replied CONFIRM by SMS)
  * @param {string} appointmentId - Appointment ID
  * @returns {Promise<Object>} Updated appointment
  */
-export async function markReminderSent(appointmentId) {
+export async function markAppointmentConfirmed(appointmentId) {
   try {
     const result = await sql`
       UPDATE appointments
-      SET reminder_sent = true
+      SET
+        patient_confirmed_at = NOW(),
+        updated_at = NOW()
       WHERE id = ${appointmentId}
       RETURNING *
     `;
@@ -374,24 +655,670 @@ export async function markReminderSent(appointmentId) {
       throw new Error(`Appointment not found: ${appointmentId}`);
     }
 
-    dbLogger.info('Reminder marked as sent', { appointmentId });
+    dbLogger.info('Appointment confirmed by patient', { appointmentId });
 
     return result[0];
   } catch (error) {
-    dbLogger.error('Error marking reminder as sent', error, { appointmentId });
+    dbLogger.error('Error marking appointment confirmed', error, { appointmentId });
+    throw error;
+  }
+}
+
+/**
+ * Replace an appointment's reminder jobs (it was booked, or moved)
+ * Jobs already sent or given up on go too, so a moved appointment gets every
+ * stage again; a job a machine is working on right now is left alone.
+ * @param {string} appointmentId - Appointment ID
+ * @param {Array<Object>} jobs - { offsetMinutes, dueAt } per reminder stage
+ * @returns {Promise<Array>} Created jobs
+ */
+export async function scheduleReminderJobs(appointmentId, jobs) {
+  try {
+    const offsets = jobs.map((job) => job.offsetMinutes);
+    const dueTimes = jobs.map((job) => new Date(job.dueAt).toISOString());
+
+    const [, created] = await sql.transaction([
+      sql`
+        DELETE FROM reminder_jobs
+        WHERE appointment_id = ${appointmentId}
+          AND status <> 'running'
+      `,
+      sql`
+        INSERT INTO reminder_jobs (appointment_id, offset_minutes, due_at)
+        SELECT ${appointmentId}, offset_minutes, due_at
+        FROM unnest(${offsets}::int[], ${dueTimes}::timestamptz[]) AS job(offset_minutes, due_at)
+        ON CONFLICT (appointment_id, offset_minutes) DO NOTHING
+        RETURNING *
+      `,
+    ]);
+
+    dbLogger.info('Reminder jobs scheduled', { appointmentId, count: created.length });
+
+    return created;
+  } catch (error) {
+    dbLogger.error('Error scheduling reminder jobs', error, { appointmentId });
+    throw error;
+  }
+}
+
+/**
+ * Lease due reminder jobs to one machine
+ * Takes pending jobs past their due time, and running jobs whose lease ran
+ * out (the machine working on them stopped). Each claim counts an attempt.
+ * SKIP LOCKED keeps two machines claiming at once from getting the same job.
+ * @param {Object} options
+ * @param {string} options.workerId - Machine claiming the jobs
+ * @param {number} options.leaseSeconds - How long the jobs are the worker's
+ * @param {number} options.limit - Most jobs to claim
+ * @returns {Promise<Array>} Claimed jobs, earliest due first
+ */
+export async function claimDueReminderJobs({ workerId, leaseSeconds, limit = 20 }) {
+  try {
+    const result = await sql`
+      UPDATE reminder_jobs
+      SET
+        status = 'running',
+        locked_by = ${workerId},
+        locked_until = NOW() + make_interval(secs => ${leaseSeconds}),
+        attempts = attempts + 1,
+        updated_at = NOW()
+      WHERE id IN (
+        SELECT id
+        FROM reminder_jobs
+        WHERE (status = 'pending' AND due_at <= NOW())
+          OR (status = 'running' AND locked_until < NOW())
+        ORDER BY due_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    if (result.length > 0) {
+      dbLogger.info('Reminder jobs claimed', { workerId, count: result.length });
+    }
+
+    return result.sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+  } catch (error) {
+    dbLogger.error('Error claiming reminder jobs', error, { workerId });
+    throw error;
+  }
+}
+
+/**
+ * Let go of a claimed reminder job
+ * @param {string} jobId - Reminder job ID
+ * @param {string} workerId - Machine holding the lease (nothing changes if it lost it)
+ * @param {Object} update
+ * @param {string} update.status - sent, failed, expired or cancelled; pending puts it back in the queue
+ * @param {string} update.dueAt - When to try again (pending only)
+ * @param {string} update.lastError - Why it failed or was skipped
+ * @param {boolean} update.countAttempt - false when the job was put off without trying (e.g. quiet hours)
+ * @returns {Promise<Object|null>} Updated job, or null if the lease had been lost
+ */
+export async function finishReminderJob(jobId, workerId, { status, dueAt = null, lastError = null, countAttempt = true }) {
+  try {
+    const result = await sql`
+      UPDATE reminder_jobs
+      SET
+        status = ${status},
+        due_at = COALESCE(${dueAt}::timestamptz, due_at),
+        attempts = CASE WHEN ${countAttempt}::boolean THEN attempts ELSE attempts - 1 END,
+        last_error = ${lastError},
+        sent_at = CASE WHEN ${status} = 'sent' THEN NOW() ELSE sent_at END,
+        locked_by = NULL,
+        locked_until = NULL,
+        updated_at = NOW()
+      WHERE id = ${jobId}
+        AND locked_by = ${workerId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      dbLogger.warn('Reminder job lease lost before it finished', { jobId, workerId, status });
+      return null;
+    }
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error finishing reminder job', error, { jobId, status });
+    throw error;
+  }
+}
+
+/**
+ * Upcoming confirmed appointments with no reminder jobs (booked before the
+ * job queue, or while scheduling failed)
+ * @returns {Promise<Array>} Appointment records
+ */
+export async function getAppointmentsWithoutReminderJobs() {
+  try {
+    const now = new Date().toISOString();
+
+    return await sql`
+      SELECT a.*
+      FROM appointments a
+      WHERE a.status = 'confirmed'
+        AND a.appointment_time > ${now}
+        AND NOT EXISTS (
+          SELECT 1
+          FROM reminder_jobs j
+          WHERE j.appointment_id = a.id
+        )
+      ORDER BY a.appointment_time ASC
+    `;
+  } catch (error) {
+    dbLogger.error('Error fetching appointments without reminder jobs', error);
+    throw error;
+  }
+}
+
+/**
+ * Record how an appointment's reminder call went
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} result - confirmed, cancelled, rescheduled, answered, voicemail or no_answer
+ * @returns {Promise<Object>} Updated appointment
+ */
+export async function setReminderResult(appointmentId, result) {
+  try {
+    const rows = await sql`
+      UPDATE appointments
+      SET
+        reminder_result = ${result},
+        updated_at = NOW()
+      WHERE id = ${appointmentId}
+      RETURNING *
+    `;
+
+    if (rows.length === 0) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
+    dbLogger.info('Reminder result recorded', { appointmentId, result });
+
+    return rows[0];
+  } catch (error) {
+    dbLogger.error('Error recording reminder result', error, { appointmentId, result });
+    throw error;
+  }
+}
+
+/**
+ * Get how a patient wants their appointment reminders
+ * @param {string} callerPhone - Patient's phone number (E.164)
+ * @returns {Promise<string|null>} 'sms' or 'call', or null if they never said
+ */
+export async function getReminderPreference(callerPhone) {
+  try {
+    const result = await sql`
+      SELECT reminder_channel
+      FROM reminder_preferences
+      WHERE caller_phone = ${callerPhone}
+    `;
+
+    return result[0]?.reminder_channel || null;
+  } catch (error) {
+    dbLogger.error('Error fetching reminder preference', error, { phone: callerPhone });
+    throw error;
+  }
+}
+
+/**
+ * Save how a patient wants their appointment reminders (replaces any earlier choice)
+ * @param {string} callerPhone - Patient's phone number (E.164)
+ * @param {string} reminderChannel - 'sms' or 'call'
+ * @returns {Promise<Object>} Saved preference
+ */
+export async function setReminderPreference(callerPhone, reminderChannel) {
+  try {
+    const result = await sql`
+      INSERT INTO reminder_preferences (caller_phone, reminder_channel)
+      VALUES (${callerPhone}, ${reminderChannel})
+      ON CONFLICT (caller_phone) DO UPDATE SET
+        reminder_channel = EXCLUDED.reminder_channel,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    dbLogger.info('Reminder preference saved', { phone: callerPhone, reminderChannel });
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error saving reminder preference', error, { phone: callerPhone });
+    throw error;
+  }
+}
+
+/**
+ * Place a hold on the same time across one or more calendars, all or nothing
+ * Replaces the holder's earlier holds, but only when it wins - a caller who
+ * loses keeps the time they had. Holds are serialized per calendar with
+ * advisory locks, so two callers on different machines can't both win.
+ * @param {Object} holdData
+ * @param {string} holdData.holder - Who holds it (Twilio call SID)
+ * @param {Array<string>} holdData.calendarIds - Calendars to hold (provider, resource)
+ * @param {string} holdData.startsAt - Start (ISO string)
+ * @param {string} holdData.endsAt - End (ISO string)
+ * @param {number} holdData.ttlSeconds - How long the hold lasts
+ * @returns {Promise<boolean>} True if held, false if someone else holds overlapping time
+ */
+export async function placeSlotHold(holdData) {
+  try {
+    const { holder, calendarIds, startsAt, endsAt, ttlSeconds } = holdData;
+    const lockOrder = [...new Set(calendarIds)].sort();
+
+    dbLogger.info('Placing slot hold', {
+      holder,
+      calendarIds: lockOrder,
+      startsAt,
+      endsAt,
+    });
+
+    // The caller's earlier hold goes only once the new one is in (a data-modifying
+    // CTE doesn't see rows its sibling inserts), so losing the race keeps it
+    const [, , inserted] = await sql.transaction([
+      sql`SELECT pg_advisory_xact_lock(hashtext(calendar_id)) FROM unnest(${lockOrder}::text[]) AS calendar_id`,
+      sql`DELETE FROM slot_holds WHERE expires_at < NOW() - INTERVAL '1 hour'`,
+      sql`
+        WITH inserted AS (
+          INSERT INTO slot_holds (holder, calendar_id, starts_at, ends_at, expires_at)
+          SELECT ${holder}, calendar_id, ${startsAt}, ${endsAt}, NOW() + make_interval(secs => ${ttlSeconds})
+          FROM unnest(${lockOrder}::text[]) AS calendar_id
+          WHERE NOT EXISTS (
+            SELECT 1
+            FROM slot_holds
+            WHERE calendar_id = ANY(${lockOrder}::text[])
+              AND holder <> ${holder}
+              AND expires_at > NOW()
+              AND starts_at < ${endsAt}
+              AND ends_at > ${startsAt}
+          )
+          RETURNING id
+        ), replaced AS (
+          DELETE FROM slot_holds
+          WHERE holder = ${holder}
+            AND EXISTS (SELECT 1 FROM inserted)
+          RETURNING id
+        )
+        SELECT id FROM inserted
+      `,
+    ]);
+
+    const held = inserted.length > 0;
+
+    dbLogger.info(held ? 'Slot hold placed' : 'Slot already held by another caller', {
+      holder,
+      startsAt,
+    });
+
+    return held;
+  } catch (error) {
+    dbLogger.error('Error placing slot hold', error);
+    throw error;
+  }
+}
+
+/**
+ * Get unexpired holds overlapping a range, excluding one holder's own
+ * @param {Object} query
+ * @param {Array<string>} query.calendarIds - Calendars to check
+ * @param {string} query.timeMin - Range start (ISO string)
+ * @param {string} query.timeMax - Range end (ISO string)
+ * @param {string} query.excludeHolder - Holder whose holds to skip (the current caller)
+ * @returns {Promise<Array>} Hold records
+ */
+export async function getActiveSlotHolds({ calendarIds, timeMin, timeMax, excludeHolder = null }) {
+  try {
+    const result = await sql`
+      SELECT calendar_id, starts_at, ends_at, holder
+      FROM slot_holds
+      WHERE calendar_id = ANY(${calendarIds}::text[])
+        AND expires_at > NOW()
+        AND starts_at < ${timeMax}
+        AND ends_at > ${timeMin}
+        AND holder IS DISTINCT FROM ${excludeHolder}
+    `;
+
+    return result;
+  } catch (error) {
+    dbLogger.error('Error fetching slot holds', error);
+    throw error;
+  }
+}
+
+/**
+ * Release every hold placed by a holder
+ * @param {string} holder - Twilio call SID
+ * @returns {Promise<number>} Number of holds released
+ */
+export async function releaseSlotHolds(holder) {
+  try {
+    const result = await sql`
+      DELETE FROM slot_holds
+      WHERE holder = ${holder}
+      RETURNING id
+    `;
+
+    if (result.length > 0) {
+      dbLogger.info('Slot holds released', { holder, count: result.length });
+    }
+
+    return result.length;
+  } catch (error) {
+    dbLogger.error('Error releasing slot holds', error, { holder });
+    throw error;
+  }
+}
+
+
+/**
+ * Get a phone number's SMS conversation if it's still active
+ * @param {string} phone - Patient's phone number (E.164)
+ * @param {number} timeoutMinutes - Inactivity after which a conversation is over
+ * @returns {Promise<Object|null>} Conversation row, or null if none or expired
+ */
+export async function getSmsConversation(phone, timeoutMinutes) {
+  try {
+    const result = await sql`
+      SELECT *
+      FROM sms_conversations
+      WHERE phone = ${phone}
+        AND updated_at > NOW() - make_interval(mins => ${timeoutMinutes})
+    `;
+
+    return result[0] || null;
+  } catch (error) {
+    dbLogger.error('Error fetching SMS conversation', error, { phone });
+    throw error;
+  }
+}
+
+/**
+ * Save a phone number's SMS conversation (replaces any earlier one)
+ * @param {Object} conversationData
+ * @param {string} conversationData.phone - Patient's phone number (E.164)
+ * @param {string} conversationData.sessionId - Conversation session ID
+ * @param {Array} conversationData.messages - LLM history
+ * @param {Object} conversationData.appointmentData - Details collected so far
+ * @returns {Promise<Object>} Saved conversation
+ */
+export async function saveSmsConversation(conversationData) {
+  try {
+    const { phone, sessionId, messages, appointmentData } = conversationData;
+
+    const result = await sql`
+      INSERT INTO sms_conversations (phone, session_id, messages, appointment_data)
+      VALUES (${phone}, ${sessionId}, ${JSON.stringify(messages)}::jsonb, ${JSON.stringify(appointmentData)}::jsonb)
+      ON CONFLICT (phone) DO UPDATE SET
+        session_id = EXCLUDED.session_id,
+        messages = EXCLUDED.messages,
+        appointment_data = EXCLUDED.appointment_data,
+        created_at = CASE
+          WHEN sms_conversations.session_id = EXCLUDED.session_id THEN sms_conversations.created_at
+          ELSE NOW()
+        END,
+        updated_at = NOW()
+      RETURNING phone, session_id, updated_at
+    `;
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error saving SMS conversation', error, { phone: conversationData.phone });
+    throw error;
+  }
+}
+
+/**
+ * End a phone number's SMS conversation
+ * @param {string} phone - Patient's phone number (E.164)
+ * @returns {Promise<boolean>} True if there was one
+ */
+export async function deleteSmsConversation(phone) {
+  try {
+    const result = await sql`
+      DELETE FROM sms_conversations
+      WHERE phone = ${phone}
+      RETURNING phone
+    `;
+
+    return result.length > 0;
+  } catch (error) {
+    dbLogger.error('Error deleting SMS conversation', error, { phone });
+    throw error;
+  }
+}
+
+/**
+ * Save a message taken for staff (take_message)
+ * @param {Object} messageData
+ * @param {string} messageData.sessionId - Call SID or SMS session ID
+ * @param {string} messageData.channel - 'voice' or 'sms'
+ * @param {string} messageData.callerName - Who it's from
+ * @param {string} messageData.callbackPhone - Number to call back (E.164)
+ * @param {string} messageData.topic - What it's about
+ * @param {string} messageData.details - The message itself
+ * @param {string} messageData.urgency - 'normal' or 'urgent'
+ * @returns {Promise<Object>} Created message
+ */
+export async function createMessage(messageData) {
+  try {
+    const {
+      sessionId,
+      channel = 'voice',
+      callerName = null,
+      callbackPhone,
+      topic,
+      details = null,
+      urgency = 'normal',
+    } = messageData;
+
+    dbLogger.info('Creating message', { sessionId, topic, urgency });
+
+    const result = await sql`
+      INSERT INTO messages (
+        session_id,
+        channel,
+        caller_name,
+        callback_phone,
+        topic,
+        details,
+        urgency
+      )
+      VALUES (
+        ${sessionId},
+        ${channel},
+        ${callerName},
+        ${callbackPhone},
+        ${topic},
+        ${details},
+        ${urgency}
+      )
+      RETURNING *
+    `;
+
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error creating message', error);
+    throw error;
+  }
+}
+
+/**
+ * Link a call's messages to its call log (written when the call ends)
+ * @param {string} twilioCallSid - Twilio call SID the messages were taken under
+ * @param {string} callLogId - Call log ID
+ * @returns {Promise<number>} Messages linked
+ */
+export async function linkMessagesToCallLog(twilioCallSid, callLogId) {
+  try {
+    const result = await sql`
+      UPDATE messages
+      SET call_log_id = ${callLogId}, updated_at = NOW()
+      WHERE session_id = ${twilioCallSid}
+        AND call_log_id IS NULL
+      RETURNING id
+    `;
+
+    return result.length;
+  } catch (error) {
+    dbLogger.error('Error linking messages to call log', error, { callSid: twilioCallSid, callLogId });
+    throw error;
+  }
+}
+
+/**
+ * Record that staff were texted about a message
+ * @param {string} messageId - Message ID
+ */
+export async function markMessageStaffNotified(messageId) {
+  try {
+    await sql`
+      UPDATE messages
+      SET staff_notified = TRUE, updated_at = NOW()
+      WHERE id = ${messageId}
+    `;
+  } catch (error) {
+    dbLogger.error('Error marking message notified', error, { messageId });
+    throw error;
+  }
+}
+
+/**
+ * Get a message by ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} Message, or null if none
+ */
+export async function getMessageById(messageId) {
+  try {
+    const result = await sql`
+      SELECT *
+      FROM messages
+      WHERE id = ${messageId}
+    `;
+
+    return result[0] || null;
+  } catch (error) {
+    dbLogger.error('Error fetching message', error, { messageId });
+    throw error;
+  }
+}
+
+/**
+ * The callback queue: urgent messages first, then oldest first
+ * @param {Object} filters
+ * @param {Array<string>|null} filters.statuses - Any of 'open', 'assigned', 'resolved' (all if null)
+ * @param {string|null} filters.assignedTo - Only this staff member's
+ * @param {number} filters.limit - Most messages to return
+ * @returns {Promise<Array>} Messages
+ */
+export async function getMessages({ statuses = null, assignedTo = null, limit = 100 } = {}) {
+  try {
+    return await sql`
+      SELECT *
+      FROM messages
+      WHERE (${statuses}::text[] IS NULL OR status = ANY(${statuses}::text[]))
+        AND (${assignedTo}::text IS NULL OR assigned_to = ${assignedTo})
+      ORDER BY (urgency = 'urgent') DESC, created_at
+      LIMIT ${limit}
+    `;
+  } catch (error) {
+    dbLogger.error('Error listing messages', error, { statuses, assignedTo });
+    throw error;
+  }
+}
+
+/**
+ * Give a message to a staff member to call back
+ * @param {string} messageId - Message ID
+ * @param {string} assignedTo - Staff member
+ * @returns {Promise<Object>} Updated message
+ */
+export async function assignMessage(messageId, assignedTo) {
+  try {
+    const result = await sql`
+      UPDATE messages
+      SET status = 'assigned', assigned_to = ${assignedTo}, assigned_at = NOW(), updated_at = NOW()
+      WHERE id = ${messageId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+
+    dbLogger.info('Message assigned', { messageId, assignedTo });
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error assigning message', error, { messageId });
+    throw error;
+  }
+}
+
+/**
+ * Close a message once the caller has been dealt with
+ * @param {string} messageId - Message ID
+ * @param {string|null} resolution - What was done (optional)
+ * @returns {Promise<Object>} Updated message
+ */
+export async function resolveMessage(messageId, resolution = null) {
+  try {
+    const result = await sql`
+      UPDATE messages
+      SET status = 'resolved', resolution = ${resolution}, resolved_at = NOW(), updated_at = NOW()
+      WHERE id = ${messageId}
+      RETURNING *
+    `;
+
+    if (result.length === 0) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+
+    dbLogger.info('Message resolved', { messageId });
+    return result[0];
+  } catch (error) {
+    dbLogger.error('Error resolving message', error, { messageId });
     throw error;
   }
 }
 
 export default {
   createAppointment,
+  getAppointmentByIdempotencyKey,
   getAppointmentsByPhone,
   getUpcomingAppointments,
   updateAppointmentStatus,
+  updateAppointmentTime,
+  updateAppointmentEvents,
+  getConfirmedAppointmentsBetween,
+  getReferencedEventIds,
+  acquireSchedulerLock,
+  releaseSchedulerLock,
   markSmsSent,
   createCallLog,
   updateCallLog,
+  getCallLogsWithExpiredRecordings,
+  clearCallLogRecording,
   getAppointmentById,
-  getAppointmentsNeedingReminders,
   markReminderSent,
+  markAppointmentConfirmed,
+  setReminderResult,
+  getReminderPreference,
+  setReminderPreference,
+  scheduleReminderJobs,
+  claimDueReminderJobs,
+  finishReminderJob,
+  getAppointmentsWithoutReminderJobs,
+  placeSlotHold,
+  getActiveSlotHolds,
+  releaseSlotHolds,
+  getSmsConversation,
+  saveSmsConversation,
+  deleteSmsConversation,
+  createMessage,
+  linkMessagesToCallLog,
+  markMessageStaffNotified,
+  getMessageById,
+  getMessages,
+  assignMessage,
+  resolveMessage,
 };
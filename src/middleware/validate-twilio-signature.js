@@ -0,0 +1,42 @@
+/**
+ * Twilio webhook signature validation
+ * Rejects requests to Twilio webhooks that weren't signed with our auth token
+ * (X-Twilio-Signature), so nobody can post fake messages to them.
+ */
+
+import twilio from 'twilio';
+import { logger } from '../utils/logger.js';
+import { publicUrl } from '../utils/public-url.js';
+
+const signatureLogger = logger.child('TWILIO_SIGNATURE');
+
+/**
+ * Middleware: only let through requests signed by Twilio
+ */
+export function validateTwilioSignature(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers['x-twilio-signature'];
+
+  if (!authToken) {
+    signatureLogger.error('TWILIO_AUTH_TOKEN not set - cannot validate webhook');
+    return res.status(500).send('Webhook not configured');
+  }
+
+  // The URL Twilio signed: the public one configured on the number
+  const url = publicUrl(req.originalUrl, req);
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    signatureLogger.warn('Rejected request with invalid Twilio signature', {
+      url,
+      hasSignature: Boolean(signature),
+      ip: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress,
+    });
+    return res.status(403).send('Invalid signature');
+  }
+
+  next();
+}
+
+export default {
+  validateTwilioSignature,
+};
@@ -1,6 +1,6 @@
 /**
  * Tool definitions for appointment booking
- * These allow the AI to check availability, create appointments, and send confirmations
+ * These allow the AI to check availability, create, cancel and reschedule appointments, and send confirmations
  */
 
 export const APPOINTMENT_TOOLS = [
@@ -8,7 +8,7 @@ export const APPOINTMENT_TOOLS = [
     type: 'function',
     function: {
       name: 'check_availability',
-      description: 'Check if a specific time slot is available on the calendar. Returns available or not available. IMPORTANT: Convert natural language dates to YYYY-MM-DD format before calling.',
+      description: 'Check if a specific time slot is available on the calendar. Returns available or not available; an available time is held for this caller for a few minutes. IMPORTANT: Convert natural language dates to YYYY-MM-DD format before calling.',
       parameters: {
         type: 'object',
         properties: {
@@ -18,14 +18,18 @@ export const APPOINTMENT_TOOLS = [
           },
           time: {
             type: 'string',
-            description: 'Time in HH:MM format, 24-hour (e.g., 14:30 for 2:30 PM)',
+            description: 'Time in HH:MM format, 24-hour, in the office\'s local time (e.g., 14:30 for 2:30 PM office time)',
           },
-          duration: {
-            type: 'number',
-            description: 'Duration in minutes (default: 30)',
+          serviceType: {
+            type: 'string',
+            description: 'Service ID from the Services list in your instructions (e.g. "cleaning", "checkup"). Duration and buffers come from the service.',
+          },
+          providerId: {
+            type: 'string',
+            description: 'Provider ID from the Providers list in your instructions, if the caller asked for someone specific. Omit for anyone available.',
           },
         },
-        required: ['date', 'time'],
+        required: ['date', 'time', 'serviceType'],
       },
     },
   },
@@ -33,7 +37,7 @@ export const APPOINTMENT_TOOLS = [
     type: 'function',
     function: {
       name: 'get_available_slots',
-      description: 'Get a list of all available time slots for a specific date. Returns array of available times. IMPORTANT: You must convert the user\'s natural language date (like "this week" or "next Tuesday") to YYYY-MM-DD format before calling this function.',
+      description: 'Get a list of all available time slots for a specific date. Returns array of available times. The times are not held - use check_availability on the one the caller picks. IMPORTANT: You must convert the user\'s natural language date (like "this week" or "next Tuesday") to YYYY-MM-DD format before calling this function.',
       parameters: {
         type: 'object',
         properties: {
@@ -41,12 +45,16 @@ export const APPOINTMENT_TOOLS = [
             type: 'string',
             description: 'Date in YYYY-MM-DD format (e.g., 2024-03-15). NEVER pass natural language like "this week" or "tomorrow" - you MUST convert to YYYY-MM-DD format.',
           },
-          duration: {
-            type: 'number',
-            description: 'Appointment duration in minutes (default: 30)',
+          serviceType: {
+            type: 'string',
+            description: 'Service ID from the Services list in your instructions (e.g. "cleaning", "checkup"). Duration and buffers come from the service.',
+          },
+          providerId: {
+            type: 'string',
+            description: 'Provider ID from the Providers list in your instructions, if the caller asked for someone specific. Omit for anyone available.',
           },
         },
-        required: ['date'],
+        required: ['date', 'serviceType'],
       },
     },
   },
@@ -72,18 +80,101 @@ export const APPOINTMENT_TOOLS = [
           },
           time: {
             type: 'string',
-            description: 'Appointment time in HH:MM format, 24-hour',
+            description: 'Appointment time in HH:MM format, 24-hour, in the office\'s local time (use the "time" value from get_available_slots)',
           },
           reason: {
             type: 'string',
-            description: 'Reason for appointment (e.g., "dental cleaning", "checkup")',
+            description: 'Reason for appointment in the caller\'s words (e.g., "cleaning, gums bleed a little")',
+          },
+          serviceType: {
+            type: 'string',
+            description: 'Service ID from the Services list in your instructions (e.g. "cleaning", "checkup"). Duration and buffers come from the service.',
+          },
+          providerId: {
+            type: 'string',
+            description: 'Provider ID from the Providers list in your instructions, if the caller asked for someone specific. Omit for anyone available.',
+          },
+          reminderChannel: {
+            type: 'string',
+            enum: ['sms', 'call'],
+            description: 'How the caller wants their reminder the day before: "call" if they\'d rather get a phone call than a text. Omit if they didn\'t say.',
+          },
+        },
+        required: ['callerName', 'callerPhone', 'date', 'time', 'reason', 'serviceType'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'find_upcoming_appointments',
+      description: 'Look up the caller\'s upcoming appointments using the phone number they are calling from. Call this BEFORE cancelling or rescheduling so you can confirm which appointment they mean.',
+      parameters: {
+        type: 'object',
+        properties: {},
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'confirm_appointment',
+      description: 'Record that the caller confirmed they\'re coming to one of their upcoming appointments (e.g. when answering a reminder call). Call this ONLY after they\'ve said they\'ll be there.',
+      parameters: {
+        type: 'object',
+        properties: {
+          appointmentId: {
+            type: 'string',
+            description: 'The appointmentId from find_upcoming_appointments or the reminder call details',
+          },
+        },
+        required: ['appointmentId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'cancel_appointment',
+      description: 'Cancel one of the caller\'s upcoming appointments. Call this ONLY after find_upcoming_appointments and after the caller has confirmed which appointment to cancel.',
+      parameters: {
+        type: 'object',
+        properties: {
+          appointmentId: {
+            type: 'string',
+            description: 'The appointmentId returned by find_upcoming_appointments',
+          },
+        },
+        required: ['appointmentId'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reschedule_appointment',
+      description: 'Move one of the caller\'s upcoming appointments to a new date and time. Call this ONLY after find_upcoming_appointments, after confirming the new time is available, and after the caller has agreed to the new time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          appointmentId: {
+            type: 'string',
+            description: 'The appointmentId returned by find_upcoming_appointments',
           },
-          duration: {
-            type: 'number',
-            description: 'Duration in minutes (default: 30)',
+          date: {
+            type: 'string',
+            description: 'New appointment date in YYYY-MM-DD format',
+          },
+          time: {
+            type: 'string',
+            description: 'New appointment time in HH:MM format, 24-hour, in the office\'s local time',
+          },
+          providerId: {
+            type: 'string',
+            description: 'Provider ID from the Providers list, only if the caller wants to switch providers. Omit to keep the current provider.',
           },
         },
-        required: ['callerName', 'callerPhone', 'date', 'time', 'reason'],
+        required: ['appointmentId', 'date', 'time'],
       },
     },
   },
@@ -140,6 +231,61 @@ export const APPOINTMENT_TOOLS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'take_message',
+      description: 'Take a message for the office when the caller wants something other than an appointment (billing question, prescription refill, "have the doctor call me"). Staff are notified and call back. Call this ONLY after getting their name, the number to call back on, and what it\'s about.',
+      parameters: {
+        type: 'object',
+        properties: {
+          callerName: {
+            type: 'string',
+            description: 'Caller\'s full name',
+          },
+          callbackNumber: {
+            type: 'string',
+            description: 'Number to call back (the number they\'re calling from unless they gave another)',
+          },
+          topic: {
+            type: 'string',
+            description: 'What it\'s about in a few words (e.g., "Billing question", "Prescription refill", "Wants the doctor to call")',
+          },
+          details: {
+            type: 'string',
+            description: 'The message itself, in the caller\'s words where possible',
+          },
+          urgency: {
+            type: 'string',
+            enum: ['normal', 'urgent'],
+            description: 'urgent only if it can\'t wait until the office gets through its queue (e.g., pain, swelling, a problem after treatment)',
+          },
+        },
+        required: ['callerName', 'callbackNumber', 'topic', 'urgency'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'transfer_call',
+      description: 'Hand the caller to a person at the front desk. Use for emergencies you can\'t solve by booking, when the caller asks for a person, or when you can\'t help. If nobody is available the caller leaves a message for a callback instead - the result says which. Phone calls only.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: {
+            type: 'string',
+            description: 'Why the caller needs a person (e.g., "Severe tooth pain after a fall", "Asked to speak to someone about billing")',
+          },
+          summary: {
+            type: 'string',
+            description: 'Short summary of the conversation so far, for the staff member taking over',
+          },
+        },
+        required: ['reason', 'summary'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -16,13 +16,20 @@ import { getMetrics } from './services/metrics.js';
 import { testConnection } from './db/neon.js';
 import { logger } from './utils/logger.js';
 import { handleTwilioRouter } from './api/twilio/router.js';
+import { handleInboundSms } from './api/twilio/sms.js';
+import { handleTransferStatus, handleVoicemail } from './api/twilio/transfer.js';
+import { handleOutboundAnswer, handleOutboundStatus } from './api/twilio/outbound.js';
 import { handleDemoCall } from './api/demo/call.js';
 import { rateLimitDemoCalls } from './middleware/rate-limit.js';
 import { validateDemoCallInput } from './middleware/validate-demo-call.js';
+import { validateTwilioSignature } from './middleware/validate-twilio-signature.js';
 import { startReminderScheduler } from './services/reminder-scheduler.js';
+import { startReconciliationScheduler } from './services/calendar-reconciler.js';
+import { startRecordingRetentionScheduler } from './services/call-recording.js';
 import { getCalendarEvents } from './api/calendar/events.js';
+import { handleListMessages, handleAssignMessage, handleResolveMessage } from './api/messages/queue.js';
+import { requireAdminApiKey } from './api/admin/middleware.js';
 // Admin API imports commented out - not needed for standalone appointment booking
-// import { requireAdminApiKey } from './api/admin/middleware.js';
 // import { getPrompts, updateDemoTemplate, updateClientTemplate, updateDemoFallbackTemplate } from './api/admin/prompts.js';
 // import { getGreetings, updateGreetings } from './api/admin/greetings.js';
 // import { getUsers, getUser, updateUser, previewPrompt } from './api/admin/users.js';
@@ -124,6 +131,30 @@ app.get('/metrics', (req, res) => {
  */
 app.post('/api/twilio/router', handleTwilioRouter);
 
+/**
+ * Twilio inbound SMS endpoint
+ * Replies to confirmation and reminder texts (CANCEL, CONFIRM, RESCHEDULE)
+ * Only accepts requests signed by Twilio
+ */
+app.post('/api/twilio/sms', validateTwilioSignature, handleInboundSms);
+
+/**
+ * Transferred calls: unanswered transfers go to voicemail, recorded
+ * messages are texted to staff (URLs set by the transfer TwiML)
+ * Only accepts requests signed by Twilio
+ */
+app.post('/api/twilio/transfer-status', validateTwilioSignature, handleTransferStatus);
+app.post('/api/twilio/voicemail', validateTwilioSignature, handleVoicemail);
+
+/**
+ * Answered outbound calls: connects people to the voice agent and voicemail
+ * to a short message; reminder calls nobody answered are texted instead
+ * (URLs set when the call is placed)
+ * Only accepts requests signed by Twilio
+ */
+app.post('/api/twilio/outbound-answer', validateTwilioSignature, handleOutboundAnswer);
+app.post('/api/twilio/outbound-status', validateTwilioSignature, handleOutboundStatus);
+
 /**
  * Demo call endpoint
  * Initiates an outbound call to user's phone with custom business name
@@ -137,6 +168,14 @@ app.post('/api/demo/call', rateLimitDemoCalls, validateDemoCallInput, handleDemo
  */
 app.get('/api/calendar/events', getCalendarEvents);
 
+/**
+ * Callback queue: messages callers left (take_message)
+ * List, assign and resolve; requires the X-API-Key header (ADMIN_API_KEY)
+ */
+app.get('/api/messages', requireAdminApiKey, handleListMessages);
+app.post('/api/messages/:id/assign', requireAdminApiKey, handleAssignMessage);
+app.post('/api/messages/:id/resolve', requireAdminApiKey, handleResolveMessage);
+
 /**
  * Admin API endpoints - COMMENTED OUT for standalone appointment booking
  * Uncomment these if you need multi-tenant management features
@@ -181,6 +220,12 @@ app.get('/api', (req, res) => {
       health_detailed: '/health/detailed',
       metrics: '/metrics (requires API key)',
       twilio_router: '/api/twilio/router',
+      twilio_sms: '/api/twilio/sms',
+      twilio_transfer_status: '/api/twilio/transfer-status',
+      twilio_voicemail: '/api/twilio/voicemail',
+      twilio_outbound_answer: '/api/twilio/outbound-answer',
+      twilio_outbound_status: '/api/twilio/outbound-status',
+      messages: '/api/messages (requires API key)',
       websocket: 'wss://[your-app].fly.dev/stream',
       admin_prompts: '/api/admin/prompts (requires API key)',
       admin_users: '/api/admin/users (requires API key)',
@@ -201,8 +246,14 @@ const server = app.listen(PORT, async () => {
     serverLogger.warn('Server will continue, but calls may fail');
   }
 
-  // Start appointment reminder scheduler (checks hourly for 24hr reminders)
+  // Start appointment reminder scheduler (sends due reminder jobs every 5 minutes)
   startReminderScheduler();
+
+  // Start calendar reconciliation (repairs drift between appointments and calendars every 30 min)
+  startReconciliationScheduler();
+
+  // Delete call recordings past CALL_RECORDING_RETENTION_DAYS (every 6 hours)
+  startRecordingRetentionScheduler();
 });
 
 // WebSocket server for Twilio streams
@@ -0,0 +1,294 @@
+/**
+ * Availability across providers and shared resources
+ * A time is bookable when the office is open, a qualified provider is working
+ * and free (including the service's buffers), and - when the service needs
+ * one - a shared resource such as an operatory is free as well. Time another
+ * caller is holding (see slot-holds.js) counts as busy.
+ */
+
+import { logger } from '../utils/logger.js';
+import { formatDateInZone, getBusinessTimezone } from '../utils/timezone.js';
+import { getSchedule, getOpenIntervals, isOpenFor } from './schedule.js';
+import { providersForService, resourcesForService } from './providers.js';
+import { getBusyIntervals } from './calendar.js';
+
+const availabilityLogger = logger.child('AVAILABILITY');
+
+// Slots start on this grid regardless of appointment length (9:00, 9:30, 10:00...)
+export const SLOT_INTERVAL_MINUTES = 30;
+
+/**
+ * Check a busy list for overlap with [start, end)
+ * @param {Array<{start: Date, end: Date}>} busy - Busy periods (may be undefined)
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {boolean} True if nothing overlaps
+ */
+function isFree(busy, start, end) {
+  return !(busy || []).some((period) => start < period.end && end > period.start);
+}
+
+/**
+ * The time an appointment occupies including its buffers
+ * @param {Date} startTime - Appointment start
+ * @param {Object} service - Service from the catalog
+ * @returns {{start: Date, end: Date}} Buffered window
+ */
+export function bufferedWindow(startTime, service) {
+  return {
+    start: new Date(startTime.getTime() - service.bufferBeforeMinutes * 60000),
+    end: new Date(startTime.getTime() + (service.durationMinutes + service.bufferAfterMinutes) * 60000),
+  };
+}
+
+/**
+ * Pick the first provider (in directory order) who can take an appointment,
+ * and the first resource free alongside them
+ * @param {Object} params
+ * @param {Date} params.startTime - Appointment start
+ * @param {Object} params.service - Service from the catalog
+ * @param {Array<Object>} params.providers - Candidate providers (already qualified)
+ * @param {Array<Object>} params.resources - Candidate resources (empty when none needed)
+ * @param {Object} params.busyByCalendar - calendarId -> busy periods
+ * @param {Object} params.schedule - Business schedule
+ * @param {string} params.timezone - Business timezone
+ * @returns {{provider: Object, resource: Object|null}|null} Assignment, or null if nobody is free
+ */
+export function pickAssignment({ startTime, service, providers, resources, busyByCalendar, schedule, timezone }) {
+  const window = bufferedWindow(startTime, service);
+
+  for (const provider of providers) {
+    if (!isOpenFor(startTime, service.durationMinutes, schedule, timezone, provider.weekly)) continue;
+    if (!isFree(busyByCalendar[provider.calendarId], window.start, window.end)) continue;
+
+    if (resources.length === 0) {
+      return { provider, resource: null };
+    }
+
+    const resource = resources.find((r) => isFree(busyByCalendar[r.calendarId], window.start, window.end));
+    if (resource) {
+      return { provider, resource };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List bookable start times on a date
+ * Each start time appears once, assigned to the first provider who can take it
+ * @param {Object} params - As pickAssignment, with dateStr instead of startTime
+ * @returns {Array<{startTime: Date, endTime: Date, providerId: string, resourceId: string|null}>}
+ */
+export function findSlots({ dateStr, service, providers, resources, busyByCalendar, schedule, timezone }) {
+  const durationMs = service.durationMinutes * 60000;
+  const starts = new Set();
+
+  for (const provider of providers) {
+    for (const interval of getOpenIntervals(dateStr, schedule, timezone, provider.weekly)) {
+      for (let t = interval.start.getTime(); t + durationMs <= interval.end.getTime(); t += SLOT_INTERVAL_MINUTES * 60000) {
+        starts.add(t);
+      }
+    }
+  }
+
+  return [...starts]
+    .sort((a, b) => a - b)
+    .map((t) => {
+      const startTime = new Date(t);
+      const assignment = pickAssignment({ startTime, service, providers, resources, busyByCalendar, schedule, timezone });
+      return assignment && {
+        startTime,
+        endTime: new Date(t + durationMs),
+        providerId: assignment.provider.id,
+        resourceId: assignment.resource ? assignment.resource.id : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Providers and resources to consider for a service
+ * @param {Object} service - Service from the catalog
+ * @param {string} providerId - Restrict to this provider (null = anyone qualified)
+ * @returns {{providers: Array<Object>, resources: Array<Object>}}
+ */
+function candidatesFor(service, providerId) {
+  const providers = providersForService(service.id).filter((p) => !providerId || p.id === providerId);
+  return { providers, resources: resourcesForService(service.id) };
+}
+
+/**
+ * Read busy time for every calendar involved (one FreeBusy query, mostly cached),
+ * plus other callers' holds
+ * @param {Array<Object>} entries - Providers and resources
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {Array<string>} options.ignoreEventIds - Events to ignore (e.g. the one being rescheduled)
+ * @param {Function} options.holds - Hold reader from slot-holds.js heldByOthers()
+ * @param {boolean} options.fresh - Bypass the busy cache
+ * @returns {Promise<Object>} calendarId -> busy periods
+ */
+async function loadBusy(entries, timeMin, timeMax, { ignoreEventIds = [], holds = null, fresh = false } = {}) {
+  const calendarIds = [...new Set(entries.map((entry) => entry.calendarId))];
+  const [busyByCalendar, heldByCalendar] = await Promise.all([
+    getBusyIntervals(calendarIds, timeMin, timeMax, { ignoreEventIds, fresh }),
+    holds ? holds(calendarIds, timeMin, timeMax) : {},
+  ]);
+
+  return Object.fromEntries(calendarIds.map((calendarId) => [
+    calendarId,
+    [...(busyByCalendar[calendarId] || []), ...(heldByCalendar[calendarId] || [])],
+  ]));
+}
+
+/**
+ * Get available slots for a service on a date
+ * @param {string|Date} date - Business-local date (YYYY-MM-DD), or an instant on that date
+ * @param {Object} service - Service from the catalog
+ * @param {Object} options
+ * @param {string} options.providerId - Only this provider (default: anyone qualified)
+ * @param {Function} options.holds - Hold reader from slot-holds.js heldByOthers()
+ * @returns {Promise<Array>} Slots ({ startTime, endTime, providerId, resourceId })
+ */
+export async function getAvailableSlots(date, service, { providerId = null, holds = null } = {}) {
+  const schedule = getSchedule();
+  const timezone = getBusinessTimezone();
+  const dateStr = date instanceof Date ? formatDateInZone(date, timezone) : date;
+
+  try {
+    const { providers, resources } = candidatesFor(service, providerId);
+    const officeIntervals = getOpenIntervals(dateStr, schedule, timezone);
+
+    if (providers.length === 0 || officeIntervals.length === 0) {
+      availabilityLogger.info('No slots possible', {
+        date: dateStr,
+        serviceType: service.id,
+        providerId,
+        qualifiedProviders: providers.length,
+        officeOpen: officeIntervals.length > 0,
+      });
+      return [];
+    }
+
+    // Widen the read so buffers at the edges of the day see neighbouring events
+    const timeMin = new Date(officeIntervals[0].start.getTime() - service.bufferBeforeMinutes * 60000);
+    const timeMax = new Date(officeIntervals[officeIntervals.length - 1].end.getTime() + service.bufferAfterMinutes * 60000);
+
+    const busyByCalendar = await loadBusy([...providers, ...resources], timeMin, timeMax, { holds });
+    const slots = findSlots({ dateStr, service, providers, resources, busyByCalendar, schedule, timezone });
+
+    availabilityLogger.info('Available slots found', {
+      date: dateStr,
+      serviceType: service.id,
+      providerId,
+      providers: providers.map((p) => p.id),
+      resources: resources.map((r) => r.id),
+      totalSlots: slots.length,
+    });
+
+    return slots;
+  } catch (error) {
+    availabilityLogger.error('Error getting available slots', error, { date: dateStr, serviceType: service.id });
+    throw error;
+  }
+}
+
+/**
+ * Find a provider and resource for an appointment at a specific time
+ * @param {Date} startTime - Appointment start
+ * @param {Object} service - Service from the catalog
+ * @param {Object} options
+ * @param {string} options.providerId - Only this provider (default: anyone qualified)
+ * @param {Array<string>} options.ignoreEventIds - Events to ignore (e.g. the one being rescheduled)
+ * @param {Function} options.holds - Hold reader from slot-holds.js heldByOthers()
+ * @param {boolean} options.fresh - Bypass the busy cache
+ * @returns {Promise<{provider: Object, resource: Object|null}|null>} Assignment, or null if unavailable
+ */
+export async function findAssignment(startTime, service, { providerId = null, ignoreEventIds = [], holds = null, fresh = false } = {}) {
+  const schedule = getSchedule();
+  const timezone = getBusinessTimezone();
+
+  try {
+    const { providers, resources } = candidatesFor(service, providerId);
+
+    if (providers.length === 0 || !isOpenFor(startTime, service.durationMinutes, schedule, timezone)) {
+      availabilityLogger.info('Time unavailable (closed or no qualified provider)', {
+        startTime: startTime.toISOString(),
+        serviceType: service.id,
+        providerId,
+      });
+      return null;
+    }
+
+    const window = bufferedWindow(startTime, service);
+    const busyByCalendar = await loadBusy([...providers, ...resources], window.start, window.end, { ignoreEventIds, holds, fresh });
+    const assignment = pickAssignment({ startTime, service, providers, resources, busyByCalendar, schedule, timezone });
+
+    availabilityLogger.info('Availability checked', {
+      startTime: startTime.toISOString(),
+      serviceType: service.id,
+      providerId,
+      assignedProvider: assignment?.provider.id || null,
+      assignedResource: assignment?.resource?.id || null,
+    });
+
+    return assignment;
+  } catch (error) {
+    availabilityLogger.error('Error checking availability', error, { serviceType: service.id });
+    throw error;
+  }
+}
+
+/**
+ * Re-check an assignment against the live calendars right before booking it
+ * Call after holding the assignment, so nobody else can book it in between
+ * @param {Date} startTime - Appointment start
+ * @param {Object} service - Service (catalog entry, or synthesized for older rows)
+ * @param {{provider: Object, resource: Object|null}} assignment - From findAssignment
+ * @param {Object} options
+ * @param {Array<string>} options.ignoreEventIds - Events to ignore (e.g. the one being rescheduled)
+ * @returns {Promise<boolean>} True if the provider and resource are still free
+ */
+export async function verifyAssignment(startTime, service, assignment, { ignoreEventIds = [] } = {}) {
+  const { provider, resource } = assignment;
+  const window = bufferedWindow(startTime, service);
+
+  try {
+    const entries = resource ? [provider, resource] : [provider];
+    const busyByCalendar = await loadBusy(entries, window.start, window.end, { ignoreEventIds, fresh: true });
+    const stillFree = pickAssignment({
+      startTime,
+      service,
+      providers: [provider],
+      resources: resource ? [resource] : [],
+      busyByCalendar,
+      schedule: getSchedule(),
+      timezone: getBusinessTimezone(),
+    }) !== null;
+
+    if (!stillFree) {
+      availabilityLogger.info('Assignment taken since it was offered', {
+        startTime: startTime.toISOString(),
+        providerId: provider.id,
+        resourceId: resource?.id || null,
+      });
+    }
+
+    return stillFree;
+  } catch (error) {
+    availabilityLogger.error('Error verifying assignment', error, { providerId: provider.id });
+    throw error;
+  }
+}
+
+export default {
+  SLOT_INTERVAL_MINUTES,
+  bufferedWindow,
+  pickAssignment,
+  findSlots,
+  getAvailableSlots,
+  findAssignment,
+  verifyAssignment,
+};
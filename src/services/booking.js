@@ -0,0 +1,303 @@
+/**
+ * Calendar side of booking, cancelling and rescheduling
+ * An appointment is an event on its provider's calendar plus, when the service
+ * needs one, a block on a shared resource's calendar. These helpers keep the
+ * two in step.
+ */
+
+import { logger } from '../utils/logger.js';
+import {
+  createAppointment as createCalendarEvent,
+  createResourceBooking,
+  cancelAppointment as deleteCalendarEvent,
+  rescheduleAppointment as moveCalendarEvent,
+  getDefaultCalendarId,
+} from './calendar.js';
+import { getProviders, getResources } from './providers.js';
+
+const bookingLogger = logger.child('BOOKING');
+
+/**
+ * Calendar holding an appointment's provider event
+ * Appointments booked before providers existed live on the default calendar (CALENDAR_ID)
+ * @param {Object} appointment - Appointment row
+ * @returns {string} Calendar ID
+ */
+export function providerCalendarFor(appointment) {
+  const provider = getProviders().find((p) => p.id === appointment.provider_id);
+  return provider ? provider.calendarId : getDefaultCalendarId();
+}
+
+/**
+ * Calendar holding an appointment's resource block
+ * @param {Object} appointment - Appointment row
+ * @returns {string|null} Calendar ID, or null if the resource is no longer configured
+ */
+export function resourceCalendarFor(appointment) {
+  const resource = getResources().find((r) => r.id === appointment.resource_id);
+  return resource ? resource.calendarId : null;
+}
+
+/**
+ * Label for a resource block (no patient details)
+ * @param {Object} service - Service from the catalog
+ * @param {Object} provider - Provider
+ * @returns {string} Event summary
+ */
+function resourceSummary(service, provider) {
+  return `${service.name} - ${provider.name}`;
+}
+
+/**
+ * Create the provider event and resource block for a new appointment
+ * @param {Object} params
+ * @param {{provider: Object, resource: Object|null}} params.assignment - From findAssignment
+ * @param {Object} params.service - Service from the catalog
+ * @param {Date} params.startTime - Appointment start
+ * @param {string} params.callerName - Patient name
+ * @param {string} params.callerPhone - Patient phone
+ * @param {string} params.reason - Reason in the caller's words
+ * @param {string} params.appointmentKey - Idempotency key, tagged on the events
+ * @returns {Promise<{eventId: string, resourceEventId: string|null}>}
+ */
+export async function bookCalendarEvents({ assignment, service, startTime, callerName, callerPhone, reason, appointmentKey = null }) {
+  const { provider, resource } = assignment;
+
+  const event = await createCalendarEvent({
+    calendarId: provider.calendarId,
+    callerName,
+    callerPhone,
+    appointmentTime: startTime,
+    reason,
+    serviceType: service.id,
+    providerName: provider.name,
+    resourceName: resource ? resource.name : null,
+    durationMinutes: service.durationMinutes,
+    appointmentKey,
+  });
+
+  let resourceEventId = null;
+  if (resource) {
+    try {
+      const block = await createResourceBooking({
+        calendarId: resource.calendarId,
+        startTime,
+        durationMinutes: service.durationMinutes,
+        summary: resourceSummary(service, provider),
+        appointmentKey,
+      });
+      resourceEventId = block.eventId;
+    } catch (error) {
+      // Don't leave a provider event behind for a booking that didn't happen
+      await undoCalendarEvents(assignment, { eventId: event.eventId, resourceEventId: null });
+      throw error;
+    }
+  }
+
+  bookingLogger.info('Calendar events created', {
+    providerId: provider.id,
+    resourceId: resource ? resource.id : null,
+    eventId: event.eventId,
+    resourceEventId,
+  });
+
+  return { eventId: event.eventId, resourceEventId };
+}
+
+/**
+ * Delete events just created for a booking that then failed (compensation)
+ * Best effort: anything left behind is tagged and cleaned up by reconciliation
+ * @param {{provider: Object, resource: Object|null}} assignment - Assignment the events were booked for
+ * @param {{eventId: string|null, resourceEventId: string|null}} events - From bookCalendarEvents
+ * @returns {Promise<void>}
+ */
+export async function undoCalendarEvents(assignment, { eventId, resourceEventId }) {
+  const targets = [
+    [eventId, assignment.provider.calendarId],
+    [resourceEventId, assignment.resource?.calendarId],
+  ].filter(([id, calendarId]) => id && calendarId);
+
+  for (const [id, calendarId] of targets) {
+    try {
+      await deleteCalendarEvent(id, calendarId);
+      bookingLogger.info('Rolled back calendar event', { eventId: id, calendarId });
+    } catch (error) {
+      bookingLogger.error('Failed to roll back calendar event (reconciliation will remove it)', error, {
+        eventId: id,
+        calendarId,
+      });
+    }
+  }
+}
+
+/**
+ * Delete an appointment's provider event and resource block
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<void>}
+ */
+export async function cancelCalendarEvents(appointment) {
+  if (appointment.google_calendar_event_id) {
+    await deleteCalendarEvent(appointment.google_calendar_event_id, providerCalendarFor(appointment));
+  } else {
+    bookingLogger.warn('Appointment has no calendar event to delete', { appointmentId: appointment.id });
+  }
+
+  if (appointment.resource_event_id) {
+    const calendarId = resourceCalendarFor(appointment);
+    if (calendarId) {
+      await deleteCalendarEvent(appointment.resource_event_id, calendarId);
+    } else {
+      bookingLogger.warn('Resource no longer configured, block left in place', {
+        appointmentId: appointment.id,
+        resourceId: appointment.resource_id,
+      });
+    }
+  }
+}
+
+/**
+ * Move an appointment's calendar events to a new time and assignment
+ * Events are patched in place when the provider/resource is unchanged, and
+ * recreated on the new calendar when it changed. Replaced events stay put
+ * until removeReplacedEvents, so a move whose save fails can be undone.
+ * @param {Object} appointment - Appointment row
+ * @param {Date} newStartTime - New start
+ * @param {Object} service - Service (from the catalog, or synthesized for older rows)
+ * @param {{provider: Object, resource: Object|null}} assignment - From findAssignment
+ * @returns {Promise<{eventId: string|null, resourceEventId: string|null, replaced: Array<{eventId: string, calendarId: string}>}>}
+ */
+export async function moveCalendarEvents(appointment, newStartTime, service, assignment) {
+  const { provider, resource } = assignment;
+  const duration = service.durationMinutes;
+  const replaced = [];
+
+  // Provider event
+  let eventId = appointment.google_calendar_event_id;
+  const sameProvider = !appointment.provider_id || appointment.provider_id === provider.id;
+
+  if (eventId && sameProvider && providerCalendarFor(appointment) === provider.calendarId) {
+    await moveCalendarEvent(eventId, newStartTime, duration, provider.calendarId);
+  } else {
+    const created = await createCalendarEvent({
+      calendarId: provider.calendarId,
+      callerName: appointment.caller_name,
+      callerPhone: appointment.caller_phone,
+      appointmentTime: newStartTime,
+      reason: appointment.reason || service.name,
+      serviceType: service.id,
+      providerName: provider.name,
+      resourceName: resource ? resource.name : null,
+      durationMinutes: duration,
+      appointmentKey: appointment.idempotency_key,
+    });
+    if (eventId) {
+      replaced.push({ eventId, calendarId: providerCalendarFor(appointment) });
+    }
+    eventId = created.eventId;
+  }
+
+  // Resource block
+  let resourceEventId = appointment.resource_event_id;
+  const sameResource = resource && appointment.resource_id === resource.id;
+
+  try {
+    if (resourceEventId && sameResource) {
+      await moveCalendarEvent(resourceEventId, newStartTime, duration, resource.calendarId);
+    } else {
+      if (resourceEventId && resourceCalendarFor(appointment)) {
+        replaced.push({ eventId: resourceEventId, calendarId: resourceCalendarFor(appointment) });
+      }
+      resourceEventId = null;
+
+      if (resource) {
+        const block = await createResourceBooking({
+          calendarId: resource.calendarId,
+          startTime: newStartTime,
+          durationMinutes: duration,
+          summary: resourceSummary(service, provider),
+          appointmentKey: appointment.idempotency_key,
+        });
+        resourceEventId = block.eventId;
+      }
+    }
+  } catch (error) {
+    // Put the provider event back where it was
+    await undoCalendarMove(appointment, service, assignment, { eventId, resourceEventId: null });
+    throw error;
+  }
+
+  bookingLogger.info('Calendar events moved', {
+    appointmentId: appointment.id,
+    providerId: provider.id,
+    resourceId: resource ? resource.id : null,
+    eventId,
+    resourceEventId,
+  });
+
+  return { eventId, resourceEventId, replaced };
+}
+
+/**
+ * Undo moveCalendarEvents for a reschedule that then failed (compensation):
+ * patched events go back to the appointment's time, recreated ones are deleted
+ * Best effort: anything left behind is tagged and cleaned up by reconciliation
+ * @param {Object} appointment - Appointment row as it was before the move
+ * @param {Object} service - Service the move used
+ * @param {{provider: Object, resource: Object|null}} assignment - Assignment the events were moved to
+ * @param {{eventId: string|null, resourceEventId: string|null}} moved - From moveCalendarEvents
+ * @returns {Promise<void>}
+ */
+export async function undoCalendarMove(appointment, service, assignment, { eventId, resourceEventId }) {
+  const originalStart = new Date(appointment.appointment_time);
+  const targets = [
+    [eventId, appointment.google_calendar_event_id, assignment.provider.calendarId],
+    [resourceEventId, appointment.resource_event_id, assignment.resource?.calendarId],
+  ].filter(([id, , calendarId]) => id && calendarId);
+
+  for (const [id, originalId, calendarId] of targets) {
+    try {
+      if (id === originalId) {
+        await moveCalendarEvent(id, originalStart, service.durationMinutes, calendarId);
+        bookingLogger.info('Moved calendar event back', { eventId: id, calendarId });
+      } else {
+        await deleteCalendarEvent(id, calendarId);
+        bookingLogger.info('Rolled back calendar event', { eventId: id, calendarId });
+      }
+    } catch (error) {
+      bookingLogger.error('Failed to roll back calendar event (reconciliation will fix it)', error, {
+        eventId: id,
+        calendarId,
+      });
+    }
+  }
+}
+
+/**
+ * Delete the events a saved reschedule replaced
+ * Best effort: an event no appointment points at is removed by reconciliation
+ * @param {Array<{eventId: string, calendarId: string}>} replaced - From moveCalendarEvents
+ * @returns {Promise<void>}
+ */
+export async function removeReplacedEvents(replaced) {
+  for (const { eventId, calendarId } of replaced) {
+    try {
+      await deleteCalendarEvent(eventId, calendarId);
+    } catch (error) {
+      bookingLogger.error('Failed to delete replaced calendar event (reconciliation will remove it)', error, {
+        eventId,
+        calendarId,
+      });
+    }
+  }
+}
+
+export default {
+  providerCalendarFor,
+  resourceCalendarFor,
+  bookCalendarEvents,
+  undoCalendarEvents,
+  cancelCalendarEvents,
+  moveCalendarEvents,
+  undoCalendarMove,
+  removeReplacedEvents,
+};
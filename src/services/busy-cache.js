@@ -0,0 +1,145 @@
+/**
+ * Short-lived cache of calendar busy time
+ * Busy periods are cached per calendar and business-local day, so a "what's
+ * open this week?" conversation reads each calendar once instead of on every
+ * tool call. Entries expire after AVAILABILITY_CACHE_TTL_SECONDS and are
+ * dropped whenever the agent writes to that calendar.
+ */
+
+import { zonedTimeToUtc, formatDateInZone, nextDate } from '../utils/timezone.js';
+
+const DEFAULT_TTL_SECONDS = 60;
+
+// `${calendarId}|${day}` -> { busy, expiresAt }
+const cache = new Map();
+
+/**
+ * Cache lifetime (AVAILABILITY_CACHE_TTL_SECONDS, 0 disables caching)
+ * @returns {number} TTL in milliseconds
+ */
+export function getCacheTtlMs() {
+  const seconds = Number(process.env.AVAILABILITY_CACHE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Business-local days touched by a time range
+ * @param {Date} timeMin - Range start
+ * @param {Date} timeMax - Range end (exclusive)
+ * @param {string} timezone - Business timezone
+ * @returns {Array<string>} Dates in YYYY-MM-DD format, in order
+ */
+export function daysCovering(timeMin, timeMax, timezone) {
+  const last = formatDateInZone(new Date(Math.max(timeMin.getTime(), timeMax.getTime() - 1)), timezone);
+  const days = [formatDateInZone(timeMin, timezone)];
+  while (days[days.length - 1] < last) days.push(nextDate(days[days.length - 1]));
+  return days;
+}
+
+/**
+ * Start and end of a business-local day
+ * @param {string} day - Date in YYYY-MM-DD format
+ * @param {string} timezone - Business timezone
+ * @returns {{start: Date, end: Date}} Day bounds (DST-aware)
+ */
+export function dayBounds(day, timezone) {
+  return {
+    start: zonedTimeToUtc(day, '00:00', timezone),
+    end: zonedTimeToUtc(nextDate(day), '00:00', timezone),
+  };
+}
+
+/**
+ * Group busy periods by the days they overlap (a period spanning midnight lands on both days)
+ * @param {Array<{start: Date, end: Date}>} busy - Busy periods
+ * @param {Array<string>} days - Days to group into
+ * @param {string} timezone - Business timezone
+ * @returns {Object} day -> busy periods
+ */
+export function splitByDay(busy, days, timezone) {
+  return Object.fromEntries(days.map((day) => {
+    const { start, end } = dayBounds(day, timezone);
+    return [day, busy.filter((period) => period.start < end && period.end > start)];
+  }));
+}
+
+/**
+ * Combine per-day busy lists for a range, dropping duplicates of periods that span days
+ * @param {Array<Array<{start: Date, end: Date}>>} dayLists - Busy periods per day
+ * @param {Date} timeMin - Range start
+ * @param {Date} timeMax - Range end
+ * @returns {Array<{start: Date, end: Date}>} Busy periods overlapping the range, by start time
+ */
+export function mergeDays(dayLists, timeMin, timeMax) {
+  const seen = new Set();
+  return dayLists
+    .flat()
+    .filter((period) => {
+      const key = `${period.start.getTime()}-${period.end.getTime()}`;
+      if (seen.has(key) || period.start >= timeMax || period.end <= timeMin) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Read a cached day
+ * @param {string} calendarId - Calendar ID
+ * @param {string} day - Date in YYYY-MM-DD format
+ * @param {number} now - Current time in ms
+ * @returns {Array<{start: Date, end: Date}>|null} Busy periods, or null on a miss
+ */
+export function getCachedDay(calendarId, day, now = Date.now()) {
+  const key = `${calendarId}|${day}`;
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= now) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.busy;
+}
+
+/**
+ * Cache a day's busy periods
+ * @param {string} calendarId - Calendar ID
+ * @param {string} day - Date in YYYY-MM-DD format
+ * @param {Array<{start: Date, end: Date}>} busy - Busy periods overlapping the day
+ * @param {number} ttlMs - Lifetime (0 = don't cache)
+ * @param {number} now - Current time in ms
+ */
+export function storeDay(calendarId, day, busy, ttlMs = getCacheTtlMs(), now = Date.now()) {
+  if (ttlMs <= 0) return;
+  cache.set(`${calendarId}|${day}`, { busy, expiresAt: now + ttlMs });
+}
+
+/**
+ * Drop every cached day for a calendar (after the agent changes an event on it)
+ * @param {string} calendarId - Calendar ID
+ */
+export function invalidateCalendar(calendarId) {
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${calendarId}|`)) cache.delete(key);
+  }
+}
+
+/**
+ * Empty the cache (for testing)
+ */
+export function clearBusyCache() {
+  cache.clear();
+}
+
+export default {
+  getCacheTtlMs,
+  daysCovering,
+  dayBounds,
+  splitByDay,
+  mergeDays,
+  getCachedDay,
+  storeDay,
+  invalidateCalendar,
+  clearBusyCache,
+};
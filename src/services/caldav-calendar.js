@@ -0,0 +1,292 @@
+/**
+ * CalDAV calendar backend
+ * Implements the calendar backend interface (see calendar.js) over CalDAV
+ * (RFC 4791): Nextcloud, Fastmail, iCloud, Radicale, etc. A calendar ID is
+ * the calendar collection's URL, or a path relative to CALDAV_URL.
+ * Busy time is read with a calendar-query (which every server supports) rather
+ * than free-busy-query (which many don't); recurring events are expanded by the server.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { logger } from '../utils/logger.js';
+import { getBusinessTimezone } from '../utils/timezone.js';
+import { formatDateTime, parseEvents, serializeEvents, setEventTimes } from '../utils/ical.js';
+
+const calendarLogger = logger.child('CALENDAR:CALDAV');
+
+/**
+ * URL of a calendar collection (always ends in a slash)
+ * @param {string} calendarId - Collection URL, or path relative to CALDAV_URL
+ * @returns {string} URL
+ */
+function calendarUrl(calendarId) {
+  const base = process.env.CALDAV_URL;
+  if (!base && !/^https?:\/\//.test(calendarId)) {
+    throw new Error('CALDAV_URL is required for the caldav calendar backend');
+  }
+
+  const url = new URL(calendarId, base ? base.replace(/\/?$/, '/') : undefined).href;
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Make a CalDAV request with basic auth
+ * Failures throw an error whose code is the HTTP status (like the Google client's)
+ * @param {string} method - HTTP method (REPORT, PUT, DELETE, GET)
+ * @param {string} url - Resource URL
+ * @param {Object} options - { body, headers }
+ * @returns {Promise<Response>} Response
+ */
+async function davRequest(method, url, { body, headers = {} } = {}) {
+  const auth = Buffer.from(`${process.env.CALDAV_USERNAME || ''}:${process.env.CALDAV_PASSWORD || ''}`).toString('base64');
+
+  const response = await fetch(url, {
+    method,
+    body,
+    headers: { Authorization: `Basic ${auth}`, ...headers },
+  });
+
+  if (!response.ok) {
+    const error = new Error(`CalDAV ${method} ${url} failed: ${response.status} ${response.statusText}`);
+    error.code = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Error for a missing event, shaped like the Google client's
+ * @param {string} calendarId - Calendar ID
+ * @param {string} eventId - Event UID
+ * @returns {Error} Error with code 404
+ */
+function notFound(calendarId, eventId) {
+  const error = new Error(`Event ${eventId} not found in calendar ${calendarId}`);
+  error.code = 404;
+  return error;
+}
+
+/**
+ * Decode the XML entities in a text node
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Pull the calendar objects out of a REPORT multistatus response
+ * Namespace prefixes vary by server, so elements are matched by local name
+ * @param {string} xml - Multistatus body
+ * @returns {Array<{href: string, etag: string|null, data: string}>} Calendar objects
+ */
+export function parseMultistatus(xml) {
+  const element = (name) => new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`);
+  const responses = xml.match(new RegExp(element('response').source, 'g')) || [];
+
+  const text = (name, response) => {
+    const match = element(name).exec(response);
+    return match ? decodeXml(match[1]) : null;
+  };
+
+  return responses
+    .map((response) => ({
+      href: text('href', response)?.trim() || '',
+      etag: text('getetag', response)?.trim() || null,
+      data: text('calendar-data', response) || '',
+    }))
+    .filter((object) => object.href && object.data);
+}
+
+/**
+ * Run a calendar-query REPORT for events
+ * @param {string} calendarId - Calendar to read
+ * @param {string} filter - VEVENT comp-filter contents (time-range or prop-filter)
+ * @param {string} calendarData - calendar-data element (with or without expand)
+ * @returns {Promise<Array<{href: string, etag: string|null, data: string}>>} Calendar objects
+ */
+async function calendarQuery(calendarId, filter, calendarData = '<C:calendar-data/>') {
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop><D:getetag/>${calendarData}</D:prop>
+  <C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT">${filter}</C:comp-filter></C:comp-filter></C:filter>
+</C:calendar-query>`;
+
+  const response = await davRequest('REPORT', calendarUrl(calendarId), {
+    body,
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+  });
+
+  return parseMultistatus(await response.text());
+}
+
+/**
+ * Read the events in a range, recurring events expanded
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @returns {Promise<Array<Object>>} Events
+ */
+async function eventsBetween(calendarId, timeMin, timeMax) {
+  const range = `start="${formatDateTime(timeMin)}" end="${formatDateTime(timeMax)}"`;
+  const objects = await calendarQuery(
+    calendarId,
+    `<C:time-range ${range}/>`,
+    `<C:calendar-data><C:expand ${range}/></C:calendar-data>`
+  );
+
+  const timezone = getBusinessTimezone();
+  return objects
+    .flatMap((object) => parseEvents(object.data, timezone))
+    .filter((event) => event.start < timeMax && event.end > timeMin)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the calendar object holding an event
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event UID
+ * @returns {Promise<{href: string, etag: string|null, data: string}|null>} Calendar object, or null
+ */
+async function findObject(calendarId, eventId) {
+  const uid = eventId.replace(/[<>&"]/g, '');
+  const objects = await calendarQuery(
+    calendarId,
+    `<C:prop-filter name="UID"><C:text-match collation="i;octet">${uid}</C:text-match></C:prop-filter>`
+  );
+  return objects[0] || null;
+}
+
+/**
+ * Get the busy periods on several calendars (skips free and cancelled events)
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @returns {Promise<Object>} calendarId -> busy periods ({ start, end })
+ */
+export async function queryBusy(calendarIds, timeMin, timeMax) {
+  const lists = await Promise.all(calendarIds.map((id) => eventsBetween(id, timeMin, timeMax)));
+
+  return Object.fromEntries(calendarIds.map((id, i) => [
+    id,
+    lists[i]
+      .filter((event) => event.status !== 'cancelled' && !event.transparent)
+      .map((event) => ({ start: event.start, end: event.end })),
+  ]));
+}
+
+/**
+ * List events on a calendar in a range
+ * CalDAV deletes are permanent, so showDeleted only adds events marked STATUS:CANCELLED
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {boolean} options.showDeleted - Include cancelled events
+ * @returns {Promise<Array<Object>>} Events
+ */
+export async function listEvents(calendarId, timeMin, timeMax, { showDeleted = false } = {}) {
+  const events = await eventsBetween(calendarId, timeMin, timeMax);
+  return events.filter((event) => showDeleted || event.status !== 'cancelled');
+}
+
+/**
+ * Get one event by ID
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event UID
+ * @returns {Promise<Object|null>} Event, or null if it doesn't exist
+ */
+export async function getEvent(calendarId, eventId) {
+  const object = await findObject(calendarId, eventId);
+  if (!object) return null;
+  return parseEvents(object.data, getBusinessTimezone())[0] || null;
+}
+
+/**
+ * Create an event (stored as <calendar>/<uid>.ics)
+ * @param {string} calendarId - Calendar to write
+ * @param {Object} event - { summary, description, start, end, properties, reminderMinutes }
+ * @returns {Promise<Object>} Created event
+ */
+export async function createEvent(calendarId, { summary, description = '', start, end, properties = {}, reminderMinutes = null }) {
+  const event = {
+    id: randomUUID(),
+    status: 'confirmed',
+    summary,
+    description,
+    start,
+    end,
+    allDay: false,
+    transparent: false,
+    created: new Date(),
+    properties,
+    reminderMinutes,
+  };
+
+  await davRequest('PUT', `${calendarUrl(calendarId)}${event.id}.ics`, {
+    body: serializeEvents([event]),
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' },
+  });
+
+  calendarLogger.debug('Event stored', { calendarId, eventId: event.id });
+
+  return event;
+}
+
+/**
+ * Move an event, keeping the rest of the calendar object as the server has it
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event UID
+ * @param {Object} times - { start, end }
+ * @returns {Promise<Object>} Updated event
+ */
+export async function patchEvent(calendarId, eventId, { start, end }) {
+  const object = await findObject(calendarId, eventId);
+  if (!object) throw notFound(calendarId, eventId);
+
+  const data = setEventTimes(object.data, start, end);
+
+  // If-Match: fail rather than overwrite an edit made since we read it
+  await davRequest('PUT', new URL(object.href, calendarUrl(calendarId)).href, {
+    body: data,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...(object.etag && { 'If-Match': object.etag }),
+    },
+  });
+
+  return parseEvents(data, getBusinessTimezone())[0];
+}
+
+/**
+ * Delete an event
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event UID
+ * @returns {Promise<void>}
+ */
+export async function deleteEvent(calendarId, eventId) {
+  const object = await findObject(calendarId, eventId);
+  if (!object) throw notFound(calendarId, eventId);
+
+  await davRequest('DELETE', new URL(object.href, calendarUrl(calendarId)).href);
+}
+
+export default {
+  name: 'caldav',
+  queryBusy,
+  listEvents,
+  getEvent,
+  createEvent,
+  patchEvent,
+  deleteEvent,
+};
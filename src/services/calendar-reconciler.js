@@ -0,0 +1,295 @@
+/**
+ * Calendar reconciliation
+ * Compares upcoming appointments in the database with the calendars and
+ * repairs drift. Staff changes in the calendar win: an appointment whose
+ * event staff deleted is cancelled, and one whose event they moved is moved.
+ * A missing resource block (our own bookkeeping) is recreated, and
+ * agent-created events with no appointment (a booking that failed halfway)
+ * are removed. Only one machine reconciles at a time (scheduler_locks).
+ */
+
+import { logger } from '../utils/logger.js';
+import {
+  acquireSchedulerLock,
+  getConfirmedAppointmentsBetween,
+  getReferencedEventIds,
+  releaseSchedulerLock,
+  updateAppointmentEvents,
+  updateAppointmentStatus,
+  updateAppointmentTime,
+} from '../db/queries.js';
+import {
+  AGENT_EVENT_SOURCE,
+  getDefaultCalendarId,
+  listEvents,
+  getEvent,
+  createResourceBooking,
+  cancelAppointment as deleteCalendarEvent,
+  rescheduleAppointment as moveCalendarEvent,
+} from './calendar.js';
+import { getProviders, getResources } from './providers.js';
+import { getService } from './service-catalog.js';
+import { providerCalendarFor, resourceCalendarFor } from './booking.js';
+import { scheduleReminders } from './reminder-jobs.js';
+import { getWorkerId } from './reminder-scheduler.js';
+
+const reconcileLogger = logger.child('RECONCILE');
+
+// How far ahead to compare (covers the longest booking horizon)
+const LOOKAHEAD_DAYS = 120;
+
+// Agent events younger than this may belong to a booking still being saved
+const ORPHAN_GRACE_MINUTES = 15;
+
+const LOCK_NAME = 'calendar-reconcile';
+const LOCK_SECONDS = 10 * 60; // Well over a run; a stopped machine's lock lapses after this
+
+/**
+ * Whether an event is missing or deleted
+ * @param {Object|null} event - Calendar event (see calendar.js)
+ * @returns {boolean}
+ */
+function isGone(event) {
+  return !event || event.status === 'cancelled';
+}
+
+/**
+ * Find an event in a listed calendar, falling back to a direct lookup
+ * (the event may have been moved outside the listed range)
+ * @param {Map<string, Object>} listed - eventId -> event for the calendar
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string|null} eventId - Event ID
+ * @returns {Promise<Object|null>} Event, or null
+ */
+async function findEvent(listed, calendarId, eventId) {
+  if (!eventId) return null;
+  return listed?.get(eventId) || getEvent(calendarId, eventId);
+}
+
+/**
+ * Recreate a confirmed appointment's missing resource block
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<boolean>} True if the row now points at the new block
+ */
+async function recreateResourceBlock(appointment) {
+  const provider = getProviders().find((p) => p.id === appointment.provider_id);
+  const resource = getResources().find((r) => r.id === appointment.resource_id);
+  const service = getService(appointment.service_type);
+  if (!resource) return false;
+
+  const block = await createResourceBooking({
+    calendarId: resource.calendarId,
+    startTime: new Date(appointment.appointment_time),
+    durationMinutes: appointment.duration_minutes || 30,
+    summary: `${service?.name || 'Appointment'} - ${provider?.name || 'provider'}`,
+    appointmentKey: appointment.idempotency_key,
+  });
+
+  const updated = await updateAppointmentEvents(
+    appointment.id,
+    { eventId: appointment.google_calendar_event_id, resourceEventId: block.eventId },
+    appointment.google_calendar_event_id
+  );
+
+  // The row changed underneath us (a reschedule or cancellation) - undo ours
+  if (!updated) {
+    await deleteCalendarEvent(block.eventId, resource.calendarId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Cancel an appointment whose event staff deleted, freeing its resource block
+ * The patient isn't texted: whoever deleted the event is expected to have told them
+ * @param {Object} appointment - Appointment row
+ * @param {Object|null} block - Its resource block, if still there
+ * @param {string|null} resourceCalendar - Calendar holding the block
+ * @returns {Promise<void>}
+ */
+async function cancelDeletedAppointment(appointment, block, resourceCalendar) {
+  await updateAppointmentStatus(appointment.id, 'cancelled');
+
+  if (block && !isGone(block)) {
+    await deleteCalendarEvent(block.id, resourceCalendar);
+  }
+}
+
+/**
+ * Compare upcoming appointments with the calendars and repair drift
+ * Skipped (report.skipped) while another machine is reconciling; a dry run
+ * changes nothing, so it doesn't need the lock.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report what would change without changing it
+ * @param {Date} options.now - Current time
+ * @param {string} options.workerId - Machine doing the work (this one by default)
+ * @returns {Promise<Object>} Report ({ checked, cancelled, recreated, retimed, orphansRemoved, failed, skipped, ... })
+ */
+export async function reconcileCalendars({ dryRun = false, now = new Date(), workerId = getWorkerId() } = {}) {
+  const report = { dryRun, skipped: false, checked: 0, cancelled: 0, recreated: 0, retimed: 0, orphansRemoved: 0, failed: 0, details: [] };
+
+  if (!dryRun && !(await acquireSchedulerLock(LOCK_NAME, workerId, LOCK_SECONDS))) {
+    reconcileLogger.info('Another machine is reconciling, skipping', { workerId });
+    return { ...report, skipped: true };
+  }
+
+  try {
+    return await reconcile(report, { dryRun, now });
+  } finally {
+    if (!dryRun) {
+      await releaseSchedulerLock(LOCK_NAME, workerId).catch(() => {}); // Lapses by itself anyway
+    }
+  }
+}
+
+/**
+ * One reconciliation pass (see reconcileCalendars)
+ * @param {Object} report - Report to fill in
+ * @param {Object} options - { dryRun, now }
+ * @returns {Promise<Object>} The report
+ */
+async function reconcile(report, { dryRun, now }) {
+  const timeMin = now;
+  const timeMax = new Date(now.getTime() + LOOKAHEAD_DAYS * 86400000);
+
+  try {
+    reconcileLogger.info('Reconciling calendars', { dryRun, timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() });
+
+    const appointments = await getConfirmedAppointmentsBetween(timeMin.toISOString(), timeMax.toISOString());
+
+    const calendarIds = [...new Set([
+      getDefaultCalendarId(),
+      ...getProviders().map((p) => p.calendarId),
+      ...getResources().map((r) => r.calendarId),
+    ].filter(Boolean))];
+
+    const listedByCalendar = {};
+    for (const calendarId of calendarIds) {
+      const events = await listEvents(calendarId, timeMin, timeMax);
+      listedByCalendar[calendarId] = new Map(events.map((event) => [event.id, event]));
+    }
+
+    // Appointments whose events went missing or moved
+    for (const appointment of appointments) {
+      report.checked++;
+
+      try {
+        const providerCalendar = providerCalendarFor(appointment);
+        const event = await findEvent(listedByCalendar[providerCalendar], providerCalendar, appointment.google_calendar_event_id);
+
+        const resourceCalendar = appointment.resource_id ? resourceCalendarFor(appointment) : null;
+        const block = resourceCalendar
+          ? await findEvent(listedByCalendar[resourceCalendar], resourceCalendar, appointment.resource_event_id)
+          : null;
+
+        // Staff deleted the event: the calendar wins, the appointment is off
+        if (isGone(event)) {
+          report.details.push({ appointmentId: appointment.id, action: 'cancel', eventId: appointment.google_calendar_event_id });
+          if (!dryRun) {
+            await cancelDeletedAppointment(appointment, block, resourceCalendar);
+            if (block) listedByCalendar[resourceCalendar]?.delete(block.id); // Not an orphan now
+            report.cancelled++;
+          }
+          continue;
+        }
+
+        if (resourceCalendar && isGone(block)) {
+          report.details.push({ appointmentId: appointment.id, action: 'recreate_resource' });
+          if (!dryRun && await recreateResourceBlock(appointment)) {
+            report.recreated++;
+          }
+          continue;
+        }
+
+        // Staff moved the event in the calendar: the calendar wins
+        const eventStart = event.allDay ? null : event.start;
+        const bookedStart = new Date(appointment.appointment_time);
+
+        if (eventStart && eventStart.getTime() !== bookedStart.getTime()) {
+          report.details.push({
+            appointmentId: appointment.id,
+            action: 'retime',
+            from: bookedStart.toISOString(),
+            to: eventStart.toISOString(),
+          });
+
+          if (!dryRun) {
+            const moved = await updateAppointmentTime(appointment.id, eventStart.toISOString());
+            if (block && !isGone(block)) {
+              await moveCalendarEvent(block.id, eventStart, appointment.duration_minutes || 30, resourceCalendar);
+            }
+            await scheduleReminders(moved);
+            report.retimed++;
+          }
+        }
+      } catch (error) {
+        report.failed++;
+        reconcileLogger.error('Failed to reconcile appointment', error, { appointmentId: appointment.id });
+      }
+    }
+
+    // Agent events no confirmed appointment points at
+    const graceCutoff = new Date(now.getTime() - ORPHAN_GRACE_MINUTES * 60000);
+
+    for (const calendarId of calendarIds) {
+      const candidates = [...listedByCalendar[calendarId].values()].filter((event) =>
+        !isGone(event)
+        && event.properties.source === AGENT_EVENT_SOURCE
+        && event.created && event.created < graceCutoff
+      );
+      if (candidates.length === 0) continue;
+
+      const referenced = await getReferencedEventIds(candidates.map((event) => event.id));
+
+      for (const event of candidates.filter((e) => !referenced.has(e.id))) {
+        report.details.push({ eventId: event.id, calendarId, action: 'remove_orphan' });
+
+        if (!dryRun) {
+          try {
+            await deleteCalendarEvent(event.id, calendarId);
+            report.orphansRemoved++;
+          } catch (error) {
+            report.failed++;
+            reconcileLogger.error('Failed to remove orphaned event', error, { eventId: event.id, calendarId });
+          }
+        }
+      }
+    }
+
+    reconcileLogger.info('Reconciliation complete', {
+      dryRun,
+      checked: report.checked,
+      cancelled: report.cancelled,
+      recreated: report.recreated,
+      retimed: report.retimed,
+      orphansRemoved: report.orphansRemoved,
+      failed: report.failed,
+      findings: report.details.length,
+    });
+
+    return report;
+  } catch (error) {
+    reconcileLogger.error('Error reconciling calendars', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the reconciliation scheduler (runs every 30 minutes)
+ */
+export function startReconciliationScheduler() {
+  const intervalMinutes = 30;
+
+  reconcileLogger.info('Starting calendar reconciliation scheduler', { intervalMinutes });
+
+  // Errors are logged by reconcileCalendars; keep the timer alive
+  const run = () => reconcileCalendars().catch(() => {});
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+export default {
+  reconcileCalendars,
+  startReconciliationScheduler,
+};
@@ -0,0 +1,514 @@
+/**
+ * Calendar service
+ * Reads busy time (cached per calendar and day) and writes appointment events
+ * through the configured calendar backend (CALENDAR_BACKEND):
+ *   google - Google Calendar with a service account (default, google-calendar.js)
+ *   caldav - any CalDAV server (caldav-calendar.js)
+ *   local  - in memory, optionally saved as .ics files (local-calendar.js)
+ * Every function takes a calendarId (default CALENDAR_ID). Slot search across
+ * providers and resources lives in availability.js.
+ *
+ * A backend implements:
+ *   queryBusy(calendarIds, timeMin, timeMax) -> calendarId -> busy periods ({ start, end })
+ *   listEvents(calendarId, timeMin, timeMax, { showDeleted }) -> events
+ *   getEvent(calendarId, eventId) -> event, or null if unknown
+ *   createEvent(calendarId, { summary, description, start, end, properties, reminderMinutes }) -> event
+ *   patchEvent(calendarId, eventId, { start, end }) -> event
+ *   deleteEvent(calendarId, eventId)
+ * where an event is { id, status ('confirmed' | 'tentative' | 'cancelled'),
+ * summary, description, start, end (Dates), allDay, transparent, created,
+ * properties ({ source, appointmentKey }), htmlLink?, attendees? }.
+ * Missing events make patchEvent/deleteEvent throw an error with code 404 (or 410).
+ */
+
+import { logger } from '../utils/logger.js';
+import { getBusinessTimezone } from '../utils/timezone.js';
+import { isOpenFor } from './schedule.js';
+import { trackCalendarRequest, trackAvailabilityCache } from './metrics.js';
+import {
+  daysCovering,
+  dayBounds,
+  splitByDay,
+  mergeDays,
+  getCachedDay,
+  storeDay,
+  invalidateCalendar,
+} from './busy-cache.js';
+import googleCalendar from './google-calendar.js';
+import caldavCalendar from './caldav-calendar.js';
+import localCalendar from './local-calendar.js';
+
+const calendarLogger = logger.child('CALENDAR');
+
+// Tag on events this agent creates, so reconciliation can tell them from staff entries
+export const AGENT_EVENT_SOURCE = 'appointment-agent';
+
+const BACKENDS = {
+  google: googleCalendar,
+  caldav: caldavCalendar,
+  local: localCalendar,
+};
+
+let backend = null;
+
+/**
+ * The configured calendar backend (CALENDAR_BACKEND, default google)
+ * @returns {Object} Backend
+ */
+export function getCalendarBackend() {
+  if (backend) return backend;
+
+  const name = (process.env.CALENDAR_BACKEND || 'google').trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Invalid CALENDAR_BACKEND: ${name} (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  backend = BACKENDS[name];
+  calendarLogger.info('Calendar backend selected', { backend: name });
+  return backend;
+}
+
+/**
+ * Forget the selected backend so CALENDAR_BACKEND is read again (for testing)
+ */
+export function resetCalendarBackend() {
+  backend = null;
+}
+
+/**
+ * The calendar appointments go on when no provider calendar applies
+ * CALENDAR_ID, falling back to GOOGLE_CALENDAR_ID for existing deployments
+ * @returns {string} Calendar ID
+ */
+export function getDefaultCalendarId() {
+  return process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || 'primary';
+}
+
+/**
+ * Run a backend request, recording its latency in metrics
+ * Writes drop the cached busy time for the calendar they touch, whether or not
+ * they succeed (a timed-out insert may still have landed)
+ * @param {string} operation - Metrics label (e.g. 'busy', 'create')
+ * @param {Function} request - Async function calling the backend
+ * @param {string} invalidates - Calendar ID whose cache entries to drop
+ * @returns {Promise<*>} Backend result
+ */
+async function calendarRequest(operation, request, invalidates = null) {
+  const startedAt = Date.now();
+  let failed = false;
+
+  try {
+    return await request(getCalendarBackend());
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    trackCalendarRequest(operation, Date.now() - startedAt, failed);
+    if (invalidates) invalidateCalendar(invalidates);
+  }
+}
+
+/**
+ * Query busy time for several calendars over whole business-local days
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @param {Array<string>} days - Consecutive days (YYYY-MM-DD)
+ * @param {string} timezone - Business timezone
+ * @returns {Promise<Object>} calendarId -> day -> busy periods
+ */
+async function queryBusyDays(calendarIds, days, timezone) {
+  const timeMin = dayBounds(days[0], timezone).start;
+  const timeMax = dayBounds(days[days.length - 1], timezone).end;
+
+  const busy = await calendarRequest('busy', (cal) => cal.queryBusy(calendarIds, timeMin, timeMax));
+
+  return Object.fromEntries(calendarIds.map((calendarId) => [
+    calendarId,
+    splitByDay(busy[calendarId], days, timezone),
+  ]));
+}
+
+/**
+ * List busy events on one calendar, skipping some by ID
+ * Only used when events must be ignored - busy time can't say which event a busy
+ * block came from. Not cached.
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Array<string>} ignoreEventIds - Events to ignore
+ * @returns {Promise<Array<{start: Date, end: Date}>>} Busy periods
+ */
+async function listBusyEvents(calendarId, timeMin, timeMax, ignoreEventIds) {
+  const events = await calendarRequest('list', (cal) => cal.listEvents(calendarId, timeMin, timeMax));
+
+  return events
+    .filter((event) => !ignoreEventIds.includes(event.id) && !event.transparent && event.status !== 'cancelled')
+    .map((event) => ({ start: event.start, end: event.end }));
+}
+
+/**
+ * Get the busy periods on several calendars
+ * Served from the busy cache where possible; the rest comes from one backend
+ * query covering every missing calendar and day
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {Array<string>} options.ignoreEventIds - Events to ignore (e.g. the one being rescheduled)
+ * @param {boolean} options.fresh - Skip cached days (re-verifying right before a booking)
+ * @returns {Promise<Object>} calendarId -> busy periods ({ start, end })
+ */
+export async function getBusyIntervals(calendarIds, timeMin, timeMax, { ignoreEventIds = [], fresh = false } = {}) {
+  const ids = [...new Set(calendarIds)];
+
+  try {
+    if (ignoreEventIds.length > 0) {
+      const lists = await Promise.all(ids.map((id) => listBusyEvents(id, timeMin, timeMax, ignoreEventIds)));
+      return Object.fromEntries(ids.map((id, i) => [id, lists[i]]));
+    }
+
+    const timezone = getBusinessTimezone();
+    const days = daysCovering(timeMin, timeMax, timezone);
+    const busyByDay = Object.fromEntries(ids.map((id) => [id, {}]));
+    const missingCalendars = new Set();
+    const missingDays = new Set();
+    let hits = 0;
+
+    for (const id of ids) {
+      for (const day of days) {
+        const cached = fresh ? null : getCachedDay(id, day);
+        if (cached) {
+          busyByDay[id][day] = cached;
+          hits++;
+        } else {
+          missingCalendars.add(id);
+          missingDays.add(day);
+        }
+      }
+    }
+
+    if (!fresh) trackAvailabilityCache(hits, ids.length * days.length - hits);
+
+    if (missingCalendars.size > 0) {
+      // One query for the span of missing days; already-cached days in it are refreshed too
+      const first = days.findIndex((day) => missingDays.has(day));
+      const last = days.findLastIndex((day) => missingDays.has(day));
+      const fetchDays = days.slice(first, last + 1);
+      const fetched = await queryBusyDays([...missingCalendars], fetchDays, timezone);
+
+      for (const id of missingCalendars) {
+        for (const day of fetchDays) {
+          busyByDay[id][day] = fetched[id][day];
+          storeDay(id, day, fetched[id][day]);
+        }
+      }
+    }
+
+    calendarLogger.debug('Busy time read', {
+      calendars: ids.length,
+      days: days.length,
+      cachedDays: hits,
+      fetchedCalendars: missingCalendars.size,
+    });
+
+    return Object.fromEntries(ids.map((id) => [
+      id,
+      mergeDays(days.map((day) => busyByDay[id][day]), timeMin, timeMax),
+    ]));
+  } catch (error) {
+    calendarLogger.error('Error reading busy time', error, { calendarIds: ids });
+    throw error;
+  }
+}
+
+/**
+ * Check if a time slot is available on one calendar
+ * Times outside the business schedule (closed days, holidays, after hours) are never available
+ * @param {Date} startTime - Start time to check
+ * @param {number} durationMinutes - Duration in minutes (default 30)
+ * @param {Object} options
+ * @param {string} options.calendarId - Calendar to check (default CALENDAR_ID)
+ * @param {string} options.ignoreEventId - Event to ignore when checking (e.g. the one being rescheduled)
+ * @param {number} options.bufferBeforeMinutes - Free time required before the appointment
+ * @param {number} options.bufferAfterMinutes - Free time required after the appointment
+ * @returns {Promise<boolean>} True if available, false if conflict
+ */
+export async function checkAvailability(startTime, durationMinutes = 30, {
+  calendarId = getDefaultCalendarId(),
+  ignoreEventId = null,
+  bufferBeforeMinutes = 0,
+  bufferAfterMinutes = 0,
+} = {}) {
+  try {
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+
+    // Buffers must be free of other events too
+    const windowStart = new Date(startTime.getTime() - bufferBeforeMinutes * 60000);
+    const windowEnd = new Date(endTime.getTime() + bufferAfterMinutes * 60000);
+
+    calendarLogger.info('Checking availability', {
+      calendarId,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      bufferBeforeMinutes,
+      bufferAfterMinutes,
+    });
+
+    if (!isOpenFor(startTime, durationMinutes)) {
+      calendarLogger.info('Time slot unavailable (outside business hours)');
+      return false;
+    }
+
+    const busyByCalendar = await getBusyIntervals([calendarId], windowStart, windowEnd, {
+      ignoreEventIds: ignoreEventId ? [ignoreEventId] : [],
+    });
+    const busy = busyByCalendar[calendarId];
+
+    if (busy.length > 0) {
+      calendarLogger.info('Time slot unavailable (conflict found)', {
+        conflictingEvents: busy.length,
+      });
+      return false;
+    }
+
+    calendarLogger.info('Time slot available');
+    return true;
+  } catch (error) {
+    calendarLogger.error('Error checking availability', error);
+    throw error;
+  }
+}
+
+/**
+ * Mask phone number for privacy in calendar
+ * Converts +14168881234 to 416-881-****
+ * @param {string} phoneNumber - Full phone number
+ * @returns {string} Masked phone number
+ */
+function maskPhoneNumber(phoneNumber) {
+  // Remove +1 country code for display
+  const digits = phoneNumber.replace(/^\+1/, '').replace(/\D/g, '');
+
+  if (digits.length === 10) {
+    // Format as 416-881-****
+    return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-****`;
+  }
+
+  // For non-standard formats, just mask last 4 digits
+  return phoneNumber.slice(0, -4) + '****';
+}
+
+/**
+ * Properties marking an event as created by this agent
+ * @param {string|null} appointmentKey - Idempotency key of the booking, if any
+ * @returns {Object} Event properties
+ */
+function agentEventProperties(appointmentKey) {
+  return appointmentKey
+    ? { source: AGENT_EVENT_SOURCE, appointmentKey }
+    : { source: AGENT_EVENT_SOURCE };
+}
+
+/**
+ * Create an appointment event
+ * @param {Object} appointmentData - Appointment details (calendarId defaults to CALENDAR_ID)
+ * @returns {Promise<Object>} Created event ({ eventId, htmlLink, startTime, endTime })
+ */
+export async function createAppointment(appointmentData) {
+  const {
+    callerName,
+    callerPhone,
+    appointmentTime,
+    reason = 'Dental appointment',
+    serviceType = null,
+    providerName = null,
+    resourceName = null,
+    durationMinutes = 30,
+    appointmentKey = null,
+    calendarId = getDefaultCalendarId(),
+  } = appointmentData;
+
+  try {
+    const startTime = new Date(appointmentTime);
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+
+    calendarLogger.info('Creating appointment', {
+      calendarId,
+      name: callerName,
+      phone: callerPhone,
+      startTime: startTime.toISOString(),
+    });
+
+    // Mask phone number for privacy in public calendar
+    const maskedPhone = maskPhoneNumber(callerPhone);
+
+    const createdEvent = await calendarRequest('create', (cal) => cal.createEvent(calendarId, {
+      summary: `${reason} - ${callerName}`,
+      description: [
+        `Patient: ${callerName}`,
+        `Phone: ${maskedPhone}`,
+        `Reason: ${reason}`,
+        serviceType && `Service: ${serviceType}`,
+        providerName && `Provider: ${providerName}`,
+        resourceName && `Room: ${resourceName}`,
+      ].filter(Boolean).join('\n'),
+      start: startTime,
+      end: endTime,
+      properties: agentEventProperties(appointmentKey),
+      reminderMinutes: 60, // 1 hour before
+    }), calendarId);
+
+    calendarLogger.info('Appointment created successfully', {
+      eventId: createdEvent.id,
+      htmlLink: createdEvent.htmlLink,
+    });
+
+    return {
+      eventId: createdEvent.id,
+      htmlLink: createdEvent.htmlLink || null,
+      startTime: createdEvent.start.toISOString(),
+      endTime: createdEvent.end.toISOString(),
+    };
+  } catch (error) {
+    calendarLogger.error('Error creating appointment', error);
+    throw error;
+  }
+}
+
+/**
+ * Block a shared resource (e.g. an operatory) for an appointment
+ * The event carries no patient details since resource calendars are widely shared
+ * @param {Object} bookingData - { calendarId, startTime, durationMinutes, summary, appointmentKey }
+ * @returns {Promise<Object>} Created event ({ eventId })
+ */
+export async function createResourceBooking({ calendarId, startTime, durationMinutes = 30, summary, appointmentKey = null }) {
+  try {
+    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+
+    calendarLogger.info('Booking resource', {
+      calendarId,
+      startTime: startTime.toISOString(),
+    });
+
+    const event = await calendarRequest('create', (cal) => cal.createEvent(calendarId, {
+      summary,
+      start: startTime,
+      end: endTime,
+      properties: agentEventProperties(appointmentKey),
+    }), calendarId);
+
+    calendarLogger.info('Resource booked', { calendarId, eventId: event.id });
+
+    return { eventId: event.id };
+  } catch (error) {
+    calendarLogger.error('Error booking resource', error, { calendarId });
+    throw error;
+  }
+}
+
+/**
+ * Cancel an appointment (delete calendar event)
+ * @param {string} eventId - Event ID
+ * @param {string} calendarId - Calendar holding the event (default CALENDAR_ID)
+ * @returns {Promise<void>}
+ */
+export async function cancelAppointment(eventId, calendarId = getDefaultCalendarId()) {
+  try {
+    calendarLogger.info('Canceling appointment', { eventId, calendarId });
+
+    await calendarRequest('delete', (cal) => cal.deleteEvent(calendarId, eventId), calendarId);
+
+    calendarLogger.info('Appointment canceled successfully', { eventId });
+  } catch (error) {
+    calendarLogger.error('Error canceling appointment', error, { eventId });
+    throw error;
+  }
+}
+
+/**
+ * List every event on a calendar in a range, including deleted ones (status 'cancelled')
+ * where the backend keeps them
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {boolean} options.showDeleted - Include deleted events (default true)
+ * @returns {Promise<Array<Object>>} Events
+ */
+export async function listEvents(calendarId, timeMin, timeMax, { showDeleted = true } = {}) {
+  try {
+    return await calendarRequest('list', (cal) => cal.listEvents(calendarId, timeMin, timeMax, { showDeleted }));
+  } catch (error) {
+    calendarLogger.error('Error listing events', error, { calendarId });
+    throw error;
+  }
+}
+
+/**
+ * Get one event by ID
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Event, or null if it doesn't exist
+ */
+export async function getEvent(calendarId, eventId) {
+  try {
+    return await calendarRequest('get', (cal) => cal.getEvent(calendarId, eventId));
+  } catch (error) {
+    calendarLogger.error('Error getting event', error, { calendarId, eventId });
+    throw error;
+  }
+}
+
+/**
+ * Reschedule an appointment (update calendar event time)
+ * Does not check availability: callers confirm the new time first (see availability.js)
+ * @param {string} eventId - Event ID
+ * @param {Date} newStartTime - New appointment time
+ * @param {number} durationMinutes - Duration in minutes
+ * @param {string} calendarId - Calendar holding the event (default CALENDAR_ID)
+ * @returns {Promise<Object>} Updated event ({ eventId, startTime, endTime })
+ */
+export async function rescheduleAppointment(eventId, newStartTime, durationMinutes = 30, calendarId = getDefaultCalendarId()) {
+  try {
+    const endTime = new Date(newStartTime.getTime() + durationMinutes * 60000);
+
+    calendarLogger.info('Rescheduling appointment', {
+      eventId,
+      calendarId,
+      newStartTime: newStartTime.toISOString(),
+    });
+
+    const updatedEvent = await calendarRequest('patch', (cal) => cal.patchEvent(calendarId, eventId, {
+      start: newStartTime,
+      end: endTime,
+    }), calendarId);
+
+    calendarLogger.info('Appointment rescheduled successfully', {
+      eventId: updatedEvent.id,
+      newStartTime: updatedEvent.start.toISOString(),
+    });
+
+    return {
+      eventId: updatedEvent.id,
+      startTime: updatedEvent.start.toISOString(),
+      endTime: updatedEvent.end.toISOString(),
+    };
+  } catch (error) {
+    calendarLogger.error('Error rescheduling appointment', error, { eventId });
+    throw error;
+  }
+}
+
+export default {
+  AGENT_EVENT_SOURCE,
+  getCalendarBackend,
+  resetCalendarBackend,
+  getDefaultCalendarId,
+  getBusyIntervals,
+  checkAvailability,
+  createAppointment,
+  createResourceBooking,
+  cancelAppointment,
+  rescheduleAppointment,
+  listEvents,
+  getEvent,
+};
@@ -0,0 +1,242 @@
+/**
+ * Per-call debug bundles
+ * With CALL_BUNDLE_DIR set, each call is written to <dir>/<callSid>.json when
+ * it ends: the caller's audio and key presses, Deepgram's transcript events,
+ * every LLM request and response, tool calls with their results, and
+ * everything sent to TTS.
+ * That's enough to replay the call's conversation (npm run replay) against a
+ * changed prompt or code.
+ *
+ * Bundles hold the whole conversation and the caller's voice - keep them with
+ * the same care as call logs.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from '../utils/logger.js';
+import { writeWav } from '../utils/audio.js';
+
+const bundleLogger = logger.child('CALL_BUNDLE');
+
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Where bundles go (CALL_BUNDLE_DIR); null when recording is off
+ * @returns {string|null} Directory
+ */
+export function getBundleDir() {
+  return process.env.CALL_BUNDLE_DIR || null;
+}
+
+/**
+ * Tool calls in a loggable form
+ * @param {Array} toolCalls - OpenAI-format tool calls
+ * @returns {Array<{id: string, name: string, arguments: string}>|undefined}
+ */
+function summarizeToolCalls(toolCalls) {
+  if (!toolCalls || toolCalls.length === 0) return undefined;
+  return toolCalls.map((call) => ({
+    id: call.id,
+    name: call.function.name,
+    arguments: call.function.arguments,
+  }));
+}
+
+/**
+ * Collects one call's events and writes them out as a bundle
+ */
+export class CallBundleRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio call SID (the bundle's file name)
+   * @param {string} options.from - Caller's number
+   * @param {string} options.to - Number called
+   * @param {string} options.dir - Directory to save into
+   */
+  constructor({ callSid, from, to, dir }) {
+    this.callSid = callSid;
+    this.from = from;
+    this.to = to;
+    this.dir = dir;
+    this.startedAt = new Date();
+    this.events = []; // { t: ms since start, type, ... }
+    this.inboundAudio = [];
+    this.llmCalls = 0;
+    this.saved = false;
+  }
+
+  /**
+   * Add an event
+   * @param {string} type - Event type (transcript, llm_request, tool_result, tts, ...)
+   * @param {Object} data - Event details
+   */
+  record(type, data = {}) {
+    this.events.push({ t: Date.now() - this.startedAt.getTime(), type, ...data });
+  }
+
+  /**
+   * Add a chunk of the caller's audio (8kHz mu-law from Twilio)
+   * @param {Buffer} audio - Audio chunk
+   */
+  addInboundAudio(audio) {
+    this.inboundAudio.push(audio);
+  }
+
+  /**
+   * Record a request to the LLM
+   * @param {string} method - LLMRouter method called
+   * @param {Array} messages - Conversation sent
+   * @param {Array|null} tools - Tools offered
+   * @returns {number} Call number, to pair with the response
+   */
+  recordLlmRequest(method, messages, tools) {
+    const call = ++this.llmCalls;
+    this.record('llm_request', {
+      call,
+      method,
+      messages: structuredClone(messages),
+      tools: tools ? tools.map((tool) => tool.function.name) : null,
+    });
+    return call;
+  }
+
+  /**
+   * Record what the LLM answered
+   * @param {number} call - From recordLlmRequest
+   * @param {Object} response - LLMRouter response or stream 'done' event
+   */
+  recordLlmResponse(call, response) {
+    this.record('llm_response', {
+      call,
+      content: response.content || null,
+      toolCalls: summarizeToolCalls(response.toolCalls),
+      provider: response.provider,
+      latency: response.latency,
+    });
+  }
+
+  /**
+   * Wrap an LLM router so every request and response is recorded
+   * @param {Object} llm - LLMRouter (or anything with the same methods)
+   * @returns {Object} Recording router with the same methods
+   */
+  wrapLlm(llm) {
+    const recorder = this;
+
+    const recordStream = async function* (method, stream, messages, tools) {
+      const call = recorder.recordLlmRequest(method, messages, tools);
+      try {
+        for await (const event of stream) {
+          if (event.type === 'done') recorder.recordLlmResponse(call, event);
+          yield event;
+        }
+      } catch (error) {
+        recorder.record('llm_error', { call, error: error.message });
+        throw error;
+      }
+    };
+
+    const recordCall = async (method, request, messages, tools) => {
+      const call = recorder.recordLlmRequest(method, messages, tools);
+      try {
+        const response = await request;
+        recorder.recordLlmResponse(call, response);
+        return response;
+      } catch (error) {
+        recorder.record('llm_error', { call, error: error.message });
+        throw error;
+      }
+    };
+
+    return {
+      chat: (messages, callId, tools = null) =>
+        recordCall('chat', llm.chat(messages, callId, tools), messages, tools),
+      chatWithToolResults: (messages, callId) =>
+        recordCall('chatWithToolResults', llm.chatWithToolResults(messages, callId), messages, null),
+      chatStream: (messages, callId, tools = null) =>
+        recordStream('chatStream', llm.chatStream(messages, callId, tools), messages, tools),
+      chatWithToolResultsStream: (messages, callId) =>
+        recordStream('chatWithToolResultsStream', llm.chatWithToolResultsStream(messages, callId), messages, null),
+    };
+  }
+
+  /**
+   * The bundle as saved
+   * @returns {Object} Bundle (JSON-ready)
+   */
+  toJSON() {
+    return {
+      version: BUNDLE_VERSION,
+      callSid: this.callSid,
+      from: this.from,
+      to: this.to,
+      startedAt: this.startedAt.toISOString(),
+      endedAt: new Date().toISOString(),
+      events: this.events,
+      // mu-law WAV, base64
+      inboundAudio: writeWav(Buffer.concat(this.inboundAudio)).toString('base64'),
+    };
+  }
+
+  /**
+   * Write the bundle (once). Failures are logged, never thrown - a broken
+   * recorder must not break the call.
+   * @returns {Promise<string|null>} File written
+   */
+  async save() {
+    if (this.saved) return null;
+    this.saved = true;
+
+    const file = path.join(this.dir, `${this.callSid.replace(/[^\w-]/g, '_')}.json`);
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(file, JSON.stringify(this));
+
+      bundleLogger.info('Call bundle saved', {
+        callSid: this.callSid,
+        file,
+        events: this.events.length,
+      });
+      return file;
+    } catch (error) {
+      bundleLogger.error('Failed to save call bundle', error, { callSid: this.callSid });
+      return null;
+    }
+  }
+}
+
+/**
+ * Start recording a call if bundles are turned on
+ * @param {Object} call - { callSid, from, to }
+ * @returns {CallBundleRecorder|null} Recorder, or null when CALL_BUNDLE_DIR is unset
+ */
+export function createCallRecorder({ callSid, from, to }) {
+  const dir = getBundleDir();
+  if (!dir) return null;
+
+  bundleLogger.info('Recording call bundle', { callSid, dir });
+  return new CallBundleRecorder({ callSid, from, to, dir });
+}
+
+/**
+ * Read a saved bundle
+ * @param {string} file - Bundle path
+ * @returns {Promise<Object>} Bundle with inboundAudio as a WAV Buffer
+ */
+export async function loadCallBundle(file) {
+  const bundle = JSON.parse(await readFile(file, 'utf8'));
+
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported call bundle version ${bundle.version} (expected ${BUNDLE_VERSION})`);
+  }
+
+  return { ...bundle, inboundAudio: Buffer.from(bundle.inboundAudio || '', 'base64') };
+}
+
+export default {
+  BUNDLE_VERSION,
+  CallBundleRecorder,
+  createCallRecorder,
+  getBundleDir,
+  loadCallBundle,
+};
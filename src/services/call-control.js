@@ -0,0 +1,93 @@
+/**
+ * Twilio call control
+ * Places outbound calls and changes live calls through the REST API (e.g.
+ * sending a call somewhere else partway through). Replaced by an offline
+ * stand-in in tests.
+ */
+
+import twilio from 'twilio';
+import { logger } from '../utils/logger.js';
+
+const callControlLogger = logger.child('CALL_CONTROL');
+
+// Initialize Twilio client
+let twilioClient = null;
+
+/**
+ * Initialize Twilio client
+ */
+function initializeTwilio() {
+  if (twilioClient) return twilioClient;
+
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!accountSid || !authToken) {
+    throw new Error('Twilio credentials not configured');
+  }
+
+  twilioClient = twilio(accountSid, authToken);
+  return twilioClient;
+}
+
+/**
+ * Replace what a live call is doing with new TwiML
+ * A call on the voice agent's stream leaves it (Twilio sends the stream a stop)
+ * @param {string} callSid - Twilio call SID
+ * @param {string} twiml - TwiML to run instead
+ * @returns {Promise<Object>} { callSid, status }
+ */
+export async function redirectCall(callSid, twiml) {
+  const client = initializeTwilio();
+
+  try {
+    callControlLogger.info('Redirecting call', { callSid });
+
+    const call = await client.calls(callSid).update({ twiml });
+
+    callControlLogger.info('Call redirected', { callSid, status: call.status });
+    return { callSid: call.sid, status: call.status };
+  } catch (error) {
+    callControlLogger.error('Error redirecting call', error, { callSid });
+    throw error;
+  }
+}
+
+/**
+ * Place an outbound call; Twilio asks the webhook what to do once it's answered
+ * @param {Object} options
+ * @param {string} options.to - Number to call (E.164)
+ * @param {string} options.from - Our Twilio number
+ * @param {string} options.url - Webhook returning the call's TwiML
+ * @param {string} options.machineDetection - Twilio answering machine detection
+ *   ('Enable' or 'DetectMessageEnd'); the webhook gets AnsweredBy
+ * @param {string} options.statusCallback - Webhook told how the call ended
+ *   (including busy and no-answer, when the call URL is never asked)
+ * @returns {Promise<Object>} { callSid, status }
+ */
+export async function placeCall({ to, from, url, machineDetection = null, statusCallback = null }) {
+  const client = initializeTwilio();
+
+  try {
+    callControlLogger.info('Placing call', { to, machineDetection });
+
+    const call = await client.calls.create({
+      to,
+      from,
+      url,
+      ...(machineDetection && { machineDetection }),
+      ...(statusCallback && { statusCallback }),
+    });
+
+    callControlLogger.info('Call placed', { callSid: call.sid, status: call.status });
+    return { callSid: call.sid, status: call.status };
+  } catch (error) {
+    callControlLogger.error('Error placing call', error, { to });
+    throw error;
+  }
+}
+
+export default {
+  placeCall,
+  redirectCall,
+};
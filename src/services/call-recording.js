@@ -0,0 +1,231 @@
+/**
+ * Call recording (CALL_RECORDING=true)
+ * Both legs of a call go into one two-channel WAV - the caller on the left,
+ * the agent on the right - lined up the way the caller heard it. The file is
+ * kept in recording storage (recording-storage.js), linked from
+ * call_logs.recording_url and deleted after CALL_RECORDING_RETENTION_DAYS.
+ *
+ * Callers are told first: the greeting includes CALL_RECORDING_CONSENT.
+ */
+
+import { logger } from '../utils/logger.js';
+import { FRAME_BYTES, MULAW_SILENCE, mulawToPcm, writeWav } from '../utils/audio.js';
+import { getRecordingStorage } from './recording-storage.js';
+import { getCallLogsWithExpiredRecordings, clearCallLogRecording } from '../db/queries.js';
+
+const recordingLogger = logger.child('CALL_RECORDING');
+
+const DEFAULT_CONSENT = 'This call is recorded for quality and training purposes.';
+const DEFAULT_RETENTION_DAYS = 90;
+
+const BYTES_PER_MS = 8; // 8kHz mu-law
+
+/**
+ * Byte offset of a point in the call, on a 20ms frame boundary (Twilio
+ * sends and plays audio in whole frames)
+ * @param {number} ms - Milliseconds since the call started
+ * @returns {number} Byte offset
+ */
+function frameOffset(ms) {
+  return Math.round(ms * BYTES_PER_MS / FRAME_BYTES) * FRAME_BYTES;
+}
+
+/**
+ * Whether calls are recorded (CALL_RECORDING)
+ * @returns {boolean}
+ */
+export function isCallRecordingEnabled() {
+  return process.env.CALL_RECORDING === 'true';
+}
+
+/**
+ * What the greeting tells callers about the recording (CALL_RECORDING_CONSENT)
+ * @returns {string} Consent line
+ */
+export function getConsentLine() {
+  return process.env.CALL_RECORDING_CONSENT || DEFAULT_CONSENT;
+}
+
+/**
+ * How long recordings are kept (CALL_RECORDING_RETENTION_DAYS, 0 keeps them forever)
+ * @returns {number} Days
+ */
+export function getRetentionDays() {
+  const days = Number(process.env.CALL_RECORDING_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Where a leg's audio ends
+ * @param {Array<{offset: number, audio: Buffer}>} segments - Placed audio
+ * @returns {number} Byte offset
+ */
+function endOf(segments) {
+  return segments.reduce((end, { offset, audio }) => Math.max(end, offset + audio.length), 0);
+}
+
+/**
+ * Both legs of one call, placed on a shared timeline
+ */
+export class CallRecording {
+  constructor() {
+    this.startedAt = Date.now();
+    this.inbound = []; // { offset (bytes), audio }
+    this.outbound = [];
+    this.playbackCursor = 0; // Where the agent's queued audio ends (bytes)
+  }
+
+  /**
+   * Where the call is now
+   * @returns {number} Byte offset
+   */
+  now() {
+    return frameOffset(Date.now() - this.startedAt);
+  }
+
+  /**
+   * Add the caller's audio
+   * @param {Buffer} audio - 8kHz mu-law from Twilio
+   * @param {number} timestampMs - Twilio's media timestamp (ms since the stream started)
+   */
+  addInbound(audio, timestampMs) {
+    const offset = Number.isFinite(timestampMs) ? frameOffset(timestampMs) : this.now();
+    this.inbound.push({ offset, audio });
+  }
+
+  /**
+   * Add audio sent to the caller - Twilio plays it back-to-back as it arrives
+   * @param {Buffer} audio - 8kHz mu-law
+   */
+  addOutbound(audio) {
+    const offset = Math.max(this.now(), this.playbackCursor);
+    this.outbound.push({ offset, audio });
+    this.playbackCursor = offset + audio.length;
+  }
+
+  /**
+   * Twilio was told to clear its buffer: the agent audio not yet played never was
+   */
+  clear() {
+    const now = this.now();
+
+    this.outbound = this.outbound
+      .filter(({ offset }) => offset < now)
+      .map(({ offset, audio }) => ({ offset, audio: audio.subarray(0, now - offset) }));
+    this.playbackCursor = now;
+  }
+
+  /**
+   * The call as a two-channel 16-bit WAV (left: caller, right: agent)
+   * @returns {Buffer} WAV file contents
+   */
+  toWav() {
+    const length = Math.max(endOf(this.inbound), endOf(this.outbound));
+    const legs = [this.inbound, this.outbound].map((segments) => {
+      const leg = Buffer.alloc(length, MULAW_SILENCE);
+      segments.forEach(({ offset, audio }) => audio.copy(leg, offset));
+      return leg;
+    });
+
+    const pcm = Buffer.alloc(length * 4);
+    for (let i = 0; i < length; i++) {
+      pcm.writeInt16LE(mulawToPcm(legs[0][i]), i * 4);
+      pcm.writeInt16LE(mulawToPcm(legs[1][i]), i * 4 + 2);
+    }
+
+    return writeWav(pcm, { format: 'pcm', channels: 2 });
+  }
+}
+
+/**
+ * Store a call's recording. Failures are logged, not thrown - the call log
+ * is still written, just without a recording.
+ * @param {string} callSid - Twilio call SID (the file name)
+ * @param {CallRecording} recording - The call's audio
+ * @returns {Promise<string|null>} Recording URL
+ */
+export async function saveCallRecording(callSid, recording) {
+  try {
+    const wav = recording.toWav();
+    const url = await getRecordingStorage().save(`${callSid.replace(/[^\w-]/g, '_')}.wav`, wav);
+
+    recordingLogger.info('Call recording saved', { callSid, url, bytes: wav.length });
+    return url;
+  } catch (error) {
+    recordingLogger.error('Failed to save call recording', error, { callSid });
+    return null;
+  }
+}
+
+/**
+ * Delete recordings older than the retention period and unlink them from
+ * their call logs. One that fails to delete stays linked and is retried
+ * next run.
+ * @param {Object} options
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Promise<Object>} { deleted, failed, total }
+ */
+export async function deleteExpiredRecordings({ now = new Date() } = {}) {
+  const days = getRetentionDays();
+  if (days === 0) return { deleted: 0, failed: 0, total: 0 };
+
+  try {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const callLogs = await getCallLogsWithExpiredRecordings(cutoff);
+    const storage = getRecordingStorage();
+
+    let deleted = 0;
+    let failed = 0;
+
+    for (const callLog of callLogs) {
+      try {
+        await storage.delete(callLog.recording_url);
+        await clearCallLogRecording(callLog.id);
+        deleted++;
+      } catch (error) {
+        failed++;
+        recordingLogger.error('Failed to delete call recording', error, {
+          callSid: callLog.twilio_call_sid,
+          url: callLog.recording_url,
+        });
+      }
+    }
+
+    if (callLogs.length > 0) {
+      recordingLogger.info('Expired call recordings deleted', { retentionDays: days, deleted, failed });
+    }
+
+    return { deleted, failed, total: callLogs.length };
+  } catch (error) {
+    recordingLogger.error('Error deleting expired call recordings', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the retention scheduler (runs every 6 hours)
+ */
+export function startRecordingRetentionScheduler() {
+  const intervalHours = 6;
+
+  recordingLogger.info('Starting call recording retention scheduler', {
+    intervalHours,
+    retentionDays: getRetentionDays(),
+  });
+
+  // Errors are logged by deleteExpiredRecordings; keep the timer alive
+  const run = () => deleteExpiredRecordings().catch(() => {});
+
+  run();
+  setInterval(run, intervalHours * 60 * 60 * 1000);
+}
+
+export default {
+  CallRecording,
+  deleteExpiredRecordings,
+  getConsentLine,
+  getRetentionDays,
+  isCallRecordingEnabled,
+  saveCallRecording,
+  startRecordingRetentionScheduler,
+};
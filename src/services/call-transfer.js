@@ -0,0 +1,233 @@
+/**
+ * Warm transfer to the front desk (the transfer_call tool)
+ * During staffed hours the agent says a handoff line, staff get a text
+ * summary of the conversation and the live call is redirected to
+ * TRANSFER_NUMBER - a phone number or a sip: URI. When nobody is there (out
+ * of hours, or nobody picks up) the caller leaves a message instead, and
+ * staff get a text linking the recording so they can call back.
+ *
+ * Staffed hours are TRANSFER_HOURS (weekly hours, the BUSINESS_SCHEDULE
+ * "weekly" shape) within the business schedule - by default, whenever the
+ * office is open.
+ */
+
+import twilio from 'twilio';
+import { logger } from '../utils/logger.js';
+import { getBusinessTimezone } from '../utils/timezone.js';
+import { publicUrl } from '../utils/public-url.js';
+import { getSchedule, isOpenFor, normalizeWeeklyHours } from './schedule.js';
+import { redirectCall } from './call-control.js';
+import { sendSms } from './sms.js';
+
+const transferLogger = logger.child('CALL_TRANSFER');
+
+const DEFAULT_RING_SECONDS = 20;
+const VOICEMAIL_MAX_SECONDS = 120;
+
+// Said by Twilio once the agent has left the call
+const NO_ANSWER_PROMPT = "Sorry, nobody is available to take your call. Please leave a message after the tone and we'll call you back.";
+const VOICEMAIL_THANKS = "Thanks, we've got your message and will call you back soon. Goodbye.";
+
+/**
+ * Where transfers go (TRANSFER_NUMBER: E.164 number or sip: URI)
+ * @returns {string|null} Target, or null when transfers aren't set up
+ */
+export function getTransferTarget() {
+  return process.env.TRANSFER_NUMBER?.trim() || null;
+}
+
+/**
+ * Who gets the text summaries (TRANSFER_SMS_NUMBER, else TRANSFER_NUMBER
+ * when that's a phone number)
+ * @returns {string|null} Phone number (E.164)
+ */
+export function getStaffSmsNumber() {
+  const target = getTransferTarget();
+  return process.env.TRANSFER_SMS_NUMBER?.trim() || (target && !target.startsWith('sip:') ? target : null);
+}
+
+/**
+ * How long staff phones ring before the caller goes to voicemail (TRANSFER_RING_SECONDS)
+ * @returns {number} Seconds
+ */
+export function getRingSeconds() {
+  const seconds = Number(process.env.TRANSFER_RING_SECONDS ?? DEFAULT_RING_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_RING_SECONDS;
+}
+
+/**
+ * Staffed weekly hours (TRANSFER_HOURS), or null for the business hours
+ * Invalid configuration throws, like BUSINESS_SCHEDULE
+ * @returns {Object|null} Normalized weekly hours
+ */
+export function getTransferHours() {
+  if (!process.env.TRANSFER_HOURS) return null;
+  return normalizeWeeklyHours(JSON.parse(process.env.TRANSFER_HOURS), 'TRANSFER_HOURS');
+}
+
+/**
+ * Whether a call can be put through to a person right now
+ * @param {Date} now - Current time (for testing)
+ * @returns {boolean} True if a target is set and it's within staffed hours
+ */
+export function isTransferAvailable(now = new Date()) {
+  if (!getTransferTarget()) return false;
+  return isOpenFor(now, 1, getSchedule(), getBusinessTimezone(), getTransferHours());
+}
+
+/**
+ * TwiML ringing the front desk; if nobody answers, Twilio asks
+ * /api/twilio/transfer-status what to do next
+ * @param {string} target - Phone number or sip: URI
+ * @returns {string} TwiML
+ */
+export function buildTransferTwiml(target) {
+  const response = new twilio.twiml.VoiceResponse();
+  const dial = response.dial({
+    action: publicUrl('/api/twilio/transfer-status'),
+    timeout: getRingSeconds(),
+  });
+
+  if (target.startsWith('sip:')) {
+    dial.sip(target);
+  } else {
+    dial.number(target);
+  }
+
+  return response.toString();
+}
+
+/**
+ * TwiML recording a message for a callback; the recording goes to
+ * /api/twilio/voicemail
+ * @param {Object} options
+ * @param {string|null} options.prompt - Said first (the agent may already have said it)
+ * @returns {string} TwiML
+ */
+export function buildVoicemailTwiml({ prompt = null } = {}) {
+  const response = new twilio.twiml.VoiceResponse();
+  if (prompt) response.say(prompt);
+  response.record({
+    action: publicUrl('/api/twilio/voicemail'),
+    maxLength: VOICEMAIL_MAX_SECONDS,
+    playBeep: true,
+  });
+  response.hangup();
+  return response.toString();
+}
+
+/**
+ * TwiML for a caller whose transfer wasn't answered
+ * @returns {string} TwiML
+ */
+export function buildNoAnswerTwiml() {
+  return buildVoicemailTwiml({ prompt: NO_ANSWER_PROMPT });
+}
+
+/**
+ * TwiML ending the call once a message is recorded
+ * @returns {string} TwiML
+ */
+export function buildVoicemailThanksTwiml() {
+  const response = new twilio.twiml.VoiceResponse();
+  response.say(VOICEMAIL_THANKS);
+  response.hangup();
+  return response.toString();
+}
+
+/**
+ * Text staff, if anyone is set up to receive it. Failures are logged, not
+ * thrown - the caller still gets through.
+ * @param {string} body - Message text
+ * @returns {Promise<boolean>} True if sent
+ */
+async function textStaff(body) {
+  const to = getStaffSmsNumber();
+  if (!to) return false;
+
+  try {
+    await sendSms(to, body);
+    return true;
+  } catch (error) {
+    transferLogger.error('Failed to text staff', error, { to });
+    return false;
+  }
+}
+
+/**
+ * Text summary of a call being handed over
+ * @param {Object} details
+ * @param {string} details.callerPhone - Caller's number
+ * @param {string} details.reason - Why they need a person
+ * @param {string} details.summary - The conversation so far
+ * @param {Object} details.appointmentData - Details collected on the call
+ * @param {boolean} details.voicemail - Nobody's available; they're leaving a message
+ * @returns {string} Message text
+ */
+export function formatTransferSummary({ callerPhone, reason, summary, appointmentData = {}, voicemail = false }) {
+  const caller = appointmentData.callerName ? `${appointmentData.callerName} (${callerPhone})` : callerPhone;
+  const lines = [
+    voicemail ? `${caller} is leaving a voicemail - nobody was available to take the call` : `Transferring ${caller} to you now`,
+    `Reason: ${reason}`,
+    `Summary: ${summary}`,
+  ];
+  if (appointmentData.appointmentBooked) lines.push('Booked an appointment on this call');
+  return lines.join('\n');
+}
+
+/**
+ * Hand a live call over: text staff the summary, then redirect the call to
+ * the front desk, or to voicemail when nobody's available
+ * @param {Object} options
+ * @param {string} options.callSid - Twilio call SID
+ * @param {string} options.callerPhone - Caller's number
+ * @param {string} options.reason - Why they need a person
+ * @param {string} options.summary - The conversation so far
+ * @param {Object} options.appointmentData - Details collected on the call
+ * @param {boolean} options.voicemail - Send the caller straight to voicemail
+ * @returns {Promise<{target: string|null, voicemail: boolean}>} Where the call went
+ */
+export async function transferCall({ callSid, callerPhone, reason, summary, appointmentData = {}, voicemail = false }) {
+  const target = voicemail ? null : getTransferTarget();
+  const toVoicemail = !target;
+
+  try {
+    transferLogger.info('Transferring call', { callSid, target, voicemail: toVoicemail, reason });
+
+    await textStaff(formatTransferSummary({ callerPhone, reason, summary, appointmentData, voicemail: toVoicemail }));
+    await redirectCall(callSid, toVoicemail ? buildVoicemailTwiml() : buildTransferTwiml(target));
+
+    return { target, voicemail: toVoicemail };
+  } catch (error) {
+    transferLogger.error('Error transferring call', error, { callSid, target });
+    throw error;
+  }
+}
+
+/**
+ * Let staff know a message was left
+ * @param {Object} details
+ * @param {string} details.callerPhone - Caller's number
+ * @param {string} details.recordingUrl - Twilio recording URL
+ * @param {number} details.durationSeconds - Message length
+ * @returns {Promise<boolean>} True if texted
+ */
+export async function sendVoicemailNotice({ callerPhone, recordingUrl, durationSeconds }) {
+  const length = Number.isFinite(durationSeconds) ? ` (${durationSeconds}s)` : '';
+  return textStaff(`New voicemail from ${callerPhone}${length} - please call back: ${recordingUrl}`);
+}
+
+export default {
+  buildNoAnswerTwiml,
+  buildTransferTwiml,
+  buildVoicemailThanksTwiml,
+  buildVoicemailTwiml,
+  formatTransferSummary,
+  getRingSeconds,
+  getStaffSmsNumber,
+  getTransferHours,
+  getTransferTarget,
+  isTransferAvailable,
+  sendVoicemailNotice,
+  transferCall,
+};
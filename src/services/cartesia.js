@@ -30,6 +30,9 @@ export class CartesiaService {
     this.ttsQueue = [];
     this.isProcessingQueue = false;
 
+    // In-flight TTS context (so it can be cancelled on barge-in)
+    this.activeContext = null;
+
     cartesiaLogger.info('Cartesia service initialized (Direct WebSocket)');
   }
 
@@ -60,6 +63,31 @@ export class CartesiaService {
     });
   }
 
+  /**
+   * Add a streamed TTS request to the queue
+   * Text segments (e.g. sentences from a streaming LLM) are sent as continuations
+   * on a single Cartesia context so prosody flows across them
+   * @param {AsyncIterable<string>} segments - Text segments, ending when the response is complete
+   * @param {Function} onAudioChunk - Callback for each audio chunk
+   * @returns {Promise<void>}
+   */
+  async queueSpeakStream(segments, onAudioChunk) {
+    return new Promise((resolve, reject) => {
+      this.ttsQueue.push({
+        segments,
+        onAudioChunk,
+        resolve,
+        reject,
+      });
+
+      cartesiaLogger.debug('Streaming TTS request queued', {
+        queueLength: this.ttsQueue.length,
+      });
+
+      this.processQueue();
+    });
+  }
+
   /**
    * Process TTS queue sequentially
    */
@@ -76,11 +104,16 @@ export class CartesiaService {
 
       cartesiaLogger.debug('Processing TTS request from queue', {
         remainingInQueue: this.ttsQueue.length,
-        textLength: request.text.length,
+        streaming: !!request.segments,
+        textLength: request.text?.length,
       });
 
       try {
-        await this.speakTextWithRetry(request.text, request.onAudioChunk);
+        if (request.segments) {
+          await this.speakStream(request.segments, request.onAudioChunk);
+        } else {
+          await this.speakTextWithRetry(request.text, request.onAudioChunk);
+        }
         request.resolve();
       } catch (error) {
         request.reject(error);
@@ -90,6 +123,43 @@ export class CartesiaService {
     this.isProcessingQueue = false;
   }
 
+  /**
+   * Cancel all pending and in-flight TTS (caller barge-in)
+   * Queued requests and the in-flight request resolve without playing further audio
+   * @returns {string|null} Context ID that was cancelled, if any
+   */
+  cancel() {
+    const dropped = this.ttsQueue.splice(0, this.ttsQueue.length);
+    for (const request of dropped) {
+      request.resolve();
+    }
+
+    const active = this.activeContext;
+    if (!active) {
+      cartesiaLogger.debug('Cancel requested with no active TTS context', {
+        droppedFromQueue: dropped.length,
+      });
+      return null;
+    }
+
+    // Tell Cartesia to stop generating for this context
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      this.websocket.send(JSON.stringify({
+        context_id: active.contextId,
+        cancel: true,
+      }));
+    }
+
+    active.cancel();
+
+    cartesiaLogger.info('🛑 TTS CANCELLED', {
+      contextId: active.contextId,
+      droppedFromQueue: dropped.length,
+    });
+
+    return active.contextId;
+  }
+
   /**
    * Initialize WebSocket connection to Cartesia
    * @param {string} voiceId - Voice ID to use (null = default)
@@ -222,6 +292,11 @@ export class CartesiaService {
         try {
           const message = JSON.parse(data.toString());
 
+          // Ignore late messages from other (e.g. cancelled) contexts
+          if (message.context_id && message.context_id !== contextId) {
+            return;
+          }
+
           if (message.type === 'chunk') {
             if (chunkCount === 0) {
               clearTimeout(warningTimeout);
@@ -303,6 +378,20 @@ export class CartesiaService {
       const cleanup = () => {
         this.websocket.removeListener('message', onMessage);
         this.websocket.removeListener('error', onError);
+        if (this.activeContext?.contextId === contextId) {
+          this.activeContext = null;
+        }
+      };
+
+      // Register as the in-flight context so cancel() can stop it
+      this.activeContext = {
+        contextId,
+        cancel: () => {
+          clearTimeout(warningTimeout);
+          clearTimeout(hardTimeout);
+          cleanup();
+          resolve();
+        },
       };
 
       // Attach handlers
@@ -316,6 +405,187 @@ export class CartesiaService {
     });
   }
 
+  /**
+   * Generate speech from streamed text segments on one context (continuations)
+   * No retry: segments are consumed as they arrive and can't be replayed
+   * @param {AsyncIterable<string>} segments - Text segments to speak in order
+   * @param {Function} onAudioChunk - Callback for each audio chunk (receives Buffer)
+   * @returns {Promise<void>} Resolves when all audio for the context is received
+   */
+  async speakStream(segments, onAudioChunk) {
+    if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected - call connect() first');
+    }
+
+    const startTime = Date.now();
+    let chunkCount = 0;
+    let totalBytes = 0;
+    let firstChunkTime = null;
+    let segmentCount = 0;
+    let textLength = 0;
+    let finished = false;
+    let hardTimeout = null;
+
+    this.contextCounter++;
+    const contextId = `tts-${Date.now()}-${this.contextCounter}`;
+
+    const buildRequest = (transcript, cont) => ({
+      context_id: contextId,
+      model_id: 'sonic-3',
+      voice: {
+        mode: 'id',
+        id: this.currentVoiceId,
+      },
+      transcript,
+      continue: cont,
+      language: 'en',
+      output_format: {
+        container: 'raw',
+        encoding: 'pcm_mulaw',
+        sample_rate: 8000,
+      },
+    });
+
+    let resolveDone;
+    let rejectDone;
+    const done = new Promise((resolve, reject) => {
+      resolveDone = resolve;
+      rejectDone = reject;
+    });
+
+    const onMessage = (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+
+        if (message.context_id && message.context_id !== contextId) {
+          return;
+        }
+
+        if (message.type === 'chunk') {
+          if (chunkCount === 0) {
+            firstChunkTime = Date.now();
+            clearTimeout(hardTimeout);
+
+            cartesiaLogger.info('🎵 TTS FIRST CHUNK (TTFB, streaming)', {
+              contextId,
+              ttfb: `${firstChunkTime - startTime}ms`,
+            });
+          }
+
+          chunkCount++;
+          const audioBuffer = Buffer.from(message.data, 'base64');
+          totalBytes += audioBuffer.length;
+          onAudioChunk(audioBuffer);
+        } else if (message.type === 'done') {
+          cartesiaLogger.info('✅ TTS STREAMING COMPLETE (continuations)', {
+            contextId,
+            segments: segmentCount,
+            textLength,
+            chunks: chunkCount,
+            totalBytes,
+            audioSeconds: (totalBytes / 8000).toFixed(1),
+            ttfb: firstChunkTime ? `${firstChunkTime - startTime}ms` : 'N/A',
+            totalLatency: `${Date.now() - startTime}ms`,
+          });
+
+          this.lastActivity = Date.now();
+          finish();
+          resolveDone();
+        } else if (message.type === 'error') {
+          cartesiaLogger.error('❌ Cartesia error message', {
+            contextId,
+            error: message.error,
+            statusCode: message.status_code,
+          });
+          finish();
+          rejectDone(new Error(`Cartesia error: ${message.error}`));
+        }
+      } catch (parseError) {
+        cartesiaLogger.error('Failed to parse WebSocket message', parseError);
+      }
+    };
+
+    const onError = (error) => {
+      cartesiaLogger.error('❌ WebSocket error during streaming TTS', error);
+      finish();
+      rejectDone(error);
+    };
+
+    const finish = () => {
+      finished = true;
+      clearTimeout(hardTimeout);
+      this.websocket?.removeListener('message', onMessage);
+      this.websocket?.removeListener('error', onError);
+      if (this.activeContext?.contextId === contextId) {
+        this.activeContext = null;
+      }
+    };
+
+    this.activeContext = {
+      contextId,
+      cancel: () => {
+        finish();
+        resolveDone();
+      },
+    };
+
+    this.websocket.on('message', onMessage);
+    this.websocket.on('error', onError);
+
+    // Feed segments in the background so a cancel() releases the queue immediately,
+    // even while we're still waiting on the LLM for the next sentence
+    const feed = async () => {
+      for await (const segment of segments) {
+        if (finished) return;
+
+        segmentCount++;
+        textLength += segment.length;
+
+        cartesiaLogger.debug('🔊 Sending TTS continuation', {
+          contextId,
+          segment: segmentCount,
+          text: segment.substring(0, 100) + (segment.length > 100 ? '...' : ''),
+        });
+
+        // Trailing space so continuations join into natural speech
+        this.websocket.send(JSON.stringify(buildRequest(`${segment} `, true)));
+        this.lastActivity = Date.now();
+
+        if (segmentCount === 1) {
+          hardTimeout = setTimeout(() => {
+            if (chunkCount === 0 && !finished) {
+              cartesiaLogger.error('❌ TIMEOUT: No chunks after 10 seconds (streaming)', {
+                contextId,
+              });
+              finish();
+              rejectDone(new Error('TTS timeout: No audio chunks received after 10000ms (streaming)'));
+            }
+          }, 10000);
+        }
+      }
+
+      if (finished) return;
+
+      if (segmentCount === 0) {
+        // Nothing to say - close out without opening a context on Cartesia
+        finish();
+        resolveDone();
+        return;
+      }
+
+      // Close the context so Cartesia flushes remaining audio and sends 'done'
+      this.websocket.send(JSON.stringify(buildRequest('', false)));
+    };
+
+    feed().catch((error) => {
+      cartesiaLogger.error('❌ Error feeding streamed TTS segments', error);
+      finish();
+      rejectDone(error);
+    });
+
+    return done;
+  }
+
   /**
    * Speak text with automatic retry on failure
    * If TTS times out, reconnects WebSocket and tries once more
@@ -0,0 +1,1387 @@
+/**
+ * Booking conversation shared by every channel
+ * Holds the LLM history and the details collected so far, runs the
+ * appointment tools, and drives the two-stage (tools, then natural reply)
+ * LLM loop, whole replies at a time (respond) or streamed sentence by
+ * sentence for speech (respondStream). Voice (twilio-handler.js) and SMS (sms-conversation.js) only
+ * differ in how replies reach the patient and how a conversation ends.
+ */
+
+import { APPOINTMENT_BOOKING_PROMPT } from '../prompts/appointment-booking.js';
+import { APPOINTMENT_TOOLS } from '../prompts/appointment-tools.js';
+import { getAvailableSlots, findAssignment, verifyAssignment } from './availability.js';
+import { holdAssignment, heldByOthers, releaseHolds } from './slot-holds.js';
+import {
+  bookCalendarEvents,
+  undoCalendarEvents,
+  cancelCalendarEvents,
+  moveCalendarEvents,
+  undoCalendarMove,
+  removeReplacedEvents,
+} from './booking.js';
+import { getProviders, getProvider, providersForService, formatProviders } from './providers.js';
+import { getOpenHours, isOpenFor, formatOfficeHours } from './schedule.js';
+import {
+  getServiceCatalog,
+  getService,
+  getBookingWindow,
+  checkBookingWindow,
+  formatServiceCatalog,
+} from './service-catalog.js';
+import { sendAppointmentConfirmation, sendCancellationConfirmation, sendRescheduleConfirmation } from './sms.js';
+import { isTransferAvailable } from './call-transfer.js';
+import { MESSAGE_URGENCIES, takeMessage } from './staff-messages.js';
+import { scheduleReminders } from './reminder-jobs.js';
+import {
+  createAppointment as createDbAppointment,
+  getAppointmentByIdempotencyKey,
+  getUpcomingAppointments,
+  updateAppointmentStatus,
+  updateAppointmentTime,
+  markSmsSent,
+  markAppointmentConfirmed,
+  setReminderPreference,
+} from '../db/queries.js';
+import { LLMRouter } from './llm-router.js';
+import {
+  inferTimezone,
+  offsetMinutesForZone,
+  zonedTimeToUtc,
+  formatDateInZone,
+  formatTimeInZone,
+  formatSpokenTime,
+  getBusinessTimezone,
+} from '../utils/timezone.js';
+import { SentenceChunker } from '../utils/speech-stream.js';
+import { logger } from '../utils/logger.js';
+
+const conversationLogger = logger.child('CONVERSATION');
+
+// Texting has no caller clock to ask about - every time is office time - and no call to transfer
+const VOICE_ONLY_TOOLS = ['set_caller_timezone', 'transfer_call'];
+const SMS_TOOLS = APPOINTMENT_TOOLS.filter((tool) => !VOICE_ONLY_TOOLS.includes(tool.function.name));
+
+// How a patient can get their appointment reminders (create_appointment's reminderChannel)
+export const REMINDER_CHANNELS = ['sms', 'call'];
+
+/**
+ * Tool result for a serviceType the catalog doesn't know
+ * @param {string} serviceType - Service ID supplied by the LLM
+ * @returns {Object} Tool result listing the valid IDs
+ */
+function unknownServiceResult(serviceType) {
+  const validIds = getServiceCatalog().map((s) => `"${s.id}"`).join(', ');
+  return {
+    success: false,
+    message: `Unknown serviceType "${serviceType}". Use one of: ${validIds}.`
+  };
+}
+
+/**
+ * Tool result for a start time outside a service's booking window
+ * @param {Object} service - Service from the catalog
+ * @param {string} problem - 'too_soon' or 'too_far' (from checkBookingWindow)
+ * @returns {Object} Tool result telling the LLM the earliest/latest bookable time
+ */
+function bookingWindowResult(service, problem) {
+  const { earliest, latest } = getBookingWindow(service);
+  const timezone = getBusinessTimezone();
+
+  return {
+    success: false,
+    available: false,
+    reason: problem,
+    message: problem === 'too_soon'
+      ? `${service.name} needs more notice. The earliest it can be booked is ${formatDateInZone(earliest, timezone)} at ${formatSpokenTime(earliest, timezone)} office time.`
+      : `${service.name} can only be booked up to ${service.maxAdvanceDays} days ahead (through ${formatDateInZone(latest, timezone)}).`
+  };
+}
+
+/**
+ * Tool result for a time another caller booked or is holding
+ * @param {string} date - Requested date (YYYY-MM-DD)
+ * @param {string} time - Requested time (HH:MM)
+ * @param {Object} provider - Requested provider, if any
+ * @returns {Object} Tool result telling the agent to offer alternatives
+ */
+function slotTakenResult(date, time, provider) {
+  return {
+    success: false,
+    available: false,
+    justTaken: true,
+    message: `Sorry, ${time} on ${date} was just taken${provider ? ` with ${provider.name}` : ''}. Apologize briefly, call get_available_slots for that day, and offer the caller 2-3 nearby alternatives.`
+  };
+}
+
+/**
+ * Resolve the provider a caller asked for
+ * Empty or "anyone" means any qualified provider
+ * @param {string} providerId - Provider ID or name from the LLM
+ * @param {Object} service - Service from the catalog
+ * @returns {{provider: Object|null, error: Object|null}} Provider (null = anyone), or a tool result to return
+ */
+function resolveProvider(providerId, service) {
+  if (!providerId || /^(any|anyone|no preference)$/i.test(String(providerId).trim())) {
+    return { provider: null, error: null };
+  }
+
+  const provider = getProvider(providerId);
+  if (!provider) {
+    const known = getProviders().map((p) => `${p.name} ("${p.id}")`).join(', ');
+    return {
+      provider: null,
+      error: { success: false, message: `Unknown provider "${providerId}". Providers are: ${known}.` }
+    };
+  }
+
+  if (!providersForService(service.id).includes(provider)) {
+    const qualified = providersForService(service.id).map((p) => p.name).join(', ') || 'nobody';
+    return {
+      provider: null,
+      error: {
+        success: false,
+        message: `${provider.name} doesn't do ${service.name.toLowerCase()} appointments. Offered by: ${qualified}.`
+      }
+    };
+  }
+
+  return { provider, error: null };
+}
+
+/**
+ * Format phone number for natural speech
+ * Converts +15551234567 to (555) 123-4567 so TTS reads it naturally
+ * @param {string} phoneNumber - E.164 format phone number
+ * @returns {string} Formatted phone number for speech
+ */
+export function formatPhoneForSpeech(phoneNumber) {
+  // Remove +1 country code for US numbers
+  let digits = phoneNumber.replace(/^\+1/, '').replace(/\D/g, '');
+
+  if (digits.length === 10) {
+    // Format as (555) 123-4567
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+
+  // For non-US numbers, just remove the + so it doesn't say "plus"
+  return phoneNumber.replace('+', '');
+}
+
+/**
+ * Turn a callback number the caller gave into E.164
+ * US numbers may come with or without the country code; anything else needs its +
+ * @param {string} value - Number as the LLM passed it (e.g. "(555) 123-4567")
+ * @returns {string|null} E.164 number, or null if it doesn't look like one
+ */
+function toCallbackPhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+
+  if (String(value || '').trim().startsWith('+') && digits.length >= 8) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+/**
+ * Strip function call syntax from LLM response
+ * Removes <function=...>...</function> tags and echoed barge-in markers that should not be spoken
+ */
+export function stripFunctionCalls(text) {
+  // Remove function call syntax: <function=name>{...}</function>
+  return text
+    .replace(/<function=[^>]+>.*?<\/function>/g, '')
+    .replace(/\[interrupted by caller[^\]]*\]/g, '')
+    .trim();
+}
+
+/**
+ * Explain the office's hours on a date, for tool results that come back empty
+ * @param {string} date - Office-local date (YYYY-MM-DD)
+ * @param {Date} startTime - Requested start (optional; only mentions hours if it falls outside them)
+ * @param {number} duration - Requested length in minutes
+ * @returns {string} Sentence with a leading space, or '' when nothing useful to add
+ */
+function describeOfficeHours(date, startTime = null, duration = 30) {
+  if (startTime && isOpenFor(startTime, duration)) return '';
+
+  const { ranges, closedReason } = getOpenHours(date);
+  if (ranges.length === 0) {
+    return ` The office is closed that day${closedReason ? ` (${closedReason})` : ''}.`;
+  }
+
+  const hours = ranges.map((r) => `${r.start}-${r.end}`).join(', ');
+  return ` Office hours that day are ${hours}${closedReason ? ` (${closedReason})` : ''}.`;
+}
+
+/**
+ * Describe a stored appointment for the LLM (no internal fields beyond the ID)
+ * @param {Object} appointment - Appointment row from the database
+ * @returns {Object} Appointment summary with spoken-friendly date and time
+ */
+export function describeAppointment(appointment) {
+  const apptDate = new Date(appointment.appointment_time);
+  const timeZone = getBusinessTimezone();
+
+  return {
+    appointmentId: appointment.id,
+    date: apptDate.toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      timeZone,
+    }),
+    time: apptDate.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone,
+    }),
+    reason: appointment.reason,
+    provider: getProvider(appointment.provider_id)?.name || null,
+  };
+}
+
+/**
+ * Tool result for a create_appointment retry whose booking already exists
+ * @param {Object} appointment - Appointment row created by the first attempt
+ * @returns {Object} Success result telling the agent not to book again
+ */
+function alreadyBookedResult(appointment) {
+  const { date, time, provider } = describeAppointment(appointment);
+
+  return {
+    success: true,
+    alreadyBooked: true,
+    appointmentId: appointment.id,
+    appointmentTime: new Date(appointment.appointment_time).toISOString(),
+    provider,
+    message: `This appointment is already booked for ${appointment.caller_name} on ${date} at ${time}${provider ? ` with ${provider}` : ''}. Don't book it again - just confirm it with the caller.`
+  };
+}
+
+/**
+ * Build the system prompt for a conversation
+ * Office hours, services and providers come from the same configuration that
+ * drives slot generation; the channel adds its own instructions at the end
+ * @param {Object} options
+ * @param {string} options.channel - 'voice' or 'sms'
+ * @param {string} options.callerPhone - Patient's phone number (E.164)
+ * @param {Object} options.reminder - Appointment row, when we called to remind the patient about it
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt({ channel = 'voice', callerPhone, reminder = null }) {
+  const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
+  const formattedPhone = formatPhoneForSpeech(callerPhone || '');
+
+  // Get current date in readable format (e.g., "Tuesday, November 26, 2025")
+  // in the office's timezone, not the server's (Fly machines run on UTC)
+  const currentDate = new Date().toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: getBusinessTimezone()
+  });
+
+  const prompt = APPOINTMENT_BOOKING_PROMPT
+    .replace('{{CURRENT_DATE}}', currentDate)
+    .replace('{{OFFICE_HOURS}}', formatOfficeHours())
+    .replace('{{SERVICES}}', formatServiceCatalog())
+    .replace('{{PROVIDERS}}', formatProviders());
+
+  if (channel === 'sms') {
+    return `${prompt}
+
+## This Conversation Is By Text Message:
+- Business Name: ${businessName}
+- Patient's Phone Number: ${formattedPhone}
+
+The patient is texting, not calling. Everything above about the call still applies, except:
+- The patient texted first and hasn't been greeted - open with a short hello
+- Ignore instructions about speaking, pauses and reading numbers aloud
+- Keep every reply short: one to three sentences, plain text, no markdown or lists
+- Don't ask what time it is for them - all times are office time, so say "office time" if it could be unclear
+- Don't ask them to confirm their phone number - replies and confirmations go to the number they're texting from
+- You can't transfer a text to a person - if they need one, say the office will call them back
+- When the conversation is done, call end_call_with_confirmation to close it`;
+  }
+
+  return `${prompt}
+
+## Current Call Information:
+- Business Name: ${businessName}
+- Caller's Phone Number: ${formattedPhone}
+
+When confirming the phone number, use this exact pattern:
+1. Say "Is ${formattedPhone}..."
+2. PAUSE for half a second (add ellipsis or comma for natural pause)
+3. Then continue: "...the best number to reach you?"
+
+This gives the caller time to process the number. Example: "Is (555) 123-4567... the best number to reach you?"
+
+## Keypad:
+The caller can also press keys on their phone. A turn like "[Keypad: 5551234567]" is keys they pressed, not speech (the # that ends an entry isn't shown).
+- "[Keypad: 0]" means they want a person - call transfer_call with the reason "Pressed 0 for a person"
+- When you confirm the details before booking, end with "Say yes or press 1 to confirm." "[Keypad: 1]" means yes - book it. "[Keypad: 2]" means no - ask what to change
+- If you've misheard a phone number or date of birth twice, ask them to type it on the keypad and press pound: a phone number as ten digits, a date of birth as month, day and year (MMDDYYYY). Read it back once
+- Any other keys: treat them as the answer to your last question if they fit, otherwise ask what they meant${reminder ? describeReminderCall(reminder) : ''}`;
+}
+
+/**
+ * Prompt section for a reminder call (reminder-calls.js): we called the
+ * patient, already greeted them with the appointment and asked if they can make it
+ * @param {Object} appointment - Appointment row being reminded about
+ * @returns {string} Prompt section with a leading blank line
+ */
+function describeReminderCall(appointment) {
+  const { appointmentId, date, time, reason, provider } = describeAppointment(appointment);
+
+  return `
+
+## This Is A Reminder Call:
+You called the patient - they didn't call you. You've already greeted them, reminded them about this appointment and asked if they can make it:
+- Appointment ID: ${appointmentId}
+- Patient: ${appointment.caller_name}
+- When: ${date} at ${time}
+- For: ${reason}${provider ? `\n- With: ${provider}` : ''}
+
+Their answer decides what happens (use this appointmentId; no need for find_upcoming_appointments):
+- They'll be there: call confirm_appointment, thank them and say goodbye
+- They can't come: confirm once that they want to cancel, then call cancel_appointment
+- They'd like another time: reschedule it as in the Cancel / Reschedule Flow
+- Someone else answered: ask them to pass the reminder on, then say goodbye
+When you're done, call end_call_with_confirmation with appointmentBooked false (unless they booked something new).`;
+}
+
+/**
+ * Details collected during a conversation, before anything is known
+ * @returns {Object} Empty appointment data
+ */
+export function emptyAppointmentData() {
+  return {
+    callerName: null,
+    callerPhone: null,
+    preferredDate: null,
+    preferredTime: null,
+    reason: null,
+    notes: null,
+    appointmentBooked: false,
+    appointmentId: null,
+    googleCalendarEventId: null,
+    timezone: null, // IANA timezone string (e.g., "America/Denver")
+    timezoneOffset: null, // Offset in hours from UTC (e.g., -8 for PST)
+    callerLocalTime: null, // Caller's current local time
+  };
+}
+
+/**
+ * One patient's booking conversation
+ */
+export class Conversation {
+  /**
+   * @param {Object} options
+   * @param {string} options.sessionId - Call SID or SMS session ID; holds and idempotency keys use it
+   * @param {string} options.callerPhone - Patient's phone number; appointments are looked up by it
+   * @param {string} options.channel - 'voice' or 'sms'
+   * @param {LLMRouter} options.llmRouter - Router to use (a new one by default)
+   * @param {Array} options.messages - LLM history to continue (a system prompt is added when empty)
+   * @param {Object} options.appointmentData - Details collected so far
+   * @param {Function} options.onEnd - Called with the end_call_with_confirmation arguments
+   * @param {Function} options.onTransfer - Called with { reason, summary, voicemail } when transfer_call hands the caller over
+   * @param {Function} options.onToolResult - Called with (toolCall, result, durationMs) after each tool runs
+   * @param {Object} options.reminder - Appointment row, when this is a reminder call about it
+   */
+  constructor({
+    sessionId,
+    callerPhone,
+    channel = 'voice',
+    llmRouter = null,
+    messages = [],
+    appointmentData = null,
+    onEnd = null,
+    onTransfer = null,
+    onToolResult = null,
+    reminder = null,
+  }) {
+    this.sessionId = sessionId;
+    this.callerPhone = callerPhone;
+    this.channel = channel;
+    this.llmRouter = llmRouter || new LLMRouter();
+    this.tools = channel === 'sms' ? SMS_TOOLS : APPOINTMENT_TOOLS;
+    this.messages = messages;
+    this.appointmentData = { ...emptyAppointmentData(), ...appointmentData };
+    this.onEnd = onEnd;
+    this.onTransfer = onTransfer;
+    this.onToolResult = onToolResult;
+    this.ended = false;
+    this.takenMessages = []; // IDs of messages saved with take_message
+    this.reminder = reminder;
+    this.reminderResult = null; // confirmed, cancelled or rescheduled, once the patient answers the reminder
+
+    // Metrics
+    this.llmCalls = 0;
+    this.totalLatency = 0;
+    this.totalCost = 0;
+    this.primaryProvider = null;
+
+    if (this.messages.length === 0) {
+      this.messages.push({
+        role: 'system',
+        content: buildSystemPrompt({ channel, callerPhone, reminder }),
+      });
+    }
+  }
+
+  /**
+   * Add an LLM response to the conversation's metrics
+   * @param {Object} response - Response (or streamed 'done' event) from LLMRouter
+   * @param {Object} options - { followUp } true for the reply after tool results
+   */
+  recordLlmCall(response, { followUp = false } = {}) {
+    this.llmCalls++;
+    this.totalLatency += response.latency;
+    this.totalCost += response.cost;
+    if (!followUp) this.primaryProvider = response.provider;
+  }
+
+  /**
+   * Answer the latest user message: one LLM call, and when it asks for tools,
+   * run them and make a second call for the natural language reply
+   * @param {Object} options
+   * @param {Function} options.onReply - async (text, message, { interim }) called for
+   *   each reply to deliver; interim is true for text said before tools run
+   *   ("Let me check..."). message is the history entry holding the text.
+   * @returns {Promise<Object>} { response, finalResponse, toolsExecuted } -
+   *   finalResponse is null when no tools ran
+   */
+  async respond({ onReply = async () => {} } = {}) {
+    // All calls use appointment booking tools
+    const response = await this.llmRouter.chat(this.messages, this.sessionId, this.tools);
+    this.recordLlmCall(response);
+
+    conversationLogger.debug('🤖 LLM RAW RESPONSE', {
+      sessionId: this.sessionId,
+      channel: this.channel,
+      provider: response.provider,
+      hasContent: !!response.content,
+      hasToolCalls: !!(response.toolCalls && response.toolCalls.length > 0),
+      toolCallCount: response.toolCalls?.length || 0,
+      contentLength: response.content?.length || 0,
+      rawContent: response.content || '(no content)',
+      tokens: response.tokens,
+      latency: `${response.latency}ms`,
+      cost: `$${response.cost.toFixed(6)}`,
+    });
+
+    // TWO-STAGE RESPONSE PATTERN
+    // Check for tool calls FIRST - execute silently, then get natural response
+    if (response.toolCalls && response.toolCalls.length > 0) {
+      conversationLogger.info('🔧 TOOL CALLS DETECTED', {
+        sessionId: this.sessionId,
+        toolCount: response.toolCalls.length,
+        tools: response.toolCalls.map(tc => tc.function.name),
+        hasContentToo: !!response.content, // Check if LLM provided BOTH content and tool_calls
+      });
+
+      const toolCallMessage = {
+        role: 'assistant',
+        content: response.content || null,
+        tool_calls: response.toolCalls,
+      };
+
+      // If LLM provided content along with tool_calls (e.g., "Let me check..."), deliver it FIRST
+      // This prevents awkward silence while tools execute
+      if (response.content && response.content.trim().length > 0) {
+        await onReply(stripFunctionCalls(response.content), toolCallMessage, { interim: true });
+      }
+
+      // Add assistant's tool call message to history
+      // Include the content if it was provided (API allows both content + tool_calls)
+      this.messages.push(toolCallMessage);
+
+      // Execute each tool SILENTLY and collect results
+      await this.runToolCalls(response.toolCalls);
+
+      // SECOND API CALL - Get natural language response after tool execution
+      const finalResponse = await this.llmRouter.chatWithToolResults(this.messages, this.sessionId);
+      this.recordLlmCall(finalResponse, { followUp: true });
+
+      conversationLogger.debug('🤖 FOLLOW-UP RESPONSE (after tools)', {
+        sessionId: this.sessionId,
+        hasContent: !!finalResponse.content,
+        contentLength: finalResponse.content?.length || 0,
+        latency: `${finalResponse.latency}ms`,
+      });
+
+      if (finalResponse.content) {
+        // Safety sanitization - strip any leaked syntax
+        await this.reply(stripFunctionCalls(finalResponse.content), onReply);
+      }
+
+      return { response, finalResponse, toolsExecuted: response.toolCalls.length };
+    }
+
+    if (response.content) {
+      // No tool calls - just a regular text response
+      // Safety sanitization as fallback
+      const cleanContent = stripFunctionCalls(response.content);
+      if (cleanContent.length > 0) {
+        await this.reply(cleanContent, onReply);
+      }
+    }
+
+    return { response, finalResponse: null, toolsExecuted: 0 };
+  }
+
+  /**
+   * Streaming version of respond for voice: the same two-stage loop, with each
+   * reply yielded sentence by sentence as the LLM writes it so speech can start
+   * before the reply is finished. Yields:
+   *   { type: 'sentence', text, message } - say text, part of message
+   *   { type: 'end_of_speech', message } - nothing more to say for message (comes
+   *     as soon as a tool call starts, so "Let me check..." plays meanwhile)
+   *   { type: 'spoken', message } - the LLM call is over; set message.content to
+   *     what was actually said (null for nothing) before asking for the next event
+   *   { type: 'done', response, finalResponse, toolsExecuted } - as respond returns,
+   *     with the streams' 'done' events as the responses
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *respondStream() {
+    // Stage 1: may speak pre-tool content like "Let me check..."
+    const assistantMessage = { role: 'assistant', content: null };
+    const response = yield* this.streamReply(
+      this.llmRouter.chatStream(this.messages, this.sessionId, this.tools),
+      assistantMessage
+    );
+    this.recordLlmCall(response);
+
+    conversationLogger.debug('🤖 LLM STREAMED RESPONSE', {
+      sessionId: this.sessionId,
+      provider: response.provider,
+      spokenText: assistantMessage.content || '(nothing spoken)',
+      toolCallCount: response.toolCalls?.length || 0,
+      tokens: response.tokens,
+      firstTokenLatency: `${response.firstTokenLatency}ms`,
+      latency: `${response.latency}ms`,
+      cost: `$${response.cost.toFixed(6)}`,
+    });
+
+    if (response.toolCalls && response.toolCalls.length > 0) {
+      conversationLogger.info('🔧 TOOL CALLS DETECTED', {
+        sessionId: this.sessionId,
+        toolCount: response.toolCalls.length,
+        tools: response.toolCalls.map(tc => tc.function.name),
+        hasContentToo: !!assistantMessage.content,
+      });
+
+      assistantMessage.tool_calls = response.toolCalls;
+      this.messages.push(assistantMessage);
+
+      await this.runToolCalls(response.toolCalls);
+
+      // Stage 2: the natural language follow-up
+      const followUpMessage = { role: 'assistant', content: null };
+      const finalResponse = yield* this.streamReply(
+        this.llmRouter.chatWithToolResultsStream(this.messages, this.sessionId),
+        followUpMessage
+      );
+      this.recordLlmCall(finalResponse, { followUp: true });
+
+      if (followUpMessage.content) {
+        this.messages.push(followUpMessage);
+      }
+
+      yield { type: 'done', response, finalResponse, toolsExecuted: response.toolCalls.length };
+      return;
+    }
+
+    if (assistantMessage.content) {
+      this.messages.push(assistantMessage);
+    }
+
+    yield { type: 'done', response, finalResponse: null, toolsExecuted: 0 };
+  }
+
+  /**
+   * Split one streamed LLM reply into sentences (see respondStream)
+   * @param {AsyncIterable<Object>} llmStream - Events from LLMRouter.chatStream
+   * @param {Object} message - Assistant message the sentences belong to
+   * @returns {AsyncGenerator<Object>} Returns the stream's 'done' event (toolCalls, latency, cost...)
+   */
+  async *streamReply(llmStream, message) {
+    const chunker = new SentenceChunker();
+    let speaking = true;
+
+    const sentences = (texts) => texts
+      .map(stripFunctionCalls)
+      .filter((text) => text.length > 0)
+      .map((text) => ({ type: 'sentence', text, message }));
+
+    function* endOfSpeech() {
+      if (!speaking) return;
+      speaking = false;
+      yield* sentences([chunker.flush()]);
+      yield { type: 'end_of_speech', message };
+    }
+
+    let response = null;
+    for await (const event of llmStream) {
+      if (event.type === 'text' && speaking) {
+        yield* sentences(chunker.push(event.text));
+      } else if (event.type === 'tool_call') {
+        conversationLogger.debug('🔧 TOOL CALL STARTED MID-STREAM', {
+          sessionId: this.sessionId,
+          tool: event.name,
+        });
+        yield* endOfSpeech();
+      } else if (event.type === 'done') {
+        response = event;
+      }
+    }
+
+    yield* endOfSpeech();
+    yield { type: 'spoken', message };
+    return response;
+  }
+
+  /**
+   * Add an assistant reply to the history, then deliver it
+   * @param {string} text - Reply text
+   * @param {Function} onReply - Delivery callback (see respond)
+   */
+  async reply(text, onReply) {
+    const message = { role: 'assistant', content: text };
+    this.messages.push(message);
+    await onReply(text, message, { interim: false });
+  }
+
+  /**
+   * Execute tool calls in order and add their results to the conversation
+   * @param {Array} toolCalls - Tool calls from the LLM (OpenAI format)
+   */
+  async runToolCalls(toolCalls) {
+    for (const toolCall of toolCalls) {
+      const startedAt = Date.now();
+      const result = await this.executeToolCall(toolCall);
+      if (this.onToolResult) this.onToolResult(toolCall, result, Date.now() - startedAt);
+
+      // Add tool result to conversation history
+      this.messages.push({
+        tool_call_id: toolCall.id,
+        role: 'tool',
+        name: toolCall.function.name,
+        content: JSON.stringify(result),
+      });
+
+      conversationLogger.debug('🔧 TOOL EXECUTED', {
+        sessionId: this.sessionId,
+        toolName: toolCall.function.name,
+        toolCallId: toolCall.id,
+        result,
+      });
+    }
+  }
+
+  /**
+   * Format an appointment instant for speaking back to the caller
+   * Office time is always given; the caller's own time is added when their
+   * inferred timezone (set_caller_timezone) differs from the office's
+   * @param {Date} instant - Appointment start time
+   * @returns {string} e.g. "2:00 PM" or "2:00 PM office time (5:00 PM your time)"
+   */
+  formatTimeForCaller(instant) {
+    const businessTz = getBusinessTimezone();
+    const officeTime = formatSpokenTime(instant, businessTz);
+    const callerTz = this.appointmentData.timezone;
+
+    if (!callerTz || offsetMinutesForZone(callerTz, instant) === offsetMinutesForZone(businessTz, instant)) {
+      return officeTime;
+    }
+
+    return `${officeTime} office time (${formatSpokenTime(instant, callerTz)} your time)`;
+  }
+
+  /**
+   * Find one of the caller's upcoming appointments by ID
+   * Only appointments booked under the calling number can be changed
+   * @param {string} appointmentId - Appointment ID from find_upcoming_appointments
+   * @returns {Promise<Object|null>} Appointment row or null if not found
+   */
+  async findCallerAppointment(appointmentId) {
+    const upcoming = await getUpcomingAppointments(this.callerPhone);
+    return upcoming.find((appt) => appt.id === appointmentId) || null;
+  }
+
+  /**
+   * Execute a tool call and return the result
+   * @param {Object} toolCall - Tool call object from LLM
+   * @returns {Object} Result of tool execution
+   */
+  async executeToolCall(toolCall) {
+    const functionName = toolCall.function.name;
+
+    let args;
+    try {
+      // Streamed calls to a tool with no parameters arrive with empty arguments
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      conversationLogger.warn('Tool called with arguments that are not JSON', {
+        tool: functionName,
+        toolCallId: toolCall.id,
+        arguments: toolCall.function.arguments,
+      });
+      return { success: false, error: 'Invalid tool arguments' };
+    }
+
+    conversationLogger.info('Executing appointment tool', {
+      tool: functionName,
+      toolCallId: toolCall.id,
+      args
+    });
+
+    try {
+      if (functionName === 'set_caller_timezone') {
+        const { localTime } = args;
+
+        conversationLogger.info('Setting caller timezone', { localTime });
+
+        // Use robust timezone detection
+        const result = inferTimezone(localTime);
+
+        if (result.error) {
+          return {
+            success: false,
+            message: result.error
+          };
+        }
+
+        // Store timezone info in appointment data
+        this.appointmentData.timezone = result.tz; // IANA timezone string (e.g., "America/Denver")
+        this.appointmentData.timezoneOffset = Math.round(result.offsetMinutes / 60); // offset in hours for backward compatibility
+        this.appointmentData.callerLocalTime = result.reportedLocal24h;
+
+        conversationLogger.info('Timezone detected', {
+          reportedTime: localTime,
+          timezone: result.tz,
+          offsetMinutes: result.offsetMinutes,
+          offsetHours: this.appointmentData.timezoneOffset,
+          candidates: result.candidates,
+          callerLocalTime: result.reportedLocal24h,
+        });
+
+        // Update system message with correct current date in caller's timezone
+        const callerDate = new Date().toLocaleDateString('en-US', {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+          timeZone: result.tz
+        });
+
+        // Find and update the system message
+        const systemMsgIndex = this.messages.findIndex(m => m.role === 'system');
+        if (systemMsgIndex !== -1) {
+          const updatedContent = this.messages[systemMsgIndex].content.replace(
+            /TODAY'S DATE: [^\n]+/,
+            `TODAY'S DATE: ${callerDate}`
+          );
+          this.messages[systemMsgIndex].content = updatedContent;
+
+          conversationLogger.info('Updated system message with caller timezone date', {
+            timezone: result.tz,
+            callerDate
+          });
+        }
+
+        return {
+          success: true,
+          timezone: result.tz,
+          offsetMinutes: result.offsetMinutes,
+          message: `Timezone set to ${result.tz}`
+        };
+
+      } else if (functionName === 'check_availability') {
+        // Check if a specific time slot is available
+        const { date, time, serviceType, providerId } = args;
+
+        // Duration, buffers and booking window come from the catalog, not the LLM
+        const service = getService(serviceType);
+        if (!service) return unknownServiceResult(serviceType);
+
+        const requested = resolveProvider(providerId, service);
+        if (requested.error) return requested.error;
+
+        // Date and time are office-local wall clock (BUSINESS_TIMEZONE)
+        const appointmentTime = zonedTimeToUtc(date, time, getBusinessTimezone());
+
+        const windowProblem = checkBookingWindow(service, appointmentTime);
+        if (windowProblem) return bookingWindowResult(service, windowProblem);
+
+        const duration = service.durationMinutes;
+        let assignment = await findAssignment(appointmentTime, service, {
+          providerId: requested.provider?.id,
+          holds: heldByOthers(this.sessionId),
+        });
+
+        // Hold it while the caller decides, so a concurrent call can't take it
+        if (assignment && !(await holdAssignment(this.sessionId, assignment, appointmentTime, service))) {
+          assignment = null;
+        }
+
+        const isAvailable = Boolean(assignment);
+        const spokenTime = this.formatTimeForCaller(appointmentTime);
+
+        conversationLogger.info('Availability check completed', {
+          date,
+          time,
+          serviceType: service.id,
+          requestedProvider: requested.provider?.id || 'anyone',
+          appointmentTime: appointmentTime.toISOString(),
+          duration,
+          isAvailable,
+          providerId: assignment?.provider.id
+        });
+
+        return {
+          success: true,
+          available: isAvailable,
+          date,
+          time,
+          spokenTime,
+          providerId: assignment?.provider.id,
+          provider: assignment?.provider.name,
+          message: isAvailable
+            ? `Yes, ${spokenTime} on ${date} is available with ${assignment.provider.name}.`
+            : `Sorry, ${spokenTime} on ${date} is not available${requested.provider ? ` with ${requested.provider.name}` : ''}.${describeOfficeHours(date, appointmentTime, duration)}`
+        };
+
+      } else if (functionName === 'get_available_slots') {
+        // Get all available slots for a date (office-local date)
+        const { date, serviceType, providerId } = args;
+
+        const service = getService(serviceType);
+        if (!service) return unknownServiceResult(serviceType);
+
+        const requested = resolveProvider(providerId, service);
+        if (requested.error) return requested.error;
+
+        const slots = await getAvailableSlots(date, service, {
+          providerId: requested.provider?.id,
+          holds: heldByOthers(this.sessionId),
+        });
+
+        // Only offer times inside the service's booking window (minimum notice, max horizon)
+        const { earliest, latest } = getBookingWindow(service);
+        const filteredSlots = slots.filter(slot => slot.startTime >= earliest && slot.startTime <= latest);
+
+        conversationLogger.info('Available slots retrieved', {
+          date,
+          serviceType: service.id,
+          requestedProvider: requested.provider?.id || 'anyone',
+          duration: service.durationMinutes,
+          slotsFound: slots.length,
+          afterBookingWindow: filteredSlots.length,
+          businessTimezone: getBusinessTimezone(),
+          callerTimezone: this.appointmentData.timezone,
+          earliest: earliest.toISOString(),
+          latest: latest.toISOString()
+        });
+
+        // Explain an empty day caused by the booking window rather than the calendar
+        if (filteredSlots.length === 0 && slots.length > 0) {
+          return bookingWindowResult(service, slots[0].startTime < earliest ? 'too_soon' : 'too_far');
+        }
+
+        // Format slots for LLM: 24-hour office time for tool calls, spoken time for the caller
+        const formattedSlots = filteredSlots.map(slot => ({
+          time: formatTimeInZone(slot.startTime, getBusinessTimezone()),
+          spoken: this.formatTimeForCaller(slot.startTime),
+          providerId: slot.providerId,
+          provider: getProvider(slot.providerId).name,
+        }));
+
+        const withProvider = requested.provider ? ` with ${requested.provider.name}` : '';
+
+        return {
+          success: true,
+          date,
+          slots: formattedSlots,
+          count: formattedSlots.length,
+          message: formattedSlots.length > 0
+            ? `Available times on ${date}${withProvider}: ${formattedSlots.map(s => s.spoken).join(', ')}. When booking, pass the 24-hour "time" value (office time) and the slot's providerId.`
+            : `No available slots on ${date}${withProvider}.${describeOfficeHours(date)}`
+        };
+
+      } else if (functionName === 'create_appointment') {
+        // Create appointment on calendar and in database
+        const { callerName, callerPhone, date, time, reason, serviceType, providerId } = args;
+        const reminderChannel = REMINDER_CHANNELS.includes(args.reminderChannel) ? args.reminderChannel : null;
+
+        const service = getService(serviceType);
+        if (!service) return unknownServiceResult(serviceType);
+        const duration = service.durationMinutes;
+
+        const requested = resolveProvider(providerId, service);
+        if (requested.error) return requested.error;
+
+        // Date and time are office-local wall clock (BUSINESS_TIMEZONE)
+        const appointmentTime = zonedTimeToUtc(date, time, getBusinessTimezone());
+
+        // A retried call for the same slot returns the first booking instead of booking twice
+        const idempotencyKey = `${this.sessionId}:${appointmentTime.toISOString()}`;
+        const existing = await getAppointmentByIdempotencyKey(idempotencyKey);
+        if (existing) {
+          conversationLogger.info('Duplicate create_appointment ignored', { appointmentId: existing.id, idempotencyKey });
+          return alreadyBookedResult(existing);
+        }
+
+        const windowProblem = checkBookingWindow(service, appointmentTime);
+        if (windowProblem) return bookingWindowResult(service, windowProblem);
+
+        if (!isOpenFor(appointmentTime, duration)) {
+          return {
+            success: false,
+            available: false,
+            message: `Sorry, ${time} on ${date} is outside office hours.${describeOfficeHours(date)} Offer the caller a time when the office is open.`
+          };
+        }
+
+        // Pick a free provider and resource, hold them, then re-check the live
+        // calendars - the hold stops a concurrent call booking them in between
+        const assignment = await findAssignment(appointmentTime, service, {
+          providerId: requested.provider?.id,
+          holds: heldByOthers(this.sessionId),
+        });
+        if (
+          !assignment
+          || !(await holdAssignment(this.sessionId, assignment, appointmentTime, service))
+          || !(await verifyAssignment(appointmentTime, service, assignment))
+        ) {
+          return slotTakenResult(date, time, requested.provider);
+        }
+
+        conversationLogger.info('Creating appointment', {
+          callerName,
+          callerPhone,
+          appointmentTime: appointmentTime.toISOString(),
+          reason,
+          serviceType: service.id,
+          providerId: assignment.provider.id,
+          resourceId: assignment.resource?.id,
+          duration
+        });
+
+        // Create calendar events (provider, plus resource block if needed)
+        const calendarEvent = await bookCalendarEvents({
+          assignment,
+          service,
+          startTime: appointmentTime,
+          callerName,
+          callerPhone,
+          reason,
+          appointmentKey: idempotencyKey
+        });
+
+        // Save to database; if that fails, take the calendar events back out
+        let dbAppointment;
+        try {
+          dbAppointment = await createDbAppointment({
+            callerName,
+            callerPhone,
+            appointmentTime: appointmentTime.toISOString(),
+            reason,
+            serviceType: service.id,
+            durationMinutes: duration,
+            providerId: assignment.provider.id,
+            resourceId: assignment.resource?.id || null,
+            googleCalendarEventId: calendarEvent.eventId,
+            resourceEventId: calendarEvent.resourceEventId,
+            idempotencyKey,
+            reminderChannel,
+            callerTimezone: this.appointmentData.timezone,
+            status: 'confirmed'
+          });
+        } catch (dbError) {
+          await undoCalendarEvents(assignment, calendarEvent);
+
+          // A concurrent retry of this same call and slot saved first (unique violation)
+          if (dbError.code === '23505') {
+            const winner = await getAppointmentByIdempotencyKey(idempotencyKey);
+            if (winner) return alreadyBookedResult(winner);
+          }
+          throw dbError;
+        }
+
+        // The calendar shows the booking now; the hold has done its job
+        await releaseHolds(this.sessionId);
+
+        // Send SMS confirmation
+        try {
+          await sendAppointmentConfirmation({
+            callerName,
+            callerPhone,
+            appointmentTime: appointmentTime.toISOString(),
+            reason
+          });
+          await markSmsSent(dbAppointment.id);
+          conversationLogger.info('SMS confirmation sent', { appointmentId: dbAppointment.id });
+        } catch (smsError) {
+          conversationLogger.error('Failed to send SMS confirmation', smsError);
+          // Don't fail the appointment creation if SMS fails
+        }
+
+        try {
+          await scheduleReminders(dbAppointment);
+        } catch (reminderError) {
+          conversationLogger.error('Failed to schedule reminders', reminderError);
+          // The reminder scheduler picks up appointments without reminders when it starts
+        }
+
+        // Later appointments get reminded the same way
+        if (reminderChannel) {
+          try {
+            await setReminderPreference(callerPhone, reminderChannel);
+          } catch (preferenceError) {
+            conversationLogger.error('Failed to save reminder preference', preferenceError);
+            // The appointment itself already has it
+          }
+        }
+
+        // Update appointment data
+        this.appointmentData.callerName = callerName;
+        this.appointmentData.callerPhone = callerPhone;
+        this.appointmentData.appointmentBooked = true;
+        this.appointmentData.appointmentId = dbAppointment.id;
+        this.appointmentData.googleCalendarEventId = calendarEvent.eventId;
+
+        conversationLogger.info('Appointment created successfully', {
+          appointmentId: dbAppointment.id,
+          calendarEventId: calendarEvent.eventId
+        });
+
+        return {
+          success: true,
+          appointmentId: dbAppointment.id,
+          appointmentTime: appointmentTime.toISOString(),
+          provider: assignment.provider.name,
+          message: `Appointment confirmed for ${callerName} on ${date} at ${time} with ${assignment.provider.name}`
+        };
+
+      } else if (functionName === 'find_upcoming_appointments') {
+        // Look up upcoming appointments by caller ID
+        const upcoming = await getUpcomingAppointments(this.callerPhone);
+        const appointments = upcoming.map(describeAppointment);
+
+        conversationLogger.info('Upcoming appointments looked up', {
+          callerPhone: this.callerPhone,
+          count: appointments.length,
+        });
+
+        return {
+          success: true,
+          appointments,
+          count: appointments.length,
+          message: appointments.length > 0
+            ? `Found ${appointments.length} upcoming appointment(s): ${appointments.map(a => `${a.reason} on ${a.date} at ${a.time}`).join('; ')}`
+            : 'No upcoming appointments found for this phone number'
+        };
+
+      } else if (functionName === 'confirm_appointment') {
+        // The patient says they'll be there
+        const { appointmentId } = args;
+
+        const appointment = await this.findCallerAppointment(appointmentId);
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'That appointment was not found for this phone number. Use find_upcoming_appointments to look it up again.'
+          };
+        }
+
+        await markAppointmentConfirmed(appointmentId);
+        if (appointmentId === this.reminder?.id) this.reminderResult = 'confirmed';
+
+        const { date, time } = describeAppointment(appointment);
+
+        conversationLogger.info('Appointment confirmed by caller', { appointmentId });
+
+        return {
+          success: true,
+          appointmentId,
+          message: `Appointment on ${date} at ${time} is confirmed - the office knows they're coming`
+        };
+
+      } else if (functionName === 'cancel_appointment') {
+        // Cancel an existing appointment (calendar, database, SMS)
+        const { appointmentId } = args;
+
+        const appointment = await this.findCallerAppointment(appointmentId);
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'That appointment was not found for this phone number. Use find_upcoming_appointments to look it up again.'
+          };
+        }
+
+        await cancelCalendarEvents(appointment);
+
+        await updateAppointmentStatus(appointmentId, 'cancelled');
+        if (appointmentId === this.reminder?.id) this.reminderResult = 'cancelled';
+
+        try {
+          await sendCancellationConfirmation({
+            callerName: appointment.caller_name,
+            callerPhone: appointment.caller_phone,
+          });
+          conversationLogger.info('Cancellation SMS sent', { appointmentId });
+        } catch (smsError) {
+          conversationLogger.error('Failed to send cancellation SMS', smsError);
+          // Don't fail the cancellation if SMS fails
+        }
+
+        const { date, time } = describeAppointment(appointment);
+
+        conversationLogger.info('Appointment cancelled successfully', {
+          appointmentId,
+          calendarEventId: appointment.google_calendar_event_id,
+        });
+
+        return {
+          success: true,
+          appointmentId,
+          message: `Appointment on ${date} at ${time} has been cancelled`
+        };
+
+      } else if (functionName === 'reschedule_appointment') {
+        // Move an existing appointment to a new time (calendar, database, SMS)
+        const { appointmentId, date, time, providerId } = args;
+
+        const appointment = await this.findCallerAppointment(appointmentId);
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'That appointment was not found for this phone number. Use find_upcoming_appointments to look it up again.'
+          };
+        }
+
+        const newAppointmentTime = zonedTimeToUtc(date, time, getBusinessTimezone());
+
+        // Keep the original length; appointments booked before the catalog have no service
+        const catalogService = getService(appointment.service_type);
+        const service = {
+          id: catalogService?.id || appointment.service_type || 'appointment',
+          name: catalogService?.name || 'Appointment',
+          durationMinutes: appointment.duration_minutes || catalogService?.durationMinutes || 30,
+          bufferBeforeMinutes: catalogService?.bufferBeforeMinutes || 0,
+          bufferAfterMinutes: catalogService?.bufferAfterMinutes || 0,
+        };
+
+        if (catalogService) {
+          const windowProblem = checkBookingWindow(catalogService, newAppointmentTime);
+          if (windowProblem) return bookingWindowResult(catalogService, windowProblem);
+        }
+
+        // Stay with the same provider unless the caller asked for someone else
+        const requested = providerId
+          ? resolveProvider(providerId, service)
+          : { provider: getProvider(appointment.provider_id), error: null };
+        if (requested.error) return requested.error;
+
+        // Same hold-then-verify sequence as a new booking
+        const ignoreEventIds = [appointment.google_calendar_event_id, appointment.resource_event_id].filter(Boolean);
+        const assignment = await findAssignment(newAppointmentTime, service, {
+          providerId: requested.provider?.id,
+          ignoreEventIds,
+          holds: heldByOthers(this.sessionId),
+        });
+        if (
+          !assignment
+          || !(await holdAssignment(this.sessionId, assignment, newAppointmentTime, service))
+          || !(await verifyAssignment(newAppointmentTime, service, assignment, { ignoreEventIds }))
+        ) {
+          return slotTakenResult(date, time, requested.provider);
+        }
+
+        const calendarEvents = await moveCalendarEvents(appointment, newAppointmentTime, service, assignment);
+
+        // Save the new time; if that fails, put the calendar back the way the row has it
+        let moved;
+        try {
+          moved = await updateAppointmentTime(appointmentId, newAppointmentTime.toISOString(), {
+            providerId: assignment.provider.id,
+            resourceId: assignment.resource?.id || null,
+            eventId: calendarEvents.eventId,
+            resourceEventId: calendarEvents.resourceEventId,
+          });
+        } catch (dbError) {
+          await undoCalendarMove(appointment, service, assignment, calendarEvents);
+          throw dbError;
+        }
+        await removeReplacedEvents(calendarEvents.replaced);
+
+        await releaseHolds(this.sessionId);
+        if (appointmentId === this.reminder?.id) this.reminderResult = 'rescheduled';
+
+        try {
+          await scheduleReminders(moved);
+        } catch (reminderError) {
+          conversationLogger.error('Failed to reschedule reminders', reminderError);
+          // Don't fail the reschedule; due reminders check the appointment's time before going out
+        }
+
+        try {
+          await sendRescheduleConfirmation({
+            callerName: appointment.caller_name,
+            callerPhone: appointment.caller_phone,
+            appointmentTime: newAppointmentTime.toISOString(),
+            reason: appointment.reason,
+          });
+          conversationLogger.info('Reschedule SMS sent', { appointmentId });
+        } catch (smsError) {
+          conversationLogger.error('Failed to send reschedule SMS', smsError);
+          // Don't fail the reschedule if SMS fails
+        }
+
+        conversationLogger.info('Appointment rescheduled successfully', {
+          appointmentId,
+          newAppointmentTime: newAppointmentTime.toISOString(),
+          providerId: assignment.provider.id,
+        });
+
+        return {
+          success: true,
+          appointmentId,
+          appointmentTime: newAppointmentTime.toISOString(),
+          provider: assignment.provider.name,
+          message: `Appointment moved to ${date} at ${time} with ${assignment.provider.name}`
+        };
+
+      } else if (functionName === 'update_appointment_info') {
+        // Silently update collected appointment data
+        Object.assign(this.appointmentData, args);
+        conversationLogger.debug('Appointment info updated', this.appointmentData);
+        return { success: true, updated: Object.keys(args) };
+
+      } else if (functionName === 'take_message') {
+        // "The same number" and the like mean the one they're calling from
+        const callbackPhone = toCallbackPhone(args.callbackNumber) || this.callerPhone;
+        const urgency = MESSAGE_URGENCIES.includes(args.urgency) ? args.urgency : 'normal';
+
+        const message = await takeMessage({
+          sessionId: this.sessionId,
+          channel: this.channel,
+          callerName: args.callerName || this.appointmentData.callerName,
+          callbackPhone,
+          topic: args.topic,
+          details: args.details || null,
+          urgency
+        });
+
+        this.takenMessages.push(message.id);
+        if (!this.appointmentData.callerName) this.appointmentData.callerName = args.callerName || null;
+
+        const spokenNumber = formatPhoneForSpeech(callbackPhone);
+        return {
+          success: true,
+          messageId: message.id,
+          callbackNumber: spokenNumber,
+          message: `Message saved for the office. Tell the caller someone will call them back at ${spokenNumber}${urgency === 'urgent' ? ' as soon as they can' : ''}, then ask if there's anything else.`
+        };
+
+      } else if (functionName === 'transfer_call') {
+        // Nobody to take it: the caller leaves a message instead
+        const voicemail = !isTransferAvailable();
+
+        conversationLogger.info('Handing caller over', {
+          sessionId: this.sessionId,
+          reason: args.reason,
+          voicemail
+        });
+
+        this.ended = true;
+
+        // The channel makes the handoff once the reply to this has played
+        if (this.onTransfer) this.onTransfer({ reason: args.reason, summary: args.summary, voicemail });
+
+        return voicemail
+          ? {
+            success: true,
+            transferring: false,
+            voicemail: true,
+            message: "Nobody is at the front desk right now. In one or two sentences, tell the caller they can leave a message after the tone and someone will call them back. Don't ask anything else - the call goes to voicemail as soon as you finish."
+          }
+          : {
+            success: true,
+            transferring: true,
+            message: "Say one short handoff line (e.g. \"I'm connecting you with our front desk now, one moment.\") and nothing else - the call is transferred as soon as you finish."
+          };
+
+      } else if (functionName === 'end_call_with_confirmation') {
+        // Conversation is ending
+        conversationLogger.info('Conversation ending', {
+          sessionId: this.sessionId,
+          channel: this.channel,
+          summary: args.summary,
+          appointmentBooked: args.appointmentBooked
+        });
+
+        this.appointmentData.appointmentBooked = args.appointmentBooked;
+        this.ended = true;
+
+        // The channel decides how to wrap up (voice hangs up after the goodbye plays)
+        if (this.onEnd) this.onEnd(args);
+
+        return {
+          success: true,
+          callEnding: true,
+          summary: args.summary,
+          appointmentBooked: args.appointmentBooked
+        };
+      }
+
+      return { success: false, error: 'Unknown tool' };
+
+    } catch (error) {
+      conversationLogger.error('Tool execution failed', error, {
+        tool: functionName,
+        args
+      });
+
+      // Return helpful error messages for specific failures
+      let errorMessage;
+      if (functionName === 'get_available_slots') {
+        errorMessage = `I'm having trouble accessing the calendar right now. Could you suggest a few dates and times that work for you?`;
+      } else if (functionName === 'check_availability') {
+        errorMessage = `I'm unable to check availability at the moment. Let me note down your preferred time and we'll confirm it shortly.`;
+      } else if (functionName === 'create_appointment') {
+        errorMessage = `There was an issue creating the appointment. Let me take your information and someone will call you back to confirm.`;
+      } else if (functionName === 'confirm_appointment') {
+        errorMessage = `I wasn't able to note that down just now, but we'll see you at your appointment.`;
+      } else if (functionName === 'cancel_appointment' || functionName === 'reschedule_appointment') {
+        errorMessage = `I wasn't able to change that appointment right now. Let me have the office call you back to take care of it.`;
+      } else if (functionName === 'take_message') {
+        errorMessage = `I wasn't able to save that message just now. Could you call back a little later, or would you like me to try again?`;
+      } else if (functionName === 'transfer_call') {
+        errorMessage = `I can't put you through to the front desk right now. Let me have the office call you back.`;
+      } else {
+        errorMessage = `I encountered an error with ${functionName.replace(/_/g, ' ')}. Let's try a different approach.`;
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        message: errorMessage
+      };
+    }
+  }
+}
+
+export default {
+  Conversation,
+  REMINDER_CHANNELS,
+  buildSystemPrompt,
+  describeAppointment,
+  emptyAppointmentData,
+  formatPhoneForSpeech,
+  stripFunctionCalls,
+};
@@ -22,9 +22,13 @@ export class DeepgramService {
    * Start a live transcription stream
    * @param {Function} onTranscript - Callback for transcript results
    * @param {Function} onError - Callback for errors
+   * @param {Function} onSpeechStarted - Optional callback when the caller starts talking
+   *   (fires once per utterance, on the first recognized interim words)
+   * @param {Function} onEvent - Optional callback with every transcript and utterance-end
+   *   event, as received (for call bundles)
    * @returns {Promise<Object>} Deepgram connection object
    */
-  async startStream(onTranscript, onError) {
+  async startStream(onTranscript, onError, onSpeechStarted = null, onEvent = null) {
     try {
       const connection = this.client.listen.live({
         model: 'nova-3',         // Latest model - best accuracy
@@ -38,6 +42,7 @@ export class DeepgramService {
         // Utterance boundary detection (fast response)
         utterance_end_ms: 1000,  // 1 second of silence = end of utterance
         endpointing: 300,        // 300ms VAD-based endpoint detection (fast, snappy)
+        vad_events: true,        // SpeechStarted events (used for barge-in logging)
         // Enhanced accuracy for phone audio
         filler_words: true,      // Keep "um", "uh" for natural conversation
         diarize: false,          // Single speaker (caller)
@@ -46,6 +51,9 @@ export class DeepgramService {
       // Accumulate transcript segments until speech is complete
       let transcriptSegments = [];
 
+      // Whether onSpeechStarted already fired for the current utterance
+      let speechInProgress = false;
+
       connection.on(LiveTranscriptionEvents.Open, () => {
         deepgramLogger.info('Deepgram connection opened');
       });
@@ -56,6 +64,18 @@ export class DeepgramService {
         const isFinal = data.is_final;
         const speechFinal = data.speech_final;
 
+        if (onEvent) {
+          onEvent({
+            type: 'transcript',
+            transcript: transcript || '',
+            confidence,
+            isFinal,
+            speechFinal,
+            start: data.start,
+            duration: data.duration,
+          });
+        }
+
         // LOG DEEPGRAM TRANSCRIPT EVENT (VERBOSE)
         deepgramLogger.debug('🎤 DEEPGRAM TRANSCRIPT EVENT', {
           hasTranscript: !!transcript,
@@ -70,6 +90,20 @@ export class DeepgramService {
           alternatives: data.channel?.alternatives?.length || 0,
         });
 
+        // Speech onset: first recognized words of a new utterance (interim or final)
+        if (transcript && transcript.length > 0 && !speechInProgress) {
+          speechInProgress = true;
+
+          deepgramLogger.debug('🗣️ SPEECH STARTED', {
+            text: transcript,
+            isFinal,
+          });
+
+          if (onSpeechStarted) {
+            onSpeechStarted(transcript);
+          }
+        }
+
         // Accumulate finalized transcript segments
         if (transcript && transcript.length > 0 && isFinal) {
           transcriptSegments.push(transcript);
@@ -95,11 +129,24 @@ export class DeepgramService {
 
           onTranscript(completeUtterance);
           transcriptSegments = [];  // Reset for next utterance
+          speechInProgress = false;
         }
       });
 
+      // VAD speech start - logged only; barge-in waits for recognized words so
+      // line noise doesn't cut the agent off
+      connection.on(LiveTranscriptionEvents.SpeechStarted, (data) => {
+        deepgramLogger.debug('🎙️ DEEPGRAM VAD SPEECH STARTED', {
+          timestamp: data.timestamp,
+        });
+      });
+
       // Fallback: UtteranceEnd event for noisy environments
       connection.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
+        if (onEvent) {
+          onEvent({ type: 'utterance_end', lastWordEnd: data.last_word_end });
+        }
+
         if (transcriptSegments.length > 0) {
           const completeUtterance = transcriptSegments.join(' ');
 
@@ -112,6 +159,7 @@ export class DeepgramService {
           onTranscript(completeUtterance);
           transcriptSegments = [];
         }
+        speechInProgress = false;
       });
 
       connection.on(LiveTranscriptionEvents.Error, (error) => {
@@ -82,6 +82,88 @@ export class GeminiClient {
     }
   }
 
+  /**
+   * Stream a chat completion request
+   * Yields the same events as GroqClient.chatStream; function calls are
+   * normalized to OpenAI tool call format
+   * @param {Array} messages - Array of message objects {role, content}
+   * @param {Array} functions - Optional function definitions
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  async *chatStream(messages, functions = null) {
+    try {
+      const params = {
+        contents: this._convertMessages(messages),
+        generationConfig: {
+          temperature: 0.7,
+          maxOutputTokens: 150,
+        },
+      };
+
+      if (functions) {
+        params.tools = this._convertFunctions(functions);
+      }
+
+      geminiLogger.debug('Sending streaming request to Gemini', {
+        messageCount: messages.length,
+        hasFunctions: !!functions,
+      });
+
+      const result = await this.model.generateContentStream(params);
+
+      let content = '';
+      const toolCalls = [];
+
+      for await (const chunk of result.stream) {
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+
+        for (const part of parts) {
+          if (part.text) {
+            content += part.text;
+            yield { type: 'text', text: part.text };
+          } else if (part.functionCall) {
+            toolCalls.push({
+              id: `gemini-${Date.now()}-${toolCalls.length}`,
+              type: 'function',
+              function: {
+                name: part.functionCall.name,
+                arguments: JSON.stringify(part.functionCall.args || {}),
+              },
+            });
+            yield { type: 'tool_call', name: part.functionCall.name };
+          }
+        }
+      }
+
+      const response = await result.response;
+
+      const done = {
+        type: 'done',
+        content: content || null,
+        toolCalls: toolCalls.length > 0 ? toolCalls : null,
+        finishReason: response.candidates?.[0]?.finishReason || null,
+        usage: {
+          prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+          completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+          total_tokens: response.usageMetadata?.totalTokenCount || 0,
+        },
+      };
+
+      geminiLogger.debug('Gemini stream complete', {
+        contentLength: content.length,
+        toolCallCount: toolCalls.length,
+        tokens: done.usage.total_tokens,
+      });
+
+      yield done;
+    } catch (error) {
+      geminiLogger.error('Gemini streaming API error', error, {
+        errorMessage: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Convert OpenAI message format to Gemini format
    * @param {Array} messages - OpenAI format messages
@@ -126,7 +208,10 @@ export class GeminiClient {
         functionDeclarations: functions.map((fn) => ({
           name: fn.function.name,
           description: fn.function.description,
-          parameters: fn.function.parameters,
+          // Gemini rejects OBJECT schemas with no properties, so omit them
+          parameters: Object.keys(fn.function.parameters?.properties || {}).length > 0
+            ? fn.function.parameters
+            : undefined,
         })),
       },
     ];
@@ -1,12 +1,14 @@
 /**
- * Google Calendar API service
- * Handles appointment booking, availability checking, and calendar management
+ * Google Calendar backend
+ * Implements the calendar backend interface (see calendar.js) on the Google
+ * Calendar API with a service account. Busy time comes from FreeBusy.
  */
 
 import { google } from 'googleapis';
 import { logger } from '../utils/logger.js';
+import { zonedTimeToUtc, getBusinessTimezone } from '../utils/timezone.js';
 
-const calendarLogger = logger.child('CALENDAR');
+const calendarLogger = logger.child('CALENDAR:GOOGLE');
 
 // Initialize Google Calendar API client
 let calendar = null;
@@ -38,7 +40,6 @@ function initializeCalendar() {
 
     calendarLogger.info('Google Calendar API initialized', {
       serviceAccount: credentials.client_email,
-      calendarId: process.env.GOOGLE_CALENDAR_ID,
     });
 
     return calendar;
@@ -49,312 +50,196 @@ function initializeCalendar() {
 }
 
 /**
- * Check if a time slot is available
- * @param {Date} startTime - Start time to check
- * @param {number} durationMinutes - Duration in minutes (default 30)
- * @returns {Promise<boolean>} True if available, false if conflict
+ * Read a Calendar API start/end ({ dateTime } or all-day { date })
+ * @param {Object} time - Calendar API time
+ * @returns {Date} Instant (all-day dates at business-local midnight)
  */
-export async function checkAvailability(startTime, durationMinutes = 30) {
-  const cal = initializeCalendar();
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
-
-  try {
-    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
-
-    calendarLogger.info('Checking availability', {
-      startTime: startTime.toISOString(),
-      endTime: endTime.toISOString(),
-    });
-
-    // Query calendar for events in the time range
-    const response = await cal.events.list({
-      calendarId,
-      timeMin: startTime.toISOString(),
-      timeMax: endTime.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
-
-    const events = response.data.items || [];
-
-    if (events.length > 0) {
-      calendarLogger.info('Time slot unavailable (conflict found)', {
-        conflictingEvents: events.length,
-      });
-      return false;
-    }
-
-    calendarLogger.info('Time slot available');
-    return true;
-  } catch (error) {
-    calendarLogger.error('Error checking availability', error);
-    throw error;
-  }
+function toDate(time) {
+  return time.dateTime
+    ? new Date(time.dateTime)
+    : zonedTimeToUtc(time.date, '00:00', getBusinessTimezone());
 }
 
 /**
- * Mask phone number for privacy in calendar
- * Converts +14168881234 to 416-881-****
- * @param {string} phoneNumber - Full phone number
- * @returns {string} Masked phone number
+ * Convert a Calendar API event to a backend event
+ * Deleted events listed with showDeleted may carry only an ID and status
+ * @param {Object} event - Raw Calendar API event
+ * @returns {Object} Event (see calendar.js)
  */
-function maskPhoneNumber(phoneNumber) {
-  // Remove +1 country code for display
-  const digits = phoneNumber.replace(/^\+1/, '').replace(/\D/g, '');
-
-  if (digits.length === 10) {
-    // Format as 416-881-****
-    return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-****`;
-  }
-
-  // For non-standard formats, just mask last 4 digits
-  return phoneNumber.slice(0, -4) + '****';
+function normalizeEvent(event) {
+  return {
+    id: event.id,
+    status: event.status || 'confirmed',
+    summary: event.summary || '',
+    description: event.description || '',
+    start: event.start ? toDate(event.start) : null,
+    end: event.end ? toDate(event.end) : null,
+    allDay: Boolean(event.start?.date),
+    transparent: event.transparency === 'transparent',
+    created: event.created ? new Date(event.created) : null,
+    properties: event.extendedProperties?.private || {},
+    htmlLink: event.htmlLink,
+    attendees: event.attendees?.map((a) => ({ email: a.email, displayName: a.displayName })),
+  };
 }
 
 /**
- * Create an appointment in Google Calendar
- * @param {Object} appointmentData - Appointment details
- * @returns {Promise<Object>} Created calendar event
+ * Query FreeBusy for several calendars
+ * FreeBusy already skips free ("transparent") events, including all-day markers
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @returns {Promise<Object>} calendarId -> busy periods ({ start, end })
  */
-export async function createAppointment(appointmentData) {
+export async function queryBusy(calendarIds, timeMin, timeMax) {
   const cal = initializeCalendar();
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
 
-  const {
-    callerName,
-    callerPhone,
-    appointmentTime,
-    reason = 'Dental appointment',
-    durationMinutes = 30,
-  } = appointmentData;
+  const response = await cal.freebusy.query({
+    requestBody: {
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      items: calendarIds.map((id) => ({ id })),
+    },
+  });
 
-  try {
-    const startTime = new Date(appointmentTime);
-    const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
-
-    calendarLogger.info('Creating appointment', {
-      name: callerName,
-      phone: callerPhone,
-      startTime: startTime.toISOString(),
-    });
+  const calendars = response.data.calendars || {};
 
-    // Mask phone number for privacy in public calendar
-    const maskedPhone = maskPhoneNumber(callerPhone);
+  return Object.fromEntries(calendarIds.map((calendarId) => {
+    const result = calendars[calendarId];
 
-    // Create calendar event
-    const event = {
-      summary: `${reason} - ${callerName}`,
-      description: `Patient: ${callerName}\nPhone: ${maskedPhone}\nReason: ${reason}`,
-      start: {
-        dateTime: startTime.toISOString(),
-        timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles',
-      },
-      end: {
-        dateTime: endTime.toISOString(),
-        timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles',
-      },
-      // Note: attendees removed - service account needs Domain-Wide Delegation to add attendees
-      // Patient info is already in summary and description
-      reminders: {
-        useDefault: false,
-        overrides: [
-          { method: 'popup', minutes: 60 }, // 1 hour before
-        ],
-      },
-    };
-
-    const response = await cal.events.insert({
-      calendarId,
-      requestBody: event,
-    });
-
-    const createdEvent = response.data;
-
-    calendarLogger.info('Appointment created successfully', {
-      eventId: createdEvent.id,
-      htmlLink: createdEvent.htmlLink,
-    });
+    // A calendar we can't read must not look free
+    if (!result || result.errors?.length) {
+      const reason = result?.errors?.map((e) => e.reason).join(', ') || 'missing from response';
+      throw new Error(`FreeBusy failed for calendar ${calendarId}: ${reason}`);
+    }
 
-    return {
-      eventId: createdEvent.id,
-      htmlLink: createdEvent.htmlLink,
-      startTime: createdEvent.start.dateTime,
-      endTime: createdEvent.end.dateTime,
-    };
-  } catch (error) {
-    calendarLogger.error('Error creating appointment', error);
-    throw error;
-  }
+    return [calendarId, (result.busy || []).map((period) => ({
+      start: new Date(period.start),
+      end: new Date(period.end),
+    }))];
+  }));
 }
 
 /**
- * Cancel an appointment (delete calendar event)
- * @param {string} eventId - Google Calendar event ID
- * @returns {Promise<void>}
+ * List events on a calendar in a range (recurring events expanded)
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {boolean} options.showDeleted - Include deleted events (status 'cancelled')
+ * @returns {Promise<Array<Object>>} Events
  */
-export async function cancelAppointment(eventId) {
+export async function listEvents(calendarId, timeMin, timeMax, { showDeleted = false } = {}) {
   const cal = initializeCalendar();
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
-
-  try {
-    calendarLogger.info('Canceling appointment', { eventId });
+  const events = [];
+  let pageToken;
 
-    await cal.events.delete({
+  do {
+    const response = await cal.events.list({
       calendarId,
-      eventId,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      showDeleted,
+      maxResults: 2500,
+      pageToken,
     });
+    events.push(...(response.data.items || []).map(normalizeEvent));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
 
-    calendarLogger.info('Appointment canceled successfully', { eventId });
-  } catch (error) {
-    calendarLogger.error('Error canceling appointment', error, { eventId });
-    throw error;
-  }
+  return events;
 }
 
 /**
- * Reschedule an appointment (update calendar event time)
+ * Get one event by ID
+ * @param {string} calendarId - Calendar holding the event
  * @param {string} eventId - Google Calendar event ID
- * @param {Date} newStartTime - New appointment time
- * @param {number} durationMinutes - Duration in minutes
- * @returns {Promise<Object>} Updated calendar event
+ * @returns {Promise<Object|null>} Event (deleted ones have status 'cancelled'), or null if unknown
  */
-export async function rescheduleAppointment(eventId, newStartTime, durationMinutes = 30) {
+export async function getEvent(calendarId, eventId) {
   const cal = initializeCalendar();
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
 
   try {
-    const endTime = new Date(newStartTime.getTime() + durationMinutes * 60000);
-
-    calendarLogger.info('Rescheduling appointment', {
-      eventId,
-      newStartTime: newStartTime.toISOString(),
-    });
-
-    // First check if new time is available
-    const available = await checkAvailability(newStartTime, durationMinutes);
-    if (!available) {
-      throw new Error('New time slot is not available');
-    }
-
-    // Update event
-    const response = await cal.events.patch({
-      calendarId,
-      eventId,
-      requestBody: {
-        start: {
-          dateTime: newStartTime.toISOString(),
-          timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles',
-        },
-        end: {
-          dateTime: endTime.toISOString(),
-          timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles',
-        },
-      },
-    });
-
-    const updatedEvent = response.data;
-
-    calendarLogger.info('Appointment rescheduled successfully', {
-      eventId: updatedEvent.id,
-      newStartTime: updatedEvent.start.dateTime,
-    });
-
-    return {
-      eventId: updatedEvent.id,
-      startTime: updatedEvent.start.dateTime,
-      endTime: updatedEvent.end.dateTime,
-    };
+    const response = await cal.events.get({ calendarId, eventId });
+    return normalizeEvent(response.data);
   } catch (error) {
-    calendarLogger.error('Error rescheduling appointment', error, { eventId });
+    if (error.code === 404 || error.code === 410) return null;
     throw error;
   }
 }
 
 /**
- * Get available time slots for a given date
- * @param {Date} date - Date to check
- * @param {number} slotDuration - Duration of each slot in minutes
- * @returns {Promise<Array>} Array of available time slots
+ * Create an event
+ * Note: no attendees - the service account needs Domain-Wide Delegation to add them
+ * @param {string} calendarId - Calendar to write
+ * @param {Object} event - { summary, description, start, end, properties, reminderMinutes }
+ * @returns {Promise<Object>} Created event
  */
-export async function getAvailableSlots(date, slotDuration = 30) {
+export async function createEvent(calendarId, { summary, description, start, end, properties = {}, reminderMinutes = null }) {
   const cal = initializeCalendar();
-  const calendarId = process.env.GOOGLE_CALENDAR_ID;
-
-  try {
-    // Business hours from environment
-    const businessStart = process.env.BUSINESS_HOURS_START || '09:00';
-    const businessEnd = process.env.BUSINESS_HOURS_END || '17:00';
-
-    // Create start and end of business day
-    const startOfDay = new Date(date);
-    const [startHour, startMin] = businessStart.split(':');
-    startOfDay.setHours(parseInt(startHour), parseInt(startMin), 0, 0);
-
-    const endOfDay = new Date(date);
-    const [endHour, endMin] = businessEnd.split(':');
-    endOfDay.setHours(parseInt(endHour), parseInt(endMin), 0, 0);
-
-    calendarLogger.info('Getting available slots', {
-      date: date, // date is already a string in YYYY-MM-DD format
-      businessHours: `${businessStart}-${businessEnd}`,
-    });
-
-    // Get all events for the day
-    const response = await cal.events.list({
-      calendarId,
-      timeMin: startOfDay.toISOString(),
-      timeMax: endOfDay.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
-
-    const bookedEvents = response.data.items || [];
-
-    // Generate all possible slots
-    const availableSlots = [];
-    let currentTime = new Date(startOfDay);
-
-    while (currentTime < endOfDay) {
-      const slotEnd = new Date(currentTime.getTime() + slotDuration * 60000);
-
-      // Check if this slot conflicts with any booked event
-      const hasConflict = bookedEvents.some((event) => {
-        const eventStart = new Date(event.start.dateTime || event.start.date);
-        const eventEnd = new Date(event.end.dateTime || event.end.date);
-
-        return (
-          (currentTime >= eventStart && currentTime < eventEnd) ||
-          (slotEnd > eventStart && slotEnd <= eventEnd) ||
-          (currentTime <= eventStart && slotEnd >= eventEnd)
-        );
-      });
-
-      if (!hasConflict) {
-        availableSlots.push({
-          startTime: new Date(currentTime),
-          endTime: new Date(slotEnd),
-        });
-      }
+  const timeZone = getBusinessTimezone();
+
+  const response = await cal.events.insert({
+    calendarId,
+    requestBody: {
+      summary,
+      description,
+      start: { dateTime: start.toISOString(), timeZone },
+      end: { dateTime: end.toISOString(), timeZone },
+      extendedProperties: { private: properties },
+      ...(reminderMinutes && {
+        reminders: {
+          useDefault: false,
+          overrides: [{ method: 'popup', minutes: reminderMinutes }],
+        },
+      }),
+    },
+  });
 
-      // Move to next slot
-      currentTime = new Date(slotEnd);
-    }
+  return normalizeEvent(response.data);
+}
 
-    calendarLogger.info('Available slots found', {
-      totalSlots: availableSlots.length,
-    });
+/**
+ * Move an event
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Google Calendar event ID
+ * @param {Object} times - { start, end }
+ * @returns {Promise<Object>} Updated event
+ */
+export async function patchEvent(calendarId, eventId, { start, end }) {
+  const cal = initializeCalendar();
+  const timeZone = getBusinessTimezone();
+
+  const response = await cal.events.patch({
+    calendarId,
+    eventId,
+    requestBody: {
+      start: { dateTime: start.toISOString(), timeZone },
+      end: { dateTime: end.toISOString(), timeZone },
+    },
+  });
+
+  return normalizeEvent(response.data);
+}
 
-    return availableSlots;
-  } catch (error) {
-    calendarLogger.error('Error getting available slots', error);
-    throw error;
-  }
+/**
+ * Delete an event
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Google Calendar event ID
+ * @returns {Promise<void>}
+ */
+export async function deleteEvent(calendarId, eventId) {
+  const cal = initializeCalendar();
+  await cal.events.delete({ calendarId, eventId });
 }
 
 export default {
-  checkAvailability,
-  createAppointment,
-  cancelAppointment,
-  rescheduleAppointment,
-  getAvailableSlots,
+  name: 'google',
+  queryBusy,
+  listEvents,
+  getEvent,
+  createEvent,
+  patchEvent,
+  deleteEvent,
 };
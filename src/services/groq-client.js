@@ -75,6 +75,99 @@ export class GroqClient {
     }
   }
 
+  /**
+   * Stream a chat completion request
+   * Yields { type: 'text', text } deltas, { type: 'tool_call', name } when a tool call
+   * begins, and finally { type: 'done', content, toolCalls, finishReason, usage }
+   * @param {Array} messages - Array of message objects {role, content}
+   * @param {Array} tools - Optional tool definitions (OpenAI tools format)
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  async *chatStream(messages, tools = null) {
+    try {
+      const params = {
+        model: 'llama-3.3-70b-versatile',
+        messages: messages,
+        temperature: 0.7,
+        max_tokens: 150,
+        stream: true,
+      };
+
+      if (tools) {
+        params.tools = tools;
+        params.tool_choice = 'auto';
+      }
+
+      groqLogger.debug('Sending streaming request to Groq', {
+        messageCount: messages.length,
+        hasTools: !!tools,
+      });
+
+      const stream = await this.client.chat.completions.create(params);
+
+      let content = '';
+      let finishReason = null;
+      let usage = null;
+      const toolCalls = []; // Accumulated by delta index
+
+      for await (const chunk of stream) {
+        const choice = chunk.choices[0];
+        const delta = choice?.delta || {};
+
+        if (delta.content) {
+          content += delta.content;
+          yield { type: 'text', text: delta.content };
+        }
+
+        for (const tc of delta.tool_calls || []) {
+          if (!toolCalls[tc.index]) {
+            toolCalls[tc.index] = {
+              id: tc.id,
+              type: 'function',
+              function: { name: '', arguments: '' },
+            };
+          }
+          const call = toolCalls[tc.index];
+          if (tc.id) call.id = tc.id;
+          if (tc.function?.name) {
+            const isNew = call.function.name === '';
+            call.function.name += tc.function.name;
+            if (isNew) {
+              yield { type: 'tool_call', name: call.function.name };
+            }
+          }
+          if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+        }
+
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (chunk.x_groq?.usage) usage = chunk.x_groq.usage;
+      }
+
+      const result = {
+        type: 'done',
+        content: content || null,
+        toolCalls: toolCalls.length > 0 ? toolCalls.filter(Boolean) : null,
+        finishReason,
+        usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+
+      groqLogger.debug('Groq stream complete', {
+        contentLength: content.length,
+        toolCallCount: result.toolCalls?.length || 0,
+        finishReason,
+        tokens: result.usage.total_tokens,
+      });
+
+      yield result;
+    } catch (error) {
+      groqLogger.error('Groq streaming API error', error, {
+        errorCode: error.code,
+        errorStatus: error.status,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Send follow-up chat after tool execution
    * @param {Array} messages - Messages including tool results
@@ -1,6 +1,7 @@
 /**
  * LLM Router with automatic fallback
  * Tries Groq first, falls back to Gemini on failure
+ * Supports both buffered (chat) and streaming (chatStream) responses
  */
 
 import { GroqClient } from './groq-client.js';
@@ -96,6 +97,112 @@ export class LLMRouter {
     }
   }
 
+  /**
+   * Stream a chat completion with automatic fallback
+   * Falls back to Gemini only if Groq fails before producing any output,
+   * so the caller never hears a half-sentence followed by a different answer
+   * @param {Array} messages - Array of message objects
+   * @param {string} callId - Call ID for logging
+   * @param {Array} tools - Optional tool definitions
+   * @returns {AsyncGenerator<Object>} Text/tool_call events, then a 'done' event
+   *   with provider info, latency, first token latency and cost
+   */
+  async *chatStream(messages, callId, tools = null) {
+    const startTime = Date.now();
+
+    if (this.provider === 'groq') {
+      yield* this._streamProvider('groq', messages, callId, tools, startTime);
+      return;
+    }
+
+    if (this.provider === 'gemini') {
+      yield* this._streamProvider('gemini', messages, callId, tools, startTime);
+      return;
+    }
+
+    // Auto mode: Try Groq first, fallback to Gemini if nothing was yielded yet
+    let yielded = false;
+    try {
+      for await (const event of this._streamProvider('groq', messages, callId, tools, startTime)) {
+        yielded = true;
+        yield event;
+      }
+    } catch (error) {
+      if (!yielded && this._shouldFallback(error)) {
+        routerLogger.warn('Groq stream failed, falling back to Gemini', {
+          callId,
+          error: error.message,
+        });
+        yield* this._streamProvider('gemini', messages, callId, tools, startTime, true);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream follow-up chat after tool execution (Groq only, like chatWithToolResults)
+   * @param {Array} messages - Messages including tool results
+   * @param {string} callId - Call ID for logging
+   * @returns {AsyncGenerator<Object>} Text events, then a 'done' event
+   */
+  async *chatWithToolResultsStream(messages, callId) {
+    yield* this._streamProvider('groq', messages, callId, null, Date.now());
+  }
+
+  /**
+   * Stream from one provider, tracking latency/cost on completion
+   */
+  async *_streamProvider(provider, messages, callId, tools, startTime, isFallback = false) {
+    const client = this[provider];
+    let firstTokenLatency = null;
+
+    try {
+      for await (const event of client.chatStream(messages, tools)) {
+        if (event.type !== 'done') {
+          if (firstTokenLatency === null) {
+            firstTokenLatency = Date.now() - startTime;
+          }
+          yield event;
+          continue;
+        }
+
+        const latency = Date.now() - startTime;
+        const cost = client.calculateCost(event.usage);
+
+        // Track metrics
+        trackLLMUsage(provider, cost, latency, isFallback);
+
+        routerLogger.info(`${provider === 'groq' ? 'Groq' : 'Gemini'} stream complete`, {
+          callId,
+          latency: `${latency}ms`,
+          firstTokenLatency: firstTokenLatency !== null ? `${firstTokenLatency}ms` : 'N/A',
+          tokens: event.usage.total_tokens,
+          cost: `$${cost.toFixed(6)}`,
+          hasToolCalls: !!(event.toolCalls && event.toolCalls.length > 0),
+          isFallback,
+        });
+
+        yield {
+          ...event,
+          provider,
+          latency,
+          firstTokenLatency,
+          cost,
+          tokens: event.usage.total_tokens,
+          isFallback,
+        };
+      }
+    } catch (error) {
+      routerLogger.error(`${provider === 'groq' ? 'Groq' : 'Gemini'} stream error`, error, {
+        callId,
+        errorCode: error.code,
+        errorStatus: error.status,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Call Groq API
    */
@@ -0,0 +1,221 @@
+/**
+ * Local calendar backend
+ * Implements the calendar backend interface (see calendar.js) in memory, for
+ * development and tests without a calendar account. With LOCAL_CALENDAR_DIR
+ * set, each calendar is loaded from and saved to <dir>/<calendarId>.ics, so an
+ * export from any calendar app can seed it and bookings survive a restart.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from '../utils/logger.js';
+import { getBusinessTimezone } from '../utils/timezone.js';
+import { parseEvents, serializeEvents } from '../utils/ical.js';
+
+const calendarLogger = logger.child('CALENDAR:LOCAL');
+
+// calendarId -> Promise<Map<eventId, event>>
+const calendars = new Map();
+
+/**
+ * File backing a calendar, or null when running purely in memory
+ * @param {string} calendarId - Calendar ID
+ * @returns {string|null} Path
+ */
+function calendarFile(calendarId) {
+  const dir = process.env.LOCAL_CALENDAR_DIR;
+  if (!dir) return null;
+  return path.join(dir, `${calendarId.replace(/[^\w.@-]/g, '_')}.ics`);
+}
+
+/**
+ * Load a calendar's events (once)
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<Map<string, Object>>} eventId -> event
+ */
+function loadCalendar(calendarId) {
+  if (!calendars.has(calendarId)) {
+    calendars.set(calendarId, (async () => {
+      const file = calendarFile(calendarId);
+      if (!file) return new Map();
+
+      try {
+        const events = parseEvents(await readFile(file, 'utf8'), getBusinessTimezone());
+        calendarLogger.info('Calendar loaded', { calendarId, file, events: events.length });
+        return new Map(events.map((event) => [event.id, event]));
+      } catch (error) {
+        if (error.code === 'ENOENT') return new Map();
+        calendars.delete(calendarId);
+        throw error;
+      }
+    })());
+  }
+  return calendars.get(calendarId);
+}
+
+/**
+ * Write a calendar back to its file, if it has one
+ * @param {string} calendarId - Calendar ID
+ * @param {Map<string, Object>} events - eventId -> event
+ * @returns {Promise<void>}
+ */
+async function saveCalendar(calendarId, events) {
+  const file = calendarFile(calendarId);
+  if (!file) return;
+
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, serializeEvents([...events.values()]));
+}
+
+/**
+ * Error shaped like the Google client's, so callers handle every backend alike
+ * @param {string} calendarId - Calendar ID
+ * @param {string} eventId - Event ID
+ * @returns {Error} Error with code 404
+ */
+function notFound(calendarId, eventId) {
+  const error = new Error(`Event ${eventId} not found in calendar ${calendarId}`);
+  error.code = 404;
+  return error;
+}
+
+/**
+ * Events overlapping a range
+ * @param {Map<string, Object>} events - eventId -> event
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @returns {Array<Object>} Events, by start time
+ */
+function eventsBetween(events, timeMin, timeMax) {
+  return [...events.values()]
+    .filter((event) => event.start < timeMax && event.end > timeMin)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the busy periods on several calendars (skips free and cancelled events)
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @returns {Promise<Object>} calendarId -> busy periods ({ start, end })
+ */
+export async function queryBusy(calendarIds, timeMin, timeMax) {
+  const result = {};
+
+  for (const calendarId of calendarIds) {
+    const events = await loadCalendar(calendarId);
+    result[calendarId] = eventsBetween(events, timeMin, timeMax)
+      .filter((event) => event.status !== 'cancelled' && !event.transparent)
+      .map((event) => ({ start: event.start, end: event.end }));
+  }
+
+  return result;
+}
+
+/**
+ * List events on a calendar in a range
+ * @param {string} calendarId - Calendar to read
+ * @param {Date} timeMin - Start of the range
+ * @param {Date} timeMax - End of the range
+ * @param {Object} options
+ * @param {boolean} options.showDeleted - Include deleted events (status 'cancelled')
+ * @returns {Promise<Array<Object>>} Events
+ */
+export async function listEvents(calendarId, timeMin, timeMax, { showDeleted = false } = {}) {
+  const events = await loadCalendar(calendarId);
+  return eventsBetween(events, timeMin, timeMax)
+    .filter((event) => showDeleted || event.status !== 'cancelled')
+    .map((event) => ({ ...event }));
+}
+
+/**
+ * Get one event by ID
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Event (deleted ones have status 'cancelled'), or null if unknown
+ */
+export async function getEvent(calendarId, eventId) {
+  const events = await loadCalendar(calendarId);
+  const event = events.get(eventId);
+  return event ? { ...event } : null;
+}
+
+/**
+ * Create an event
+ * @param {string} calendarId - Calendar to write
+ * @param {Object} event - { summary, description, start, end, properties, reminderMinutes }
+ * @returns {Promise<Object>} Created event
+ */
+export async function createEvent(calendarId, { summary, description = '', start, end, properties = {}, reminderMinutes = null }) {
+  const events = await loadCalendar(calendarId);
+
+  const event = {
+    id: randomUUID(),
+    status: 'confirmed',
+    summary,
+    description,
+    start,
+    end,
+    allDay: false,
+    transparent: false,
+    created: new Date(),
+    properties: { ...properties },
+    reminderMinutes,
+  };
+
+  events.set(event.id, event);
+  await saveCalendar(calendarId, events);
+  return { ...event };
+}
+
+/**
+ * Move an event
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event ID
+ * @param {Object} times - { start, end }
+ * @returns {Promise<Object>} Updated event
+ */
+export async function patchEvent(calendarId, eventId, { start, end }) {
+  const events = await loadCalendar(calendarId);
+  const event = events.get(eventId);
+  if (!event || event.status === 'cancelled') throw notFound(calendarId, eventId);
+
+  Object.assign(event, { start, end, allDay: false });
+  await saveCalendar(calendarId, events);
+  return { ...event };
+}
+
+/**
+ * Delete an event
+ * Kept with status 'cancelled', as Google Calendar does, so reconciliation can see it went
+ * @param {string} calendarId - Calendar holding the event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+export async function deleteEvent(calendarId, eventId) {
+  const events = await loadCalendar(calendarId);
+  const event = events.get(eventId);
+  if (!event || event.status === 'cancelled') throw notFound(calendarId, eventId);
+
+  event.status = 'cancelled';
+  await saveCalendar(calendarId, events);
+}
+
+/**
+ * Forget every calendar held in memory (for testing; files are left alone)
+ */
+export function clearLocalCalendars() {
+  calendars.clear();
+}
+
+export default {
+  name: 'local',
+  queryBusy,
+  listEvents,
+  getEvent,
+  createEvent,
+  patchEvent,
+  deleteEvent,
+  clearLocalCalendars,
+};
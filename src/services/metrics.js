@@ -17,6 +17,8 @@ const metrics = {
   fallbackCount: 0, // How many times we fell back to Gemini
   totalCost: 0, // Total cost in USD
   totalLatency: 0, // Total LLM latency in ms
+  calendarRequests: {}, // operation -> { count, errors, totalLatency, maxLatency }
+  availabilityCache: { hits: 0, misses: 0 }, // calendar-days served from / missing in the busy cache
   startTime: Date.now(),
   lastCallAt: null,
 };
@@ -85,6 +87,42 @@ export function trackLLMUsage(provider, cost, latency, isFallback = false) {
   });
 }
 
+/**
+ * Track a Google Calendar API request
+ * @param {string} operation - e.g. 'freebusy', 'events.insert'
+ * @param {number} latency - Latency in ms
+ * @param {boolean} failed - Whether the request errored
+ */
+export function trackCalendarRequest(operation, latency, failed = false) {
+  if (!metrics.calendarRequests[operation]) {
+    metrics.calendarRequests[operation] = { count: 0, errors: 0, totalLatency: 0, maxLatency: 0 };
+  }
+  const stats = metrics.calendarRequests[operation];
+  stats.count++;
+  stats.totalLatency += latency;
+  stats.maxLatency = Math.max(stats.maxLatency, latency);
+
+  if (failed) {
+    stats.errors++;
+  }
+
+  metricsLogger.debug('Calendar request tracked', {
+    operation,
+    latency: `${latency}ms`,
+    failed,
+  });
+}
+
+/**
+ * Track availability cache lookups
+ * @param {number} hits - Calendar-days served from the cache
+ * @param {number} misses - Calendar-days that had to be fetched
+ */
+export function trackAvailabilityCache(hits, misses) {
+  metrics.availabilityCache.hits += hits;
+  metrics.availabilityCache.misses += misses;
+}
+
 /**
  * Get current metrics
  * @returns {Object} Metrics object
@@ -94,6 +132,11 @@ export function getMetrics() {
   const avgLatency =
     metrics.totalCalls > 0 ? metrics.totalLatency / metrics.totalCalls : 0;
 
+  const calendarStats = Object.values(metrics.calendarRequests);
+  const calendarCount = calendarStats.reduce((sum, s) => sum + s.count, 0);
+  const calendarLatency = calendarStats.reduce((sum, s) => sum + s.totalLatency, 0);
+  const cacheLookups = metrics.availabilityCache.hits + metrics.availabilityCache.misses;
+
   return {
     status: 'up',
     uptime: {
@@ -118,6 +161,27 @@ export function getMetrics() {
       avg_latency_ms: Math.round(avgLatency),
       total_cost_usd: parseFloat(metrics.totalCost.toFixed(4)),
     },
+    calendar: {
+      requests: calendarCount,
+      errors: calendarStats.reduce((sum, s) => sum + s.errors, 0),
+      avg_latency_ms: calendarCount > 0 ? Math.round(calendarLatency / calendarCount) : 0,
+      by_operation: Object.fromEntries(
+        Object.entries(metrics.calendarRequests).map(([operation, s]) => [operation, {
+          count: s.count,
+          errors: s.errors,
+          avg_latency_ms: Math.round(s.totalLatency / s.count),
+          max_latency_ms: s.maxLatency,
+        }])
+      ),
+      availability_cache: {
+        hits: metrics.availabilityCache.hits,
+        misses: metrics.availabilityCache.misses,
+        hit_rate:
+          cacheLookups > 0
+            ? (metrics.availabilityCache.hits / cacheLookups) * 100
+            : 0,
+      },
+    },
     by_user: metrics.callsByUser,
     timestamp: new Date().toISOString(),
   };
@@ -135,6 +199,8 @@ export function resetMetrics() {
   metrics.fallbackCount = 0;
   metrics.totalCost = 0;
   metrics.totalLatency = 0;
+  metrics.calendarRequests = {};
+  metrics.availabilityCache = { hits: 0, misses: 0 };
   metrics.startTime = Date.now();
   metrics.lastCallAt = null;
 
@@ -145,6 +211,8 @@ export default {
   onCallStart,
   onCallEnd,
   trackLLMUsage,
+  trackCalendarRequest,
+  trackAvailabilityCache,
   getMetrics,
   resetMetrics,
 };
@@ -0,0 +1,158 @@
+/**
+ * Outbound calls with answering machine detection
+ * Calls go out with Twilio's machine detection, so Twilio only asks
+ * /api/twilio/outbound-answer for TwiML once it knows who picked up. A person
+ * gets the voice agent's stream as usual. A machine gets the stream too, but
+ * after the beep the agent only leaves a short voicemail for the call's
+ * purpose (spoken by Cartesia like any reply) and hangs up. Either way the
+ * outcome ends up on the call log.
+ *
+ * A call about an appointment (a reminder) carries its ID through to the
+ * stream, and Twilio reports calls nobody answered to
+ * /api/twilio/outbound-status.
+ */
+
+import twilio from 'twilio';
+import { logger } from '../utils/logger.js';
+import { publicUrl } from '../utils/public-url.js';
+import { placeCall } from './call-control.js';
+import { describeAppointment, formatPhoneForSpeech } from './conversation.js';
+
+const outboundLogger = logger.child('OUTBOUND_CALL');
+
+// Wait for the machine's greeting to end, so the voicemail starts after the beep
+const MACHINE_DETECTION = 'DetectMessageEnd';
+
+// What to leave on a machine, by why we called
+const VOICEMAIL_MESSAGES = {
+  demo: ({ businessName, callbackNumber }) =>
+    `Hi, this is ${businessName} returning your call. Call us back at ${callbackNumber} whenever it suits you and we'll get you booked in. Goodbye!`,
+  reminder: ({ businessName, callbackNumber, appointment }) => {
+    const { date, time } = describeAppointment(appointment);
+    return `Hi, this is ${businessName} with a reminder for ${appointment.caller_name}: your appointment is on ${date} at ${time}. If you need to cancel or change it, call us at ${callbackNumber}. See you then!`;
+  },
+};
+
+// Purposes that are about one appointment (placeOutboundCall needs its ID)
+const APPOINTMENT_PURPOSES = ['reminder'];
+
+export const OUTBOUND_PURPOSES = Object.keys(VOICEMAIL_MESSAGES);
+
+/**
+ * Whether Twilio's AnsweredBy means a voicemail picked up
+ * (unknown is treated as a person - better to talk to a machine than hang up on someone)
+ * @param {string} answeredBy - human, machine_end_beep, machine_end_silence, machine_end_other, fax, unknown
+ * @returns {boolean}
+ */
+export function isMachineAnswer(answeredBy) {
+  return Boolean(answeredBy?.startsWith('machine_'));
+}
+
+/**
+ * The voicemail for an outbound call
+ * @param {string} purpose - One of OUTBOUND_PURPOSES
+ * @param {Object} options
+ * @param {Object} options.appointment - Appointment row the call is about (reminders)
+ * @returns {string} Text to speak
+ */
+export function getVoicemailMessage(purpose, { appointment = null } = {}) {
+  const message = VOICEMAIL_MESSAGES[purpose];
+  if (!message) {
+    throw new Error(`Unknown outbound call purpose "${purpose}"`);
+  }
+
+  if (APPOINTMENT_PURPOSES.includes(purpose) && !appointment) {
+    throw new Error(`A ${purpose} voicemail needs the appointment`);
+  }
+
+  return message({
+    businessName: process.env.BUSINESS_NAME || "Dr. Smith's Dental Office",
+    callbackNumber: formatPhoneForSpeech(process.env.TWILIO_PHONE_NUMBER || ''),
+    appointment,
+  });
+}
+
+/**
+ * Call a patient from TWILIO_PHONE_NUMBER
+ * @param {Object} options
+ * @param {string} options.to - Patient's number (E.164)
+ * @param {string} options.purpose - One of OUTBOUND_PURPOSES (picks the voicemail)
+ * @param {string} options.appointmentId - Appointment the call is about (required for reminders)
+ * @returns {Promise<Object>} { callSid, status }
+ */
+export async function placeOutboundCall({ to, purpose, appointmentId = null }) {
+  try {
+    if (!OUTBOUND_PURPOSES.includes(purpose)) {
+      throw new Error(`Unknown outbound call purpose "${purpose}"`);
+    }
+    if (APPOINTMENT_PURPOSES.includes(purpose) && !appointmentId) {
+      throw new Error(`A ${purpose} call needs an appointmentId`);
+    }
+
+    const from = process.env.TWILIO_PHONE_NUMBER;
+    if (!from) {
+      throw new Error('TWILIO_PHONE_NUMBER not configured');
+    }
+
+    const query = new URLSearchParams({ purpose });
+    if (appointmentId) query.set('appointmentId', appointmentId);
+
+    const call = await placeCall({
+      to,
+      from,
+      url: publicUrl(`/api/twilio/outbound-answer?${query}`),
+      machineDetection: MACHINE_DETECTION,
+      // Calls nobody answers never reach the answer webhook
+      statusCallback: appointmentId ? publicUrl(`/api/twilio/outbound-status?${query}`) : null,
+    });
+
+    outboundLogger.info('Outbound call placed', { callSid: call.callSid, to, purpose, appointmentId });
+    return call;
+  } catch (error) {
+    outboundLogger.error('Error placing outbound call', error, { to, purpose, appointmentId });
+    throw error;
+  }
+}
+
+/**
+ * TwiML connecting an answered outbound call to the voice agent
+ * The patient is the stream's From, as on an inbound call. A machine is hung
+ * up on once the agent closes the stream after the voicemail.
+ * @param {Object} options
+ * @param {string} options.patientPhone - Who we called
+ * @param {string} options.twilioNumber - Our number
+ * @param {string} options.answeredBy - Twilio's AnsweredBy
+ * @param {string} options.purpose - One of OUTBOUND_PURPOSES
+ * @param {string} options.appointmentId - Appointment the call is about, if any
+ * @returns {string} TwiML
+ */
+export function buildOutboundStreamTwiml({ patientPhone, twilioNumber, answeredBy, purpose, appointmentId = null }) {
+  const streamUrl = process.env.FLY_STREAM_URL;
+  if (!streamUrl) {
+    throw new Error('FLY_STREAM_URL not configured');
+  }
+
+  const response = new twilio.twiml.VoiceResponse();
+  const stream = response.connect().stream({ url: streamUrl });
+  stream.parameter({ name: 'To', value: twilioNumber });
+  stream.parameter({ name: 'From', value: patientPhone });
+  stream.parameter({ name: 'AnsweredBy', value: answeredBy || 'unknown' });
+  stream.parameter({ name: 'Purpose', value: purpose });
+  if (appointmentId) stream.parameter({ name: 'AppointmentId', value: appointmentId });
+
+  if (isMachineAnswer(answeredBy)) {
+    response.hangup();
+  } else {
+    response.pause({ length: 60 });
+  }
+
+  return response.toString();
+}
+
+export default {
+  OUTBOUND_PURPOSES,
+  buildOutboundStreamTwiml,
+  getVoicemailMessage,
+  isMachineAnswer,
+  placeOutboundCall,
+};
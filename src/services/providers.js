@@ -0,0 +1,260 @@
+/**
+ * Providers and shared resources
+ * Practitioners (dentists, hygienists) each have their own calendar, working
+ * hours and the services they perform. Shared resources such as operatories
+ * have a calendar too. A slot is only offered when a qualified provider and a
+ * suitable resource are both free.
+ */
+
+import { logger } from '../utils/logger.js';
+import { normalizeWeeklyHours, describeWeeklyHours } from './schedule.js';
+import { getServiceCatalog } from './service-catalog.js';
+import { getDefaultCalendarId } from './calendar.js';
+
+const providersLogger = logger.child('PROVIDERS');
+
+/**
+ * Default directory: a single provider on the default calendar (CALENDAR_ID) who performs every
+ * service during office hours, and no shared resources. Override with
+ * PROVIDERS and RESOURCES (JSON arrays in the shapes below).
+ *
+ * Provider: { id, name, role?, calendarId?, services?, weekly? }
+ *   calendarId defaults to CALENDAR_ID; services (IDs) default to all;
+ *   weekly working hours default to the office's hours
+ * Resource: { id, name, calendarId, services? }
+ *   services (IDs) the resource is needed for; defaults to all
+ */
+export const DEFAULT_PROVIDERS = [
+  { id: 'dr_smith', name: 'Dr. Smith', role: 'dentist' },
+];
+
+export const DEFAULT_RESOURCES = [];
+
+let cachedProviders = null;
+let cachedResources = null;
+
+/**
+ * Validate a list of service IDs against the catalog
+ * @param {Array<string>|undefined} services - Service IDs (undefined = all)
+ * @param {string} where - Location in the config (for error messages)
+ * @param {Array<Object>} catalog - Service catalog
+ * @returns {Array<string>|null} Service IDs, or null for all services
+ */
+function normalizeServiceList(services, where, catalog) {
+  if (services === undefined || services === null) return null;
+
+  if (!Array.isArray(services)) {
+    throw new Error(`Invalid ${where}: services must be an array of service IDs`);
+  }
+  for (const id of services) {
+    if (!catalog.some((s) => s.id === id)) {
+      throw new Error(`Invalid ${where}: unknown service "${id}"`);
+    }
+  }
+  return services;
+}
+
+/**
+ * Validate the id/name fields shared by providers and resources
+ * @param {Object} entry - Provider or resource definition
+ * @param {string} where - Location in the config (for error messages)
+ * @param {Set<string>} seen - IDs seen so far
+ */
+function assertIdentity(entry, where, seen) {
+  if (!entry.id || !/^[a-z0-9_]+$/.test(entry.id)) {
+    throw new Error(`Invalid ${where}: needs an id of lowercase letters, digits and underscores`);
+  }
+  if (seen.has(entry.id)) {
+    throw new Error(`Invalid ${where}: duplicate id "${entry.id}"`);
+  }
+  if (!entry.name) {
+    throw new Error(`Invalid ${where}: "${entry.id}" needs a name`);
+  }
+  seen.add(entry.id);
+}
+
+/**
+ * Validate a provider list
+ * @param {Array<Object>} raw - Provider definitions
+ * @param {Array<Object>} catalog - Service catalog (for validating service IDs)
+ * @returns {Array<Object>} Normalized providers
+ */
+export function normalizeProviders(raw, catalog = getServiceCatalog()) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('Invalid providers: expected a non-empty array');
+  }
+
+  const seen = new Set();
+
+  return raw.map((provider, i) => {
+    const where = `providers[${i}]`;
+    assertIdentity(provider, where, seen);
+
+    return {
+      id: provider.id,
+      name: provider.name,
+      role: provider.role || 'provider',
+      calendarId: provider.calendarId || getDefaultCalendarId(),
+      services: normalizeServiceList(provider.services, where, catalog),
+      weekly: provider.weekly ? normalizeWeeklyHours(provider.weekly, `${where}.weekly`) : null,
+    };
+  });
+}
+
+/**
+ * Validate a resource list
+ * @param {Array<Object>} raw - Resource definitions
+ * @param {Array<Object>} catalog - Service catalog (for validating service IDs)
+ * @returns {Array<Object>} Normalized resources
+ */
+export function normalizeResources(raw, catalog = getServiceCatalog()) {
+  if (!Array.isArray(raw)) {
+    throw new Error('Invalid resources: expected an array');
+  }
+
+  const seen = new Set();
+
+  return raw.map((resource, i) => {
+    const where = `resources[${i}]`;
+    assertIdentity(resource, where, seen);
+
+    if (!resource.calendarId) {
+      throw new Error(`Invalid ${where}: "${resource.id}" needs a calendarId`);
+    }
+
+    return {
+      id: resource.id,
+      name: resource.name,
+      calendarId: resource.calendarId,
+      services: normalizeServiceList(resource.services, where, catalog),
+    };
+  });
+}
+
+/**
+ * Parse a JSON env var with a normalizer, or use the default
+ * @param {string} name - Environment variable name
+ * @param {Function} normalize - Normalizer
+ * @param {Array<Object>} fallback - Default definitions
+ * @returns {Array<Object>} Normalized definitions
+ */
+function loadFromEnv(name, normalize, fallback) {
+  if (!process.env[name]) return normalize(fallback);
+
+  try {
+    const loaded = normalize(JSON.parse(process.env[name]));
+    providersLogger.info(`Loaded ${name}`, { ids: loaded.map((entry) => entry.id) });
+    return loaded;
+  } catch (error) {
+    providersLogger.error(`Failed to load ${name}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active providers (PROVIDERS or the default)
+ * @returns {Array<Object>} Normalized providers
+ */
+export function getProviders() {
+  if (!cachedProviders) {
+    cachedProviders = loadFromEnv('PROVIDERS', normalizeProviders, DEFAULT_PROVIDERS);
+  }
+  return cachedProviders;
+}
+
+/**
+ * Get the active shared resources (RESOURCES or the default)
+ * @returns {Array<Object>} Normalized resources
+ */
+export function getResources() {
+  if (!cachedResources) {
+    cachedResources = loadFromEnv('RESOURCES', normalizeResources, DEFAULT_RESOURCES);
+  }
+  return cachedResources;
+}
+
+/**
+ * Normalize a spoken provider reference for matching ("Doctor Lee" -> "dr_lee")
+ * @param {string} value - Provider ID or name
+ * @returns {string} Comparable key
+ */
+function providerKey(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/\bdoctor\b/g, 'dr')
+    .replace(/[.']/g, '')
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Look up a provider by ID or name ("dr_lee", "Dr. Lee", "Doctor Lee", "Lee")
+ * @param {string} reference - Provider ID or name from a tool call
+ * @param {Array<Object>} providers - Providers (defaults to the active ones)
+ * @returns {Object|null} Provider or null if unknown
+ */
+export function getProvider(reference, providers = getProviders()) {
+  if (!reference) return null;
+
+  const key = providerKey(reference);
+  return providers.find((p) => {
+    const nameKey = providerKey(p.name);
+    return p.id === key || nameKey === key || nameKey.split('_').pop() === key;
+  }) || null;
+}
+
+/**
+ * Providers qualified to perform a service
+ * @param {string} serviceId - Service ID
+ * @param {Array<Object>} providers - Providers (defaults to the active ones)
+ * @returns {Array<Object>} Qualified providers, in directory order
+ */
+export function providersForService(serviceId, providers = getProviders()) {
+  return providers.filter((p) => !p.services || p.services.includes(serviceId));
+}
+
+/**
+ * Resources a service needs one of (empty when the service needs none)
+ * @param {string} serviceId - Service ID
+ * @param {Array<Object>} resources - Resources (defaults to the active ones)
+ * @returns {Array<Object>} Usable resources, in directory order
+ */
+export function resourcesForService(serviceId, resources = getResources()) {
+  return resources.filter((r) => !r.services || r.services.includes(serviceId));
+}
+
+/**
+ * Build the Providers section of the system prompt
+ * @param {Array<Object>} providers - Providers (defaults to the active ones)
+ * @param {Array<Object>} catalog - Service catalog
+ * @returns {string} Markdown bullet list
+ */
+export function formatProviders(providers = getProviders(), catalog = getServiceCatalog()) {
+  return providers
+    .map((p) => {
+      const services = p.services
+        ? p.services.map((id) => catalog.find((s) => s.id === id).name).join(', ')
+        : 'all services';
+      const hours = p.weekly
+        ? `; works ${describeWeeklyHours(p.weekly)
+          .filter((group) => group.hours !== 'Closed')
+          .map((group) => `${group.days} ${group.hours}`)
+          .join('; ')}`
+        : '';
+      return `- ${p.name} (providerId: "${p.id}", ${p.role}) - ${services}${hours}`;
+    })
+    .join('\n');
+}
+
+export default {
+  DEFAULT_PROVIDERS,
+  DEFAULT_RESOURCES,
+  normalizeProviders,
+  normalizeResources,
+  getProviders,
+  getResources,
+  getProvider,
+  providersForService,
+  resourcesForService,
+  formatProviders,
+};
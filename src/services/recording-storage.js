@@ -0,0 +1,80 @@
+/**
+ * Where call recordings are kept (CALL_RECORDING_STORAGE):
+ *   local - files on this machine's disk, under CALL_RECORDING_DIR (default)
+ *
+ * A storage backend implements:
+ *   save(name, data) -> URL of the stored file (what call_logs.recording_url holds)
+ *   delete(url) - no error if it's already gone
+ * Add another (e.g. an object store) to BACKENDS.
+ */
+
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { logger } from '../utils/logger.js';
+
+const storageLogger = logger.child('RECORDING_STORAGE');
+
+const DEFAULT_RECORDING_DIR = './data/recordings';
+
+/**
+ * Recordings on local disk, as file:// URLs
+ * On Fly.io, point CALL_RECORDING_DIR at a mounted volume or they go with the machine
+ */
+const diskStorage = {
+  /**
+   * @param {string} name - File name (e.g. CA123.wav)
+   * @param {Buffer} data - File contents
+   * @returns {Promise<string>} file:// URL
+   */
+  async save(name, data) {
+    const dir = path.resolve(process.env.CALL_RECORDING_DIR || DEFAULT_RECORDING_DIR);
+    const file = path.join(dir, path.basename(name));
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, data);
+    return pathToFileURL(file).href;
+  },
+
+  /**
+   * @param {string} url - file:// URL from save
+   */
+  async delete(url) {
+    await rm(fileURLToPath(url), { force: true });
+  },
+};
+
+const BACKENDS = {
+  local: diskStorage,
+};
+
+let storage = null;
+
+/**
+ * The configured storage backend (CALL_RECORDING_STORAGE, default local)
+ * @returns {Object} Backend
+ */
+export function getRecordingStorage() {
+  if (storage) return storage;
+
+  const name = (process.env.CALL_RECORDING_STORAGE || 'local').trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Invalid CALL_RECORDING_STORAGE: ${name} (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  storage = BACKENDS[name];
+  storageLogger.info('Recording storage selected', { storage: name });
+  return storage;
+}
+
+/**
+ * Forget the selected backend so CALL_RECORDING_STORAGE is read again (for testing)
+ */
+export function resetRecordingStorage() {
+  storage = null;
+}
+
+export default {
+  getRecordingStorage,
+  resetRecordingStorage,
+};
@@ -0,0 +1,142 @@
+/**
+ * Appointment reminders by phone call
+ * Patients who don't read texts can get their reminder as a call instead:
+ * per appointment (reminder_channel, set when booking) or per patient
+ * (reminder_preferences), otherwise REMINDER_CHANNEL. The call goes out
+ * through outbound-call.js, so a person talks to the voice agent with the
+ * reminder prompt (confirm, cancel or reschedule) and a machine gets a
+ * voicemail. How it went ends up on the appointment's reminder_result; a
+ * call nobody picks up falls back to the usual text.
+ */
+
+import { logger } from '../utils/logger.js';
+import { getReminderPreference, setReminderResult } from '../db/queries.js';
+import { REMINDER_CHANNELS, describeAppointment } from './conversation.js';
+import { getConsentLine, isCallRecordingEnabled } from './call-recording.js';
+import { placeOutboundCall } from './outbound-call.js';
+import { sendAppointmentReminder } from './sms.js';
+
+const reminderLogger = logger.child('REMINDER_CALL');
+
+// reminder_result for a call the agent didn't finish with the patient, by call log outcome
+const RESULTS_BY_OUTCOME = {
+  answered: 'answered', // Picked up but didn't confirm, cancel or reschedule
+  voicemail: 'voicemail',
+  voicemail_failed: 'no_answer',
+  fax: 'no_answer',
+};
+
+/**
+ * How reminders go out when neither the appointment nor the patient says (REMINDER_CHANNEL)
+ * @returns {string} 'sms' or 'call'
+ */
+export function getDefaultReminderChannel() {
+  const channel = process.env.REMINDER_CHANNEL;
+  return REMINDER_CHANNELS.includes(channel) ? channel : 'sms';
+}
+
+/**
+ * How to remind a patient about an appointment
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<string>} 'sms' or 'call'
+ */
+export async function getReminderChannel(appointment) {
+  if (REMINDER_CHANNELS.includes(appointment.reminder_channel)) {
+    return appointment.reminder_channel;
+  }
+
+  return (await getReminderPreference(appointment.caller_phone)) || getDefaultReminderChannel();
+}
+
+/**
+ * What the agent says when the patient picks up a reminder call
+ * @param {Object} appointment - Appointment row
+ * @returns {string} Greeting text
+ */
+export function getReminderGreeting(appointment) {
+  const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
+  const { date, time } = describeAppointment(appointment);
+
+  // Same recording notice as an inbound call, before anything else
+  const consent = isCallRecordingEnabled() ? ` ${getConsentLine()}` : '';
+
+  return `Hi, this is ${businessName} calling with a reminder for ${appointment.caller_name}.${consent} Your appointment is on ${date} at ${time}. Will you be able to make it?`;
+}
+
+/**
+ * The result to record for a reminder call, from how the call ended
+ * @param {string} outcome - Call log outcome (answered, voicemail, voicemail_failed, fax)
+ * @returns {string|null} reminder_result, or null if the call never got that far
+ */
+export function reminderResultForOutcome(outcome) {
+  return RESULTS_BY_OUTCOME[outcome] || null;
+}
+
+/**
+ * Text the patient their reminder
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<Object>} SMS result
+ */
+export async function sendReminderText(appointment) {
+  return sendAppointmentReminder({
+    callerName: appointment.caller_name,
+    callerPhone: appointment.caller_phone,
+    appointmentTime: appointment.appointment_time,
+    reason: appointment.reason,
+  });
+}
+
+/**
+ * Call the patient with their reminder
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<Object>} { callSid, status }
+ */
+export async function placeReminderCall(appointment) {
+  try {
+    const call = await placeOutboundCall({
+      to: appointment.caller_phone,
+      purpose: 'reminder',
+      appointmentId: appointment.id,
+    });
+
+    reminderLogger.info('Reminder call placed', { appointmentId: appointment.id, callSid: call.callSid });
+    return call;
+  } catch (error) {
+    reminderLogger.error('Error placing reminder call', error, { appointmentId: appointment.id });
+    throw error;
+  }
+}
+
+/**
+ * A reminder call that nobody picked up (busy, no answer, failed): record
+ * that and text the reminder instead
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} callStatus - Twilio's final CallStatus
+ * @returns {Promise<Object>} Updated appointment
+ */
+export async function handleUnansweredReminderCall(appointmentId, callStatus) {
+  try {
+    const appointment = await setReminderResult(appointmentId, 'no_answer');
+
+    reminderLogger.info('Reminder call not answered, texting instead', { appointmentId, callStatus });
+
+    if (appointment.status === 'confirmed') {
+      await sendReminderText(appointment);
+    }
+
+    return appointment;
+  } catch (error) {
+    reminderLogger.error('Error handling unanswered reminder call', error, { appointmentId, callStatus });
+    throw error;
+  }
+}
+
+export default {
+  getDefaultReminderChannel,
+  getReminderChannel,
+  getReminderGreeting,
+  handleUnansweredReminderCall,
+  placeReminderCall,
+  reminderResultForOutcome,
+  sendReminderText,
+};
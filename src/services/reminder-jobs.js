@@ -0,0 +1,167 @@
+/**
+ * Appointment reminder schedule
+ * Each appointment gets one reminder job per stage in REMINDER_OFFSETS_HOURS
+ * (e.g. 72, 24 and 2 hours before), stored in reminder_jobs so reminders
+ * survive restarts and stopped machines. Jobs are (re)scheduled whenever an
+ * appointment is booked or moved; reminder-scheduler.js sends them.
+ *
+ * Nothing goes out during quiet hours (REMINDER_QUIET_HOURS) in the patient's
+ * timezone - the caller's, when a call told us, otherwise the office's.
+ */
+
+import { logger } from '../utils/logger.js';
+import { scheduleReminderJobs } from '../db/queries.js';
+import {
+  formatDateInZone,
+  getBusinessTimezone,
+  getZonedParts,
+  nextDate,
+  parseLocalTimeToMinutes,
+  toHHMM,
+  zonedTimeToUtc,
+} from '../utils/timezone.js';
+
+const reminderLogger = logger.child('REMINDER_JOBS');
+
+const DEFAULT_OFFSETS_HOURS = [24];
+const DEFAULT_GRACE_HOURS = 12;
+const DEFAULT_QUIET_HOURS = '21:00-08:00';
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * When reminders go out, as minutes before the appointment (REMINDER_OFFSETS_HOURS,
+ * comma-separated hours, e.g. "72,24,2")
+ * @returns {Array<number>} Minutes, furthest ahead first
+ */
+export function getReminderOffsets() {
+  const hours = (process.env.REMINDER_OFFSETS_HOURS || '')
+    .split(',')
+    .map((value) => Number(value.trim()))
+    .filter((value) => Number.isFinite(value) && value > 0);
+
+  const minutes = (hours.length > 0 ? hours : DEFAULT_OFFSETS_HOURS).map((value) => Math.round(value * 60));
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+/**
+ * How late a reminder can still go out, e.g. after the machine was stopped
+ * (REMINDER_GRACE_HOURS); later ones are dropped
+ * @returns {number} Minutes
+ */
+export function getReminderGraceMinutes() {
+  const hours = Number(process.env.REMINDER_GRACE_HOURS ?? DEFAULT_GRACE_HOURS);
+  return Math.round((Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS) * 60);
+}
+
+/**
+ * How many times a reminder is tried before it's marked failed (REMINDER_MAX_ATTEMPTS)
+ * @returns {number} Attempts
+ */
+export function getReminderMaxAttempts() {
+  const attempts = Number(process.env.REMINDER_MAX_ATTEMPTS ?? DEFAULT_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * When reminders may not go out, in the patient's local time (REMINDER_QUIET_HOURS,
+ * e.g. "21:00-08:00"; "off" sends at any hour)
+ * @returns {{start: number, end: number}|null} Minutes since midnight, or null for none
+ */
+export function getQuietHours() {
+  const setting = (process.env.REMINDER_QUIET_HOURS ?? DEFAULT_QUIET_HOURS).trim();
+  if (setting === '' || setting.toLowerCase() === 'off') return null;
+
+  const [start, end] = setting.split('-').map(parseLocalTimeToMinutes);
+  if (start == null || end == null) {
+    reminderLogger.warn('Invalid REMINDER_QUIET_HOURS, using the default', { setting });
+    return getDefaultQuietHours();
+  }
+
+  return start === end ? null : { start, end };
+}
+
+/**
+ * The default quiet hours as minutes
+ * @returns {{start: number, end: number}}
+ */
+function getDefaultQuietHours() {
+  const [start, end] = DEFAULT_QUIET_HOURS.split('-').map(parseLocalTimeToMinutes);
+  return { start, end };
+}
+
+/**
+ * When the quiet hours an instant falls in are over
+ * @param {Date} date - Instant to check
+ * @param {string} timezone - Patient's IANA timezone
+ * @param {Object|null} quietHours - { start, end } (getQuietHours() by default)
+ * @returns {Date|null} End of the quiet hours, or null if it isn't quiet then
+ */
+export function getQuietHoursEnd(date, timezone, quietHours = getQuietHours()) {
+  if (!quietHours) return null;
+
+  const { start, end } = quietHours;
+  const { hour, minute } = getZonedParts(date, timezone);
+  const minutes = hour * 60 + minute;
+
+  // "21:00-08:00" runs past midnight
+  const overnight = start > end;
+  const quiet = overnight
+    ? minutes >= start || minutes < end
+    : minutes >= start && minutes < end;
+  if (!quiet) return null;
+
+  const today = formatDateInZone(date, timezone);
+  const endDate = overnight && minutes >= start ? nextDate(today) : today;
+  return zonedTimeToUtc(endDate, toHHMM(end), timezone);
+}
+
+/**
+ * The timezone an appointment's reminders are timed in
+ * @param {Object} appointment - Appointment row
+ * @returns {string} IANA timezone
+ */
+export function getPatientTimezone(appointment) {
+  return appointment.caller_timezone || getBusinessTimezone();
+}
+
+/**
+ * Queue an appointment's reminders (on booking, and again whenever it moves)
+ * Only stages still ahead are queued: an appointment booked for tomorrow
+ * morning doesn't get its 72-hour reminder straight away.
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<Array>} Queued jobs
+ */
+export async function scheduleReminders(appointment) {
+  try {
+    const appointmentTime = new Date(appointment.appointment_time).getTime();
+    const now = Date.now();
+
+    const jobs = appointment.status === 'confirmed'
+      ? getReminderOffsets()
+        .map((offsetMinutes) => ({ offsetMinutes, dueAt: new Date(appointmentTime - offsetMinutes * 60000) }))
+        .filter((job) => job.dueAt.getTime() > now)
+      : [];
+
+    const created = await scheduleReminderJobs(appointment.id, jobs);
+
+    reminderLogger.info('Reminders scheduled', {
+      appointmentId: appointment.id,
+      dueAt: created.map((job) => new Date(job.due_at).toISOString()),
+    });
+
+    return created;
+  } catch (error) {
+    reminderLogger.error('Error scheduling reminders', error, { appointmentId: appointment.id });
+    throw error;
+  }
+}
+
+export default {
+  getPatientTimezone,
+  getQuietHours,
+  getQuietHoursEnd,
+  getReminderGraceMinutes,
+  getReminderMaxAttempts,
+  getReminderOffsets,
+  scheduleReminders,
+};
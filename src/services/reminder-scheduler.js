@@ -1,95 +1,274 @@
 /**
  * Appointment reminder scheduler
- * Checks for upcoming appointments and sends SMS reminders 24 hours before
+ * Works through the reminder job queue (see reminder-jobs.js) every few
+ * minutes, reminding patients by SMS or by phone call (see reminder-calls.js).
+ * Jobs are leased to one machine at a time, so running several machines
+ * doesn't double-send, and reminders that fell due while every machine was
+ * stopped go out when one boots (within REMINDER_GRACE_HOURS).
  */
 
+import os from 'os';
 import { logger } from '../utils/logger.js';
-import { getAppointmentsNeedingReminders, markReminderSent } from '../db/queries.js';
-import { sendAppointmentReminder } from './sms.js';
+import {
+  claimDueReminderJobs,
+  finishReminderJob,
+  getAppointmentById,
+  getAppointmentsWithoutReminderJobs,
+  markReminderSent,
+} from '../db/queries.js';
+import {
+  getPatientTimezone,
+  getQuietHoursEnd,
+  getReminderGraceMinutes,
+  getReminderMaxAttempts,
+  scheduleReminders,
+} from './reminder-jobs.js';
+import { getReminderChannel, placeReminderCall, sendReminderText } from './reminder-calls.js';
 
 const reminderLogger = logger.child('REMINDER');
 
+const POLL_MINUTES = 5;
+const LEASE_SECONDS = 5 * 60; // Long enough to place a call or send a text
+const BATCH_SIZE = 20;
+const RETRY_MINUTES = 15; // Times the attempt number
+
+/**
+ * This machine's name on the jobs it leases
+ * @returns {string} Worker ID
+ */
+export function getWorkerId() {
+  return process.env.FLY_MACHINE_ID || `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * Work out what to do with a claimed job, short of sending it
+ * @param {Object} job - Reminder job row
+ * @param {Object} appointment - Its appointment
+ * @param {Date} now - Current time
+ * @returns {Object|null} finishReminderJob update, or null to send it now
+ */
+function checkReminderJob(job, appointment, now) {
+  if (appointment.status !== 'confirmed') {
+    return { status: 'cancelled', lastError: 'Appointment is no longer confirmed' };
+  }
+
+  const appointmentTime = new Date(appointment.appointment_time);
+  if (appointmentTime <= now) {
+    return { status: 'expired', lastError: 'Appointment has already started' };
+  }
+
+  // Moved later without being rescheduled here (e.g. edited by hand): wait for the new time
+  const dueAt = new Date(appointmentTime.getTime() - job.offset_minutes * 60000);
+  if (dueAt > now) {
+    return { status: 'pending', dueAt: dueAt.toISOString(), countAttempt: false };
+  }
+
+  const lateMinutes = (now - new Date(job.due_at)) / 60000;
+  if (lateMinutes > getReminderGraceMinutes()) {
+    return { status: 'expired', lastError: `Overdue by ${Math.round(lateMinutes)} minutes` };
+  }
+
+  const quietUntil = getQuietHoursEnd(now, getPatientTimezone(appointment));
+  if (quietUntil) {
+    return quietUntil < appointmentTime
+      ? { status: 'pending', dueAt: quietUntil.toISOString(), countAttempt: false }
+      : { status: 'expired', lastError: 'Quiet hours last until the appointment' };
+  }
+
+  return null;
+}
+
+/**
+ * Queue a finished job's stages again if its appointment moved while the job
+ * ran: rescheduling leaves running jobs alone, so the stage wasn't queued for
+ * the new time. Failures are logged; the reminder already went out (or not) either way.
+ * @param {Object} job - Reminder job row
+ * @param {Object} appointment - The appointment as the job read it
+ * @returns {Promise<void>}
+ */
+async function requeueIfMoved(job, appointment) {
+  try {
+    const current = await getAppointmentById(job.appointment_id);
+    if (new Date(current.appointment_time).getTime() === new Date(appointment.appointment_time).getTime()) return;
+
+    reminderLogger.info('Appointment moved while its reminder ran, queuing again', {
+      jobId: job.id,
+      appointmentId: job.appointment_id,
+      from: appointment.appointment_time,
+      to: current.appointment_time,
+    });
+    await scheduleReminders(current);
+  } catch (error) {
+    reminderLogger.error('Failed to requeue reminders for a moved appointment', error, { appointmentId: job.appointment_id });
+  }
+}
+
 /**
- * Check for appointments needing reminders and send them
+ * Send one claimed reminder job, or put it off, retry it or drop it
+ * @param {Object} job - Reminder job row (leased to workerId)
+ * @param {string} workerId - This machine
+ * @returns {Promise<string>} What happened: sent, called, deferred, retried, failed, expired or cancelled
  */
-export async function checkAndSendReminders() {
+async function processReminderJob(job, workerId) {
+  let appointment = null;
+
   try {
-    reminderLogger.info('Checking for appointments needing reminders');
+    appointment = await getAppointmentById(job.appointment_id);
 
-    // Get appointments happening in 24 hours that haven't been reminded
-    const appointments = await getAppointmentsNeedingReminders();
+    const skip = checkReminderJob(job, appointment, new Date());
+    if (skip) {
+      await finishReminderJob(job.id, workerId, skip);
+      reminderLogger.info('Reminder not sent', { jobId: job.id, appointmentId: job.appointment_id, ...skip });
+      await requeueIfMoved(job, appointment);
+      return skip.status === 'pending' ? 'deferred' : skip.status;
+    }
 
-    if (appointments.length === 0) {
-      reminderLogger.info('No appointments need reminders at this time');
-      return { sent: 0, total: 0 };
+    // Text by default; a call for patients who asked for one
+    const channel = await getReminderChannel(appointment);
+    if (channel === 'call') {
+      await placeReminderCall(appointment);
+    } else {
+      await sendReminderText(appointment);
     }
 
-    reminderLogger.info(`Found ${appointments.length} appointments needing reminders`);
+    await markReminderSent(appointment.id);
+    await finishReminderJob(job.id, workerId, { status: 'sent' });
+    await requeueIfMoved(job, appointment);
 
-    let sent = 0;
-    let failed = 0;
+    reminderLogger.info('Reminder sent successfully', {
+      jobId: job.id,
+      appointmentId: appointment.id,
+      callerName: appointment.caller_name,
+      appointmentTime: appointment.appointment_time,
+      hoursBefore: job.offset_minutes / 60,
+      channel,
+    });
 
-    for (const appointment of appointments) {
-      try {
-        // Send reminder SMS
-        await sendAppointmentReminder({
-          callerName: appointment.caller_name,
-          callerPhone: appointment.caller_phone,
-          appointmentTime: appointment.appointment_time,
-          reason: appointment.reason,
-        });
-
-        // Mark reminder as sent in database
-        await markReminderSent(appointment.id);
-
-        sent++;
-
-        reminderLogger.info('Reminder sent successfully', {
-          appointmentId: appointment.id,
-          callerName: appointment.caller_name,
-          appointmentTime: appointment.appointment_time,
-        });
-      } catch (error) {
-        failed++;
-        reminderLogger.error('Failed to send reminder', error, {
-          appointmentId: appointment.id,
-          callerName: appointment.caller_name,
-        });
+    return channel === 'call' ? 'called' : 'sent';
+  } catch (error) {
+    reminderLogger.error('Failed to send reminder', error, {
+      jobId: job.id,
+      appointmentId: job.appointment_id,
+      attempt: job.attempts,
+    });
+
+    if (job.attempts >= getReminderMaxAttempts()) {
+      await finishReminderJob(job.id, workerId, { status: 'failed', lastError: error.message });
+      if (appointment) await requeueIfMoved(job, appointment);
+      return 'failed';
+    }
+
+    const retryAt = new Date(Date.now() + RETRY_MINUTES * job.attempts * 60000);
+    await finishReminderJob(job.id, workerId, { status: 'pending', dueAt: retryAt.toISOString(), lastError: error.message });
+    return 'retried';
+  }
+}
+
+/**
+ * Send the reminders that are due
+ * @param {Object} options
+ * @param {string} options.workerId - Machine doing the work (this one by default)
+ * @returns {Promise<Object>} Count of jobs per outcome, plus total
+ */
+export async function processDueReminders({ workerId = getWorkerId() } = {}) {
+  try {
+    const counts = { sent: 0, called: 0, deferred: 0, retried: 0, failed: 0, expired: 0, cancelled: 0, total: 0 };
+
+    // Claim in batches until nothing is due
+    for (;;) {
+      const jobs = await claimDueReminderJobs({ workerId, leaseSeconds: LEASE_SECONDS, limit: BATCH_SIZE });
+      if (jobs.length === 0) break;
+
+      for (const job of jobs) {
+        const outcome = await processReminderJob(job, workerId);
+        counts[outcome]++;
+        counts.total++;
       }
     }
 
-    reminderLogger.info('Reminder batch complete', {
-      total: appointments.length,
-      sent,
-      failed,
-    });
+    if (counts.total > 0) {
+      reminderLogger.info('Reminder batch complete', counts);
+    }
 
-    return { sent, failed, total: appointments.length };
+    return counts;
   } catch (error) {
-    reminderLogger.error('Error checking for reminders', error);
+    reminderLogger.error('Error processing reminders', error);
     throw error;
   }
 }
 
 /**
- * Start reminder scheduler (runs every hour)
+ * Queue reminders for upcoming appointments that have none (booked before
+ * the job queue existed, or when scheduling failed at booking time)
+ * @returns {Promise<number>} Appointments scheduled
  */
-export function startReminderScheduler() {
-  reminderLogger.info('Starting appointment reminder scheduler (runs hourly)');
+export async function scheduleMissingReminders() {
+  try {
+    const appointments = await getAppointmentsWithoutReminderJobs();
 
-  // Run immediately on startup
-  checkAndSendReminders();
+    let scheduled = 0;
+    for (const appointment of appointments) {
+      if ((await scheduleReminders(appointment)).length > 0) scheduled++;
+    }
+
+    if (scheduled > 0) {
+      reminderLogger.info('Queued reminders for appointments without any', { scheduled });
+    }
 
-  // Then run every hour
-  const intervalMs = 60 * 60 * 1000; // 1 hour
-  setInterval(checkAndSendReminders, intervalMs);
+    return scheduled;
+  } catch (error) {
+    reminderLogger.error('Error queuing missing reminders', error);
+    throw error;
+  }
+}
 
-  reminderLogger.info('Reminder scheduler started', {
-    intervalMinutes: 60,
+/**
+ * Start reminder scheduler (runs every few minutes)
+ * The first run catches up on anything that fell due while no machine was
+ * running. Each run is timed from the end of the last, so a slow batch (calls
+ * take a while) never overlaps the next.
+ * @param {Object} options
+ * @param {number} options.intervalMs - Pause between runs (POLL_MINUTES by default)
+ * @returns {Function} Stops the scheduler (a run in progress finishes)
+ */
+export function startReminderScheduler({ intervalMs = POLL_MINUTES * 60 * 1000 } = {}) {
+  reminderLogger.info('Starting appointment reminder scheduler', {
+    intervalMinutes: intervalMs / 60000,
+    workerId: getWorkerId(),
   });
+
+  let timer = null;
+  let stopped = false;
+
+  const run = async () => {
+    try {
+      await processDueReminders();
+    } catch (error) {
+      // processDueReminders logged the details; unclaimed and leased jobs wait for the next run
+      reminderLogger.warn('Reminder run failed, trying again next poll', { error: error.message });
+    }
+    if (!stopped) timer = setTimeout(run, intervalMs);
+  };
+
+  scheduleMissingReminders()
+    .catch((error) => {
+      reminderLogger.warn('Could not queue reminders for appointments without any; they are queued on the next boot', {
+        error: error.message,
+      });
+    })
+    .then(() => {
+      if (!stopped) run();
+    });
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
 }
 
 export default {
-  checkAndSendReminders,
+  getWorkerId,
+  processDueReminders,
+  scheduleMissingReminders,
   startReminderScheduler,
 };
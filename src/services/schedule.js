@@ -0,0 +1,431 @@
+/**
+ * Business schedule
+ * Weekly hours (one or more ranges per day, e.g. around a lunch break), dated
+ * holidays and one-off closures. Slot generation, availability checks and the
+ * prompt's Office Hours section are all built from this definition.
+ */
+
+import { logger } from '../utils/logger.js';
+import {
+  parseLocalTimeToMinutes,
+  toHHMM,
+  zonedTimeToUtc,
+  formatDateInZone,
+  nextDate,
+  getBusinessTimezone,
+} from '../utils/timezone.js';
+
+const scheduleLogger = logger.child('SCHEDULE');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Order the Office Hours section is read in (week starts Monday)
+const DISPLAY_ORDER = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Default schedule for Dr. Smith's Dental Office
+ * Override with BUSINESS_SCHEDULE (JSON in the same shape)
+ *
+ * weekly:    weekday -> list of open ranges (office-local HH:MM, end exclusive)
+ * holidays:  { date, name } - closed all day
+ * closures:  { date, reason, start?, end? } - closed all day, or only between start and end
+ */
+export const DEFAULT_SCHEDULE = {
+  weekly: {
+    monday: [{ start: '09:00', end: '17:00' }],
+    tuesday: [{ start: '09:00', end: '17:00' }],
+    wednesday: [{ start: '09:00', end: '17:00' }],
+    thursday: [{ start: '09:00', end: '17:00' }],
+    friday: [{ start: '09:00', end: '17:00' }],
+    saturday: [{ start: '09:00', end: '13:00' }],
+    sunday: [],
+  },
+  holidays: [
+    { date: '2026-11-26', name: 'Thanksgiving' },
+    { date: '2026-12-24', name: 'Christmas Eve' },
+    { date: '2026-12-25', name: 'Christmas Day' },
+    { date: '2027-01-01', name: "New Year's Day" },
+    { date: '2027-05-31', name: 'Memorial Day' },
+    { date: '2027-07-05', name: 'Independence Day (observed)' },
+    { date: '2027-09-06', name: 'Labor Day' },
+  ],
+  closures: [],
+};
+
+let cachedSchedule = null;
+
+/**
+ * Parse an HH:MM string to minutes since midnight, or throw
+ * @param {string} value - Time string
+ * @param {string} where - Location in the schedule (for the error message)
+ * @returns {number} Minutes since midnight
+ */
+function parseScheduleTime(value, where) {
+  // 24:00 is allowed as an end time (open until midnight)
+  if (value === '24:00') return 24 * 60;
+
+  const minutes = /^\d{2}:\d{2}$/.test(String(value)) ? parseLocalTimeToMinutes(value) : null;
+  if (minutes === null) {
+    throw new Error(`Invalid business schedule: ${where} has bad time "${value}" (expected HH:MM)`);
+  }
+  return minutes;
+}
+
+/**
+ * Validate a date string in YYYY-MM-DD form, or throw
+ * @param {string} value - Date string
+ * @param {string} where - Location in the schedule (for the error message)
+ */
+function assertScheduleDate(value, where) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new Error(`Invalid business schedule: ${where} has bad date "${value}" (expected YYYY-MM-DD)`);
+  }
+}
+
+/**
+ * Validate weekly hours (weekday -> list of { start, end }) and fill in missing days
+ * Also used for providers' working hours
+ * @param {Object} raw - Weekly hours
+ * @param {string} where - Location in the config (for error messages)
+ * @returns {Object} Weekly hours with every weekday present, ranges sorted
+ */
+export function normalizeWeeklyHours(raw, where = 'weekly') {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Invalid business schedule: "${where}" hours are required`);
+  }
+
+  for (const day of Object.keys(raw)) {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error(`Invalid business schedule: unknown weekday "${day}" in ${where}`);
+    }
+  }
+
+  const weekly = {};
+  for (const day of WEEKDAYS) {
+    const ranges = raw[day] || [];
+    weekly[day] = ranges
+      .map((range, i) => {
+        const start = parseScheduleTime(range.start, `${day}[${i}].start`);
+        const end = parseScheduleTime(range.end, `${day}[${i}].end`);
+        if (end <= start) {
+          throw new Error(`Invalid business schedule: ${day}[${i}] ends before it starts`);
+        }
+        return { start: range.start, end: range.end };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  return weekly;
+}
+
+/**
+ * Validate a schedule definition and fill in missing sections
+ * @param {Object} raw - Schedule definition
+ * @returns {Object} Normalized schedule
+ */
+export function normalizeSchedule(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid business schedule: "weekly" hours are required');
+  }
+
+  const weekly = normalizeWeeklyHours(raw.weekly);
+
+  const holidays = (raw.holidays || []).map((holiday, i) => {
+    assertScheduleDate(holiday.date, `holidays[${i}]`);
+    return { date: holiday.date, name: holiday.name || 'Holiday' };
+  });
+
+  const closures = (raw.closures || []).map((closure, i) => {
+    assertScheduleDate(closure.date, `closures[${i}]`);
+    if ((closure.start === undefined) !== (closure.end === undefined)) {
+      throw new Error(`Invalid business schedule: closures[${i}] needs both start and end, or neither`);
+    }
+    if (closure.start !== undefined) {
+      const start = parseScheduleTime(closure.start, `closures[${i}].start`);
+      const end = parseScheduleTime(closure.end, `closures[${i}].end`);
+      if (end <= start) {
+        throw new Error(`Invalid business schedule: closures[${i}] ends before it starts`);
+      }
+    }
+    return {
+      date: closure.date,
+      reason: closure.reason || 'Office closed',
+      start: closure.start,
+      end: closure.end,
+    };
+  });
+
+  return { weekly, holidays, closures };
+}
+
+/**
+ * Get the active business schedule (BUSINESS_SCHEDULE or the default)
+ * Invalid configuration throws rather than silently falling back, since the
+ * prompt would otherwise quote hours the calendar doesn't honour
+ * @returns {Object} Normalized schedule
+ */
+export function getSchedule() {
+  if (cachedSchedule) return cachedSchedule;
+
+  if (process.env.BUSINESS_SCHEDULE) {
+    try {
+      cachedSchedule = normalizeSchedule(JSON.parse(process.env.BUSINESS_SCHEDULE));
+      scheduleLogger.info('Loaded business schedule from BUSINESS_SCHEDULE', {
+        holidays: cachedSchedule.holidays.length,
+        closures: cachedSchedule.closures.length,
+      });
+    } catch (error) {
+      scheduleLogger.error('Failed to load BUSINESS_SCHEDULE', error);
+      throw error;
+    }
+  } else {
+    cachedSchedule = normalizeSchedule(DEFAULT_SCHEDULE);
+  }
+
+  return cachedSchedule;
+}
+
+/**
+ * Get the weekday name for a calendar date (timezone-independent)
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} e.g. "monday"
+ */
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+/**
+ * Remove [cutStart, cutEnd) from a list of minute ranges
+ * @param {Array<{start: number, end: number}>} ranges - Open ranges in minutes
+ * @param {number} cutStart - Start of closed period in minutes
+ * @param {number} cutEnd - End of closed period in minutes
+ * @returns {Array<{start: number, end: number}>} Remaining ranges
+ */
+function subtractRange(ranges, cutStart, cutEnd) {
+  const result = [];
+  for (const range of ranges) {
+    if (cutEnd <= range.start || cutStart >= range.end) {
+      result.push(range);
+      continue;
+    }
+    if (cutStart > range.start) result.push({ start: range.start, end: cutStart });
+    if (cutEnd < range.end) result.push({ start: cutEnd, end: range.end });
+  }
+  return result;
+}
+
+/**
+ * Keep only the parts of `ranges` that overlap one of `limits`
+ * @param {Array<{start: number, end: number}>} ranges - Ranges in minutes
+ * @param {Array<{start: number, end: number}>} limits - Ranges in minutes
+ * @returns {Array<{start: number, end: number}>} Overlapping parts, in order
+ */
+function intersectRanges(ranges, limits) {
+  const result = [];
+  for (const range of ranges) {
+    for (const limit of limits) {
+      const start = Math.max(range.start, limit.start);
+      const end = Math.min(range.end, limit.end);
+      if (start < end) result.push({ start, end });
+    }
+  }
+  return result.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the office's open hours for a business-local date
+ * @param {string} dateStr - Date in YYYY-MM-DD format (office-local)
+ * @param {Object} schedule - Schedule (defaults to the active one)
+ * @param {Object} workingHours - Optional weekly hours to narrow to (e.g. a provider's shifts)
+ * @returns {{ranges: Array<{start: string, end: string}>, closedReason: string|null}}
+ *   Open ranges as HH:MM, and why the office is closed or has reduced hours that day
+ */
+export function getOpenHours(dateStr, schedule = getSchedule(), workingHours = null) {
+  const holiday = schedule.holidays.find((h) => h.date === dateStr);
+  if (holiday) {
+    return { ranges: [], closedReason: holiday.name };
+  }
+
+  let ranges = schedule.weekly[weekdayOf(dateStr)].map((range) => ({
+    start: parseScheduleTime(range.start),
+    end: parseScheduleTime(range.end),
+  }));
+  let closedReason = null;
+
+  for (const closure of schedule.closures.filter((c) => c.date === dateStr)) {
+    ranges = closure.start === undefined
+      ? []
+      : subtractRange(ranges, parseScheduleTime(closure.start), parseScheduleTime(closure.end));
+    closedReason = closure.reason;
+  }
+
+  if (workingHours) {
+    ranges = intersectRanges(ranges, workingHours[weekdayOf(dateStr)].map((range) => ({
+      start: parseScheduleTime(range.start),
+      end: parseScheduleTime(range.end),
+    })));
+  }
+
+  return {
+    ranges: ranges.map((range) => ({
+      start: toHHMM(range.start),
+      end: toHHMM(range.end),
+    })),
+    closedReason,
+  };
+}
+
+/**
+ * Get the office's open periods for a date as UTC instants (DST-safe)
+ * @param {string} dateStr - Date in YYYY-MM-DD format (office-local)
+ * @param {Object} schedule - Schedule (defaults to the active one)
+ * @param {string} timezone - Business timezone
+ * @param {Object} workingHours - Optional weekly hours to narrow to (e.g. a provider's shifts)
+ * @returns {Array<{start: Date, end: Date}>} Open periods, in order
+ */
+export function getOpenIntervals(dateStr, schedule = getSchedule(), timezone = getBusinessTimezone(), workingHours = null) {
+  return getOpenHours(dateStr, schedule, workingHours).ranges.map((range) => ({
+    start: zonedTimeToUtc(dateStr, range.start, timezone),
+    end: range.end === '24:00'
+      ? zonedTimeToUtc(nextDate(dateStr), '00:00', timezone)
+      : zonedTimeToUtc(dateStr, range.end, timezone),
+  }));
+}
+
+/**
+ * Check whether an appointment falls entirely within one open period
+ * @param {Date} startTime - Appointment start
+ * @param {number} durationMinutes - Appointment length in minutes
+ * @param {Object} schedule - Schedule (defaults to the active one)
+ * @param {string} timezone - Business timezone
+ * @param {Object} workingHours - Optional weekly hours to narrow to (e.g. a provider's shifts)
+ * @returns {boolean} True if the office is open for the whole appointment
+ */
+export function isOpenFor(startTime, durationMinutes = 30, schedule = getSchedule(), timezone = getBusinessTimezone(), workingHours = null) {
+  const endTime = new Date(startTime.getTime() + durationMinutes * 60000);
+  const dateStr = formatDateInZone(startTime, timezone);
+
+  return getOpenIntervals(dateStr, schedule, timezone, workingHours).some(
+    (interval) => startTime >= interval.start && endTime <= interval.end
+  );
+}
+
+/**
+ * Format HH:MM for speech ("13:30" -> "1:30 PM", "12:00" -> "12:00 PM")
+ * @param {string} hhmm - Time in HH:MM format
+ * @returns {string} Spoken time
+ */
+function formatHourForSpeech(hhmm) {
+  if (hhmm === '24:00') return 'midnight';
+
+  const [h, m] = hhmm.split(':').map(Number);
+  const period = h >= 12 ? 'PM' : 'AM';
+  const hour12 = h % 12 === 0 ? 12 : h % 12;
+  return `${hour12}:${String(m).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Format a day's ranges as text ("9:00 AM - 12:00 PM, 1:00 PM - 5:00 PM" or "Closed")
+ * @param {Array<{start: string, end: string}>} ranges - Open ranges
+ * @returns {string} Hours text
+ */
+function formatRanges(ranges) {
+  if (ranges.length === 0) return 'Closed';
+  return ranges.map((r) => `${formatHourForSpeech(r.start)} - ${formatHourForSpeech(r.end)}`).join(', ');
+}
+
+/**
+ * Capitalize a weekday name
+ * @param {string} day - e.g. "monday"
+ * @returns {string} e.g. "Monday"
+ */
+function capitalize(day) {
+  return day.charAt(0).toUpperCase() + day.slice(1);
+}
+
+/**
+ * Group consecutive weekdays with identical hours, Monday first
+ * @param {Object} weekly - Normalized weekly hours
+ * @returns {Array<{days: string, hours: string}>} e.g. { days: 'Monday - Friday', hours: '9:00 AM - 5:00 PM' }
+ */
+export function describeWeeklyHours(weekly) {
+  const groups = [];
+
+  let groupStart = 0;
+  for (let i = 1; i <= DISPLAY_ORDER.length; i++) {
+    const prev = formatRanges(weekly[DISPLAY_ORDER[i - 1]]);
+    const current = i < DISPLAY_ORDER.length ? formatRanges(weekly[DISPLAY_ORDER[i]]) : null;
+
+    if (current !== prev) {
+      const first = capitalize(DISPLAY_ORDER[groupStart]);
+      const last = capitalize(DISPLAY_ORDER[i - 1]);
+      groups.push({ days: groupStart === i - 1 ? first : `${first} - ${last}`, hours: prev });
+      groupStart = i;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Build the Office Hours section of the system prompt
+ * Consecutive days with the same hours are grouped ("Monday - Friday: ...");
+ * holidays and closures in the next `lookaheadDays` days are listed after
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.lookaheadDays - How far ahead to list closures
+ * @param {Object} options.schedule - Schedule (defaults to the active one)
+ * @param {string} options.timezone - Business timezone
+ * @returns {string} Markdown bullet list
+ */
+export function formatOfficeHours({
+  now = new Date(),
+  lookaheadDays = 60,
+  schedule = getSchedule(),
+  timezone = getBusinessTimezone(),
+} = {}) {
+  const lines = describeWeeklyHours(schedule.weekly).map(({ days, hours }) => `- ${days}: ${hours}`);
+
+  // Dated exceptions coming up soon
+  const today = formatDateInZone(now, timezone);
+  let lastDay = today;
+  for (let i = 0; i < lookaheadDays; i++) lastDay = nextDate(lastDay);
+
+  const exceptionDates = [...new Set([
+    ...schedule.holidays.map((h) => h.date),
+    ...schedule.closures.map((c) => c.date),
+  ])]
+    .filter((date) => date >= today && date <= lastDay)
+    .sort();
+
+  if (exceptionDates.length > 0) {
+    lines.push('', '**Upcoming Closures:**');
+    for (const date of exceptionDates) {
+      const { ranges, closedReason } = getOpenHours(date, schedule);
+      const [y, m, d] = date.split('-').map(Number);
+      const spokenDate = new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+      });
+      const hours = ranges.length === 0 ? 'Closed' : `Open ${formatRanges(ranges)} only`;
+      lines.push(`- ${spokenDate}: ${hours} (${closedReason})`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  DEFAULT_SCHEDULE,
+  normalizeWeeklyHours,
+  normalizeSchedule,
+  getSchedule,
+  getOpenHours,
+  getOpenIntervals,
+  isOpenFor,
+  describeWeeklyHours,
+  formatOfficeHours,
+};
@@ -0,0 +1,236 @@
+/**
+ * Service catalog
+ * The appointment types the office books, each with its own duration,
+ * buffers and booking window. Tools take a service type and derive timing
+ * from here instead of trusting model-supplied durations.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const catalogLogger = logger.child('CATALOG');
+
+/**
+ * Default catalog for Dr. Smith's Dental Office
+ * Override with SERVICE_CATALOG (JSON array in the same shape)
+ *
+ * durationMinutes:     time the patient is booked for
+ * bufferBeforeMinutes: free time required before the appointment (room prep)
+ * bufferAfterMinutes:  free time required after the appointment (cleanup)
+ * minNoticeHours:      earliest booking, measured from now
+ * maxAdvanceDays:      latest booking, measured from now
+ */
+export const DEFAULT_SERVICES = [
+  {
+    id: 'cleaning',
+    name: 'Dental cleaning',
+    description: 'Routine cleaning and polish',
+    durationMinutes: 60,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 15,
+    minNoticeHours: 24,
+    maxAdvanceDays: 90,
+  },
+  {
+    id: 'checkup',
+    name: 'Checkup',
+    description: 'Exam with the dentist, x-rays if due',
+    durationMinutes: 30,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 0,
+    minNoticeHours: 24,
+    maxAdvanceDays: 90,
+  },
+  {
+    id: 'new_patient',
+    name: 'New patient visit',
+    description: 'First visit: exam, full x-rays and cleaning',
+    durationMinutes: 90,
+    bufferBeforeMinutes: 15,
+    bufferAfterMinutes: 15,
+    minNoticeHours: 48,
+    maxAdvanceDays: 60,
+  },
+  {
+    id: 'filling',
+    name: 'Filling',
+    description: 'Cavity filling',
+    durationMinutes: 60,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 15,
+    minNoticeHours: 24,
+    maxAdvanceDays: 60,
+  },
+  {
+    id: 'emergency',
+    name: 'Emergency visit',
+    description: 'Severe pain, swelling, or a broken tooth',
+    durationMinutes: 45,
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 15,
+    minNoticeHours: 1,
+    maxAdvanceDays: 3,
+  },
+];
+
+let cachedCatalog = null;
+
+/**
+ * Validate a catalog definition
+ * @param {Array<Object>} raw - Catalog definition
+ * @returns {Array<Object>} Normalized catalog (buffers default to 0)
+ */
+export function normalizeCatalog(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('Invalid service catalog: expected a non-empty array of services');
+  }
+
+  const seen = new Set();
+
+  return raw.map((service, i) => {
+    if (!service.id || !/^[a-z0-9_]+$/.test(service.id)) {
+      throw new Error(`Invalid service catalog: services[${i}] needs an id of lowercase letters, digits and underscores`);
+    }
+    if (seen.has(service.id)) {
+      throw new Error(`Invalid service catalog: duplicate id "${service.id}"`);
+    }
+    seen.add(service.id);
+
+    const normalized = {
+      id: service.id,
+      name: service.name || service.id,
+      description: service.description || '',
+      durationMinutes: service.durationMinutes,
+      bufferBeforeMinutes: service.bufferBeforeMinutes ?? 0,
+      bufferAfterMinutes: service.bufferAfterMinutes ?? 0,
+      minNoticeHours: service.minNoticeHours ?? 0,
+      maxAdvanceDays: service.maxAdvanceDays ?? 90,
+    };
+
+    if (!Number.isInteger(normalized.durationMinutes) || normalized.durationMinutes <= 0) {
+      throw new Error(`Invalid service catalog: "${service.id}" needs a positive whole durationMinutes`);
+    }
+    for (const field of ['bufferBeforeMinutes', 'bufferAfterMinutes', 'minNoticeHours', 'maxAdvanceDays']) {
+      if (typeof normalized[field] !== 'number' || normalized[field] < 0) {
+        throw new Error(`Invalid service catalog: "${service.id}" has a bad ${field}`);
+      }
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Get the active service catalog (SERVICE_CATALOG or the default)
+ * @returns {Array<Object>} Normalized catalog
+ */
+export function getServiceCatalog() {
+  if (cachedCatalog) return cachedCatalog;
+
+  if (process.env.SERVICE_CATALOG) {
+    try {
+      cachedCatalog = normalizeCatalog(JSON.parse(process.env.SERVICE_CATALOG));
+      catalogLogger.info('Loaded service catalog from SERVICE_CATALOG', {
+        services: cachedCatalog.map((s) => s.id),
+      });
+    } catch (error) {
+      catalogLogger.error('Failed to load SERVICE_CATALOG', error);
+      throw error;
+    }
+  } else {
+    cachedCatalog = normalizeCatalog(DEFAULT_SERVICES);
+  }
+
+  return cachedCatalog;
+}
+
+/**
+ * Look up a service by ID (case and spacing tolerant: "New Patient" -> new_patient)
+ * @param {string} serviceType - Service ID from a tool call
+ * @param {Array<Object>} catalog - Catalog (defaults to the active one)
+ * @returns {Object|null} Service or null if unknown
+ */
+export function getService(serviceType, catalog = getServiceCatalog()) {
+  if (!serviceType) return null;
+
+  const key = String(serviceType).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return catalog.find((s) => s.id === key || s.name.toLowerCase().replace(/[\s-]+/g, '_') === key) || null;
+}
+
+/**
+ * Get the earliest and latest start times a service can be booked for
+ * @param {Object} service - Service from the catalog
+ * @param {Date} now - Current time
+ * @returns {{earliest: Date, latest: Date}} Booking window
+ */
+export function getBookingWindow(service, now = new Date()) {
+  return {
+    earliest: new Date(now.getTime() + service.minNoticeHours * 3600000),
+    latest: new Date(now.getTime() + service.maxAdvanceDays * 86400000),
+  };
+}
+
+/**
+ * Check a start time against a service's booking window
+ * @param {Object} service - Service from the catalog
+ * @param {Date} startTime - Requested start
+ * @param {Date} now - Current time
+ * @returns {string|null} 'too_soon', 'too_far', or null when bookable
+ */
+export function checkBookingWindow(service, startTime, now = new Date()) {
+  const { earliest, latest } = getBookingWindow(service, now);
+  if (startTime < earliest) return 'too_soon';
+  if (startTime > latest) return 'too_far';
+  return null;
+}
+
+/**
+ * Format a notice period for speech ("24 hours" -> "1 day")
+ * @param {number} hours - Notice in hours
+ * @returns {string} e.g. "2 days", "1 hour"
+ */
+function formatNotice(hours) {
+  if (hours >= 24 && hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe a minimum notice rule for the prompt
+ * @param {number} hours - Notice in hours
+ * @returns {string} e.g. "same-day OK", "same-day OK with 1 hour notice", "book at least 1 day ahead"
+ */
+function formatNoticeRule(hours) {
+  if (hours === 0) return 'same-day OK';
+  if (hours < 24) return `same-day OK with ${formatNotice(hours)} notice`;
+  return `book at least ${formatNotice(hours)} ahead`;
+}
+
+/**
+ * Build the Services section of the system prompt
+ * @param {Array<Object>} catalog - Catalog (defaults to the active one)
+ * @returns {string} Markdown bullet list
+ */
+export function formatServiceCatalog(catalog = getServiceCatalog()) {
+  return catalog
+    .map((s) => {
+      const details = [
+        `${s.durationMinutes} min`,
+        formatNoticeRule(s.minNoticeHours),
+        `up to ${s.maxAdvanceDays} days out`,
+      ];
+      return `- ${s.name} (serviceType: "${s.id}") - ${s.description ? `${s.description}; ` : ''}${details.join(', ')}`;
+    })
+    .join('\n');
+}
+
+export default {
+  DEFAULT_SERVICES,
+  normalizeCatalog,
+  getServiceCatalog,
+  getService,
+  getBookingWindow,
+  checkBookingWindow,
+  formatServiceCatalog,
+};
@@ -0,0 +1,94 @@
+/**
+ * Tentative holds on appointment times
+ * When the agent confirms a time is open it holds that provider's (and
+ * resource's) time for a few minutes, so a concurrent caller isn't offered or
+ * booked into it. Holds live in Postgres so they apply across machines.
+ */
+
+import { logger } from '../utils/logger.js';
+import { placeSlotHold, getActiveSlotHolds, releaseSlotHolds } from '../db/queries.js';
+import { bufferedWindow } from './availability.js';
+
+const holdsLogger = logger.child('HOLDS');
+
+const DEFAULT_HOLD_SECONDS = 300;
+
+/**
+ * How long a hold lasts (SLOT_HOLD_SECONDS, default 5 minutes)
+ * @returns {number} Seconds
+ */
+export function getHoldSeconds() {
+  const seconds = Number(process.env.SLOT_HOLD_SECONDS ?? DEFAULT_HOLD_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_HOLD_SECONDS;
+}
+
+/**
+ * Hold the provider and resource of an assignment for a caller, buffers included
+ * Replaces any earlier hold by the same caller once it's placed
+ * @param {string} holder - Twilio call SID
+ * @param {{provider: Object, resource: Object|null}} assignment - From findAssignment
+ * @param {Date} startTime - Appointment start
+ * @param {Object} service - Service (for the duration and buffers)
+ * @returns {Promise<boolean>} True if held, false if another caller holds it
+ */
+export async function holdAssignment(holder, assignment, startTime, service) {
+  const window = bufferedWindow(startTime, service);
+  const calendarIds = [assignment.provider.calendarId];
+  if (assignment.resource) calendarIds.push(assignment.resource.calendarId);
+
+  return placeSlotHold({
+    holder,
+    calendarIds,
+    startsAt: window.start.toISOString(),
+    endsAt: window.end.toISOString(),
+    ttlSeconds: getHoldSeconds(),
+  });
+}
+
+/**
+ * Build a hold reader for availability.js that sees everyone's holds but the caller's own
+ * @param {string} holder - Twilio call SID
+ * @returns {Function} (calendarIds, timeMin, timeMax) => Promise<calendarId -> busy periods>
+ */
+export function heldByOthers(holder) {
+  return async (calendarIds, timeMin, timeMax) => {
+    const holds = await getActiveSlotHolds({
+      calendarIds,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      excludeHolder: holder,
+    });
+
+    const byCalendar = {};
+    for (const hold of holds) {
+      (byCalendar[hold.calendar_id] ||= []).push({
+        start: new Date(hold.starts_at),
+        end: new Date(hold.ends_at),
+      });
+    }
+    return byCalendar;
+  };
+}
+
+/**
+ * Release a caller's holds (after booking, or when the call ends)
+ * Failures are logged, not thrown - the holds expire on their own
+ * @param {string} holder - Twilio call SID
+ * @returns {Promise<void>}
+ */
+export async function releaseHolds(holder) {
+  if (!holder) return;
+
+  try {
+    await releaseSlotHolds(holder);
+  } catch (error) {
+    holdsLogger.warn('Failed to release slot holds (they will expire)', { holder, error: error.message });
+  }
+}
+
+export default {
+  getHoldSeconds,
+  holdAssignment,
+  heldByOthers,
+  releaseHolds,
+};
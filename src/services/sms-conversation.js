@@ -0,0 +1,145 @@
+/**
+ * Conversational SMS booking
+ * Free-form texts ("Can I get a cleaning next week?") go through the same
+ * booking conversation as phone calls (conversation.js): same LLM, tools,
+ * holds and confirmations. Each phone number's conversation is kept in
+ * Postgres so any machine can continue it, and starts over after
+ * SMS_CONVERSATION_TIMEOUT_MINUTES without a message.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { Conversation } from './conversation.js';
+import { releaseHolds } from './slot-holds.js';
+import { getSmsConversation, saveSmsConversation, deleteSmsConversation } from '../db/queries.js';
+
+const smsConversationLogger = logger.child('SMS_CONVERSATION');
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+// Texts from one number are answered one at a time, in the order they arrived
+const queues = new Map();
+
+/**
+ * How long a text conversation stays open without a message
+ * (SMS_CONVERSATION_TIMEOUT_MINUTES, default 30)
+ * @returns {number} Minutes
+ */
+export function getConversationTimeoutMinutes() {
+  const minutes = Number(process.env.SMS_CONVERSATION_TIMEOUT_MINUTES ?? DEFAULT_TIMEOUT_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TIMEOUT_MINUTES;
+}
+
+/**
+ * Whether a phone number is in the middle of a text conversation
+ * @param {string} phone - Patient's phone number (E.164)
+ * @returns {Promise<boolean>} True if a conversation is still open
+ */
+export async function hasActiveSmsConversation(phone) {
+  return Boolean(await getSmsConversation(phone, getConversationTimeoutMinutes()));
+}
+
+/**
+ * End a phone number's text conversation (e.g. when they opt out)
+ * @param {string} phone - Patient's phone number (E.164)
+ * @returns {Promise<void>}
+ */
+export async function endSmsConversation(phone) {
+  const saved = await getSmsConversation(phone, getConversationTimeoutMinutes());
+  await deleteSmsConversation(phone);
+  if (saved) await releaseHolds(saved.session_id);
+}
+
+/**
+ * Answer one text: load or start the conversation, run the LLM and tools, save
+ * @param {string} from - Sender's phone number (E.164)
+ * @param {string} body - Message text
+ * @param {Object} llmRouter - LLM to use (a new LLMRouter when null)
+ * @returns {Promise<string|null>} Reply text, or null for none
+ */
+async function converse(from, body, llmRouter) {
+  const saved = await getSmsConversation(from, getConversationTimeoutMinutes());
+
+  const conversation = new Conversation({
+    sessionId: saved?.session_id || `sms:${randomUUID()}`,
+    callerPhone: from,
+    channel: 'sms',
+    messages: saved?.messages || [],
+    appointmentData: saved?.appointment_data,
+    llmRouter,
+  });
+
+  smsConversationLogger.info(saved ? 'Continuing SMS conversation' : 'Starting SMS conversation', {
+    from,
+    sessionId: conversation.sessionId,
+  });
+
+  conversation.messages.push({
+    role: 'user',
+    content: body,
+  });
+
+  // "Let me check..." before tools run is fine on a call, noise in a text
+  const replies = [];
+  await conversation.respond({
+    onReply: async (text, message, { interim }) => {
+      if (!interim) replies.push(text);
+    },
+  });
+
+  if (conversation.ended) {
+    await deleteSmsConversation(from);
+    await releaseHolds(conversation.sessionId);
+
+    smsConversationLogger.info('SMS conversation ended', {
+      from,
+      sessionId: conversation.sessionId,
+      appointmentBooked: conversation.appointmentData.appointmentBooked,
+      llmCalls: conversation.llmCalls,
+      cost: conversation.totalCost.toFixed(4),
+    });
+  } else {
+    await saveSmsConversation({
+      phone: from,
+      sessionId: conversation.sessionId,
+      messages: conversation.messages,
+      appointmentData: conversation.appointmentData,
+    });
+  }
+
+  return replies.join('\n\n') || null;
+}
+
+/**
+ * Handle a text that belongs to a booking conversation
+ * @param {Object} message
+ * @param {string} message.from - Sender's phone number (E.164)
+ * @param {string} message.body - Message text
+ * @param {Object} options
+ * @param {Object} options.llmRouter - LLM to use instead of a new LLMRouter (e.g. scripted, in tests)
+ * @returns {Promise<string|null>} Reply text, or null for none
+ */
+export function handleSmsConversation({ from, body }, { llmRouter = null } = {}) {
+  const previous = queues.get(from) || Promise.resolve();
+
+  const current = previous
+    .catch(() => {}) // An earlier failure was reported to its own sender
+    .then(() => converse(from, body, llmRouter))
+    .catch((error) => {
+      smsConversationLogger.error('Error handling SMS conversation', error, { from });
+      throw error;
+    })
+    .finally(() => {
+      if (queues.get(from) === current) queues.delete(from);
+    });
+
+  queues.set(from, current);
+  return current;
+}
+
+export default {
+  getConversationTimeoutMinutes,
+  hasActiveSmsConversation,
+  endSmsConversation,
+  handleSmsConversation,
+};
@@ -0,0 +1,122 @@
+/**
+ * Inbound SMS replies
+ * Acts on a patient's reply to a confirmation or reminder text: CANCEL cancels
+ * their next appointment, CONFIRM records that they're coming, RESCHEDULE
+ * points them at the phone line, and anything else gets a short help message.
+ * The webhook sends RESCHEDULE and free-form texts to the SMS booking
+ * conversation (sms-conversation.js) instead.
+ */
+
+import { logger } from '../utils/logger.js';
+import { getBusinessTimezone } from '../utils/timezone.js';
+import { parseSmsCommand } from '../utils/sms-commands.js';
+import {
+  getUpcomingAppointments,
+  updateAppointmentStatus,
+  markAppointmentConfirmed,
+} from '../db/queries.js';
+import { cancelCalendarEvents } from './booking.js';
+import { sendCancellationConfirmation } from './sms.js';
+
+const repliesLogger = logger.child('SMS_REPLIES');
+
+/**
+ * Describe an appointment's time for a text (e.g. "Tuesday, October 20 at 10:00 AM")
+ * @param {Object} appointment - Appointment row
+ * @returns {string} Description
+ */
+function describeTime(appointment) {
+  const when = new Date(appointment.appointment_time);
+  const timeZone = getBusinessTimezone();
+
+  const date = when.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone });
+  const time = when.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone });
+  return `${date} at ${time}`;
+}
+
+/**
+ * How patients reach the office by phone
+ * @returns {string} e.g. "call us at +15551234567"
+ */
+function callUs() {
+  const phone = process.env.TWILIO_PHONE_NUMBER;
+  return phone ? `call us at ${phone}` : 'give us a call';
+}
+
+/**
+ * Cancel an appointment from an SMS reply (calendar, database, confirmation text)
+ * @param {Object} appointment - Appointment row
+ * @returns {Promise<string|null>} Reply text, or null when the confirmation text went out
+ */
+async function cancelFromSms(appointment) {
+  await cancelCalendarEvents(appointment);
+  await updateAppointmentStatus(appointment.id, 'cancelled');
+
+  repliesLogger.info('Appointment cancelled by SMS', { appointmentId: appointment.id });
+
+  try {
+    await sendCancellationConfirmation({
+      callerName: appointment.caller_name,
+      callerPhone: appointment.caller_phone,
+    });
+    return null;
+  } catch (error) {
+    repliesLogger.error('Failed to send cancellation SMS, replying instead', error);
+    return `Your appointment on ${describeTime(appointment)} has been canceled.`;
+  }
+}
+
+/**
+ * Handle an inbound SMS
+ * Always acts on the sender's next confirmed appointment
+ * @param {Object} message
+ * @param {string} message.from - Sender's phone number (E.164)
+ * @param {string} message.body - Message text
+ * @returns {Promise<{command: string|null, appointmentId: string|null, reply: string|null}>}
+ *   reply is the text to send back (null for none)
+ */
+export async function handleSmsReply({ from, body }) {
+  const command = parseSmsCommand(body);
+
+  try {
+    repliesLogger.info('Inbound SMS', { from, command });
+
+    // Twilio answers opt-out keywords itself
+    if (command === 'opt_out') {
+      return { command, appointmentId: null, reply: null };
+    }
+
+    const [appointment] = await getUpcomingAppointments(from);
+
+    if (!appointment) {
+      return {
+        command,
+        appointmentId: null,
+        reply: `We couldn't find an upcoming appointment for this number. To book one, text us when you'd like to come in or ${callUs()}.`,
+      };
+    }
+
+    const when = describeTime(appointment);
+    let reply;
+
+    if (command === 'cancel') {
+      reply = await cancelFromSms(appointment);
+    } else if (command === 'confirm') {
+      await markAppointmentConfirmed(appointment.id);
+      reply = `Thanks${appointment.caller_name ? `, ${appointment.caller_name}` : ''}! Your appointment on ${when} is confirmed. See you then!`;
+    } else if (command === 'reschedule') {
+      reply = `To move your appointment on ${when}, ${callUs()} and we'll find a new time.`;
+    } else {
+      reply = `Your next appointment is ${when}. Reply CONFIRM to confirm, CANCEL to cancel, or RESCHEDULE to pick a new time.`;
+    }
+
+    return { command, appointmentId: appointment.id, reply };
+  } catch (error) {
+    repliesLogger.error('Error handling inbound SMS', error, { from, command });
+    throw error;
+  }
+}
+
+export default {
+  handleSmsReply,
+};
@@ -5,6 +5,7 @@
 
 import twilio from 'twilio';
 import { logger } from '../utils/logger.js';
+import { formatDateInZone, getBusinessTimezone, nextDate } from '../utils/timezone.js';
 
 const smsLogger = logger.child('SMS');
 
@@ -55,11 +56,13 @@ export async function sendAppointmentConfirmation(appointmentData) {
       year: 'numeric',
       month: 'long',
       day: 'numeric',
+      timeZone: getBusinessTimezone(),
     });
     const timeStr = apptDate.toLocaleTimeString('en-US', {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
+      timeZone: getBusinessTimezone(),
     });
 
     const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
@@ -119,16 +122,25 @@ export async function sendAppointmentReminder(appointmentData) {
       weekday: 'long',
       month: 'long',
       day: 'numeric',
+      timeZone: getBusinessTimezone(),
     });
     const timeStr = apptDate.toLocaleTimeString('en-US', {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
+      timeZone: getBusinessTimezone(),
     });
 
     const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
 
-    const message = `Hi ${callerName}! Reminder: Your appointment at ${businessName} is tomorrow, ${dateStr} at ${timeStr}. Reply CANCEL if you need to cancel.`;
+    // Reminders go out days or hours ahead (REMINDER_OFFSETS_HOURS)
+    const today = formatDateInZone(new Date(), getBusinessTimezone());
+    const apptDay = formatDateInZone(apptDate, getBusinessTimezone());
+    let when = `on ${dateStr} at ${timeStr}`;
+    if (apptDay === today) when = `today at ${timeStr}`;
+    else if (apptDay === nextDate(today)) when = `tomorrow, ${dateStr} at ${timeStr}`;
+
+    const message = `Hi ${callerName}! Reminder: Your appointment at ${businessName} is ${when}. Reply CONFIRM to confirm or CANCEL if you need to cancel.`;
 
     smsLogger.info('Sending appointment reminder', {
       to: callerPhone,
@@ -204,8 +216,110 @@ export async function sendCancellationConfirmation(appointmentData) {
   }
 }
 
+/**
+ * Send reschedule confirmation SMS
+ * @param {Object} appointmentData - Appointment details (with the new time)
+ * @returns {Promise<Object>} Twilio message response
+ */
+export async function sendRescheduleConfirmation(appointmentData) {
+  const client = initializeTwilio();
+  const from = process.env.TWILIO_PHONE_NUMBER;
+
+  const {
+    callerName,
+    callerPhone,
+    appointmentTime,
+    reason = 'appointment',
+  } = appointmentData;
+
+  try {
+    const apptDate = new Date(appointmentTime);
+    const dateStr = apptDate.toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: getBusinessTimezone(),
+    });
+    const timeStr = apptDate.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: getBusinessTimezone(),
+    });
+
+    const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
+
+    const message = `Hi ${callerName}! Your ${reason} at ${businessName} has been moved to ${dateStr} at ${timeStr}. Reply CANCEL to cancel. See you then!`;
+
+    smsLogger.info('Sending reschedule confirmation', {
+      to: callerPhone,
+      from,
+    });
+
+    const response = await client.messages.create({
+      body: message,
+      from,
+      to: callerPhone,
+    });
+
+    smsLogger.info('Reschedule SMS sent successfully', {
+      messageSid: response.sid,
+      to: callerPhone,
+    });
+
+    return {
+      messageSid: response.sid,
+      status: response.status,
+      to: response.to,
+    };
+  } catch (error) {
+    smsLogger.error('Error sending reschedule SMS', error, {
+      to: callerPhone,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a free-form SMS (e.g. a reply in a text conversation)
+ * @param {string} to - Recipient phone number (E.164)
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Twilio message response
+ */
+export async function sendSms(to, body) {
+  const client = initializeTwilio();
+  const from = process.env.TWILIO_PHONE_NUMBER;
+
+  try {
+    smsLogger.info('Sending SMS', { to, from, length: body.length });
+
+    const response = await client.messages.create({
+      body,
+      from,
+      to,
+    });
+
+    smsLogger.info('SMS sent successfully', {
+      messageSid: response.sid,
+      to,
+    });
+
+    return {
+      messageSid: response.sid,
+      status: response.status,
+      to: response.to,
+    };
+  } catch (error) {
+    smsLogger.error('Error sending SMS', error, { to });
+    throw error;
+  }
+}
+
 export default {
   sendAppointmentConfirmation,
   sendAppointmentReminder,
   sendCancellationConfirmation,
+  sendRescheduleConfirmation,
+  sendSms,
 };
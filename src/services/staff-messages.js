@@ -0,0 +1,82 @@
+/**
+ * Messages for staff (the take_message tool)
+ * Callers who don't want to book - billing questions, prescription refills,
+ * "have the doctor call me" - leave a message. It's saved to the messages
+ * table (the callback queue, worked through /api/messages) and texted to
+ * MESSAGE_SMS_NUMBER, which defaults to the number that gets transfer
+ * summaries (see call-transfer.js).
+ */
+
+import { logger } from '../utils/logger.js';
+import { createMessage, markMessageStaffNotified } from '../db/queries.js';
+import { getStaffSmsNumber } from './call-transfer.js';
+import { sendSms } from './sms.js';
+
+const messagesLogger = logger.child('STAFF_MESSAGES');
+
+export const MESSAGE_URGENCIES = ['normal', 'urgent'];
+
+/**
+ * Who gets texted about new messages (MESSAGE_SMS_NUMBER, else the transfer summary number)
+ * @returns {string|null} Phone number (E.164)
+ */
+export function getMessageSmsNumber() {
+  return process.env.MESSAGE_SMS_NUMBER?.trim() || getStaffSmsNumber();
+}
+
+/**
+ * Text telling staff about a message
+ * @param {Object} message - Messages row
+ * @returns {string} Message text
+ */
+export function formatMessageNotice(message) {
+  const from = message.caller_name ? `${message.caller_name} (${message.callback_phone})` : message.callback_phone;
+  const lines = [
+    `${message.urgency === 'urgent' ? 'URGENT message' : 'New message'} from ${from}`,
+    `Topic: ${message.topic}`,
+  ];
+  if (message.details) lines.push(message.details);
+  lines.push(`Call back: ${message.callback_phone}`);
+  return lines.join('\n');
+}
+
+/**
+ * Save a message and text staff about it. A failed text is logged, not
+ * thrown - the message is still in the queue.
+ * @param {Object} messageData - See createMessage in db/queries.js
+ * @returns {Promise<Object>} Saved message (staff_notified says whether the text went)
+ */
+export async function takeMessage(messageData) {
+  try {
+    const message = await createMessage(messageData);
+
+    messagesLogger.info('Message taken', {
+      messageId: message.id,
+      sessionId: message.session_id,
+      topic: message.topic,
+      urgency: message.urgency,
+    });
+
+    const to = getMessageSmsNumber();
+    if (!to) return message;
+
+    try {
+      await sendSms(to, formatMessageNotice(message));
+      await markMessageStaffNotified(message.id);
+      return { ...message, staff_notified: true };
+    } catch (error) {
+      messagesLogger.error('Failed to text staff about message', error, { messageId: message.id, to });
+      return message;
+    }
+  } catch (error) {
+    messagesLogger.error('Error taking message', error, { sessionId: messageData.sessionId });
+    throw error;
+  }
+}
+
+export default {
+  MESSAGE_URGENCIES,
+  formatMessageNotice,
+  getMessageSmsNumber,
+  takeMessage,
+};
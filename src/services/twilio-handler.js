@@ -5,19 +5,24 @@
  * 2. Use hardcoded appointment booking prompt
  * 3. Handle Twilio audio stream
  * 4. Coordinate STT → LLM → TTS pipeline
- * 5. Book appointments via Google Calendar
+ * 5. Book appointments through the shared booking conversation (conversation.js)
  * 6. Save appointment data to database
  */
 
-import { APPOINTMENT_BOOKING_PROMPT } from '../prompts/appointment-booking.js';
-import { APPOINTMENT_TOOLS } from '../prompts/appointment-tools.js';
-import { checkAvailability, getAvailableSlots, createAppointment as createCalendarAppointment } from './google-calendar.js';
-import { sendAppointmentConfirmation } from './sms.js';
-import { createAppointment as createDbAppointment, createCallLog, updateCallLog } from '../db/queries.js';
+import { Conversation, emptyAppointmentData } from './conversation.js';
+import { releaseHolds } from './slot-holds.js';
+import { createCallRecorder } from './call-bundle.js';
+import { CallRecording, getConsentLine, isCallRecordingEnabled, saveCallRecording } from './call-recording.js';
+import { transferCall } from './call-transfer.js';
+import { getVoicemailMessage, isMachineAnswer } from './outbound-call.js';
+import { getReminderGreeting, reminderResultForOutcome } from './reminder-calls.js';
+import { LLMRouter } from './llm-router.js';
+import { createCallLog, getAppointmentById, linkMessagesToCallLog, setReminderResult } from '../db/queries.js';
 import { DeepgramService } from './deepgram.js';
 import { CartesiaService } from './cartesia.js';
-import { LLMRouter } from './llm-router.js';
 import { onCallStart, onCallEnd } from './metrics.js';
+import { AsyncQueue } from '../utils/speech-stream.js';
+import { DtmfCollector, formatKeypadTurn } from '../utils/dtmf.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -41,11 +46,94 @@ try {
   twilioLogger.error('Failed to load ringback audio', error);
 }
 
+// Stream LLM tokens into TTS sentence-by-sentence (set LLM_STREAMING=false for buffered responses)
+const LLM_STREAMING = process.env.LLM_STREAMING !== 'false';
+
+// Rough speaking rate used to estimate utterance length before Cartesia finishes (ms per character)
+const ESTIMATED_MS_PER_CHAR = 60;
+
+// When the caller goes quiet: ask once, then say goodbye and end the call
+const DEFAULT_SILENCE_REPROMPT_SECONDS = 10;
+const DEFAULT_SILENCE_HANGUP_SECONDS = 10;
+const SILENCE_REPROMPT = 'Are you still there?';
+const SILENCE_GOODBYE = "I haven't heard anything, so I'll let you go. Feel free to call back anytime. Goodbye!";
+
+// Keypad entries end with # or when the caller stops pressing keys for this long
+const DEFAULT_DTMF_TIMEOUT_SECONDS = 3;
+
+// Said when Twilio won't take a transfer, before hanging up
+const TRANSFER_FAILED = "I'm sorry, I couldn't put you through. Someone from the office will call you back as soon as they can. Goodbye!";
+
+/**
+ * Seconds from a silence setting (0 turns that step off)
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default seconds
+ * @returns {number} Seconds
+ */
+function silenceSeconds(name, fallback) {
+  const seconds = Number(process.env[name] ?? fallback);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
+/**
+ * How long the caller can stay quiet once the agent has finished talking:
+ * before the re-prompt (SILENCE_REPROMPT_SECONDS) and then before the
+ * goodbye (SILENCE_HANGUP_SECONDS)
+ * @returns {{repromptSeconds: number, hangupSeconds: number}}
+ */
+export function getSilenceTimeouts() {
+  return {
+    repromptSeconds: silenceSeconds('SILENCE_REPROMPT_SECONDS', DEFAULT_SILENCE_REPROMPT_SECONDS),
+    hangupSeconds: silenceSeconds('SILENCE_HANGUP_SECONDS', DEFAULT_SILENCE_HANGUP_SECONDS),
+  };
+}
+
+/**
+ * How long after the last key press a keypad entry ends without # (DTMF_TIMEOUT_SECONDS)
+ * @returns {number} Seconds
+ */
+export function getDtmfTimeoutSeconds() {
+  const seconds = Number(process.env.DTMF_TIMEOUT_SECONDS ?? DEFAULT_DTMF_TIMEOUT_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_DTMF_TIMEOUT_SECONDS;
+}
+
+/**
+ * Trim an AI utterance to the portion the caller actually heard
+ * Cuts back to the last whole word so the LLM doesn't see half-words
+ * @param {string} text - Full utterance text
+ * @param {number} fraction - Portion of the audio that was played (0-1)
+ * @returns {string} Played portion of the text
+ */
+function truncateToPlayed(text, fraction) {
+  if (fraction >= 1) return text;
+  if (fraction <= 0) return '';
+
+  const cut = text.slice(0, Math.round(text.length * fraction));
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim();
+}
+
+/**
+ * Get initial greeting for appointment booking
+ * @returns {string} Initial greeting text (shorter = less latency)
+ */
+export function getInitialGreeting() {
+  const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
+
+  // Callers hear about the recording before anything else
+  const consent = isCallRecordingEnabled() ? ` ${getConsentLine()}` : '';
+
+  // Direct and concise greeting for minimal latency
+  return `Thanks for calling ${businessName}.${consent} Would you like to book an appointment?`;
+}
+
 /**
  * Handle Twilio WebSocket stream
  * @param {WebSocket} ws - WebSocket connection from Twilio
+ * @param {Object} options
+ * @param {Object} options.llmRouter - LLM to use instead of a new LLMRouter (e.g. scripted, in tests)
  */
-export async function handleTwilioStream(ws) {
+export async function handleTwilioStream(ws, { llmRouter = null } = {}) {
   // Call state
   let callSid = null;
   let streamSid = null;
@@ -55,36 +143,46 @@ export async function handleTwilioStream(ws) {
   let endTime = null;
 
   // Conversation state
-  const messages = []; // LLM conversation history
+  let conversation = null; // LLM history, collected details and tools (see conversation.js)
+  let messages = []; // LLM conversation history (conversation.messages)
   const transcript = []; // Full conversation transcript
-  const appointmentData = {
-    // Data collected during call
-    callerName: null,
-    callerPhone: null,
-    preferredDate: null,
-    preferredTime: null,
-    reason: null,
-    notes: null,
-    appointmentBooked: false,
-    appointmentId: null,
-    googleCalendarEventId: null,
-    timezone: null, // IANA timezone string (e.g., "America/Denver")
-    timezoneOffset: null, // Offset in hours from UTC (e.g., -8 for PST)
-    callerLocalTime: null, // Caller's current local time
-  };
+  let recorder = null; // Debug bundle (call-bundle.js), when CALL_BUNDLE_DIR is set
+  let recording = null; // Both legs' audio (call-recording.js), when CALL_RECORDING is on
 
   // Services
   let deepgram = null;
   let deepgramConnection = null;
   let cartesia = null;
   let cartesiaConnection = null;
-  let llmRouter = null;
 
-  // Metrics
-  let llmCalls = 0;
-  let totalLatency = 0;
-  let totalCost = 0;
-  let primaryProvider = null;
+  // Outbound audio playback tracking (for barge-in)
+  // Each entry is one AI utterance that Twilio may still be playing
+  const playbackQueue = [];
+  let playbackCursor = 0; // Estimated time (ms epoch) when Twilio's audio buffer drains
+  let markCounter = 0;
+
+  // Silence handling: the timer only runs while nobody is talking and nothing is being worked on
+  let silenceTimer = null;
+  let silencePrompts = 0; // Re-prompts since the caller last spoke
+  let turnsInProgress = 0; // Replies being generated (LLM, tools, TTS)
+  let callerSpeaking = false; // From the caller's first words until their transcript (or utterance end)
+  let callClosed = false;
+
+  // Set by transfer_call; the call is handed over once the handoff line has played
+  let pendingTransfer = null;
+
+  // Outbound calls (outbound-call.js): who picked up, and how the call went
+  let answeredBy = null; // Twilio's answering machine detection, null on inbound calls
+  let outcome = null; // answered, voicemail or voicemail_failed
+  let leavingVoicemail = false; // A machine answered: say the voicemail, then hang up
+  let reminder = null; // Appointment row, on a reminder call (reminder-calls.js)
+  let finalized = false;
+
+  // Keys the caller pressed, sent to the LLM as one user turn per entry
+  const keypad = new DtmfCollector({
+    timeoutMs: getDtmfTimeoutSeconds() * 1000,
+    onEntry: onKeypadEntry,
+  });
 
   /**
    * Convert 16-bit PCM sample to 8-bit mulaw
@@ -148,6 +246,7 @@ export async function handleTwilioStream(ws) {
       for (let offset = 0; offset < mulawData.length; offset += CHUNK_SIZE) {
         const chunk = mulawData.slice(offset, offset + CHUNK_SIZE);
         const base64Audio = chunk.toString('base64');
+        recording?.addOutbound(chunk);
 
         ws.send(
           JSON.stringify({
@@ -173,41 +272,6 @@ export async function handleTwilioStream(ws) {
     }
   }
 
-  /**
-   * Format phone number for natural speech
-   * Converts +15551234567 to (555) 123-4567 so TTS reads it naturally
-   * @param {string} phoneNumber - E.164 format phone number
-   * @returns {string} Formatted phone number for speech
-   */
-  function formatPhoneForSpeech(phoneNumber) {
-    // Remove +1 country code for US numbers
-    let digits = phoneNumber.replace(/^\+1/, '').replace(/\D/g, '');
-
-    if (digits.length === 10) {
-      // Format as (555) 123-4567
-      return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-    }
-
-    // For non-US numbers, just remove the + so it doesn't say "plus"
-    return phoneNumber.replace('+', '');
-  }
-
-  /**
-   * Get initial greeting for appointment booking
-   * @returns {string} Initial greeting text (shorter = less latency)
-   */
-  function getInitialGreeting() {
-    const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
-
-    twilioLogger.info('Using appointment booking greeting', {
-      callSid,
-      businessName
-    });
-
-    // Direct and concise greeting for minimal latency
-    return `Thanks for calling ${businessName}. Would you like to book an appointment?`;
-  }
-
   /**
    * Initialize services for appointment booking
    * NEW FLOW: Plays ringback FIRST, initializes Deepgram during ringback,
@@ -233,51 +297,51 @@ export async function handleTwilioStream(ws) {
       // Track call start
       onCallStart();
 
-      // Use hardcoded appointment booking prompt
-      const businessName = process.env.BUSINESS_NAME || "Dr. Smith's Dental Office";
-      const formattedPhone = formatPhoneForSpeech(callerNumber);
-
-      // Get current date in readable format (e.g., "Tuesday, November 26, 2025")
-      const currentDate = new Date().toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+      // Booking conversation (system prompt, tools); the LLM router can be idle without issues
+      conversation = new Conversation({
+        sessionId: callSid,
+        callerPhone: callerNumber,
+        channel: 'voice',
+        llmRouter: recorder ? recorder.wrapLlm(llmRouter || new LLMRouter()) : llmRouter,
+        reminder,
+        onToolResult: (toolCall, result, durationMs) => {
+          recorder?.record('tool_result', {
+            id: toolCall.id,
+            name: toolCall.function.name,
+            arguments: toolCall.function.arguments,
+            result,
+            durationMs,
+          });
+        },
+        onTransfer: (transfer) => {
+          pendingTransfer = transfer;
+        },
+        onEnd: () => {
+          // Schedule call close after TTS completes
+          setTimeout(() => {
+            ws.close();
+          }, 5000); // Give time for final message to play
+        },
       });
-
-      const customPrompt = `${APPOINTMENT_BOOKING_PROMPT.replace('{{CURRENT_DATE}}', currentDate)}
-
-## Current Call Information:
-- Business Name: ${businessName}
-- Caller's Phone Number: ${formattedPhone}
-
-When confirming the phone number, use this exact pattern:
-1. Say "Is ${formattedPhone}..."
-2. PAUSE for half a second (add ellipsis or comma for natural pause)
-3. Then continue: "...the best number to reach you?"
-
-This gives the caller time to process the number. Example: "Is (555) 123-4567... the best number to reach you?"`;
+      messages = conversation.messages;
 
       twilioLogger.info('Using appointment booking prompt', {
         callSid,
-        businessName,
         callerPhone: callerNumber,
       });
 
-      // Initialize system message
-      messages.push({
-        role: 'system',
-        content: customPrompt,
-      });
-
-      // Initialize Deepgram and LLM router (can be idle without issues)
+      // Initialize Deepgram (can be idle without issues)
       deepgram = new DeepgramService();
-      llmRouter = new LLMRouter();
 
       // Start Deepgram stream (STT) - can start listening early
       deepgramConnection = await deepgram.startStream(
         onTranscript,
-        onDeepgramError
+        onDeepgramError,
+        onSpeechStarted,
+        (event) => {
+          recorder?.record('stt', { event });
+          if (event.type === 'utterance_end') onUtteranceEnd();
+        }
       );
 
       const preRingbackEndTime = Date.now();
@@ -314,21 +378,21 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
       });
 
       // STEP 5: Immediately send greeting (no idle time!)
-      const greeting = getInitialGreeting();
-      await sendAIResponse(greeting);
+      const greeting = reminder ? getReminderGreeting(reminder) : getInitialGreeting();
+
+      twilioLogger.info('Using appointment booking greeting', {
+        callSid,
+        greeting,
+      });
 
       // Add greeting to conversation history so LLM knows it already greeted
+      // (before speaking, so a barge-in can trim it to what was heard)
       messages.push({
         role: 'assistant',
         content: greeting,
       });
 
-      // Add greeting to transcript log
-      transcript.push({
-        speaker: 'ai',
-        text: greeting,
-        timestamp: new Date().toISOString(),
-      });
+      await sendAIResponse(greeting);
 
       twilioLogger.info('✅ Call initialization complete', {
         callSid,
@@ -341,12 +405,53 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
   }
 
   /**
-   * Strip function call syntax from LLM response
-   * Removes <function=...>...</function> tags that should not be spoken
+   * A machine answered an outbound call: skip the ringback and the
+   * conversation, say the voicemail for the call's purpose and hang up once
+   * it has played (see onPlaybackMark)
+   * @param {string} purpose - Why we called (outbound-call.js OUTBOUND_PURPOSES)
    */
-  function stripFunctionCalls(text) {
-    // Remove function call syntax: <function=name>{...}</function>
-    return text.replace(/<function=[^>]+>.*?<\/function>/g, '').trim();
+  async function leaveVoicemail(purpose) {
+    try {
+      onCallStart();
+
+      const voicemail = getVoicemailMessage(purpose, { appointment: reminder });
+      twilioLogger.info('Leaving voicemail', { callSid, answeredBy, purpose });
+
+      cartesia = new CartesiaService();
+      cartesiaConnection = await cartesia.connect(process.env.AI_VOICE_ID || null);
+
+      leavingVoicemail = true;
+      await sendAIResponse(voicemail);
+    } catch (error) {
+      twilioLogger.error('Failed to leave voicemail', error, { callSid });
+      leavingVoicemail = false;
+      outcome = 'voicemail_failed';
+      await endOutboundCall();
+    }
+  }
+
+  /**
+   * Load the appointment a reminder call is about
+   * @param {string} appointmentId - From the stream's AppointmentId parameter
+   * @returns {Promise<Object|null>} Appointment row, or null (the call goes on as a regular one)
+   */
+  async function loadReminder(appointmentId) {
+    try {
+      return await getAppointmentById(appointmentId);
+    } catch (error) {
+      twilioLogger.error('Failed to load reminder appointment', error, { callSid, appointmentId });
+      return null;
+    }
+  }
+
+  /**
+   * Close the stream (the outbound TwiML hangs up next) and save the call
+   * log - Twilio sends no stop once we close it
+   */
+  async function endOutboundCall() {
+    callClosed = true;
+    ws.close();
+    await finalize();
   }
 
   /**
@@ -354,6 +459,12 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
    */
   async function onTranscript(transcriptText) {
     const transcriptReceivedAt = Date.now();
+    recorder?.record('transcript', { text: transcriptText });
+
+    clearSilenceTimer();
+    callerSpeaking = false;
+    silencePrompts = 0;
+    turnsInProgress++;
 
     try {
       // LOG TRANSCRIPT ENTRY (VERBOSE)
@@ -380,179 +491,10 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
         content: transcriptText,
       });
 
-      // Get LLM response with timing
-      // All calls use appointment booking tools
-      const llmStartTime = Date.now();
-      const response = await llmRouter.chat(messages, callSid, APPOINTMENT_TOOLS);
-      const llmEndTime = Date.now();
-
-      llmCalls++;
-      totalLatency += response.latency;
-      totalCost += response.cost;
-      primaryProvider = response.provider;
-
-      // LOG RAW LLM RESPONSE
-      twilioLogger.debug('🤖 LLM RAW RESPONSE', {
-        callSid,
-        provider: response.provider,
-        hasContent: !!response.content,
-        hasToolCalls: !!(response.toolCalls && response.toolCalls.length > 0),
-        toolCallCount: response.toolCalls?.length || 0,
-        contentLength: response.content?.length || 0,
-        rawContent: response.content || '(no content)',
-        tokens: response.tokens,
-        latency: `${response.latency}ms`,
-        cost: `$${response.cost.toFixed(6)}`,
-      });
-
-      // TWO-STAGE RESPONSE PATTERN
-      // Check for tool calls FIRST - execute silently, then get natural response
-      if (response.toolCalls && response.toolCalls.length > 0) {
-        twilioLogger.info('🔧 TOOL CALLS DETECTED', {
-          callSid,
-          toolCount: response.toolCalls.length,
-          tools: response.toolCalls.map(tc => tc.function.name),
-          hasContentToo: !!response.content, // Check if LLM provided BOTH content and tool_calls
-        });
-
-        // If LLM provided content along with tool_calls (e.g., "Let me check..."), speak it FIRST
-        // This prevents awkward silence while tools execute
-        if (response.content && response.content.trim().length > 0) {
-          const cleanContent = stripFunctionCalls(response.content);
-
-          twilioLogger.info('🗣️ SPEAKING PRE-TOOL CONTENT', {
-            callSid,
-            content: cleanContent,
-            aboutToExecuteTools: response.toolCalls.map(tc => tc.function.name),
-          });
-
-          // Speak the content immediately (e.g., "Let me check the calendar")
-          await sendAIResponse(cleanContent);
-
-          // Add to transcript
-          transcript.push({
-            speaker: 'ai',
-            text: cleanContent,
-            timestamp: new Date().toISOString(),
-          });
-        }
-
-        // Add assistant's tool call message to history
-        // Include the content if it was provided (API allows both content + tool_calls)
-        messages.push({
-          role: 'assistant',
-          content: response.content || null,
-          tool_calls: response.toolCalls,
-        });
-
-        // Execute each tool SILENTLY and collect results
-        for (const toolCall of response.toolCalls) {
-          const result = await executeToolCall(toolCall);
-
-          // Add tool result to conversation history
-          messages.push({
-            tool_call_id: toolCall.id,
-            role: 'tool',
-            name: toolCall.function.name,
-            content: JSON.stringify(result),
-          });
-
-          twilioLogger.debug('🔧 TOOL EXECUTED', {
-            callSid,
-            toolName: toolCall.function.name,
-            toolCallId: toolCall.id,
-            result,
-          });
-        }
-
-        // SECOND API CALL - Get natural language response after tool execution
-        const followUpStartTime = Date.now();
-        const finalResponse = await llmRouter.chatWithToolResults(messages, callSid);
-        const followUpEndTime = Date.now();
-
-        // Track additional metrics
-        llmCalls++;
-        totalLatency += finalResponse.latency;
-        totalCost += finalResponse.cost;
-
-        twilioLogger.debug('🤖 FOLLOW-UP RESPONSE (after tools)', {
-          callSid,
-          hasContent: !!finalResponse.content,
-          contentLength: finalResponse.content?.length || 0,
-          latency: `${finalResponse.latency}ms`,
-        });
-
-        // Send the natural language response to TTS
-        if (finalResponse.content) {
-          // Safety sanitization - strip any leaked syntax
-          const cleanContent = stripFunctionCalls(finalResponse.content);
-
-          messages.push({
-            role: 'assistant',
-            content: cleanContent,
-          });
-
-          // LOG AI RESPONSE BEFORE TTS
-          twilioLogger.info('🤖 AI TRANSCRIPT', {
-            callSid,
-            speaker: 'ai',
-            text: cleanContent,
-            textLength: cleanContent.length,
-            timestamp: new Date().toISOString(),
-            turnNumber: Math.floor(transcript.length / 2) + 1,
-          });
-
-          const ttsStartTime = Date.now();
-          await sendAIResponse(cleanContent);
-          const ttsEndTime = Date.now();
-
-          // Log detailed latency breakdown
-          twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN (two-stage)', {
-            callSid,
-            firstLlmLatency: `${llmEndTime - llmStartTime}ms`,
-            secondLlmLatency: `${followUpEndTime - followUpStartTime}ms`,
-            ttsLatency: `${ttsEndTime - ttsStartTime}ms`,
-            totalPipelineLatency: `${ttsEndTime - transcriptReceivedAt}ms`,
-            responseLength: cleanContent.length,
-            toolsExecuted: response.toolCalls.length,
-            provider: response.provider,
-          });
-        }
-      } else if (response.content) {
-        // No tool calls - just a regular text response
-        // Safety sanitization as fallback
-        const cleanContent = stripFunctionCalls(response.content);
-
-        if (cleanContent.length > 0) {
-          messages.push({
-            role: 'assistant',
-            content: cleanContent,
-          });
-
-          // LOG AI RESPONSE BEFORE TTS
-          twilioLogger.info('🤖 AI TRANSCRIPT', {
-            callSid,
-            speaker: 'ai',
-            text: cleanContent,
-            textLength: cleanContent.length,
-            timestamp: new Date().toISOString(),
-            turnNumber: Math.floor(transcript.length / 2) + 1,
-          });
-
-          const ttsStartTime = Date.now();
-          await sendAIResponse(cleanContent);
-          const ttsEndTime = Date.now();
-
-          // Log detailed latency breakdown
-          twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN', {
-            callSid,
-            llmLatency: `${llmEndTime - llmStartTime}ms`,
-            ttsLatency: `${ttsEndTime - ttsStartTime}ms`,
-            totalPipelineLatency: `${ttsEndTime - transcriptReceivedAt}ms`,
-            responseLength: cleanContent.length,
-            provider: response.provider,
-          });
-        }
+      if (LLM_STREAMING) {
+        await respondStreaming(transcriptReceivedAt);
+      } else {
+        await respondBuffered(transcriptReceivedAt);
       }
     } catch (error) {
       twilioLogger.error('Error processing transcript', error);
@@ -568,321 +510,300 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
       } catch (ttsError) {
         twilioLogger.error('Failed to send error response', ttsError);
       }
+    } finally {
+      turnsInProgress--;
+      startSilenceTimer();
     }
   }
 
   /**
-   * Execute a tool call and return the result
-   * @param {Object} toolCall - Tool call object from LLM
-   * @returns {Object} Result of tool execution
+   * Start waiting for the caller, if the agent is done: nothing playing,
+   * no reply in progress, the caller not mid-sentence and the call still
+   * going. A call being transferred is handed over instead.
    */
-  async function executeToolCall(toolCall) {
-    const functionName = toolCall.function.name;
-    const args = JSON.parse(toolCall.function.arguments);
-
-    twilioLogger.info('Executing appointment tool', {
-      tool: functionName,
-      toolCallId: toolCall.id,
-      args
-    });
+  function startSilenceTimer() {
+    clearSilenceTimer();
+    if (callClosed || callerSpeaking || turnsInProgress > 0 || playbackQueue.length > 0 || !conversation) return;
 
-    try {
-      if (functionName === 'set_caller_timezone') {
-        const { localTime } = args;
+    if (pendingTransfer) {
+      handOff();
+      return;
+    }
 
-        twilioLogger.info('Setting caller timezone', { localTime });
+    if (conversation.ended) return;
 
-        // Use robust timezone detection
-        const { inferTimezone } = await import('../utils/timezone.js');
-        const result = inferTimezone(localTime);
+    const { repromptSeconds, hangupSeconds } = getSilenceTimeouts();
+    const seconds = silencePrompts === 0 ? repromptSeconds : hangupSeconds;
+    if (seconds === 0 || silencePrompts > 1) return;
 
-        if (result.error) {
-          return {
-            success: false,
-            message: result.error
-          };
-        }
-
-        // Store timezone info in appointment data
-        appointmentData.timezone = result.tz; // IANA timezone string (e.g., "America/Denver")
-        appointmentData.timezoneOffset = Math.round(result.offsetMinutes / 60); // offset in hours for backward compatibility
-        appointmentData.callerLocalTime = result.reportedLocal24h;
-
-        twilioLogger.info('Timezone detected', {
-          reportedTime: localTime,
-          timezone: result.tz,
-          offsetMinutes: result.offsetMinutes,
-          offsetHours: appointmentData.timezoneOffset,
-          candidates: result.candidates,
-          callerLocalTime: result.reportedLocal24h,
-        });
+    silenceTimer = setTimeout(() => onSilence(seconds), seconds * 1000);
+  }
 
-        // Update system message with correct current date in caller's timezone
-        const callerDate = new Date().toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          timeZone: result.tz
-        });
+  /**
+   * Stop waiting (the caller or the agent started talking)
+   */
+  function clearSilenceTimer() {
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+  }
 
-        // Find and update the system message
-        const systemMsgIndex = messages.findIndex(m => m.role === 'system');
-        if (systemMsgIndex !== -1) {
-          const updatedContent = messages[systemMsgIndex].content.replace(
-            /TODAY'S DATE: [^\n]+/,
-            `TODAY'S DATE: ${callerDate}`
-          );
-          messages[systemMsgIndex].content = updatedContent;
-
-          twilioLogger.info('Updated system message with caller timezone date', {
-            timezone: result.tz,
-            callerDate
-          });
-        }
+  /**
+   * The caller said nothing for a while: ask if they're there, or if we
+   * already did, say goodbye and end the call
+   * @param {number} seconds - How long they were quiet
+   */
+  async function onSilence(seconds) {
+    silenceTimer = null;
+    silencePrompts++;
+    turnsInProgress++;
+
+    twilioLogger.info('Caller silent', { callSid, seconds, prompt: silencePrompts });
+    transcript.push({
+      speaker: 'silence',
+      text: `No response for ${seconds}s`,
+      timestamp: new Date().toISOString(),
+    });
 
-        return {
-          success: true,
-          timezone: result.tz,
-          offsetMinutes: result.offsetMinutes,
-          message: `Timezone set to ${result.tz}`
-        };
+    // The goodbye wraps up the same way as when the LLM ends the call
+    const message = silencePrompts === 1
+      ? { role: 'assistant', content: SILENCE_REPROMPT }
+      : {
+        role: 'assistant',
+        content: SILENCE_GOODBYE,
+        tool_calls: [{
+          id: `silence-${callSid}`,
+          type: 'function',
+          function: {
+            name: 'end_call_with_confirmation',
+            arguments: JSON.stringify({
+              summary: 'Caller stopped responding',
+              appointmentBooked: conversation.appointmentData.appointmentBooked,
+            }),
+          },
+        }],
+      };
+    recorder?.record('silence', { seconds, prompt: silencePrompts, message: structuredClone(message) });
 
-      } else if (functionName === 'check_availability') {
-        // Check if a specific time slot is available
-        const { date, time, duration = 30 } = args;
+    try {
+      messages.push(message);
+      await sendAIResponse(message.content, message);
+      if (message.tool_calls) await conversation.runToolCalls(message.tool_calls);
+    } catch (error) {
+      twilioLogger.error('Error handling caller silence', error);
+    } finally {
+      turnsInProgress--;
+      startSilenceTimer();
+    }
+  }
 
-        // Combine date and time into full timestamp
-        const appointmentTime = new Date(`${date}T${time}`);
+  /**
+   * Hand the caller over (transfer_call) now the handoff line has played:
+   * text staff and redirect the call, which ends this stream. If Twilio won't
+   * take it, apologise and hang up.
+   */
+  async function handOff() {
+    const { reason, summary, voicemail } = pendingTransfer;
+    pendingTransfer = null;
 
-        const isAvailable = await checkAvailability(appointmentTime, duration);
+    try {
+      const result = await transferCall({
+        callSid,
+        callerPhone: fromNumber,
+        reason,
+        summary,
+        appointmentData: conversation.appointmentData,
+        voicemail,
+      });
 
-        twilioLogger.info('Availability check completed', {
-          date,
-          time,
-          duration,
-          isAvailable
-        });
+      transcript.push({
+        speaker: 'transfer',
+        text: result.voicemail ? 'Sent to voicemail' : `Transferred to ${result.target}`,
+        timestamp: new Date().toISOString(),
+      });
+      recorder?.record('transfer', { reason, ...result });
+    } catch (error) {
+      twilioLogger.error('Failed to transfer call', error, { callSid });
+      transcript.push({ speaker: 'transfer', text: 'Transfer failed', timestamp: new Date().toISOString() });
+      recorder?.record('transfer', { reason, error: error.message });
 
-        return {
-          success: true,
-          available: isAvailable,
-          date,
-          time,
-          message: isAvailable
-            ? `Yes, ${time} on ${date} is available.`
-            : `Sorry, ${time} on ${date} is not available.`
-        };
-
-      } else if (functionName === 'get_available_slots') {
-        // Get all available slots for a date
-        const { date, duration = 30 } = args;
-
-        // Get caller's timezone (default to America/Los_Angeles if not set)
-        const timezone = appointmentData.timezone || 'America/Los_Angeles';
-
-        // Create date in caller's timezone
-        const dateObj = new Date(`${date}T00:00:00`);
-        const slots = await getAvailableSlots(dateObj, duration);
-
-        // Get caller's current date and time in their timezone
-        const now = new Date();
-        const callerDateParts = new Intl.DateTimeFormat('en-US', {
-          timeZone: timezone,
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
-        }).formatToParts(now);
-
-        const parts = {};
-        callerDateParts.forEach(p => { parts[p.type] = p.value; });
-        const callerNow = new Date(
-          `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`
-        );
-        const callerToday = new Date(`${parts.year}-${parts.month}-${parts.day}`);
-
-        twilioLogger.info('Available slots retrieved', {
-          date,
-          duration,
-          slotsFound: slots.length,
-          timezone,
-          callerCurrentTime: callerNow.toISOString(),
-          callerToday: callerToday.toISOString()
-        });
+      try {
+        const message = { role: 'assistant', content: TRANSFER_FAILED };
+        messages.push(message);
+        await sendAIResponse(message.content, message);
+      } catch (ttsError) {
+        twilioLogger.error('Failed to send transfer apology', ttsError);
+      }
 
-        // Filter out past times (only for today's date)
-        let filteredSlots = slots;
-        const requestedDate = new Date(date);
+      // Give the apology time to play
+      setTimeout(() => {
+        ws.close();
+      }, 5000);
+    }
+  }
 
-        if (requestedDate.getTime() === callerToday.getTime()) {
-          // It's today in caller's timezone - filter out times that have already passed
-          // Add 2-hour buffer so they can't book something starting in 30 minutes
-          const minTime = new Date(callerNow.getTime() + (2 * 60 * 60 * 1000));
+  /**
+   * Buffered response path: full LLM completion, then full TTS
+   * (two-stage when tools are called). Used when LLM_STREAMING=false.
+   * @param {number} transcriptReceivedAt - When the caller's utterance arrived
+   */
+  async function respondBuffered(transcriptReceivedAt) {
+    let ttsLatency = 0;
+    let spokenLength = 0;
 
-          filteredSlots = slots.filter(slot => {
-            return slot.startTime.getTime() > minTime.getTime();
+    const { response, finalResponse, toolsExecuted } = await conversation.respond({
+      onReply: async (text, message, { interim }) => {
+        if (interim) {
+          twilioLogger.info('🗣️ SPEAKING PRE-TOOL CONTENT', {
+            callSid,
+            content: text,
           });
 
-          twilioLogger.info('Filtered past times for today', {
-            originalCount: slots.length,
-            filteredCount: filteredSlots.length,
-            callerNow: callerNow.toISOString(),
-            minTime: minTime.toISOString()
-          });
+          // Speak the content immediately (e.g., "Let me check the calendar")
+          await sendAIResponse(text, message);
+          return;
         }
 
-        // Format slots for LLM
-        const formattedSlots = filteredSlots.map(slot => {
-          const timeStr = slot.startTime.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-          });
-          return timeStr;
+        // LOG AI RESPONSE BEFORE TTS
+        twilioLogger.info('🤖 AI TRANSCRIPT', {
+          callSid,
+          speaker: 'ai',
+          text,
+          textLength: text.length,
+          timestamp: new Date().toISOString(),
+          turnNumber: Math.floor(transcript.length / 2) + 1,
         });
 
-        return {
-          success: true,
-          date,
-          slots: formattedSlots,
-          count: formattedSlots.length,
-          message: formattedSlots.length > 0
-            ? `Available times on ${date}: ${formattedSlots.join(', ')}`
-            : `No available slots on ${date}`
-        };
-
-      } else if (functionName === 'create_appointment') {
-        // Create appointment on calendar and in database
-        const { callerName, callerPhone, date, time, reason, duration = 30 } = args;
-
-        // Combine date and time
-        const appointmentTime = new Date(`${date}T${time}`);
-
-        twilioLogger.info('Creating appointment', {
-          callerName,
-          callerPhone,
-          appointmentTime: appointmentTime.toISOString(),
-          reason,
-          duration
-        });
+        const ttsStartTime = Date.now();
+        await sendAIResponse(text, message);
+        ttsLatency = Date.now() - ttsStartTime;
+        spokenLength = text.length;
+      },
+    });
 
-        // Create calendar event
-        const calendarEvent = await createCalendarAppointment({
-          callerName,
-          callerPhone,
-          appointmentTime,
-          reason,
-          durationMinutes: duration
-        });
+    // Log detailed latency breakdown
+    if (finalResponse) {
+      twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN (two-stage)', {
+        callSid,
+        firstLlmLatency: `${response.latency}ms`,
+        secondLlmLatency: `${finalResponse.latency}ms`,
+        ttsLatency: `${ttsLatency}ms`,
+        totalPipelineLatency: `${Date.now() - transcriptReceivedAt}ms`,
+        responseLength: spokenLength,
+        toolsExecuted,
+        provider: response.provider,
+      });
+    } else if (spokenLength > 0) {
+      twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN', {
+        callSid,
+        llmLatency: `${response.latency}ms`,
+        ttsLatency: `${ttsLatency}ms`,
+        totalPipelineLatency: `${Date.now() - transcriptReceivedAt}ms`,
+        responseLength: spokenLength,
+        provider: response.provider,
+      });
+    }
+  }
 
-        // Save to database
-        const dbAppointment = await createDbAppointment({
-          callerName,
-          callerPhone,
-          appointmentTime: appointmentTime.toISOString(),
-          reason,
-          googleCalendarEventId: calendarEvent.id,
-          status: 'confirmed'
-        });
+  /**
+   * Streaming response path: the conversation yields sentences as the LLM
+   * writes them (Conversation.respondStream), and each reply's sentences are
+   * spoken on one TTS context, so the caller hears the first sentence while the
+   * rest generates
+   * @param {number} transcriptReceivedAt - When the caller's utterance arrived
+   */
+  async function respondStreaming(transcriptReceivedAt) {
+    let firstAudioAt = null;
+    const onFirstAudio = () => {
+      if (firstAudioAt === null) firstAudioAt = Date.now();
+    };
+
+    // The reply being spoken: its sentence queue and TTS playback
+    let segments = null;
+    let speech = null;
+    let lastSpoken = null;
+    const startSpeech = (message) => {
+      segments = new AsyncQueue();
+      speech = sendAIResponse(segments, message, { onFirstAudio });
+      speech.catch(() => {}); // Awaited on 'spoken'; avoid unhandled rejection if the LLM fails first
+    };
 
-        // Send SMS confirmation
-        try {
-          await sendAppointmentConfirmation({
-            callerName,
-            callerPhone,
-            appointmentTime: appointmentTime.toISOString(),
-            reason
-          });
-          twilioLogger.info('SMS confirmation sent', { appointmentId: dbAppointment.id });
-        } catch (smsError) {
-          twilioLogger.error('Failed to send SMS confirmation', smsError);
-          // Don't fail the appointment creation if SMS fails
+    try {
+      for await (const event of conversation.respondStream()) {
+        if (event.type === 'sentence') {
+          if (!segments) startSpeech(event.message);
+          segments.push(event.text);
+        } else if (event.type === 'end_of_speech') {
+          if (!segments) startSpeech(event.message);
+          segments.end();
+        } else if (event.type === 'spoken') {
+          const playback = await speech;
+          segments = null;
+          speech = null;
+
+          // Record what was actually sent to TTS (a barge-in already trimmed it otherwise)
+          const { message } = event;
+          lastSpoken = message;
+          if (!playback.interrupted) {
+            message.content = playback.text || null;
+          }
+
+          if (message.content) {
+            twilioLogger.info('🤖 AI TRANSCRIPT', {
+              callSid,
+              speaker: 'ai',
+              text: message.content,
+              textLength: message.content.length,
+              timestamp: new Date().toISOString(),
+              turnNumber: Math.floor(transcript.length / 2) + 1,
+            });
+          }
+        } else if (event.type === 'done') {
+          const { response, finalResponse, toolsExecuted } = event;
+          const timeToFirstAudio = firstAudioAt ? `${firstAudioAt - transcriptReceivedAt}ms` : 'N/A';
+
+          if (finalResponse) {
+            twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN (streaming, two-stage)', {
+              callSid,
+              timeToFirstAudio,
+              firstLlmFirstToken: `${response.firstTokenLatency}ms`,
+              firstLlmLatency: `${response.latency}ms`,
+              secondLlmFirstToken: `${finalResponse.firstTokenLatency}ms`,
+              secondLlmLatency: `${finalResponse.latency}ms`,
+              totalPipelineLatency: `${Date.now() - transcriptReceivedAt}ms`,
+              responseLength: lastSpoken?.content?.length || 0,
+              toolsExecuted,
+              provider: response.provider,
+            });
+          } else if (lastSpoken?.content) {
+            twilioLogger.info('⏱️ RESPONSE TIMING BREAKDOWN (streaming)', {
+              callSid,
+              timeToFirstAudio,
+              llmFirstToken: `${response.firstTokenLatency}ms`,
+              llmLatency: `${response.latency}ms`,
+              totalPipelineLatency: `${Date.now() - transcriptReceivedAt}ms`,
+              responseLength: lastSpoken.content.length,
+              provider: response.provider,
+            });
+          }
         }
-
-        // Update appointment data
-        appointmentData.callerName = callerName;
-        appointmentData.callerPhone = callerPhone;
-        appointmentData.appointmentBooked = true;
-        appointmentData.appointmentId = dbAppointment.id;
-        appointmentData.googleCalendarEventId = calendarEvent.id;
-
-        twilioLogger.info('Appointment created successfully', {
-          appointmentId: dbAppointment.id,
-          calendarEventId: calendarEvent.id
-        });
-
-        return {
-          success: true,
-          appointmentId: dbAppointment.id,
-          appointmentTime: appointmentTime.toISOString(),
-          message: `Appointment confirmed for ${callerName} on ${date} at ${time}`
-        };
-
-      } else if (functionName === 'update_appointment_info') {
-        // Silently update collected appointment data
-        Object.assign(appointmentData, args);
-        twilioLogger.debug('Appointment info updated', appointmentData);
-        return { success: true, updated: Object.keys(args) };
-
-      } else if (functionName === 'end_call_with_confirmation') {
-        // Call is ending
-        twilioLogger.info('Call ending', {
-          summary: args.summary,
-          appointmentBooked: args.appointmentBooked
-        });
-
-        appointmentData.appointmentBooked = args.appointmentBooked;
-
-        // Schedule call close after TTS completes
-        setTimeout(() => {
-          ws.close();
-        }, 5000); // Give time for final message to play
-
-        return {
-          success: true,
-          callEnding: true,
-          summary: args.summary,
-          appointmentBooked: args.appointmentBooked
-        };
       }
-
-      return { success: false, error: 'Unknown tool' };
-
-    } catch (error) {
-      twilioLogger.error('Tool execution failed', error, {
-        tool: functionName,
-        args
-      });
-
-      // Return helpful error messages for specific failures
-      let errorMessage;
-      if (functionName === 'get_available_slots') {
-        errorMessage = `I'm having trouble accessing the calendar right now. Could you suggest a few dates and times that work for you?`;
-      } else if (functionName === 'check_availability') {
-        errorMessage = `I'm unable to check availability at the moment. Let me note down your preferred time and we'll confirm it shortly.`;
-      } else if (functionName === 'create_appointment') {
-        errorMessage = `There was an issue creating the appointment. Let me take your information and someone will call you back to confirm.`;
-      } else {
-        errorMessage = `I encountered an error with ${functionName.replace(/_/g, ' ')}. Let's try a different approach.`;
-      }
-
-      return {
-        success: false,
-        error: error.message,
-        message: errorMessage
-      };
+    } finally {
+      segments?.end();
     }
   }
 
   /**
    * Send AI response via TTS (WebSocket streaming with automatic retry)
    * v2.x: Includes idle connection refresh check
+   * @param {string|AsyncIterable<string>} text - Text to speak, or sentence segments
+   *   streamed from the LLM (spoken as continuations on one Cartesia context)
+   * @param {Object} message - Conversation history entry holding this text
+   *   (defaults to the latest assistant message with the same content);
+   *   trimmed to what was heard if the caller barges in
+   * @param {Object} options - { onFirstAudio } called when the first audio chunk is sent
+   * @returns {Promise<Object>} Playback record ({ text, interrupted, ... })
    */
-  async function sendAIResponse(text) {
+  async function sendAIResponse(text, message = null, { onFirstAudio = null } = {}) {
     try {
       // Check if connection needs refresh (5-min idle timeout)
       if (cartesia.needsRefresh()) {
@@ -894,26 +815,55 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
         await cartesia.connect(voiceId);
       }
 
+      const isStream = typeof text !== 'string';
+
       // LOG TTS REQUEST
       const voiceId = process.env.AI_VOICE_ID || 'default';
       twilioLogger.debug('🔊 TTS STREAMING REQUEST (v2.x)', {
         callSid,
-        text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
-        textLength: text.length,
+        text: isStream ? '(streamed)' : text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+        textLength: isStream ? null : text.length,
         voiceId,
-        method: 'websocket-streaming-with-retry-v2',
+        method: isStream ? 'websocket-continuations' : 'websocket-streaming-with-retry-v2',
       });
 
-      // Add to transcript
-      transcript.push({
+      // Add to transcript (streamed text is filled in as segments arrive)
+      const transcriptEntry = {
         speaker: 'ai',
-        text,
+        text: isStream ? '' : text,
         timestamp: new Date().toISOString(),
-      });
+      };
+      transcript.push(transcriptEntry);
+
+      // Track playback so a barge-in knows how much of this was heard
+      const playback = {
+        text: isStream ? '' : text,
+        transcriptEntry,
+        message: message || [...messages].reverse().find(
+          (m) => m.role === 'assistant' && m.content === text
+        ) || null,
+        bytesSent: 0,
+        playStartAt: null,
+        synthesisDone: false,
+        markName: null,
+        interrupted: false,
+      };
+      playbackQueue.push(playback);
 
-      // Queue TTS request to prevent concurrent connections hitting rate limits
       // v2.x: audioChunk is already a Buffer from cartesia.js
-      await cartesia.queueSpeakText(text, (audioChunk) => {
+      const onAudioChunk = (audioChunk) => {
+        if (playback.interrupted) return;
+
+        // Twilio plays 8kHz mulaw (8 bytes per ms) back-to-back as it arrives
+        const now = Date.now();
+        if (playback.playStartAt === null) {
+          playback.playStartAt = Math.max(now, playbackCursor);
+          if (onFirstAudio) onFirstAudio();
+        }
+        playbackCursor = Math.max(now, playbackCursor) + audioChunk.length / 8;
+        playback.bytesSent += audioChunk.length;
+        recording?.addOutbound(audioChunk);
+
         // Convert Buffer to Base64 for Twilio
         const base64Audio = audioChunk.toString('base64');
         ws.send(
@@ -925,13 +875,186 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
             },
           })
         );
-      });
+      };
+
+      // Queue TTS request to prevent concurrent connections hitting rate limits
+      if (isStream) {
+        async function* trackSegments() {
+          for await (const segment of text) {
+            if (playback.interrupted) break;
+            playback.text = playback.text ? `${playback.text} ${segment}` : segment;
+            transcriptEntry.text = playback.text;
+            yield segment;
+          }
+        }
+        await cartesia.queueSpeakStream(trackSegments(), onAudioChunk);
+      } else {
+        await cartesia.queueSpeakText(text, onAudioChunk);
+      }
+
+      if (playback.text) {
+        recorder?.record('tts', { text: playback.text, streamed: isStream, interrupted: playback.interrupted });
+      }
+
+      if (playback.interrupted) return playback;
+
+      // Nothing was said (e.g. a pure tool-call response) - drop the empty entries
+      if (!playback.text) {
+        transcript.splice(transcript.indexOf(transcriptEntry), 1);
+        playbackQueue.splice(playbackQueue.indexOf(playback), 1);
+        return playback;
+      }
+
+      // Mark the end of this utterance - Twilio echoes it back once played
+      playback.synthesisDone = true;
+      playback.markName = `utterance-${++markCounter}`;
+      ws.send(
+        JSON.stringify({
+          event: 'mark',
+          streamSid: streamSid,
+          mark: {
+            name: playback.markName,
+          },
+        })
+      );
+
+      return playback;
     } catch (error) {
       twilioLogger.error('Error in sendAIResponse', error);
       throw error;
     }
   }
 
+  /**
+   * Handle Twilio mark echo - everything up to this mark has been played
+   * @param {string} markName - Mark name from the Twilio mark event
+   */
+  function onPlaybackMark(markName) {
+    // Twilio returns the marks a barge-in cleared; that audio never played
+    const index = playbackQueue.findIndex((p) => p.markName === markName);
+    if (index === -1) return;
+    playbackQueue.splice(0, index + 1);
+
+    if (leavingVoicemail) {
+      if (playbackQueue.length === 0) {
+        leavingVoicemail = false;
+        outcome = 'voicemail';
+        endOutboundCall();
+      }
+      return;
+    }
+
+    // The agent finished talking - now it's the caller's turn
+    startSilenceTimer();
+  }
+
+  /**
+   * Caller started talking (Deepgram interim words)
+   * @param {string} interimText - First recognized words of the caller's utterance
+   */
+  function onSpeechStarted(interimText) {
+    recorder?.record('speech_started', { text: interimText });
+    callerSpeaking = true;
+    clearSilenceTimer();
+    interruptPlayback(interimText);
+  }
+
+  /**
+   * Deepgram heard the caller stop (utterance end); if no final transcript
+   * came of it, the turn is theirs again and the silence count can resume
+   */
+  function onUtteranceEnd() {
+    if (!callerSpeaking) return;
+    callerSpeaking = false;
+    startSilenceTimer();
+  }
+
+  /**
+   * Caller pressed a key (Twilio dtmf event)
+   * Counts as the caller taking their turn, like speech does
+   * @param {string} digit - 0-9, * or #
+   */
+  function onKeypadPress(digit) {
+    recorder?.record('dtmf', { digit });
+    if (callClosed) return;
+
+    // Before the key goes in: # starts the reply straight away
+    clearSilenceTimer();
+    interruptPlayback(`[keypad ${digit}]`);
+    keypad.press(digit);
+  }
+
+  /**
+   * Caller finished a keypad entry (# or a pause): answer it like speech
+   * @param {string} digits - Keys pressed, without the #
+   */
+  function onKeypadEntry(digits) {
+    if (callClosed || !conversation) return;
+    onTranscript(formatKeypadTurn(digits));
+  }
+
+  /**
+   * The caller cut in: if the agent is speaking, stop playback and record
+   * how much was heard
+   * @param {string} interimText - What the caller started with (for the log)
+   */
+  function interruptPlayback(interimText) {
+    if (playbackQueue.length === 0 || !streamSid) return;
+
+    const now = Date.now();
+
+    // Stop generating more audio and flush Twilio's playback buffer
+    cartesia?.cancel();
+    ws.send(
+      JSON.stringify({
+        event: 'clear',
+        streamSid: streamSid,
+      })
+    );
+
+    const interrupted = playbackQueue.splice(0, playbackQueue.length);
+    playbackCursor = 0;
+    recording?.clear();
+
+    for (const playback of interrupted) {
+      playback.interrupted = true;
+
+      // Estimate total audio length if Cartesia hadn't finished synthesizing yet
+      const sentMs = playback.bytesSent / 8;
+      const totalMs = playback.synthesisDone
+        ? sentMs
+        : Math.max(sentMs, playback.text.length * ESTIMATED_MS_PER_CHAR);
+      const playedMs = playback.playStartAt === null
+        ? 0
+        : Math.min(Math.max(now - playback.playStartAt, 0), sentMs);
+      const fraction = totalMs > 0 ? playedMs / totalMs : 0;
+      const playedText = truncateToPlayed(playback.text, fraction);
+
+      // Transcript shows what the caller actually heard
+      playback.transcriptEntry.text = playedText;
+      playback.transcriptEntry.interrupted = true;
+      playback.transcriptEntry.fullText = playback.text;
+
+      recorder?.record('barge_in', { playedText, fullText: playback.text });
+
+      // Conversation history tells the LLM it was cut off
+      if (playback.message) {
+        playback.message.content = playedText
+          ? `${playedText}... [interrupted by caller]`
+          : '[interrupted by caller before speaking]';
+      }
+
+      twilioLogger.info('✋ CALLER BARGE-IN', {
+        callSid,
+        interimText,
+        playedMs: Math.round(playedMs),
+        estimatedTotalMs: Math.round(totalMs),
+        playedText,
+        fullText: playback.text,
+      });
+    }
+  }
+
   /**
    * Handle Deepgram errors
    */
@@ -943,12 +1066,27 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
    * Save call log to database
    */
   async function finalize() {
+    if (finalized) return;
+    finalized = true;
+
     try {
       endTime = new Date().toISOString();
       const duration = Math.floor(
         (new Date(endTime) - new Date(startTime)) / 1000
       );
 
+      // Let go of any time this caller was still holding
+      await releaseHolds(callSid);
+
+      const {
+        llmCalls = 0,
+        totalLatency = 0,
+        totalCost = 0,
+        primaryProvider = null,
+        appointmentData = emptyAppointmentData(),
+        takenMessages = [],
+      } = conversation || {};
+
       // LOG FULL CALL TRANSCRIPT (VERBOSE)
       twilioLogger.info('📋 FULL CALL TRANSCRIPT', {
         callSid,
@@ -980,13 +1118,21 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
 
       // Build full transcript text
       const transcriptText = transcript
-        .map(entry => `[${entry.speaker}]: ${entry.text}`)
+        .map(entry => `[${entry.speaker}]: ${entry.text}${entry.interrupted ? ' [interrupted]' : ''}`)
         .join('\n');
 
+      recorder?.record('end', {
+        durationSeconds: duration,
+        appointmentBooked: appointmentData.appointmentBooked,
+        appointmentId: appointmentData.appointmentId,
+      });
+
+      const recordingUrl = recording ? await saveCallRecording(callSid, recording) : null;
+
       // Save call log to database
       twilioLogger.info('Saving call log to database', { callSid });
 
-      await createCallLog({
+      const callLog = await createCallLog({
         twilioCallSid: callSid,
         callerPhone: fromNumber,
         callStartedAt: startTime,
@@ -994,9 +1140,23 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
         durationSeconds: duration,
         transcript: transcriptText,
         appointmentBooked: appointmentData.appointmentBooked,
-        appointmentId: appointmentData.appointmentId
+        appointmentId: appointmentData.appointmentId,
+        recordingUrl,
+        answeredBy,
+        outcome,
       });
 
+      // Messages taken on the call point at its log, so staff can pull up the transcript
+      if (takenMessages.length > 0) {
+        await linkMessagesToCallLog(callSid, callLog.id);
+      }
+
+      // What the patient said to their reminder, or else how far the call got
+      const reminderResult = reminder && (conversation?.reminderResult || reminderResultForOutcome(outcome));
+      if (reminderResult) {
+        await setReminderResult(reminder.id, reminderResult);
+      }
+
       // Track call end
       onCallEnd();
 
@@ -1011,6 +1171,8 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
     } catch (error) {
       twilioLogger.error('Error finalizing call', error);
     }
+
+    await recorder?.save();
   }
 
   // Handle WebSocket messages from Twilio
@@ -1028,6 +1190,10 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
 
         startTime = new Date().toISOString();
 
+        recorder = createCallRecorder({ callSid, from: fromNumber, to: toNumber });
+        recorder?.record('start', { streamSid, customParameters: msg.start.customParameters });
+        if (isCallRecordingEnabled()) recording = new CallRecording();
+
         twilioLogger.info('Call started', {
           callSid,
           from: fromNumber,
@@ -1035,15 +1201,42 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
           customParameters: msg.start.customParameters,
         });
 
-        await initialize(toNumber, fromNumber);
+        // Outbound calls say who picked up (answering machine detection) and why we called
+        answeredBy = msg.start.customParameters?.AnsweredBy || null;
+        const purpose = msg.start.customParameters?.Purpose;
+        if (purpose === 'reminder' && msg.start.customParameters?.AppointmentId) {
+          reminder = await loadReminder(msg.start.customParameters.AppointmentId);
+        }
+
+        if (isMachineAnswer(answeredBy)) {
+          await leaveVoicemail(purpose);
+        } else {
+          if (answeredBy) outcome = 'answered';
+          await initialize(toNumber, fromNumber);
+        }
       } else if (msg.event === 'media') {
-        // Forward audio to Deepgram
-        if (deepgramConnection && msg.media?.payload) {
+        if (msg.media?.payload) {
           const audioBuffer = Buffer.from(msg.media.payload, 'base64');
-          deepgram.sendAudio(deepgramConnection, audioBuffer);
+          recorder?.addInboundAudio(audioBuffer);
+          recording?.addInbound(audioBuffer, Number(msg.media.timestamp));
+
+          // Forward audio to Deepgram
+          if (deepgramConnection) {
+            deepgram.sendAudio(deepgramConnection, audioBuffer);
+          }
         }
+      } else if (msg.event === 'mark') {
+        recorder?.record('mark_played', { name: msg.mark?.name });
+        onPlaybackMark(msg.mark?.name);
+      } else if (msg.event === 'dtmf') {
+        onKeypadPress(msg.dtmf?.digit);
       } else if (msg.event === 'stop') {
         twilioLogger.info('Call stopped', { callSid });
+        recorder?.record('stop');
+
+        callClosed = true;
+        clearSilenceTimer();
+        keypad.clear();
 
         // Close Deepgram
         if (deepgramConnection) {
@@ -1070,6 +1263,13 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
   ws.on('close', () => {
     twilioLogger.info('WebSocket closed', { callSid });
 
+    callClosed = true;
+    clearSilenceTimer();
+    keypad.clear();
+
+    // Calls that end without a stop event still get their bundle
+    recorder?.save();
+
     // Clean up
     if (deepgramConnection) {
       deepgram.closeStream(deepgramConnection);
@@ -1082,5 +1282,8 @@ This gives the caller time to process the number. Example: "Is (555) 123-4567...
 }
 
 export default {
+  getDtmfTimeoutSeconds,
+  getInitialGreeting,
+  getSilenceTimeouts,
   handleTwilioStream,
 };
@@ -0,0 +1,162 @@
+/**
+ * Audio helpers for Twilio Media Streams
+ * Twilio sends and plays 8kHz mono mu-law (G.711) in 20ms frames; these
+ * convert between mu-law and 16-bit PCM and read and write WAV files.
+ */
+
+export const SAMPLE_RATE = 8000;
+export const FRAME_BYTES = 160; // 20ms of 8kHz mu-law
+
+// mu-law byte for a zero sample (silence)
+export const MULAW_SILENCE = 0xFF;
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// WAV format codes
+const WAV_PCM = 1;
+const WAV_MULAW = 7;
+
+/**
+ * Encode one 16-bit PCM sample as mu-law
+ * @param {number} sample - -32768..32767
+ * @returns {number} mu-law byte
+ */
+export function pcmToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Decode one mu-law byte to a 16-bit PCM sample
+ * @param {number} byte - mu-law byte
+ * @returns {number} -32124..32124
+ */
+export function mulawToPcm(byte) {
+  const value = ~byte & 0xFF;
+  const exponent = (value >> 4) & 0x07;
+  const sample = ((((value & 0x0F) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -sample : sample;
+}
+
+/**
+ * Read a WAV file
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} { format: 'pcm' | 'mulaw', sampleRate, channels, bitsPerSample, data }
+ */
+export function readWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let data = null;
+
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, offset + 8 + size);
+
+    if (id === 'fmt ') {
+      fmt = {
+        code: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+
+    offset += 8 + size + (size % 2); // chunks are word-aligned
+  }
+
+  if (!fmt || !data) {
+    throw new Error('WAV file has no fmt or data chunk');
+  }
+
+  if (fmt.code !== WAV_PCM && fmt.code !== WAV_MULAW) {
+    throw new Error(`Unsupported WAV format ${fmt.code} (only PCM and mu-law)`);
+  }
+
+  return {
+    format: fmt.code === WAV_MULAW ? 'mulaw' : 'pcm',
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitsPerSample: fmt.bitsPerSample,
+    data,
+  };
+}
+
+/**
+ * Convert a WAV file to the mu-law Twilio expects
+ * @param {Object} wav - From readWav; must be 8kHz mono, 16-bit PCM or mu-law
+ * @returns {Buffer} mu-law audio
+ */
+export function wavToMulaw(wav) {
+  if (wav.sampleRate !== SAMPLE_RATE || wav.channels !== 1) {
+    throw new Error(`Expected 8kHz mono audio, got ${wav.sampleRate}Hz with ${wav.channels} channel(s)`);
+  }
+
+  if (wav.format === 'mulaw') return wav.data;
+
+  if (wav.bitsPerSample !== 16) {
+    throw new Error(`Expected 16-bit PCM, got ${wav.bitsPerSample}-bit`);
+  }
+
+  const mulaw = Buffer.alloc(wav.data.length / 2);
+  for (let i = 0; i < mulaw.length; i++) {
+    mulaw[i] = pcmToMulaw(wav.data.readInt16LE(i * 2));
+  }
+  return mulaw;
+}
+
+/**
+ * Build a WAV file
+ * @param {Buffer} data - Samples (interleaved if more than one channel)
+ * @param {Object} options
+ * @param {string} options.format - 'mulaw' (8-bit) or 'pcm' (16-bit)
+ * @param {number} options.channels - Channel count
+ * @param {number} options.sampleRate - Samples per second
+ * @returns {Buffer} WAV file contents
+ */
+export function writeWav(data, { format = 'mulaw', channels = 1, sampleRate = SAMPLE_RATE } = {}) {
+  const bitsPerSample = format === 'mulaw' ? 8 : 16;
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format === 'mulaw' ? WAV_MULAW : WAV_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+export default {
+  FRAME_BYTES,
+  MULAW_SILENCE,
+  SAMPLE_RATE,
+  mulawToPcm,
+  pcmToMulaw,
+  readWav,
+  wavToMulaw,
+  writeWav,
+};
@@ -0,0 +1,83 @@
+/**
+ * Keypad (DTMF) input for phone calls
+ * Twilio sends one event per key. DtmfCollector gathers them into an entry
+ * that ends when the caller presses # or stops pressing keys for a moment,
+ * and formatKeypadTurn() turns the entry into the user turn the LLM sees.
+ */
+
+export const DTMF_TERMINATOR = '#';
+
+const DTMF_KEYS = /^[0-9*#]$/;
+
+/**
+ * User turn for a keypad entry, e.g. "[Keypad: 5551234567]"
+ * The prompt tells the model how to read these (see appointment-booking.js)
+ * @param {string} digits - Keys pressed, without the terminator
+ * @returns {string} Message content
+ */
+export function formatKeypadTurn(digits) {
+  return `[Keypad: ${digits}]`;
+}
+
+/**
+ * Collects key presses until the terminator or a pause
+ */
+export class DtmfCollector {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Pause after the last key that ends the entry
+   * @param {Function} options.onEntry - Called with the digits (string) when an entry ends
+   */
+  constructor({ timeoutMs, onEntry }) {
+    this.timeoutMs = timeoutMs;
+    this.onEntry = onEntry;
+    this.digits = '';
+    this.timer = null;
+  }
+
+  /**
+   * Add a key press
+   * @param {string} key - 0-9, * or #
+   * @returns {boolean} Whether the key was accepted
+   */
+  press(key) {
+    if (!DTMF_KEYS.test(key ?? '')) return false;
+
+    if (key === DTMF_TERMINATOR) {
+      this.flush();
+      return true;
+    }
+
+    this.digits += key;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.timeoutMs);
+    return true;
+  }
+
+  /**
+   * End the current entry now (a lone terminator ends nothing)
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const digits = this.digits;
+    this.digits = '';
+    if (digits) this.onEntry(digits);
+  }
+
+  /**
+   * Drop anything pressed so far (the call ended)
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.digits = '';
+  }
+}
+
+export default {
+  DTMF_TERMINATOR,
+  DtmfCollector,
+  formatKeypadTurn,
+};
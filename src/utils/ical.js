@@ -0,0 +1,347 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Just enough of the format to read and write single events: used by the
+ * CalDAV backend and the local calendar's .ics files. Recurrence rules are not
+ * expanded here (CalDAV servers expand them for us).
+ */
+
+import { zonedTimeToUtc } from './timezone.js';
+
+// Where the agent's event tags (see calendar.js) live in an iCalendar event
+const PROPERTY_NAMES = {
+  source: 'X-AGENT-SOURCE',
+  appointmentKey: 'X-AGENT-APPOINTMENT-KEY',
+};
+
+const STATUS_VALUES = {
+  CONFIRMED: 'confirmed',
+  TENTATIVE: 'tentative',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Join folded lines (a line starting with a space or tab continues the previous one)
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Fold a content line at 75 characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join('\r\n ');
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * e.g. "DTSTART;TZID=America/Toronto:20250315T140000"
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object, value: string}}
+ */
+function parseProperty(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const value = colon === -1 ? '' : line.slice(colon + 1);
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Plain text
+ * @returns {string} Escaped value
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME value (e.g. 20250315T210000Z)
+ * @param {Date} date - Instant
+ * @returns {string} DATE-TIME value
+ */
+export function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * Floating times (no Z, no TZID) and all-day dates are read in the business timezone
+ * @param {string} value - e.g. "20250315T140000Z", "20250315T140000", "20250315"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} timezone - Business timezone
+ * @returns {{date: Date, allDay: boolean}}
+ */
+export function parseDateValue(value, params, timezone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+
+  const [, y, m, d, H, M, S, utc] = match;
+  const dateStr = `${y}-${m}-${d}`;
+
+  if (H === undefined || params.VALUE === 'DATE') {
+    return { date: zonedTimeToUtc(dateStr, '00:00', timezone), allDay: true };
+  }
+
+  if (utc) {
+    return { date: new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(H), Number(M), Number(S))), allDay: false };
+  }
+
+  const zone = params.TZID || timezone;
+  const date = zonedTimeToUtc(dateStr, `${H}:${M}`, zone);
+  return { date: new Date(date.getTime() + Number(S) * 1000), allDay: false };
+}
+
+/**
+ * Parse an iCalendar DURATION (e.g. PT30M, P1D)
+ * @param {string} value - Duration value
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+
+  const [, sign, w = 0, d = 0, h = 0, m = 0, s = 0] = match;
+  const ms = ((((Number(w) * 7 + Number(d)) * 24 + Number(h)) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Build an event from a VEVENT's properties
+ * @param {Array<Object>} props - Parsed properties of the VEVENT (nested components removed)
+ * @param {string} timezone - Business timezone
+ * @returns {Object|null} Event (see calendar.js), or null if it has no start
+ */
+function toEvent(props, timezone) {
+  const get = (name) => props.find((p) => p.name === name);
+
+  const uid = get('UID')?.value;
+  const dtstart = get('DTSTART');
+  if (!uid || !dtstart) return null;
+
+  const start = parseDateValue(dtstart.value, dtstart.params, timezone);
+  const dtend = get('DTEND');
+  const duration = get('DURATION');
+
+  let end;
+  if (dtend) {
+    end = parseDateValue(dtend.value, dtend.params, timezone).date;
+  } else if (duration) {
+    end = new Date(start.date.getTime() + parseDuration(duration.value));
+  } else {
+    // RFC 5545: no end means one day for dates, zero length for date-times
+    end = new Date(start.date.getTime() + (start.allDay ? 86400000 : 0));
+  }
+
+  // Expanded recurrences share the UID; tell the instances apart
+  const recurrenceId = get('RECURRENCE-ID')?.value;
+  const created = get('CREATED') || get('DTSTAMP');
+
+  const properties = {};
+  for (const [key, name] of Object.entries(PROPERTY_NAMES)) {
+    const prop = get(name);
+    if (prop) properties[key] = unescapeText(prop.value);
+  }
+
+  return {
+    id: recurrenceId ? `${uid}_${recurrenceId}` : uid,
+    status: STATUS_VALUES[get('STATUS')?.value?.toUpperCase()] || 'confirmed',
+    summary: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : '',
+    description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : '',
+    start: start.date,
+    end,
+    allDay: start.allDay,
+    transparent: get('TRANSP')?.value?.toUpperCase() === 'TRANSPARENT',
+    created: created ? parseDateValue(created.value, created.params, timezone).date : null,
+    properties,
+  };
+}
+
+/**
+ * Parse the events in an iCalendar document
+ * @param {string} text - iCalendar text (one or more VEVENTs)
+ * @param {string} timezone - Business timezone, for floating and all-day times
+ * @returns {Array<Object>} Events (see calendar.js)
+ */
+export function parseEvents(text, timezone) {
+  const events = [];
+  let props = null;
+  let nested = 0;
+
+  for (const line of unfoldLines(text)) {
+    const prop = parseProperty(line);
+
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+      props = [];
+      nested = 0;
+    } else if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      const event = props && toEvent(props, timezone);
+      if (event) events.push(event);
+      props = null;
+    } else if (props) {
+      // Skip the properties of nested components (VALARM)
+      if (prop.name === 'BEGIN') nested++;
+      else if (prop.name === 'END') nested--;
+      else if (nested === 0) props.push(prop);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Content lines of one VEVENT
+ * @param {Object} event - Event (see calendar.js); reminderMinutes adds a display alarm
+ * @returns {Array<string>} Unfolded content lines
+ */
+function eventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+  ];
+
+  if (event.created) lines.push(`CREATED:${formatDateTime(event.created)}`);
+  lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`);
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.status && event.status !== 'confirmed') lines.push(`STATUS:${event.status.toUpperCase()}`);
+  if (event.transparent) lines.push('TRANSP:TRANSPARENT');
+
+  for (const [key, name] of Object.entries(PROPERTY_NAMES)) {
+    if (event.properties?.[key]) lines.push(`${name}:${escapeText(event.properties[key])}`);
+  }
+
+  if (event.reminderMinutes) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary || 'Reminder')}`,
+      `TRIGGER:-PT${event.reminderMinutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize events as an iCalendar document
+ * Times are written in UTC, all-day events included
+ * @param {Array<Object>} events - Events (see calendar.js)
+ * @returns {string} iCalendar text
+ */
+export function serializeEvents(events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Appointment Agent//Calendar//EN',
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Move the (first) event in an iCalendar document, keeping its other properties
+ * @param {string} text - iCalendar text
+ * @param {Date} start - New start
+ * @param {Date} end - New end
+ * @returns {string} Updated iCalendar text
+ */
+export function setEventTimes(text, start, end) {
+  const lines = [];
+  let inEvent = false;
+  let done = false;
+  let nested = 0;
+
+  for (const line of unfoldLines(text)) {
+    const prop = parseProperty(line);
+
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT' && !done) {
+      inEvent = true;
+      lines.push(line);
+      continue;
+    }
+
+    if (inEvent && prop.name === 'BEGIN') nested++;
+    if (inEvent && nested === 0) {
+      if (prop.name === 'DTSTART') {
+        lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+        continue;
+      }
+      if (['DTEND', 'DURATION'].includes(prop.name)) continue;
+      if (prop.name === 'DTSTAMP') {
+        lines.push(`DTSTAMP:${formatDateTime(new Date())}`);
+        continue;
+      }
+      if (prop.name === 'SEQUENCE') {
+        lines.push(`SEQUENCE:${(Number(prop.value) || 0) + 1}`);
+        continue;
+      }
+      if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+        inEvent = false;
+        done = true;
+      }
+    }
+    if (inEvent && prop.name === 'END' && nested > 0) nested--;
+
+    lines.push(line);
+  }
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export default {
+  formatDateTime,
+  parseDateValue,
+  parseEvents,
+  serializeEvents,
+  setEventTimes,
+};
@@ -0,0 +1,41 @@
+/**
+ * Public URLs of this app's webhooks
+ * Twilio calls back (and signs its requests for) the public address, which
+ * behind Fly's proxy isn't the one requests arrive on. PUBLIC_BASE_URL sets
+ * it; otherwise it comes from the request being answered, or from the host of
+ * FLY_STREAM_URL when there isn't one.
+ */
+
+/**
+ * Where a request was sent, as Twilio saw it
+ * Behind Fly's proxy the request arrives over plain HTTP, so the scheme comes
+ * from X-Forwarded-Proto
+ * @param {Object} req - Express request
+ * @returns {string} e.g. https://agent.example.com
+ */
+function requestOrigin(req) {
+  const proto = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || req.protocol;
+  return `${proto}://${req.get('host')}`;
+}
+
+/**
+ * Public URL of one of this app's webhooks
+ * @param {string} pathname - Path and query, e.g. /api/twilio/voicemail
+ * @param {Object} req - Express request being answered, if any
+ * @returns {string} Absolute URL
+ */
+export function publicUrl(pathname, req = null) {
+  const base = process.env.PUBLIC_BASE_URL
+    || (req ? requestOrigin(req) : null)
+    || process.env.FLY_STREAM_URL?.replace(/^ws/, 'http').replace(/^(https?:\/\/[^/]+).*$/, '$1');
+
+  if (!base) {
+    throw new Error('PUBLIC_BASE_URL or FLY_STREAM_URL is required for Twilio webhooks');
+  }
+
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+export default {
+  publicUrl,
+};
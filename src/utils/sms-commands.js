@@ -0,0 +1,50 @@
+/**
+ * SMS reply keywords
+ * Patients answer confirmations and reminders with a keyword ("CANCEL", "C",
+ * "CONFIRM", ...). Full words are recognised at the start of a longer reply
+ * ("Cancel please"); YES and single letters only on their own, since plenty
+ * of replies that start with them aren't commands ("Yes, but can I move it?").
+ */
+
+// Keywords that count only as the whole message (punctuation aside)
+const WHOLE_MESSAGE_ONLY = ['YES'];
+
+const COMMANDS = {
+  cancel: ['CANCEL', 'CANCELL', 'CANCELED', 'CANCELLED', 'C'],
+  confirm: ['CONFIRM', 'CONFIRMED', 'YES', 'Y'],
+  reschedule: ['RESCHEDULE', 'R'],
+  help: ['HELP', 'INFO'],
+};
+
+// Twilio handles these itself (opt-out / opt-in) and suppresses our replies
+const CARRIER_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT', 'START', 'UNSTOP', 'SUBSCRIBE'];
+
+/**
+ * Work out what an inbound SMS asks for
+ * @param {string} body - Message text
+ * @returns {string|null} 'cancel', 'confirm', 'reschedule', 'help', 'opt_out', or null if unrecognised
+ */
+export function parseSmsCommand(body) {
+  const words = String(body || '')
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words.length === 0) return null;
+
+  const [first] = words;
+  if (CARRIER_KEYWORDS.includes(first) && words.length === 1) return 'opt_out';
+
+  for (const [command, keywords] of Object.entries(COMMANDS)) {
+    if (!keywords.includes(first)) continue;
+    if (words.length === 1) return command;
+    if (first.length > 1 && !WHOLE_MESSAGE_ONLY.includes(first)) return command;
+  }
+
+  return null;
+}
+
+export default {
+  parseSmsCommand,
+};
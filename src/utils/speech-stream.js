@@ -0,0 +1,171 @@
+/**
+ * Helpers for streaming LLM text into TTS
+ * - SentenceChunker: splits token deltas into speakable sentences
+ * - AsyncQueue: push/end queue consumable with `for await`
+ */
+
+// Abbreviations that end with a period but don't end a sentence
+const ABBREVIATIONS = ['dr', 'mr', 'mrs', 'ms', 'st', 'ste', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'a.m', 'p.m'];
+
+/**
+ * Accumulates streamed text and emits complete sentences
+ * Holds back leaked <function=...> syntax until it is closed so it is never spoken
+ */
+export class SentenceChunker {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Add a text delta
+   * @param {string} delta - Streamed text fragment
+   * @returns {Array<string>} Complete sentences ready to speak
+   */
+  push(delta) {
+    this.buffer += delta;
+
+    const sentences = [];
+    let searchFrom = 0;
+
+    while (true) {
+      // Never split inside (or after the start of) an unclosed function tag
+      const tagStart = this.buffer.indexOf('<', searchFrom);
+      const limit = tagStart === -1 || this.buffer.indexOf('</function>', tagStart) !== -1
+        ? this.buffer.length
+        : tagStart;
+
+      const boundary = this._findBoundary(this.buffer.slice(0, limit), searchFrom);
+      if (boundary === -1) break;
+
+      const sentence = this.buffer.slice(0, boundary).trim();
+      this.buffer = this.buffer.slice(boundary);
+      searchFrom = 0;
+
+      if (sentence.length > 0) {
+        sentences.push(sentence);
+      }
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Flush whatever is left (end of stream, or before a tool call)
+   * @returns {string} Remaining text (may be empty)
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest;
+  }
+
+  /**
+   * Find the index just past a sentence-ending punctuation followed by whitespace
+   * @param {string} text - Text to search
+   * @param {number} from - Index to start searching
+   * @returns {number} Boundary index or -1
+   */
+  _findBoundary(text, from) {
+    const pattern = /[.!?]+["')\]]*\s/g;
+    pattern.lastIndex = from;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+
+      // Function tags are stripped whole, so a sentence can't end inside a closed one either
+      if (this._insideFunctionTag(text, match.index)) {
+        continue;
+      }
+
+      if (match[0].startsWith('.')) {
+        const word = text.slice(0, match.index).split(/\s/).pop().toLowerCase();
+        if (ABBREVIATIONS.includes(word) || /^[a-z]$/.test(word)) {
+          continue;
+        }
+
+        // "No. 5" is a number, "No. That time is taken." two sentences
+        if (word === 'no') {
+          const rest = text.slice(end).trimStart();
+          if (rest === '') return -1; // Wait to see what follows
+          if (/^\d/.test(rest)) continue;
+        }
+      }
+
+      return end;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Whether an index falls between <function= and its </function>
+   * @param {string} text - Text to search
+   * @param {number} index - Index to check
+   * @returns {boolean}
+   */
+  _insideFunctionTag(text, index) {
+    const open = text.lastIndexOf('<function=', index);
+    if (open === -1) return false;
+
+    const close = text.indexOf('</function>', open);
+    return close === -1 || close > index;
+  }
+}
+
+/**
+ * Minimal async queue: producer calls push()/end(), consumer uses `for await`
+ */
+export class AsyncQueue {
+  constructor() {
+    this.items = [];
+    this.waiters = [];
+    this.ended = false;
+  }
+
+  /**
+   * Add an item (ignored after end())
+   * @param {*} item - Item to enqueue
+   */
+  push(item) {
+    if (this.ended) return;
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter({ value: item, done: false });
+    } else {
+      this.items.push(item);
+    }
+  }
+
+  /**
+   * Signal that no more items will be pushed
+   */
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+
+    for (const waiter of this.waiters.splice(0)) {
+      waiter({ value: undefined, done: true });
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.items.length > 0) {
+          return Promise.resolve({ value: this.items.shift(), done: false });
+        }
+        if (this.ended) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => this.waiters.push(resolve));
+      },
+    };
+  }
+}
+
+export default {
+  SentenceChunker,
+  AsyncQueue,
+};
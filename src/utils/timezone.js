@@ -180,3 +180,107 @@ export function inferTimezone(reportedTime, nowUTC = new Date()) {
     reportedLocal24h: toHHMM(repMin),
   };
 }
+
+/**
+ * Get wall-clock parts for an instant in an IANA timezone
+ * Returns { year, month, day, hour, minute, weekday } (month 1-12, weekday 0=Sunday)
+ */
+export function getZonedParts(date, tz) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  });
+
+  const map = Object.fromEntries(fmt.formatToParts(date).map((p) => [p.type, p.value]));
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    weekday: WEEKDAYS.indexOf(map.weekday),
+  };
+}
+
+/**
+ * Convert a wall-clock date + time in an IANA timezone to a UTC instant
+ * e.g. ("2025-03-15", "14:00", "America/Los_Angeles") -> 2025-03-15T21:00:00Z
+ * DST-safe: the offset is re-checked at the resulting instant. Times inside a
+ * spring-forward gap resolve to the instant one hour later on the wall clock.
+ */
+export function zonedTimeToUtc(dateStr, timeStr, tz) {
+  const [y, m, d] = String(dateStr).split('-').map(Number);
+  const [H, M] = String(timeStr).split(':').map(Number);
+
+  if (![y, m, d, H, M].every(Number.isFinite)) {
+    throw new Error(`Invalid date/time: ${dateStr} ${timeStr}`);
+  }
+
+  const wallAsUTC = Date.UTC(y, m - 1, d, H, M, 0);
+
+  // First guess uses the offset at the wall time read as UTC; correct once if
+  // the true instant falls on the other side of a DST transition
+  const firstOffset = offsetMinutesForZone(tz, new Date(wallAsUTC));
+  let utc = wallAsUTC - firstOffset * 60000;
+  const secondOffset = offsetMinutesForZone(tz, new Date(utc));
+  if (secondOffset !== firstOffset) {
+    const corrected = wallAsUTC - secondOffset * 60000;
+    // Keep the first guess if the corrected instant doesn't exist (spring-forward gap)
+    if (offsetMinutesForZone(tz, new Date(corrected)) === secondOffset) {
+      utc = corrected;
+    }
+  }
+
+  return new Date(utc);
+}
+
+/**
+ * Format an instant as YYYY-MM-DD in an IANA timezone
+ */
+export function formatDateInZone(date, tz) {
+  const { year, month, day } = getZonedParts(date, tz);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * The calendar date after a YYYY-MM-DD date
+ */
+export function nextDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Format an instant as 24-hour HH:MM in an IANA timezone
+ */
+export function formatTimeInZone(date, tz) {
+  const { hour, minute } = getZonedParts(date, tz);
+  return toHHMM(hour * 60 + minute);
+}
+
+/**
+ * Format an instant for speech in an IANA timezone (e.g. "2:30 PM")
+ */
+export function formatSpokenTime(date, tz) {
+  return date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: tz,
+  });
+}
+
+/**
+ * Get the business timezone (BUSINESS_TIMEZONE, default America/Los_Angeles)
+ */
+export function getBusinessTimezone() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles';
+}
@@ -2,7 +2,9 @@
  * Test Google Calendar integration
  */
 
-import { createAppointment, getAvailableSlots } from './src/services/google-calendar.js';
+import { createAppointment } from './src/services/calendar.js';
+import { getAvailableSlots } from './src/services/availability.js';
+import { getService } from './src/services/service-catalog.js';
 
 async function testCalendar() {
   try {
@@ -11,7 +13,7 @@ async function testCalendar() {
     // Test 1: Get available slots for today
     const today = new Date().toISOString().split('T')[0];
     console.log(`1. Getting available slots for ${today}...`);
-    const slots = await getAvailableSlots(today);
+    const slots = await getAvailableSlots(today, getService('checkup'));
     console.log(`✅ Found ${slots.length} available slots`);
     if (slots.length > 0) {
       console.log(`   First slot: ${slots[0]}`);
@@ -0,0 +1,221 @@
+/**
+ * Tests for callers finding, cancelling and moving their own appointments
+ * (find_upcoming_appointments, cancel_appointment and reschedule_appointment
+ * in src/services/conversation.js)
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cleanings need an operatory; Dr. Baker has a separate calendar
+process.env.RESOURCES = JSON.stringify([{ id: 'op1', name: 'Operatory 1', calendarId: 'operatory-1' }]);
+process.env.PROVIDERS = JSON.stringify([
+  { id: 'adams', name: 'Dr. Adams' },
+  { id: 'baker', name: 'Dr. Baker', calendarId: 'baker' },
+]);
+
+const { getCalendarBackend, getDefaultCalendarId } = await import('../src/services/calendar.js');
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+
+const NOW = '2026-11-16T09:00:00-08:00';
+const JANE = '+15551234567';
+const SAM = '+15559876543';
+
+/**
+ * Have the agent call one tool for a patient texting from a number
+ * @param {string} callerPhone - Patient's number (caller ID)
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} Tool result
+ */
+async function useTool(callerPhone, name, args = {}) {
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name, arguments: args }] },
+    { content: 'OK' },
+  ]);
+  const { toolCalls } = await new TextSession({ channel: 'sms', callerPhone, llm }).say('Hi');
+  return toolCalls[0].result;
+}
+
+/**
+ * Book a cleaning for a patient
+ * @param {string} callerPhone - Patient's number
+ * @param {string} callerName - Patient's name
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Promise<Object>} Appointment row
+ */
+async function book(callerPhone, callerName, date, time) {
+  const result = await useTool(callerPhone, 'create_appointment', {
+    date,
+    time,
+    serviceType: 'cleaning',
+    callerName,
+    callerPhone,
+    reason: 'Cleaning',
+  });
+  assert.equal(result.success, true);
+  return getMemoryTables().appointments.find((a) => a.id === result.appointmentId);
+}
+
+/**
+ * An event as the calendar has it now, deleted or not
+ * @param {string} calendarId - Calendar
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>}
+ */
+function eventIn(calendarId, eventId) {
+  return getCalendarBackend().getEvent(calendarId, eventId);
+}
+
+/**
+ * An appointment row as it is now
+ * @param {string} id - Appointment ID
+ * @returns {Object}
+ */
+function appointmentNow(id) {
+  return getMemoryTables().appointments.find((a) => a.id === id);
+}
+
+test('a caller finds only their own upcoming appointments', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    await book(JANE, 'Jane', '2026-11-18', '10:00');
+    await book(SAM, 'Sam', '2026-11-19', '14:00');
+
+    const found = await useTool(JANE, 'find_upcoming_appointments');
+    assert.equal(found.count, 1);
+    assert.equal(found.appointments[0].date, 'Wednesday, November 18');
+    assert.match(found.message, /Found 1 upcoming appointment/);
+
+    const nobody = await useTool('+15550000000', 'find_upcoming_appointments');
+    assert.equal(nobody.count, 0);
+    assert.match(nobody.message, /No upcoming appointments/);
+  } finally {
+    resetClock();
+  }
+});
+
+test('a caller cancels their appointment by phone, freeing its calendar time', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book(JANE, 'Jane', '2026-11-18', '10:00');
+
+    const result = await useTool(JANE, 'cancel_appointment', { appointmentId: appointment.id });
+    assert.equal(result.success, true);
+    assert.match(result.message, /has been cancelled/);
+
+    // The time can be booked again
+    assert.equal((await useTool(SAM, 'check_availability', { date: '2026-11-18', time: '10:00', serviceType: 'cleaning' })).available, true);
+  } finally {
+    resetClock();
+  }
+
+  assert.equal(appointmentNow(appointment.id).status, 'cancelled');
+  assert.equal((await eventIn(getDefaultCalendarId(), appointment.google_calendar_event_id)).status, 'cancelled');
+  assert.equal((await eventIn('operatory-1', appointment.resource_event_id)).status, 'cancelled');
+  assert.deepEqual(getSentSms().filter((m) => m.kind === 'cancellation').map((m) => m.to), [JANE]);
+});
+
+test("a caller can't cancel or move someone else's appointment", async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book(JANE, 'Jane', '2026-11-18', '10:00');
+
+    const cancel = await useTool(SAM, 'cancel_appointment', { appointmentId: appointment.id });
+    assert.equal(cancel.success, false);
+    assert.match(cancel.message, /not found for this phone number/);
+
+    const move = await useTool(SAM, 'reschedule_appointment', { appointmentId: appointment.id, date: '2026-11-19', time: '09:00' });
+    assert.equal(move.success, false);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(appointmentNow(appointment.id), appointment);
+  assert.equal((await eventIn(getDefaultCalendarId(), appointment.google_calendar_event_id)).status, 'confirmed');
+  assert.deepEqual(getSentSms().filter((m) => m.kind === 'cancellation'), []);
+});
+
+test('moving an appointment to a time that is taken leaves it where it was', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book(JANE, 'Jane', '2026-11-18', '10:00');
+    await book(SAM, 'Sam', '2026-11-19', '14:00');
+
+    const result = await useTool(JANE, 'reschedule_appointment', { appointmentId: appointment.id, date: '2026-11-19', time: '14:00' });
+    assert.equal(result.success, false);
+    assert.equal(result.justTaken, true);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(appointmentNow(appointment.id), appointment);
+  const event = await eventIn(getDefaultCalendarId(), appointment.google_calendar_event_id);
+  assert.equal(event.start.toISOString(), '2026-11-18T18:00:00.000Z');
+  assert.deepEqual(getSentSms().filter((m) => m.kind === 'reschedule'), []);
+});
+
+test('a reschedule moves the appointment in the database and the calendar', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book(JANE, 'Jane', '2026-11-18', '10:00');
+
+    const result = await useTool(JANE, 'reschedule_appointment', { appointmentId: appointment.id, date: '2026-11-19', time: '14:00' });
+    assert.equal(result.success, true);
+    assert.equal(result.appointmentTime, '2026-11-19T22:00:00.000Z');
+  } finally {
+    resetClock();
+  }
+
+  // Same events, patched to the new time
+  const row = appointmentNow(appointment.id);
+  assert.equal(row.appointment_time.toISOString(), '2026-11-19T22:00:00.000Z');
+  assert.equal(row.google_calendar_event_id, appointment.google_calendar_event_id);
+  assert.equal((await eventIn(getDefaultCalendarId(), row.google_calendar_event_id)).start.toISOString(), '2026-11-19T22:00:00.000Z');
+  assert.equal((await eventIn('operatory-1', row.resource_event_id)).start.toISOString(), '2026-11-19T22:00:00.000Z');
+  assert.deepEqual(
+    getSentSms().filter((m) => m.kind === 'reschedule').map((m) => [m.to, m.appointmentTime]),
+    [[JANE, '2026-11-19T22:00:00.000Z']]
+  );
+});
+
+test('a reschedule to another provider moves the appointment onto their calendar', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book(JANE, 'Jane', '2026-11-18', '10:00');
+
+    const result = await useTool(JANE, 'reschedule_appointment', {
+      appointmentId: appointment.id,
+      date: '2026-11-19',
+      time: '14:00',
+      providerId: 'baker',
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'Dr. Baker');
+  } finally {
+    resetClock();
+  }
+
+  const row = appointmentNow(appointment.id);
+  assert.equal(row.provider_id, 'baker');
+  assert.equal((await eventIn('baker', row.google_calendar_event_id)).start.toISOString(), '2026-11-19T22:00:00.000Z');
+  assert.equal((await eventIn(getDefaultCalendarId(), appointment.google_calendar_event_id)).status, 'cancelled');
+});
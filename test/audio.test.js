@@ -0,0 +1,78 @@
+/**
+ * Unit tests for src/utils/audio.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  pcmToMulaw,
+  mulawToPcm,
+  readWav,
+  wavToMulaw,
+  writeWav,
+  MULAW_SILENCE,
+} from '../src/utils/audio.js';
+
+test('mu-law encodes silence and the extremes like G.711', () => {
+  assert.equal(pcmToMulaw(0), MULAW_SILENCE);
+  assert.equal(pcmToMulaw(32767), 0x80);
+  assert.equal(pcmToMulaw(-32768), 0x00);
+  assert.equal(mulawToPcm(MULAW_SILENCE), 0);
+  assert.equal(mulawToPcm(0x80), 32124);
+  assert.equal(mulawToPcm(0x00), -32124);
+});
+
+test('mu-law round trips every byte and stays close to the original sample', () => {
+  for (let byte = 0; byte < 256; byte++) {
+    // 0x7F is negative zero; it encodes back as positive zero
+    if (byte === 0x7F) continue;
+    assert.equal(pcmToMulaw(mulawToPcm(byte)), byte);
+  }
+
+  for (const sample of [-20000, -1000, -5, 7, 300, 12345]) {
+    const error = Math.abs(mulawToPcm(pcmToMulaw(sample)) - sample);
+    assert.ok(error <= Math.abs(sample) * 0.07 + 8, `${sample} came back ${error} off`);
+  }
+});
+
+test('writeWav output reads back with the same format and data', () => {
+  const data = Buffer.from([0xFF, 0x80, 0x00, 0x7F]);
+  const wav = readWav(writeWav(data));
+
+  assert.equal(wav.format, 'mulaw');
+  assert.equal(wav.sampleRate, 8000);
+  assert.equal(wav.channels, 1);
+  assert.deepEqual(wav.data, data);
+
+  const stereo = readWav(writeWav(Buffer.alloc(8), { format: 'pcm', channels: 2 }));
+  assert.equal(stereo.format, 'pcm');
+  assert.equal(stereo.channels, 2);
+  assert.equal(stereo.bitsPerSample, 16);
+});
+
+test('wavToMulaw converts 16-bit PCM and passes mu-law through', () => {
+  const pcm = Buffer.alloc(6);
+  pcm.writeInt16LE(0, 0);
+  pcm.writeInt16LE(32767, 2);
+  pcm.writeInt16LE(-32768, 4);
+
+  assert.deepEqual(wavToMulaw(readWav(writeWav(pcm, { format: 'pcm' }))), Buffer.from([0xFF, 0x80, 0x00]));
+  assert.deepEqual(wavToMulaw(readWav(writeWav(Buffer.from([1, 2])))), Buffer.from([1, 2]));
+});
+
+test('wavToMulaw rejects audio Twilio cannot take as-is', () => {
+  assert.throws(() => wavToMulaw(readWav(writeWav(Buffer.alloc(4), { sampleRate: 16000 }))), /8kHz mono/);
+  assert.throws(() => wavToMulaw(readWav(writeWav(Buffer.alloc(4), { channels: 2 }))), /8kHz mono/);
+});
+
+test('readWav reads the bundled ringback and rejects other files', () => {
+  const ringback = readWav(readFileSync(new URL('../public/ringback-pattern.wav', import.meta.url)));
+
+  assert.equal(ringback.format, 'pcm');
+  assert.equal(ringback.sampleRate, 8000);
+  assert.equal(wavToMulaw(ringback).length, ringback.data.length / 2);
+
+  assert.throws(() => readWav(Buffer.from('not a wav file at all, sorry')), /Not a WAV file/);
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for src/services/availability.js (pure slot/assignment logic)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickAssignment, findSlots } from '../src/services/availability.js';
+import { normalizeSchedule } from '../src/services/schedule.js';
+import { normalizeCatalog } from '../src/services/service-catalog.js';
+import { normalizeProviders, normalizeResources } from '../src/services/providers.js';
+
+const LA = 'America/Los_Angeles';
+
+const schedule = normalizeSchedule({
+  weekly: {
+    monday: [{ start: '09:00', end: '12:00' }],
+    tuesday: [{ start: '09:00', end: '12:00' }],
+  },
+});
+
+const catalog = normalizeCatalog([
+  { id: 'checkup', name: 'Checkup', durationMinutes: 30 },
+  { id: 'cleaning', name: 'Dental cleaning', durationMinutes: 60, bufferAfterMinutes: 15 },
+]);
+const [checkup, cleaning] = catalog;
+
+const providers = normalizeProviders([
+  { id: 'dr_smith', name: 'Dr. Smith', calendarId: 'smith' },
+  {
+    id: 'jane',
+    name: 'Jane',
+    calendarId: 'jane',
+    services: ['cleaning'],
+    weekly: { tuesday: [{ start: '10:00', end: '12:00' }] },
+  },
+], catalog);
+
+const resources = normalizeResources([
+  { id: 'op1', name: 'Operatory 1', calendarId: 'op1' },
+  { id: 'op2', name: 'Operatory 2', calendarId: 'op2' },
+], catalog);
+
+// Tuesday 2026-10-20, Pacific daylight time (UTC-7)
+const at = (hhmm) => new Date(`2026-10-20T${hhmm}:00-07:00`);
+const busy = (start, end) => ({ start: at(start), end: at(end) });
+
+test('pickAssignment takes the first free provider in directory order', () => {
+  const assignment = pickAssignment({
+    startTime: at('10:00'),
+    service: cleaning,
+    providers,
+    resources: [],
+    busyByCalendar: { smith: [busy('10:00', '11:00')] },
+    schedule,
+    timezone: LA,
+  });
+
+  assert.equal(assignment.provider.id, 'jane');
+  assert.equal(assignment.resource, null);
+});
+
+test('pickAssignment respects provider working hours', () => {
+  const assignment = pickAssignment({
+    startTime: at('09:00'),
+    service: cleaning,
+    providers: providers.filter((p) => p.id === 'jane'),
+    resources: [],
+    busyByCalendar: {},
+    schedule,
+    timezone: LA,
+  });
+
+  assert.equal(assignment, null);
+});
+
+test('pickAssignment needs a free resource alongside the provider', () => {
+  const base = { startTime: at('10:00'), service: checkup, providers, resources, schedule, timezone: LA };
+
+  assert.equal(pickAssignment({ ...base, busyByCalendar: { op1: [busy('10:00', '10:30')] } }).resource.id, 'op2');
+  assert.equal(
+    pickAssignment({ ...base, busyByCalendar: { op1: [busy('10:00', '10:30')], op2: [busy('09:45', '10:15')] } }),
+    null
+  );
+});
+
+test('pickAssignment includes buffers when checking busy time', () => {
+  const assignment = pickAssignment({
+    startTime: at('10:00'),
+    service: cleaning,
+    providers: providers.slice(0, 1),
+    resources: [],
+    busyByCalendar: { smith: [busy('11:00', '11:30')] },
+    schedule,
+    timezone: LA,
+  });
+
+  // 10:00-11:00 plus a 15 minute cleanup buffer runs into the 11:00 event
+  assert.equal(assignment, null);
+});
+
+test('findSlots lists each start once with its assigned provider', () => {
+  const slots = findSlots({
+    dateStr: '2026-10-20',
+    service: cleaning,
+    providers,
+    resources: [],
+    busyByCalendar: { smith: [busy('09:00', '10:30')] },
+    schedule,
+    timezone: LA,
+  });
+
+  assert.deepEqual(
+    slots.map((s) => [s.startTime.toISOString(), s.providerId]),
+    [
+      ['2026-10-20T17:00:00.000Z', 'jane'],
+      ['2026-10-20T17:30:00.000Z', 'dr_smith'],
+      ['2026-10-20T18:00:00.000Z', 'dr_smith'],
+    ]
+  );
+});
+
+test('findSlots is empty when no provider works that day', () => {
+  const slots = findSlots({
+    dateStr: '2026-10-19',
+    service: cleaning,
+    providers: providers.filter((p) => p.id === 'jane'),
+    resources: [],
+    busyByCalendar: {},
+    schedule,
+    timezone: LA,
+  });
+
+  assert.deepEqual(slots, []);
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for what create_appointment and reschedule_appointment do when saving
+ * fails (src/services/conversation.js and src/services/booking.js): the
+ * calendar goes back to how it was, and a booking retry that saved first wins
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cleanings need an operatory, so a booking writes two events; Dr. Baker has a separate calendar
+process.env.RESOURCES = JSON.stringify([{ id: 'op1', name: 'Operatory 1', calendarId: 'operatory-1' }]);
+process.env.PROVIDERS = JSON.stringify([
+  { id: 'adams', name: 'Dr. Adams' },
+  { id: 'baker', name: 'Dr. Baker', calendarId: 'baker' },
+]);
+
+const { getCalendarBackend, getDefaultCalendarId } = await import('../src/services/calendar.js');
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { resetClock } = await import('./harness/clock.js');
+const {
+  beforeNextAppointmentInsert,
+  beforeNextAppointmentUpdate,
+  createAppointment,
+  getMemoryTables,
+} = await import('./harness/memory-db.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+
+const NOW = '2026-11-16T09:00:00-08:00';
+const WEDNESDAY_10AM = {
+  date: '2026-11-18',
+  time: '10:00',
+  serviceType: 'cleaning',
+  callerName: 'Jane Doe',
+  callerPhone: '+15551234567',
+  reason: 'Cleaning',
+};
+
+/**
+ * Every event in the provider and operatory calendars, deleted ones included
+ * @returns {Promise<Array<[string, string]>>} [calendarId, status]
+ */
+async function allEvents() {
+  return (await eventTimes()).map(([calendarId, status]) => [calendarId, status]);
+}
+
+/**
+ * Every event in the provider and operatory calendars with its start time
+ * @returns {Promise<Array<[string, string, string]>>} [calendarId, status, start]
+ */
+async function eventTimes() {
+  const backend = getCalendarBackend();
+  const events = [];
+  for (const calendarId of [getDefaultCalendarId(), 'baker', 'operatory-1']) {
+    const listed = await backend.listEvents(calendarId, new Date('2026-11-01'), new Date('2026-12-31'), { showDeleted: true });
+    events.push(...listed.map((event) => [calendarId, event.status, event.start.toISOString()]));
+  }
+  return events;
+}
+
+/**
+ * Have the agent book Wednesday at 10
+ * @returns {Promise<Object>} create_appointment result
+ */
+async function bookWednesday() {
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'create_appointment', arguments: WEDNESDAY_10AM }] },
+    { content: 'Done.' },
+  ]);
+  const { toolCalls } = await new TextSession({ channel: 'sms', llm }).say('Wednesday at 10 please');
+  return toolCalls[0].result;
+}
+
+test('when the booking cannot be saved, its calendar events are taken back out', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    beforeNextAppointmentInsert(() => {
+      throw new Error('Connection terminated unexpectedly');
+    });
+    const result = await bookWednesday();
+    assert.equal(result.success, false);
+    assert.match(result.error, /Connection terminated/);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments, []);
+  assert.deepEqual(await allEvents(), [[getDefaultCalendarId(), 'cancelled'], ['operatory-1', 'cancelled']]);
+  assert.deepEqual(getSentSms(), []);
+});
+
+test('a retry of the same booking that saved first is returned instead of a second booking', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    // The retry saves its row between this call's calendar writes and its insert
+    let winner;
+    beforeNextAppointmentInsert(async (appointmentData) => {
+      winner = await createAppointment({ ...appointmentData, googleCalendarEventId: 'retry-event', resourceEventId: null });
+    });
+
+    const result = await bookWednesday();
+    assert.equal(result.alreadyBooked, true);
+    assert.equal(result.appointmentId, winner.id);
+  } finally {
+    resetClock();
+  }
+
+  // This call's events were rolled back; the retry's booking stands
+  assert.equal(getMemoryTables().appointments.length, 1);
+  assert.deepEqual(await allEvents(), [[getDefaultCalendarId(), 'cancelled'], ['operatory-1', 'cancelled']]);
+});
+
+/**
+ * Book Wednesday at 10, then have the agent move it with the save failing
+ * @param {Object} move - reschedule_appointment arguments besides the appointment
+ * @returns {Promise<{appointment: Object, result: Object}>} The booking as saved, and the reschedule's result
+ */
+async function failedReschedule(move) {
+  assert.equal((await bookWednesday()).success, true);
+  const [appointment] = getMemoryTables().appointments;
+
+  beforeNextAppointmentUpdate(() => {
+    throw new Error('Connection terminated unexpectedly');
+  });
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'reschedule_appointment', arguments: { appointmentId: appointment.id, ...move } }] },
+    { content: 'Sorry, something went wrong.' },
+  ]);
+  const { toolCalls } = await new TextSession({ channel: 'sms', llm }).say('Can I move it?');
+  return { appointment, result: toolCalls[0].result };
+}
+
+test('when a reschedule cannot be saved, the moved events go back to the old time', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    let result;
+    ({ appointment, result } = await failedReschedule({ date: '2026-11-19', time: '14:00' }));
+    assert.equal(result.success, false);
+    assert.match(result.error, /Connection terminated/);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments, [appointment]);
+  assert.deepEqual(await eventTimes(), [
+    [getDefaultCalendarId(), 'confirmed', '2026-11-18T18:00:00.000Z'],
+    ['operatory-1', 'confirmed', '2026-11-18T18:00:00.000Z'],
+  ]);
+});
+
+test('when a move to another provider cannot be saved, the new event is removed and the old one kept', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    let result;
+    ({ appointment, result } = await failedReschedule({ date: '2026-11-19', time: '14:00', providerId: 'baker' }));
+    assert.equal(result.success, false);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments, [appointment]);
+  assert.deepEqual(await eventTimes(), [
+    [getDefaultCalendarId(), 'confirmed', '2026-11-18T18:00:00.000Z'],
+    ['baker', 'cancelled', '2026-11-19T22:00:00.000Z'],
+    ['operatory-1', 'confirmed', '2026-11-18T18:00:00.000Z'],
+  ]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for src/services/busy-cache.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  daysCovering,
+  dayBounds,
+  splitByDay,
+  mergeDays,
+  getCachedDay,
+  storeDay,
+  invalidateCalendar,
+  clearBusyCache,
+} from '../src/services/busy-cache.js';
+
+const LA = 'America/Los_Angeles';
+
+const period = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+test('daysCovering lists business-local days, end exclusive', () => {
+  // 08:45-17:15 Pacific on one day
+  assert.deepEqual(
+    daysCovering(new Date('2026-10-20T15:45:00Z'), new Date('2026-10-21T00:15:00Z'), LA),
+    ['2026-10-20']
+  );
+  // Ending exactly at local midnight stays on the first day
+  assert.deepEqual(
+    daysCovering(new Date('2026-10-20T07:00:00Z'), new Date('2026-10-22T07:00:00Z'), LA),
+    ['2026-10-20', '2026-10-21']
+  );
+});
+
+test('dayBounds follows DST transitions', () => {
+  const { start, end } = dayBounds('2026-11-01', LA);
+  assert.equal(start.toISOString(), '2026-11-01T07:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-11-02T08:00:00.000Z');
+});
+
+test('splitByDay puts overnight periods on both days and mergeDays dedupes them', () => {
+  const overnight = period('2026-10-21T05:00:00Z', '2026-10-21T09:00:00Z'); // 22:00-02:00 Pacific
+  const morning = period('2026-10-21T16:00:00Z', '2026-10-21T17:00:00Z');
+  const byDay = splitByDay([overnight, morning], ['2026-10-20', '2026-10-21'], LA);
+
+  assert.deepEqual(byDay['2026-10-20'], [overnight]);
+  assert.deepEqual(byDay['2026-10-21'], [overnight, morning]);
+
+  const merged = mergeDays(
+    [byDay['2026-10-20'], byDay['2026-10-21']],
+    new Date('2026-10-20T07:00:00Z'),
+    new Date('2026-10-22T07:00:00Z')
+  );
+  assert.deepEqual(merged, [overnight, morning]);
+
+  // Periods outside the requested range are dropped
+  assert.deepEqual(
+    mergeDays([byDay['2026-10-21']], new Date('2026-10-21T15:00:00Z'), new Date('2026-10-21T18:00:00Z')),
+    [morning]
+  );
+});
+
+test('cached days expire after the TTL', () => {
+  clearBusyCache();
+  const busy = [period('2026-10-20T16:00:00Z', '2026-10-20T17:00:00Z')];
+
+  storeDay('smith', '2026-10-20', busy, 60000, 1000);
+  assert.equal(getCachedDay('smith', '2026-10-20', 30000), busy);
+  assert.equal(getCachedDay('smith', '2026-10-20', 61000), null);
+
+  storeDay('smith', '2026-10-20', busy, 0, 1000);
+  assert.equal(getCachedDay('smith', '2026-10-20', 1000), null);
+});
+
+test('invalidateCalendar drops only that calendar', () => {
+  clearBusyCache();
+  storeDay('smith', '2026-10-20', [], 60000, 1000);
+  storeDay('smith', '2026-10-21', [], 60000, 1000);
+  storeDay('op1', '2026-10-20', [], 60000, 1000);
+
+  invalidateCalendar('smith');
+
+  assert.equal(getCachedDay('smith', '2026-10-20', 2000), null);
+  assert.equal(getCachedDay('smith', '2026-10-21', 2000), null);
+  assert.deepEqual(getCachedDay('op1', '2026-10-20', 2000), []);
+});
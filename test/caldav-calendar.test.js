@@ -0,0 +1,241 @@
+/**
+ * Unit tests for src/services/caldav-calendar.js
+ * Requests go to a stand-in for fetch that plays the CalDAV server
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEvent,
+  deleteEvent,
+  getEvent,
+  parseMultistatus,
+  patchEvent,
+  queryBusy,
+} from '../src/services/caldav-calendar.js';
+import { withEnv } from './harness/test-utils.js';
+
+const SERVER = {
+  CALDAV_URL: 'https://dav.example.com/dav/calendars/',
+  CALDAV_USERNAME: 'office',
+  CALDAV_PASSWORD: 'secret',
+};
+const DR_SMITH = 'https://dav.example.com/dav/calendars/dr-smith/';
+
+/**
+ * A calendar object as the server stores it
+ * @param {string} uid - Event UID
+ * @param {Array<string>} lines - VEVENT content lines after the UID
+ * @returns {string} iCalendar text
+ */
+function ics(uid, lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', `UID:${uid}`, ...lines, 'END:VEVENT', 'END:VCALENDAR', ''].join('\r\n');
+}
+
+/**
+ * A REPORT response holding calendar objects
+ * @param {Array<{href: string, etag: string, data: string}>} objects - Calendar objects
+ * @returns {Response}
+ */
+function multistatus(objects) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const responses = objects.map((object) => `<d:response><d:href>${object.href}</d:href><d:propstat><d:prop>
+<d:getetag>${escape(object.etag)}</d:getetag><cal:calendar-data>${escape(object.data)}</cal:calendar-data>
+</d:prop></d:propstat></d:response>`);
+
+  return new Response(
+    `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join('')}</d:multistatus>`,
+    { status: 207 }
+  );
+}
+
+/**
+ * Run with fetch answered by a stand-in server
+ * @param {Function} respond - (request) => Response; request is { method, url, headers, body }
+ * @param {Function} run - async (requests) => void
+ * @returns {Promise<Array>} The requests the client sent
+ */
+async function withServer(respond, run) {
+  const realFetch = globalThis.fetch;
+  const requests = [];
+
+  globalThis.fetch = async (url, { method, headers, body }) => {
+    const request = { method, url, headers, body };
+    requests.push(request);
+    return respond(request);
+  };
+
+  try {
+    await withEnv(SERVER, () => run(requests));
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  return requests;
+}
+
+test('parseMultistatus reads calendar objects whatever the namespace prefixes', () => {
+  const xml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+  <d:response>
+    <d:href>/dav/calendars/dr/abc.ics</d:href>
+    <d:propstat><d:prop>
+      <d:getetag>&quot;etag-1&quot;</d:getetag>
+      <cal:calendar-data>BEGIN:VCALENDAR&#13;
+BEGIN:VEVENT&#13;
+UID:abc&#13;
+SUMMARY:Root canal &amp; crown&#13;
+END:VEVENT&#13;
+END:VCALENDAR</cal:calendar-data>
+    </d:prop></d:propstat>
+  </d:response>
+  <response xmlns="DAV:">
+    <href>/dav/calendars/dr/</href>
+    <propstat><prop><getetag>"ctag"</getetag></prop></propstat>
+  </response>
+</d:multistatus>`;
+
+  const objects = parseMultistatus(xml);
+
+  // The collection itself has no calendar data
+  assert.equal(objects.length, 1);
+  assert.equal(objects[0].href, '/dav/calendars/dr/abc.ics');
+  assert.equal(objects[0].etag, '"etag-1"');
+  assert.match(objects[0].data, /SUMMARY:Root canal & crown\r\n/);
+});
+
+test('queryBusy reads each calendar with an expanded time-range REPORT and skips free and cancelled events', async () => {
+  const timeMin = new Date('2026-11-16T08:00:00Z');
+  const timeMax = new Date('2026-11-17T08:00:00Z');
+
+  const requests = await withServer((request) => {
+    if (request.url !== DR_SMITH) return multistatus([]);
+    return multistatus([
+      { href: '/dav/calendars/dr-smith/a.ics', etag: '"1"', data: ics('a', ['DTSTART:20261116T170000Z', 'DTEND:20261116T180000Z', 'SUMMARY:Filling']) },
+      { href: '/dav/calendars/dr-smith/b.ics', etag: '"2"', data: ics('b', ['DTSTART:20261116T190000Z', 'DTEND:20261116T200000Z', 'TRANSP:TRANSPARENT']) },
+      { href: '/dav/calendars/dr-smith/c.ics', etag: '"3"', data: ics('c', ['DTSTART:20261116T210000Z', 'DTEND:20261116T220000Z', 'STATUS:CANCELLED']) },
+      // Expanded from a series, but outside the range
+      { href: '/dav/calendars/dr-smith/d.ics', etag: '"4"', data: ics('d', ['DTSTART:20261118T170000Z', 'DTEND:20261118T180000Z']) },
+    ]);
+  }, async () => {
+    const busy = await queryBusy(['dr-smith', 'https://other.example.com/op1'], timeMin, timeMax);
+    assert.deepEqual(busy, {
+      'dr-smith': [{ start: new Date('2026-11-16T17:00:00Z'), end: new Date('2026-11-16T18:00:00Z') }],
+      'https://other.example.com/op1': [],
+    });
+  });
+
+  // Relative IDs resolve against CALDAV_URL; full URLs are used as they are
+  assert.deepEqual(requests.map((r) => [r.method, r.url]), [
+    ['REPORT', DR_SMITH],
+    ['REPORT', 'https://other.example.com/op1/'],
+  ]);
+  assert.equal(requests[0].headers.Depth, '1');
+  assert.equal(requests[0].headers.Authorization, `Basic ${Buffer.from('office:secret').toString('base64')}`);
+  assert.match(requests[0].body, /<C:time-range start="20261116T080000Z" end="20261117T080000Z"\/>/);
+  assert.match(requests[0].body, /<C:expand start="20261116T080000Z" end="20261117T080000Z"\/>/);
+});
+
+test('createEvent PUTs a new calendar object and refuses to overwrite one', async () => {
+  let created;
+  const requests = await withServer(() => new Response(null, { status: 201 }), async () => {
+    created = await createEvent('dr-smith', {
+      summary: 'Cleaning - Jane Doe',
+      start: new Date('2026-11-18T18:00:00Z'),
+      end: new Date('2026-11-18T19:00:00Z'),
+      properties: { source: 'appointment-agent' },
+    });
+  });
+
+  assert.equal(requests.length, 1);
+  const [put] = requests;
+  assert.equal(put.method, 'PUT');
+  assert.equal(put.url, `${DR_SMITH}${created.id}.ics`);
+  assert.equal(put.headers['If-None-Match'], '*');
+  assert.match(put.headers['Content-Type'], /^text\/calendar/);
+  assert.match(put.body, new RegExp(`UID:${created.id}\r\n`));
+  assert.match(put.body, /DTSTART:20261118T180000Z\r\n/);
+  assert.match(put.body, /X-AGENT-SOURCE:appointment-agent\r\n/);
+
+  // The server already has one with that name
+  await withServer(() => new Response(null, { status: 412, statusText: 'Precondition Failed' }), async () => {
+    await assert.rejects(
+      createEvent('dr-smith', { summary: 'Busy', start: new Date('2026-11-18T18:00:00Z'), end: new Date('2026-11-18T19:00:00Z') }),
+      (error) => error.code === 412 && /PUT .* failed: 412 Precondition Failed/.test(error.message)
+    );
+  });
+});
+
+test('patchEvent finds the object by UID and PUTs it back only if unchanged (If-Match)', async () => {
+  const stored = ics('staff-1', ['DTSTART:20261118T180000Z', 'DTEND:20261118T190000Z', 'SUMMARY:Cleaning', 'DESCRIPTION:Bring x-rays']);
+  const found = () => multistatus([{ href: '/dav/calendars/dr-smith/staff-1.ics', etag: '"v1"', data: stored }]);
+  const start = new Date('2026-11-19T22:00:00Z');
+  const end = new Date('2026-11-19T23:00:00Z');
+
+  const requests = await withServer((request) => (request.method === 'REPORT' ? found() : new Response(null, { status: 204 })), async () => {
+    const moved = await patchEvent('dr-smith', 'staff-1', { start, end });
+    assert.equal(moved.id, 'staff-1');
+    assert.deepEqual([moved.start, moved.end], [start, end]);
+  });
+
+  const [report, put] = requests;
+  assert.equal(report.url, DR_SMITH);
+  assert.match(report.body, /<C:prop-filter name="UID"><C:text-match collation="i;octet">staff-1<\/C:text-match><\/C:prop-filter>/);
+  assert.equal(put.method, 'PUT');
+  assert.equal(put.url, `${DR_SMITH}staff-1.ics`);
+  assert.equal(put.headers['If-Match'], '"v1"');
+  assert.match(put.body, /DTSTART:20261119T220000Z\r\n/);
+  assert.match(put.body, /DESCRIPTION:Bring x-rays\r\n/);
+
+  // Edited on the server since it was read
+  const conflicted = await withServer((request) => (
+    request.method === 'REPORT' ? found() : new Response(null, { status: 412, statusText: 'Precondition Failed' })
+  ), async () => {
+    await assert.rejects(patchEvent('dr-smith', 'staff-1', { start, end }), (error) => error.code === 412);
+  });
+  assert.deepEqual(conflicted.map((r) => r.method), ['REPORT', 'PUT']);
+
+  // Gone: nothing is written
+  const missing = await withServer(() => multistatus([]), async () => {
+    await assert.rejects(patchEvent('dr-smith', 'staff-1', { start, end }), (error) => error.code === 404);
+  });
+  assert.deepEqual(missing.map((r) => r.method), ['REPORT']);
+});
+
+test('deleteEvent and getEvent look the event up by UID first', async () => {
+  const data = ics('abc', ['DTSTART:20261118T180000Z', 'DTEND:20261118T190000Z', 'SUMMARY:Cleaning']);
+  const stored = () => multistatus([{ href: '/dav/calendars/dr-smith/stored-under-another-name.ics', etag: '"1"', data }]);
+
+  const requests = await withServer((request) => (request.method === 'REPORT' ? stored() : new Response(null, { status: 204 })), async () => {
+    assert.equal((await getEvent('dr-smith', 'abc')).summary, 'Cleaning');
+    await deleteEvent('dr-smith', 'abc');
+  });
+
+  // The object's href is used, not a name guessed from the UID
+  assert.deepEqual(requests.map((r) => [r.method, r.url]), [
+    ['REPORT', DR_SMITH],
+    ['REPORT', DR_SMITH],
+    ['DELETE', `${DR_SMITH}stored-under-another-name.ics`],
+  ]);
+
+  const missing = await withServer(() => multistatus([]), async () => {
+    // Characters that would break the XML filter are dropped
+    assert.equal(await getEvent('dr-smith', '<abc&"'), null);
+    await assert.rejects(deleteEvent('dr-smith', 'abc'), (error) => error.code === 404);
+  });
+  assert.match(missing[0].body, /<C:text-match collation="i;octet">abc<\/C:text-match>/);
+  assert.deepEqual(missing.map((r) => r.method), ['REPORT', 'REPORT']);
+});
+
+test('server errors carry the HTTP status, and relative calendar IDs need CALDAV_URL', async () => {
+  await withServer(() => new Response('Unauthorized', { status: 401, statusText: 'Unauthorized' }), async () => {
+    await assert.rejects(
+      queryBusy(['dr-smith'], new Date('2026-11-16T08:00:00Z'), new Date('2026-11-17T08:00:00Z')),
+      (error) => error.code === 401 && error.message === `CalDAV REPORT ${DR_SMITH} failed: 401 Unauthorized`
+    );
+  });
+
+  await withEnv({ CALDAV_URL: '' }, async () => {
+    await assert.rejects(getEvent('dr-smith', 'abc'), /CALDAV_URL is required/);
+  });
+});
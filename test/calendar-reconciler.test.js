@@ -0,0 +1,224 @@
+/**
+ * Tests for calendar reconciliation (src/services/calendar-reconciler.js):
+ * events staff deleted or moved, missing resource blocks, leftover agent
+ * events, and one machine at a time
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cleanings need an operatory, so bookings have a resource block to lose
+process.env.RESOURCES = JSON.stringify([{ id: 'op1', name: 'Operatory 1', calendarId: 'operatory-1' }]);
+
+const { reconcileCalendars } = await import('../src/services/calendar-reconciler.js');
+const { AGENT_EVENT_SOURCE, getCalendarBackend, getDefaultCalendarId } = await import('../src/services/calendar.js');
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setClock, resetClock } = await import('./harness/clock.js');
+const { acquireSchedulerLock, getMemoryTables } = await import('./harness/memory-db.js');
+
+const NOW = '2026-11-16T09:00:00-08:00';
+const OPERATORY = 'operatory-1';
+
+/**
+ * Book Wednesday at 10 through the agent
+ * @returns {Promise<Object>} Appointment row
+ */
+async function bookWednesday() {
+  const llm = new ScriptedLLM([
+    {
+      toolCalls: [{
+        name: 'create_appointment',
+        arguments: {
+          date: '2026-11-18',
+          time: '10:00',
+          serviceType: 'cleaning',
+          callerName: 'Jane Doe',
+          callerPhone: '+15551234567',
+          reason: 'Cleaning',
+        },
+      }],
+    },
+    { content: 'Booked.' },
+  ]);
+  const { toolCalls } = await new TextSession({ channel: 'sms', llm }).say('Wednesday at 10 please');
+  assert.equal(toolCalls[0].result.success, true);
+  return getMemoryTables().appointments.find((a) => a.id === toolCalls[0].result.appointmentId);
+}
+
+/**
+ * An event as the calendar has it now, deleted or not
+ * @param {string} calendarId - Calendar
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>}
+ */
+function eventIn(calendarId, eventId) {
+  return getCalendarBackend().getEvent(calendarId, eventId);
+}
+
+/**
+ * Events in a calendar that aren't deleted
+ * @param {string} calendarId - Calendar
+ * @returns {Promise<Array>}
+ */
+function liveEvents(calendarId) {
+  return getCalendarBackend().listEvents(calendarId, new Date('2026-11-01'), new Date('2026-12-31'));
+}
+
+test('an event staff deleted cancels the appointment and frees its operatory', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    const appointment = await bookWednesday();
+    assert.ok(appointment.resource_event_id);
+    await getCalendarBackend().deleteEvent(getDefaultCalendarId(), appointment.google_calendar_event_id);
+
+    // A dry run reports it and leaves it alone
+    const preview = await reconcileCalendars({ dryRun: true });
+    assert.deepEqual(preview.details.map((d) => d.action), ['cancel']);
+    assert.equal(preview.cancelled, 0);
+    assert.equal(getMemoryTables().appointments[0].status, 'confirmed');
+
+    const report = await reconcileCalendars();
+    assert.equal(report.cancelled, 1);
+    assert.equal(report.recreated, 0);
+    assert.equal(report.orphansRemoved, 0);
+    assert.equal(getMemoryTables().appointments[0].status, 'cancelled');
+    assert.equal((await eventIn(OPERATORY, appointment.resource_event_id)).status, 'cancelled');
+
+    // Nothing was booked back, and the next run finds nothing to do
+    assert.deepEqual(await liveEvents(getDefaultCalendarId()), []);
+    const again = await reconcileCalendars();
+    assert.equal(again.checked, 0);
+    assert.deepEqual(again.details, []);
+  } finally {
+    resetClock();
+  }
+});
+
+test('a missing operatory block is booked again', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    const appointment = await bookWednesday();
+    await getCalendarBackend().deleteEvent(OPERATORY, appointment.resource_event_id);
+
+    const report = await reconcileCalendars();
+    assert.equal(report.recreated, 1);
+    assert.equal(report.cancelled, 0);
+
+    const [row] = getMemoryTables().appointments;
+    assert.equal(row.status, 'confirmed');
+    assert.equal(row.google_calendar_event_id, appointment.google_calendar_event_id);
+    assert.notEqual(row.resource_event_id, appointment.resource_event_id);
+
+    const [block] = await liveEvents(OPERATORY);
+    assert.equal(block.id, row.resource_event_id);
+    assert.equal(block.start.toISOString(), '2026-11-18T18:00:00.000Z');
+
+    assert.deepEqual((await reconcileCalendars()).details, []);
+  } finally {
+    resetClock();
+  }
+});
+
+test('an event staff moved moves the appointment, its block and its reminders', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    const appointment = await bookWednesday();
+
+    // Thursday at 2 PM instead
+    const start = new Date('2026-11-19T14:00:00-08:00');
+    await getCalendarBackend().patchEvent(getDefaultCalendarId(), appointment.google_calendar_event_id, {
+      start,
+      end: new Date(start.getTime() + appointment.duration_minutes * 60000),
+    });
+
+    const report = await reconcileCalendars();
+    assert.equal(report.retimed, 1);
+    assert.deepEqual(report.details, [{
+      appointmentId: appointment.id,
+      action: 'retime',
+      from: '2026-11-18T18:00:00.000Z',
+      to: '2026-11-19T22:00:00.000Z',
+    }]);
+
+    assert.equal(getMemoryTables().appointments[0].appointment_time.toISOString(), '2026-11-19T22:00:00.000Z');
+    assert.equal((await eventIn(OPERATORY, appointment.resource_event_id)).start.toISOString(), '2026-11-19T22:00:00.000Z');
+    assert.deepEqual(
+      getMemoryTables().reminderJobs.map((j) => [j.due_at.toISOString(), j.status]),
+      [['2026-11-18T22:00:00.000Z', 'pending']]
+    );
+  } finally {
+    resetClock();
+  }
+});
+
+test('agent events no appointment points at are removed once the grace period is over', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    const appointment = await bookWednesday();
+    const backend = getCalendarBackend();
+    const slot = { start: new Date('2026-11-20T17:00:00Z'), end: new Date('2026-11-20T18:00:00Z') };
+
+    // Left by a booking whose database write failed, and one staff added
+    const leftover = await backend.createEvent(getDefaultCalendarId(), {
+      summary: 'Cleaning - Jane Doe', ...slot, properties: { source: AGENT_EVENT_SOURCE },
+    });
+    const staff = await backend.createEvent(getDefaultCalendarId(), { summary: 'Lunch', ...slot });
+
+    // Could still be a booking being saved
+    setClock('2026-11-16T09:05:00-08:00');
+    assert.equal((await reconcileCalendars()).orphansRemoved, 0);
+
+    setClock('2026-11-16T09:20:00-08:00');
+    const report = await reconcileCalendars();
+    assert.equal(report.orphansRemoved, 1);
+    assert.deepEqual(report.details, [{ eventId: leftover.id, calendarId: getDefaultCalendarId(), action: 'remove_orphan' }]);
+
+    assert.equal((await eventIn(getDefaultCalendarId(), leftover.id)).status, 'cancelled');
+    assert.equal((await eventIn(getDefaultCalendarId(), staff.id)).status, 'confirmed');
+    assert.equal((await eventIn(getDefaultCalendarId(), appointment.google_calendar_event_id)).status, 'confirmed');
+    assert.equal((await eventIn(OPERATORY, appointment.resource_event_id)).status, 'confirmed');
+  } finally {
+    resetClock();
+  }
+});
+
+test('only one machine reconciles at a time', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    const appointment = await bookWednesday();
+    await getCalendarBackend().deleteEvent(OPERATORY, appointment.resource_event_id);
+
+    // Machine A is part way through a run
+    assert.equal(await acquireSchedulerLock('calendar-reconcile', 'machine-a', 600), true);
+
+    const skipped = await reconcileCalendars({ workerId: 'machine-b' });
+    assert.equal(skipped.skipped, true);
+    assert.equal(skipped.checked, 0);
+
+    // A dry run changes nothing, so it goes ahead
+    const preview = await reconcileCalendars({ dryRun: true, workerId: 'machine-b' });
+    assert.equal(preview.skipped, false);
+    assert.deepEqual(preview.details.map((d) => d.action), ['recreate_resource']);
+
+    // A stopped before releasing; its lock lapses
+    setClock('2026-11-16T09:11:00-08:00');
+    const report = await reconcileCalendars({ workerId: 'machine-b' });
+    assert.equal(report.skipped, false);
+    assert.equal(report.recreated, 1);
+
+    // B let go when it finished
+    assert.equal(await acquireSchedulerLock('calendar-reconcile', 'machine-a', 600), true);
+  } finally {
+    resetClock();
+  }
+
+  assert.equal((await liveEvents(OPERATORY)).length, 1);
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for per-call debug bundles (src/services/call-bundle.js) and
+ * replaying them (test/harness/bundle-replay.js)
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const { CallBundleRecorder, createCallRecorder, loadCallBundle } = await import('../src/services/call-bundle.js');
+const { BundleLLM, ReplayDivergedError, bundleTurns, replayBundle } = await import('./harness/bundle-replay.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { decodeSpeech } = await import('./harness/fake-speech.js');
+const { waitUntil } = await import('./harness/test-utils.js');
+const { readWav } = await import('../src/utils/audio.js');
+
+const bookCleaning = JSON.parse(await readFile(new URL('./scenarios/book-cleaning.json', import.meta.url), 'utf8'));
+
+test('recording is off unless CALL_BUNDLE_DIR is set', () => {
+  delete process.env.CALL_BUNDLE_DIR;
+  assert.equal(createCallRecorder({ callSid: 'CA1', from: '+15551234567', to: '+15550000000' }), null);
+});
+
+test('a wrapped LLM records requests, responses and errors, streamed or not', async () => {
+  const recorder = new CallBundleRecorder({ callSid: 'CA1', from: '+15551234567', to: '+15550000000', dir: tmpdir() });
+  const llm = recorder.wrapLlm(new ScriptedLLM([
+    { toolCalls: [{ name: 'get_available_slots', arguments: { date: '2026-11-18' } }] },
+    { content: 'I have 9 AM.' },
+  ]));
+  const tools = [{ type: 'function', function: { name: 'get_available_slots' } }];
+  const messages = [{ role: 'system', content: 'Be helpful' }, { role: 'user', content: 'Anything Wednesday?' }];
+
+  const response = await llm.chat(messages, 'CA1', tools);
+  messages.push({ role: 'assistant', content: null, tool_calls: response.toolCalls });
+
+  const events = [];
+  for await (const event of llm.chatWithToolResultsStream(messages, 'CA1')) events.push(event);
+  assert.equal(events.at(-1).content, 'I have 9 AM.');
+
+  await assert.rejects(llm.chatWithToolResults(messages, 'CA1'), /ran out of responses/);
+
+  const recorded = recorder.events.map(({ t, ...event }) => event);
+  assert.deepEqual(recorded.map((e) => [e.type, e.call]), [
+    ['llm_request', 1], ['llm_response', 1],
+    ['llm_request', 2], ['llm_response', 2],
+    ['llm_request', 3], ['llm_error', 3],
+  ]);
+  assert.deepEqual(recorded[0].tools, ['get_available_slots']);
+  assert.equal(recorded[0].messages.length, 2); // a copy, not the growing history
+  assert.deepEqual(recorded[1].toolCalls, [{ id: 'call_1', name: 'get_available_slots', arguments: '{"date":"2026-11-18"}' }]);
+  assert.equal(recorded[3].content, 'I have 9 AM.');
+});
+
+test('bundles save once and load back with the caller audio; unknown versions are refused', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'bundles-'));
+
+  try {
+    const recorder = new CallBundleRecorder({ callSid: 'CA1', from: '+15551234567', to: '+15550000000', dir });
+    recorder.addInboundAudio(Buffer.alloc(160, 0xff));
+    recorder.addInboundAudio(Buffer.alloc(160, 0x7f));
+    recorder.record('transcript', { text: 'Hello' });
+
+    const file = await recorder.save();
+    assert.equal(await recorder.save(), null);
+
+    const bundle = await loadCallBundle(file);
+    assert.equal(bundle.callSid, 'CA1');
+    assert.equal(bundle.events[0].text, 'Hello');
+    assert.equal(readWav(bundle.inboundAudio).data.length, 320);
+
+    await writeFile(file, JSON.stringify({ ...bundle, version: 99 }));
+    await assert.rejects(loadCallBundle(file), /Unsupported call bundle version 99/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a recorded call replays through the current code, and a changed prompt is caught', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'bundles-'));
+  process.env.CALL_BUNDLE_DIR = dir;
+
+  await setUpScenario(bookCleaning);
+  const server = await startStreamServer({ llmRouter: new ScriptedLLM(bookCleaning.llm) });
+  const client = new MediaStreamClient({ url: server.url, from: bookCleaning.callerPhone });
+
+  let bundle = null;
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+    for (const turn of bookCleaning.turns) {
+      client.say(turn);
+      await client.waitForReply();
+    }
+    await client.hangUp();
+
+    await waitUntil(async () => (await readdir(dir)).length > 0);
+    bundle = await loadCallBundle(join(dir, `${client.callSid}.json`));
+  } finally {
+    delete process.env.CALL_BUNDLE_DIR;
+    resetClock();
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  // Everything the pipeline saw and did
+  const types = new Set(bundle.events.map((e) => e.type));
+  for (const type of ['start', 'stt', 'transcript', 'llm_request', 'llm_response', 'tool_result', 'tts', 'end']) {
+    assert.ok(types.has(type), `bundle has ${type} events`);
+  }
+  assert.equal(bundle.from, bookCleaning.callerPhone);
+  assert.equal(decodeSpeech(readWav(bundle.inboundAudio).data), bookCleaning.turns.join(' '));
+
+  const turns = bundleTurns(bundle);
+  assert.deepEqual(turns.slice(1).map((turn) => turn.user), bookCleaning.turns);
+  assert.equal(turns[5].toolCalls[0].name, 'create_appointment');
+  assert.equal(turns[5].toolCalls[0].result.success, true);
+
+  // Same code, recorded answers: nothing changes
+  const same = await replayBundle(bundle);
+  assert.equal(same.error, null);
+  assert.equal(same.divergedAt, null);
+  assert.deepEqual(same.turns.filter((turn) => turn.changed), []);
+  assert.deepEqual(same.outcome.original.appointmentBooked, true);
+  assert.deepEqual(same.outcome.replay.appointmentBooked, true);
+
+  // A new prompt means the recorded answers no longer apply
+  const stopped = await replayBundle(bundle, { systemPrompt: 'You are a pirate.' });
+  assert.ok(stopped.error instanceof ReplayDivergedError);
+  assert.equal(stopped.divergedAt, 1);
+
+  // ...so a live model carries on from there
+  const live = new ScriptedLLM([
+    { content: "Arr, a cleaning it be. What's yer name?" },
+    { content: 'Ahoy Sarah.' }, { content: 'Aye.' }, { content: 'Aye.' }, { content: 'Aye.' }, { content: 'Fair winds!' },
+  ]);
+  const changed = await replayBundle(bundle, {
+    llm: new BundleLLM(bundle, { fallback: live }),
+    systemPrompt: 'You are a pirate.',
+  });
+  assert.equal(changed.error, null);
+  assert.equal(changed.turns[0].replay.replies[0], "Arr, a cleaning it be. What's yer name?");
+  assert.ok(changed.turns.every((turn) => turn.changed));
+  assert.equal(changed.outcome.replay.appointmentBooked, false);
+  assert.equal(live.requests[0].messages[0].content, 'You are a pirate.');
+});
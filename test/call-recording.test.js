@@ -0,0 +1,187 @@
+/**
+ * Tests for call recording (src/services/call-recording.js): the two-channel
+ * WAV, storage, retention and the consent line in the greeting
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const {
+  CallRecording,
+  deleteExpiredRecordings,
+  saveCallRecording,
+} = await import('../src/services/call-recording.js');
+const { getRecordingStorage, resetRecordingStorage } = await import('../src/services/recording-storage.js');
+const { getInitialGreeting } = await import('../src/services/twilio-handler.js');
+const { readWav, pcmToMulaw } = await import('../src/utils/audio.js');
+const { encodeSpeech, decodeSpeech } = await import('./harness/fake-speech.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario, resetOfflineState } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { createCallLog, getMemoryTables } = await import('./harness/memory-db.js');
+
+/**
+ * One channel of a 16-bit stereo WAV, as mu-law
+ * @param {Buffer} wav - WAV file contents
+ * @param {number} channel - 0 (caller) or 1 (agent)
+ * @returns {Buffer} 8kHz mu-law
+ */
+function channelOf(wav, channel) {
+  const { data } = readWav(wav);
+  const out = Buffer.alloc(data.length / 4);
+  for (let i = 0; i < out.length; i++) out[i] = pcmToMulaw(data.readInt16LE(i * 4 + channel * 2));
+  return out;
+}
+
+/**
+ * Point recording storage at a fresh temp directory for one test
+ * @param {Function} run - async (dir) => void
+ */
+async function withRecordingDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), 'recordings-'));
+  process.env.CALL_RECORDING_DIR = dir;
+  resetRecordingStorage();
+
+  try {
+    await run(dir);
+  } finally {
+    delete process.env.CALL_RECORDING_DIR;
+    resetRecordingStorage();
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('the greeting includes the consent line only while recording', () => {
+  delete process.env.CALL_RECORDING;
+  assert.doesNotMatch(getInitialGreeting(), /recorded/);
+
+  process.env.CALL_RECORDING = 'true';
+  try {
+    assert.match(getInitialGreeting(), /^Thanks for calling .*\. This call is recorded for quality and training purposes\. Would you like/);
+
+    process.env.CALL_RECORDING_CONSENT = 'Calls are recorded.';
+    assert.match(getInitialGreeting(), /\. Calls are recorded\. Would you like/);
+  } finally {
+    delete process.env.CALL_RECORDING;
+    delete process.env.CALL_RECORDING_CONSENT;
+  }
+});
+
+test('both legs line up on one timeline, and a clear drops the agent audio never played', () => {
+  const recording = new CallRecording();
+  recording.startedAt = Date.now() - 1000; // one second into the call
+
+  // Agent audio queues back to back from now; the caller's goes where Twilio stamped it
+  recording.addOutbound(encodeSpeech('Hello'));
+  recording.addOutbound(encodeSpeech('there'));
+  recording.addInbound(encodeSpeech('Hi'), 200);
+
+  const wav = recording.toWav();
+  const header = readWav(wav);
+  assert.equal(header.channels, 2);
+  assert.equal(header.format, 'pcm');
+
+  const caller = channelOf(wav, 0);
+  const agent = channelOf(wav, 1);
+  assert.equal(decodeSpeech(caller), 'Hi');
+  assert.equal(decodeSpeech(caller.subarray(0, 1600)), ''); // silent before 200ms
+  assert.equal(decodeSpeech(agent), 'Hello there');
+  assert.equal(decodeSpeech(agent.subarray(0, 7900)), ''); // nothing before 1s
+
+  // Barge-in as "there" was about to play: only "Hello" was heard
+  recording.startedAt = Date.now() - 1000 - encodeSpeech('Hello').length / 8;
+  recording.clear();
+  assert.equal(decodeSpeech(channelOf(recording.toWav(), 1)), 'Hello');
+});
+
+test('recordings are saved to local storage and deleted after the retention period', async () => {
+  await withRecordingDir(async (dir) => {
+    resetOfflineState();
+
+    const recording = new CallRecording();
+    recording.addInbound(encodeSpeech('Hi'), 0);
+    const url = await saveCallRecording('CA1', recording);
+    assert.equal(url, pathToFileURL(join(dir, 'CA1.wav')).href);
+    assert.equal(decodeSpeech(channelOf(await readFile(fileURLToPath(url)), 0)), 'Hi');
+
+    const kept = pathToFileURL(join(dir, 'CA2.wav')).href;
+    await writeFile(fileURLToPath(kept), Buffer.alloc(0));
+    await createCallLog({ twilioCallSid: 'CA1', callerPhone: '+15551234567', recordingUrl: url });
+    await createCallLog({ twilioCallSid: 'CA2', callerPhone: '+15551234567', recordingUrl: kept });
+
+    // Nothing is 90 days old yet
+    assert.deepEqual(await deleteExpiredRecordings(), { deleted: 0, failed: 0, total: 0 });
+
+    const later = new Date(Date.now() + 91 * 24 * 60 * 60 * 1000);
+    process.env.CALL_RECORDING_RETENTION_DAYS = '0';
+    try {
+      assert.deepEqual(await deleteExpiredRecordings({ now: later }), { deleted: 0, failed: 0, total: 0 });
+    } finally {
+      delete process.env.CALL_RECORDING_RETENTION_DAYS;
+    }
+
+    // A file that won't delete stays linked, to retry next time
+    const storage = getRecordingStorage();
+    const remove = storage.delete;
+    storage.delete = async (target) => {
+      if (target === kept) throw new Error('disk on fire');
+      return remove(target);
+    };
+    try {
+      assert.deepEqual(await deleteExpiredRecordings({ now: later }), { deleted: 1, failed: 1, total: 2 });
+    } finally {
+      storage.delete = remove;
+    }
+
+    await assert.rejects(stat(fileURLToPath(url)), { code: 'ENOENT' });
+    assert.deepEqual(getMemoryTables().callLogs.map((log) => log.recording_url), [null, kept]);
+  });
+});
+
+test('a recorded phone call is announced, stored in stereo and linked from its call log', async () => {
+  const scenario = {
+    now: '2026-11-16T09:00:00-08:00',
+    llm: [{ content: 'Sure, what time is it for you right now?' }],
+  };
+
+  await withRecordingDir(async () => {
+    process.env.CALL_RECORDING = 'true';
+    await setUpScenario(scenario);
+    const server = await startStreamServer({ llmRouter: new ScriptedLLM(scenario.llm) });
+    const client = new MediaStreamClient({ url: server.url });
+
+    let callLog = null;
+    const greeting = getInitialGreeting();
+    try {
+      await client.connect();
+      assert.equal(await client.waitForReply({ timeoutMs: 20000 }), greeting);
+      assert.match(greeting, /This call is recorded/);
+
+      client.say("Hi, I'd like to book a cleaning");
+      await client.waitForReply();
+      await client.hangUp();
+
+      const deadline = Date.now() + 5000;
+      while (!(callLog = getMemoryTables().callLogs[0]) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    } finally {
+      delete process.env.CALL_RECORDING;
+      resetClock();
+      await server.close();
+    }
+
+    assert.ok(callLog?.recording_url, 'call log links the recording');
+    const wav = await readFile(fileURLToPath(callLog.recording_url));
+    assert.equal(decodeSpeech(channelOf(wav, 0)), "Hi, I'd like to book a cleaning");
+    assert.equal(decodeSpeech(channelOf(wav, 1)), `${greeting} ${scenario.llm[0].content}`);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for warm transfers (src/services/call-transfer.js): staffed hours,
+ * the transfer and voicemail TwiML, the webhooks and a transfer_call made
+ * during a phone call
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  buildTransferTwiml,
+  buildVoicemailTwiml,
+  getStaffSmsNumber,
+  isTransferAvailable,
+} = await import('../src/services/call-transfer.js');
+const { handleTransferStatus, handleVoicemail } = await import('../src/api/twilio/transfer.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario, resetOfflineState } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+const { getRedirects, failNextRedirect } = await import('./harness/fake-call-control.js');
+const { fakeResponse, waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const FRONT_DESK = '+15557654321';
+
+/**
+ * A phone call where the caller asks for a person and the model transfers them
+ * @param {string} now - When the call happens
+ * @returns {Promise<Object>} { replies, callLog, redirects, sms }
+ */
+async function askForAPerson(now) {
+  const llm = new ScriptedLLM([
+    {
+      toolCalls: [{
+        name: 'transfer_call',
+        arguments: { reason: 'Broken tooth after a fall', summary: 'Chipped a front tooth this morning, bleeding a little' },
+      }],
+    },
+    { content: "I'm connecting you with our front desk now, one moment." },
+  ]);
+
+  await setUpScenario({ now });
+  const server = await startStreamServer({ llmRouter: llm });
+  const client = new MediaStreamClient({ url: server.url });
+
+  const replies = [];
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+
+    client.say('I broke a tooth, can I talk to someone?');
+    replies.push(await client.waitForReply());
+
+    // The stream ends when Twilio takes the call away
+    await waitUntil(() => getRedirects().length > 0);
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    resetClock();
+    await server.close();
+  }
+
+  return {
+    replies,
+    toolResult: JSON.parse(llm.requests[1].messages.at(-1).content),
+    callLog: getMemoryTables().callLogs[0],
+    redirects: getRedirects(),
+    sms: getSentSms(),
+  };
+}
+
+test('transfers are available during staffed hours, within the business schedule', async () => {
+  const mondayMorning = new Date('2026-11-16T10:00:00-08:00');
+  const sunday = new Date('2026-11-15T10:00:00-08:00');
+  const thanksgiving = new Date('2026-11-26T10:00:00-08:00');
+
+  // Nowhere to send them
+  assert.equal(isTransferAvailable(mondayMorning), false);
+
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK }, async () => {
+    assert.equal(isTransferAvailable(mondayMorning), true);
+    assert.equal(isTransferAvailable(sunday), false);
+    assert.equal(isTransferAvailable(thanksgiving), false);
+
+    process.env.TRANSFER_HOURS = JSON.stringify({ monday: [{ start: '12:00', end: '17:00' }] });
+    assert.equal(isTransferAvailable(mondayMorning), false);
+    assert.equal(isTransferAvailable(new Date('2026-11-16T13:00:00-08:00')), true);
+
+    process.env.TRANSFER_HOURS = JSON.stringify({ funday: [] });
+    assert.throws(() => isTransferAvailable(mondayMorning), /unknown weekday "funday"/);
+    delete process.env.TRANSFER_HOURS;
+  });
+});
+
+test('staff texts go to TRANSFER_SMS_NUMBER, or the transfer number unless it is SIP', async () => {
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK }, async () => {
+    assert.equal(getStaffSmsNumber(), FRONT_DESK);
+  });
+  await withEnv({ TRANSFER_NUMBER: 'sip:desk@office.example.com' }, async () => {
+    assert.equal(getStaffSmsNumber(), null);
+    process.env.TRANSFER_SMS_NUMBER = '+15550001111';
+    assert.equal(getStaffSmsNumber(), '+15550001111');
+    delete process.env.TRANSFER_SMS_NUMBER;
+  });
+});
+
+test('transfer TwiML dials the number or SIP endpoint and reports back; voicemail records a message', async () => {
+  await withEnv({ FLY_STREAM_URL: 'wss://agent.example.com/stream' }, async () => {
+    const dial = buildTransferTwiml(FRONT_DESK);
+    assert.match(dial, /<Dial action="https:\/\/agent\.example\.com\/api\/twilio\/transfer-status" timeout="20">/);
+    assert.match(dial, /<Number>\+15557654321<\/Number>/);
+
+    assert.match(buildTransferTwiml('sip:desk@office.example.com'), /<Sip>sip:desk@office\.example\.com<\/Sip>/);
+
+    process.env.PUBLIC_BASE_URL = 'https://public.example.com/';
+    const voicemail = buildVoicemailTwiml({ prompt: 'Leave a message.' });
+    delete process.env.PUBLIC_BASE_URL;
+    assert.match(voicemail, /<Say>Leave a message\.<\/Say><Record action="https:\/\/public\.example\.com\/api\/twilio\/voicemail" maxLength="120" playBeep="true"\/><Hangup\/>/);
+  });
+
+  assert.throws(() => buildVoicemailTwiml(), /PUBLIC_BASE_URL or FLY_STREAM_URL is required/);
+});
+
+test('unanswered transfers go to voicemail, and staff are texted the recording', async () => {
+  resetOfflineState();
+
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK, FLY_STREAM_URL: 'wss://agent.example.com/stream' }, async () => {
+    const answered = fakeResponse();
+    handleTransferStatus({ body: { CallSid: 'CA1', DialCallStatus: 'completed' } }, answered);
+    assert.match(answered.body, /<Response><Hangup\/><\/Response>/);
+
+    const missed = fakeResponse();
+    handleTransferStatus({ body: { CallSid: 'CA1', DialCallStatus: 'no-answer' } }, missed);
+    assert.match(missed.body, /<Say>Sorry, nobody is available.*<\/Say><Record /);
+
+    const thanks = fakeResponse();
+    await handleVoicemail({
+      body: {
+        CallSid: 'CA1',
+        From: '+15551234567',
+        RecordingUrl: 'https://api.twilio.com/recordings/RE1',
+        RecordingDuration: '14',
+      },
+    }, thanks);
+    assert.match(thanks.body, /<Say>Thanks, we've got your message.*<\/Say><Hangup\/>/);
+  });
+
+  assert.deepEqual(getSentSms().map(({ to, body }) => ({ to, body })), [{
+    to: FRONT_DESK,
+    body: 'New voicemail from +15551234567 (14s) - please call back: https://api.twilio.com/recordings/RE1',
+  }]);
+});
+
+test('during staffed hours the agent says the handoff line, texts staff and puts the call through', async () => {
+  let call;
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK, FLY_STREAM_URL: 'wss://agent.example.com/stream' }, async () => {
+    call = await askForAPerson('2026-11-16T10:00:00-08:00');
+  });
+
+  assert.equal(call.toolResult.transferring, true);
+  assert.deepEqual(call.replies, ["I'm connecting you with our front desk now, one moment."]);
+
+  // Staff know what's coming before the phone rings
+  assert.equal(call.sms.length, 1);
+  assert.equal(call.sms[0].to, FRONT_DESK);
+  assert.equal(call.sms[0].body, [
+    'Transferring +15551234567 to you now',
+    'Reason: Broken tooth after a fall',
+    'Summary: Chipped a front tooth this morning, bleeding a little',
+  ].join('\n'));
+
+  assert.equal(call.redirects.length, 1);
+  assert.match(call.redirects[0].callSid, /^CA/);
+  assert.match(call.redirects[0].twiml, /<Dial [^>]*><Number>\+15557654321<\/Number><\/Dial>/);
+
+  assert.match(call.callLog.transcript, /\[ai\]: I'm connecting you.*\n\[transfer\]: Transferred to \+15557654321$/);
+});
+
+test('out of hours the caller is sent to leave a message instead', async () => {
+  let call;
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK, FLY_STREAM_URL: 'wss://agent.example.com/stream' }, async () => {
+    call = await askForAPerson('2026-11-15T10:00:00-08:00'); // Sunday
+  });
+
+  assert.equal(call.toolResult.voicemail, true);
+  assert.match(call.sms[0].body, /^\+15551234567 is leaving a voicemail/);
+  assert.doesNotMatch(call.redirects[0].twiml, /<Dial/);
+  assert.match(call.redirects[0].twiml, /<Record action="https:\/\/agent\.example\.com\/api\/twilio\/voicemail"/);
+  assert.match(call.callLog.transcript, /\[transfer\]: Sent to voicemail$/);
+});
+
+test('when Twilio refuses the transfer the agent apologises instead', async () => {
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'transfer_call', arguments: { reason: 'Asked for a person', summary: 'Wants to talk to someone' } }] },
+    { content: 'Connecting you now.' },
+  ]);
+
+  await withEnv({ TRANSFER_NUMBER: FRONT_DESK, FLY_STREAM_URL: 'wss://agent.example.com/stream' }, async () => {
+    await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+    failNextRedirect(new Error('Call is not in-progress'));
+    const server = await startStreamServer({ llmRouter: llm });
+    const client = new MediaStreamClient({ url: server.url });
+
+    try {
+      await client.connect();
+      await client.waitForReply({ timeoutMs: 20000 });
+
+      // The apology follows as soon as the handoff line has played
+      client.say('Can I talk to a person?');
+      assert.match(await client.waitForReply(), /^Connecting you now\. I'm sorry, I couldn't put you through/);
+      await client.hangUp();
+      await waitUntil(() => getMemoryTables().callLogs.length > 0);
+    } finally {
+      resetClock();
+      await server.close();
+    }
+  });
+
+  assert.deepEqual(getRedirects(), []);
+  assert.match(getMemoryTables().callLogs[0].transcript, /\[transfer\]: Transfer failed\n\[ai\]: I'm sorry/);
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for the booking conversation (src/services/conversation.js) that the
+ * scenarios don't cover
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { resetClock } = await import('./harness/clock.js');
+const { Conversation } = await import('../src/services/conversation.js');
+
+test('a tool called with empty arguments runs as if called with none', async () => {
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+
+  // Groq streams a call to a tool without parameters with arguments ''
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'find_upcoming_appointments' }] },
+    { content: "I don't see any upcoming appointments under this number." },
+  ]);
+  const next = llm.next.bind(llm);
+  llm.next = (messages, tools) => {
+    const response = next(messages, tools);
+    for (const call of response.toolCalls || []) call.function.arguments = '';
+    return response;
+  };
+
+  try {
+    const session = new TextSession({ channel: 'sms', llm });
+    const { replies, toolCalls } = await session.say('Do I have anything booked?');
+
+    assert.deepEqual(toolCalls.map((call) => [call.name, call.arguments, call.result.success]), [
+      ['find_upcoming_appointments', {}, true],
+    ]);
+    assert.deepEqual(replies, ["I don't see any upcoming appointments under this number."]);
+  } finally {
+    resetClock();
+  }
+});
+
+test('a tool called with arguments that are not JSON gets an error back instead of failing the turn', async () => {
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+
+  // A stream cut off part way through the arguments
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'check_availability' }] },
+    { content: 'Sorry, which day was that?' },
+  ]);
+  const next = llm.next.bind(llm);
+  llm.next = (messages, tools) => {
+    const response = next(messages, tools);
+    for (const call of response.toolCalls || []) call.function.arguments = '{"date": "2026-11-18", "ti';
+    return response;
+  };
+
+  try {
+    const session = new TextSession({ channel: 'sms', llm });
+    const { replies, toolCalls } = await session.say('Is Wednesday at 10 free?');
+
+    assert.deepEqual(toolCalls.map((call) => [call.name, call.result]), [
+      ['check_availability', { success: false, error: 'Invalid tool arguments' }],
+    ]);
+    assert.deepEqual(replies, ['Sorry, which day was that?']);
+  } finally {
+    resetClock();
+  }
+});
+
+test('respondStream yields each reply sentence by sentence and keeps the history like respond', async () => {
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+  const llm = new ScriptedLLM([
+    { content: 'One moment. Let me look.', toolCalls: [{ name: 'find_upcoming_appointments' }] },
+    { content: "You don't have anything booked. Want to set something up?" },
+  ]);
+  const conversation = new Conversation({ sessionId: 'CAtest', callerPhone: '+15551234567', llmRouter: llm });
+  conversation.messages.push({ role: 'user', content: 'Do I have anything booked?' });
+
+  const events = [];
+  const said = new Map(); // message -> sentences
+  try {
+    for await (const event of conversation.respondStream()) {
+      events.push(event.type === 'sentence' ? event.text : event.type);
+      if (event.type === 'sentence') said.set(event.message, [...(said.get(event.message) || []), event.text]);
+
+      // The caller heard all of it
+      if (event.type === 'spoken') event.message.content = said.get(event.message)?.join(' ') || null;
+    }
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(events, [
+    'One moment.', 'Let me look.', 'end_of_speech', 'spoken',
+    "You don't have anything booked.", 'Want to set something up?', 'end_of_speech', 'spoken',
+    'done',
+  ]);
+  assert.deepEqual(conversation.messages.slice(2).map((m) => [m.role, m.role === 'tool' ? m.name : m.content]), [
+    ['assistant', 'One moment. Let me look.'],
+    ['tool', 'find_upcoming_appointments'],
+    ['assistant', "You don't have anything booked. Want to set something up?"],
+  ]);
+  assert.equal(conversation.messages[2].tool_calls.length, 1);
+  assert.equal(conversation.llmCalls, 2);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for keypad input (src/utils/dtmf.js): collecting key presses into
+ * entries, and entries reaching the LLM as user turns during a phone call
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { DtmfCollector, formatKeypadTurn } = await import('../src/utils/dtmf.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getRedirects } = await import('./harness/fake-call-control.js');
+const { waitUntil } = await import('./harness/test-utils.js');
+
+test('keys are collected until # or a pause; anything else is ignored', async () => {
+  const entries = [];
+  const keypad = new DtmfCollector({ timeoutMs: 100, onEntry: (digits) => entries.push(digits) });
+
+  for (const key of '555*12#') keypad.press(key);
+  assert.deepEqual(entries, ['555*12']);
+
+  // A lone # ends nothing
+  keypad.press('#');
+  assert.equal(keypad.press('A'), false);
+  assert.equal(keypad.press(undefined), false);
+  assert.deepEqual(entries, ['555*12']);
+
+  keypad.press('1');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(entries, ['555*12']);
+  await waitUntil(() => entries.length === 2, 1000);
+  assert.deepEqual(entries, ['555*12', '1']);
+
+  // Hanging up drops a half-typed entry
+  keypad.press('9');
+  keypad.clear();
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.deepEqual(entries, ['555*12', '1']);
+
+  assert.equal(formatKeypadTurn('0'), '[Keypad: 0]');
+});
+
+test('keypad entries reach the LLM as user turns, and pressing a key talks over the agent', async () => {
+  Object.assign(process.env, { DTMF_TIMEOUT_SECONDS: '0.3', FLY_STREAM_URL: 'wss://agent.example.com/stream' });
+
+  const script = [
+    { content: 'Thanks, I have 555-123-4567. Press 1 to confirm.' },
+    { content: 'Great, that number is saved.' },
+    { toolCalls: [{ name: 'transfer_call', arguments: { reason: 'Pressed 0 for a person', summary: 'Gave their phone number by keypad' } }] },
+    { content: 'Let me connect you with someone.' },
+  ];
+  const llm = new ScriptedLLM(script);
+
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+  const server = await startStreamServer({ llmRouter: llm });
+  const client = new MediaStreamClient({ url: server.url, playback: 'realtime' });
+
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+
+    // Keys pressed during the greeting stop it, like speech would; # ends the entry straight away
+    client.pressKeys('5551234567#');
+    assert.equal(await client.waitForReply(), script[0].content);
+    assert.ok(client.events.some((e) => e.event === 'clear'));
+    await client.waitForPlayback();
+    client.playback = 'instant';
+
+    // Without #, the entry ends once the caller stops pressing keys
+    client.pressKeys('1');
+    assert.equal(await client.waitForReply(), script[1].content);
+
+    client.pressKeys('0');
+    assert.equal(await client.waitForReply(), script[3].content);
+
+    await waitUntil(() => getRedirects().length > 0);
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    delete process.env.DTMF_TIMEOUT_SECONDS;
+    delete process.env.FLY_STREAM_URL;
+    resetClock();
+    await server.close();
+  }
+
+  const userTurns = llm.requests.at(-2).messages.filter((m) => m.role === 'user').map((m) => m.content);
+  assert.deepEqual(userTurns, ['[Keypad: 5551234567]', '[Keypad: 1]', '[Keypad: 0]']);
+
+  // Nothing was configured to transfer to, so the caller leaves a message
+  assert.equal(JSON.parse(llm.requests.at(-1).messages.at(-1).content).voicemail, true);
+  assert.match(getRedirects()[0].twiml, /<Record /);
+
+  const { callLogs: [callLog] } = getMemoryTables();
+  assert.match(callLog.transcript, /^\[ai\]: Thanks for calling .* \[interrupted\]\n\[user\]: \[Keypad: 5551234567\]\n\[ai\]: Thanks, I have/);
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the offline conversation harness (test/harness/)
+ * Runs scripted scenarios through the real booking conversation with an
+ * in-memory database, local calendar and recorded SMS.
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const { runScenario, TextSession } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+
+const bookCleaning = JSON.parse(await readFile(new URL('./scenarios/book-cleaning.json', import.meta.url), 'utf8'));
+
+test('book-cleaning scenario books the slot and texts a confirmation', async () => {
+  const result = await runScenario(bookCleaning);
+
+  assert.equal(result.error, null);
+  assert.equal(result.ended, true);
+  assert.equal(result.appointments.length, 1);
+
+  const [appointment] = result.appointments;
+  assert.equal(appointment.caller_name, 'Sarah');
+  assert.equal(appointment.service_type, 'cleaning');
+  assert.equal(appointment.appointment_time.toISOString(), '2026-11-18T17:00:00.000Z');
+  assert.deepEqual(result.sms.map((s) => s.kind), ['confirmation']);
+});
+
+test('transcript lists tool calls with their results, before the reply that follows them', async () => {
+  const { transcript } = await runScenario(bookCleaning);
+
+  const slots = transcript.findIndex((e) => e.speaker === 'tool' && e.name === 'get_available_slots');
+  assert.ok(slots > 0);
+  assert.equal(transcript[slots].result.success, true);
+  assert.equal(transcript[slots + 1].speaker, 'agent');
+
+  // Content sent along with a tool call is spoken first, marked interim
+  const booking = transcript.findIndex((e) => e.speaker === 'tool' && e.name === 'create_appointment');
+  assert.equal(transcript[booking - 1].interim, true);
+});
+
+test('scenarios start from a clean slate', async () => {
+  await runScenario(bookCleaning);
+  const again = await runScenario(bookCleaning);
+
+  assert.equal(again.error, null);
+  assert.equal(again.appointments.length, 1);
+});
+
+test('a busy calendar shows up in the slots offered', async () => {
+  const result = await runScenario({
+    ...bookCleaning,
+    calendarEvents: [{ summary: 'Staff meeting', start: '2026-11-18T09:00:00-08:00', end: '2026-11-18T12:00:00-08:00' }],
+    turns: bookCleaning.turns.slice(0, 4),
+    llm: bookCleaning.llm.slice(0, 6),
+  });
+
+  assert.equal(result.error, null);
+  const slots = result.turns[3].toolCalls[0].result.slots.map((s) => s.time);
+  assert.ok(!slots.includes('09:00'));
+  assert.ok(!slots.includes('11:00'));
+  assert.ok(slots.includes('13:00'));
+});
+
+test('running out of scripted responses fails the scenario', async () => {
+  const result = await runScenario({ ...bookCleaning, llm: bookCleaning.llm.slice(0, 2) });
+
+  assert.match(result.error.message, /ran out of responses/);
+});
+
+test('unused scripted responses fail the scenario', async () => {
+  const result = await runScenario({ ...bookCleaning, turns: bookCleaning.turns.slice(0, 1) });
+
+  assert.match(result.error.message, /unused response/);
+});
+
+test('SMS sessions skip the phone greeting and the timezone tool', async () => {
+  const llm = new ScriptedLLM([{ content: 'Hi! What can I help you with?' }]);
+  const session = new TextSession({ channel: 'sms', llm });
+
+  const { replies } = await session.say('hello');
+
+  assert.deepEqual(replies, ['Hi! What can I help you with?']);
+  assert.deepEqual(session.transcript.map((e) => e.speaker), ['user', 'agent']);
+  assert.ok(!llm.requests[0].tools.some((t) => t.function.name === 'set_caller_timezone'));
+});
@@ -0,0 +1,284 @@
+/**
+ * Replay a recorded call (call bundle, see src/services/call-bundle.js)
+ * Re-runs the conversation with the caller's transcribed turns through the
+ * current code, so a changed prompt, tool or booking rule can be checked
+ * against a real call that went wrong. Load register.js first - tools run
+ * against the in-memory database and local calendar, never production.
+ *
+ * The model's answers come from the bundle for as long as the conversation
+ * matches the original word for word (same prompt, same tool results). Once
+ * it differs, a live model takes over if one was given; otherwise the replay
+ * stops there, which already says the change made a difference.
+ */
+
+import { TextSession, setUpScenario } from './text-session.js';
+import { getMemoryTables } from './memory-db.js';
+import { resetClock } from './clock.js';
+
+/**
+ * Thrown when the replay no longer matches the recording and there's no live model
+ */
+export class ReplayDivergedError extends Error {
+  constructor(call) {
+    super(`Conversation differs from the recording at LLM call ${call}`);
+    this.name = 'ReplayDivergedError';
+    this.call = call;
+  }
+}
+
+/**
+ * Tool result without its IDs - records created offline never get the
+ * original's IDs
+ * @param {string} content - Tool result JSON
+ * @returns {*} Result to compare
+ */
+function withoutIds(content) {
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !/(^id|Id)$/.test(key))
+      .map(([key, inner]) => [key, strip(inner)]));
+  };
+
+  try {
+    return strip(JSON.parse(content));
+  } catch {
+    return content;
+  }
+}
+
+/**
+ * The parts of an LLM request that decide the answer
+ * @param {Array} messages - Conversation sent to the model
+ * @returns {string} Comparable form
+ */
+function requestKey(messages) {
+  return JSON.stringify(messages.map((message) => ({
+    role: message.role,
+    content: message.role === 'tool' ? withoutIds(message.content) : message.content ?? null,
+    toolCalls: message.tool_calls?.map((call) => [call.function.name, call.function.arguments]),
+  })));
+}
+
+/**
+ * LLMRouter stand-in that answers from a call bundle while the conversation
+ * matches it
+ */
+export class BundleLLM {
+  /**
+   * @param {Object} bundle - From loadCallBundle
+   * @param {Object} options
+   * @param {Object} options.fallback - Live LLMRouter to continue with once the replay differs
+   */
+  constructor(bundle, { fallback = null } = {}) {
+    this.requests = bundle.events.filter((e) => e.type === 'llm_request');
+    this.responses = new Map(bundle.events
+      .filter((e) => e.type === 'llm_response' || e.type === 'llm_error')
+      .map((e) => [e.call, e]));
+    this.fallback = fallback;
+    this.calls = 0;
+    this.divergedAt = null; // LLM call where the replay stopped matching
+  }
+
+  /**
+   * Whether the replay has stopped matching the recording
+   * @returns {boolean}
+   */
+  get live() {
+    return this.divergedAt !== null;
+  }
+
+  /**
+   * Answer one LLM call
+   * @param {string} method - LLMRouter method
+   * @param {Array} messages - Conversation so far
+   * @param {string} callId - Session ID
+   * @param {Array|null} tools - Tools offered
+   * @returns {Promise<Object>} LLMRouter-style response
+   */
+  async next(method, messages, callId, tools) {
+    const call = ++this.calls;
+    const recorded = this.requests[call - 1];
+
+    if (!this.live && (!recorded || requestKey(recorded.messages) !== requestKey(messages))) {
+      this.divergedAt = call;
+    }
+
+    if (this.live) {
+      if (!this.fallback) throw new ReplayDivergedError(call);
+      return method === 'chat'
+        ? this.fallback.chat(messages, callId, tools)
+        : this.fallback.chatWithToolResults(messages, callId);
+    }
+
+    const response = this.responses.get(recorded.call);
+    if (!response) throw new Error(`The recording has no answer to LLM call ${call}`);
+    if (response.type === 'llm_error') throw new Error(`LLM call ${call} failed in the original call: ${response.error}`);
+
+    return {
+      content: response.content,
+      toolCalls: response.toolCalls?.map((toolCall) => ({
+        id: toolCall.id,
+        type: 'function',
+        function: { name: toolCall.name, arguments: toolCall.arguments },
+      })),
+      provider: 'recording',
+      latency: 0,
+      cost: 0,
+      tokens: 0,
+    };
+  }
+
+  async chat(messages, callId, tools = null) {
+    return this.next('chat', messages, callId, tools);
+  }
+
+  async chatWithToolResults(messages, callId) {
+    return this.next('chatWithToolResults', messages, callId, null);
+  }
+}
+
+/**
+ * Split a bundle into the caller's turns and what the agent did after each
+ * @param {Object} bundle - From loadCallBundle
+ * @returns {Array<Object>} { user, replies, toolCalls, bargeIn, silences } - the
+ *   first turn has no user text (the greeting); silences are the agent's
+ *   messages when the caller went quiet afterwards (re-prompt, goodbye)
+ */
+export function bundleTurns(bundle) {
+  const newTurn = (user) => ({ user, replies: [], toolCalls: [], bargeIn: null, silences: [] });
+  const turns = [newTurn(null)];
+  let afterSilence = false; // Speech and tools from here on were the silence handling's
+
+  for (const event of bundle.events) {
+    const turn = turns.at(-1);
+
+    if (event.type === 'transcript') {
+      turns.push(newTurn(event.text));
+      afterSilence = false;
+    } else if (event.type === 'silence') {
+      turn.silences.push(event.message);
+      afterSilence = true;
+    } else if (event.type === 'tts' && !afterSilence) {
+      turn.replies.push(event.text);
+    } else if (event.type === 'tool_result' && !afterSilence) {
+      turn.toolCalls.push({ name: event.name, arguments: JSON.parse(event.arguments || '{}'), result: event.result });
+    } else if (event.type === 'barge_in') {
+      turn.bargeIn = { playedText: event.playedText, fullText: event.fullText };
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Whether the original call booked an appointment
+ * @param {Object} bundle - From loadCallBundle
+ * @returns {boolean}
+ */
+function bookedInBundle(bundle) {
+  const end = bundle.events.find((e) => e.type === 'end');
+  if (end) return Boolean(end.appointmentBooked);
+
+  return bundle.events.some((e) => e.type === 'tool_result' && e.name === 'book_appointment' && e.result?.success);
+}
+
+/**
+ * Cut off the agent's reply where the caller talked over it, the way the
+ * phone handler does - only if the replay said the same thing
+ * @param {Array} messages - Conversation history
+ * @param {Object} bargeIn - { playedText, fullText }
+ */
+function applyBargeIn(messages, { playedText, fullText }) {
+  const message = messages.findLast((m) => m.role === 'assistant' && m.content === fullText);
+  if (!message) return;
+
+  message.content = playedText
+    ? `${playedText}... [interrupted by caller]`
+    : '[interrupted by caller before speaking]';
+}
+
+/**
+ * Say what the phone handler said when the caller went quiet (it has no LLM
+ * call of its own, so the replay repeats it)
+ * @param {TextSession} session - Replay session
+ * @param {Object} message - Recorded assistant message (re-prompt, or goodbye with its tool call)
+ */
+async function applySilence(session, message) {
+  const { conversation } = session;
+  conversation.messages.push(structuredClone(message));
+  session.log({ speaker: 'agent', text: message.content });
+  if (message.tool_calls) await conversation.runToolCalls(message.tool_calls);
+}
+
+/**
+ * Re-run a recorded call through the current code
+ * @param {Object} bundle - From loadCallBundle
+ * @param {Object} options
+ * @param {Object} options.llm - Model (default: a BundleLLM without fallback)
+ * @param {string} options.systemPrompt - Replaces the system prompt
+ * @param {Array} options.calendarEvents - Busy times to put in the local calendar first (scenario format)
+ * @param {Function} options.onEvent - Called with each transcript entry as it happens
+ * @returns {Promise<Object>} { turns: [{ user, original, replay, changed }], outcome, divergedAt, error }
+ */
+export async function replayBundle(bundle, { llm = null, systemPrompt = null, calendarEvents = [], onEvent = null } = {}) {
+  const model = llm || new BundleLLM(bundle);
+  const [greeting, ...originalTurns] = bundleTurns(bundle);
+  const turns = [];
+  let session = null;
+  let error = null;
+
+  try {
+    await setUpScenario({ now: bundle.startedAt, calendarEvents });
+
+    session = new TextSession({ channel: 'voice', callerPhone: bundle.from, llm: model, onEvent });
+    const { messages } = session.conversation;
+    if (systemPrompt) messages[0].content = systemPrompt;
+    for (const message of greeting.silences) await applySilence(session, message);
+    if (greeting.bargeIn) applyBargeIn(messages, greeting.bargeIn);
+
+    for (const original of originalTurns) {
+      if (session.ended) break;
+
+      const { replies, toolCalls } = await session.say(original.user);
+      const replay = { replies, toolCalls };
+      turns.push({
+        user: original.user,
+        original,
+        replay,
+        changed: replies.join(' ') !== original.replies.join(' ')
+          || toolCalls.map((c) => c.name).join() !== original.toolCalls.map((c) => c.name).join(),
+      });
+
+      for (const message of original.silences) {
+        if (!session.ended) await applySilence(session, message);
+      }
+      if (original.bargeIn) applyBargeIn(messages, original.bargeIn);
+    }
+  } catch (err) {
+    error = err;
+  } finally {
+    resetClock();
+  }
+
+  return {
+    turns,
+    outcome: {
+      original: { appointmentBooked: bookedInBundle(bundle) },
+      replay: {
+        appointmentBooked: Boolean(session?.conversation.appointmentData.appointmentBooked),
+        appointments: getMemoryTables().appointments,
+      },
+    },
+    divergedAt: model.divergedAt ?? null,
+    error,
+  };
+}
+
+export default {
+  BundleLLM,
+  ReplayDivergedError,
+  bundleTurns,
+  replayBundle,
+};
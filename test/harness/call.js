@@ -0,0 +1,148 @@
+/**
+ * Place a fake phone call over the Twilio Media Streams protocol
+ *
+ * Usage:
+ *   npm run call -- test/scenarios/book-cleaning.json     # scenario turns, recorded LLM, all offline
+ *   npm run call -- "I'd like a cleaning" "It's 9 AM"      # your turns, real LLM
+ *   npm run call -- --url ws://localhost:8080/stream "Hi" caller.wav
+ *
+ * Turns are spoken as fake speech (understood by the offline STT) or, if
+ * they end in .wav, played as recordings. Without --url an in-process
+ * /stream server is started with the offline stand-ins; with it, the call
+ * goes to that server (npm run dev:offline for one with the stand-ins).
+ *
+ * Options:
+ *   --url        Server WebSocket URL
+ *   --live       Use the real LLM even if the scenario scripts one (needs GROQ_API_KEY)
+ *   --phone      Caller's number
+ *   --playback   instant (default) or realtime - realtime lets a turn starting
+ *                with "!" barge in on the agent
+ *   --out        Directory for the call's WAV (default: the temp directory)
+ *   --verbose    Show the agent's log lines
+ *
+ * Exits non-zero if a turn gets no reply.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: { type: 'string' },
+    live: { type: 'boolean', default: false },
+    phone: { type: 'string', default: '+15551234567' },
+    playback: { type: 'string', default: 'instant' },
+    out: { type: 'string', default: tmpdir() },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// Keep the terminal to the call unless asked (before loading the agent - some modules log on import)
+if (!options.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const { MediaStreamClient } = await import('./media-stream-client.js');
+const { startStreamServer } = await import('./stream-server.js');
+const { setUpScenario, resetOfflineState } = await import('./text-session.js');
+const { ScriptedLLM } = await import('./scripted-llm.js');
+const { resetClock } = await import('./clock.js');
+
+/**
+ * Work out the call: turns, caller and LLM
+ * @returns {Promise<Object>} { turns, from, llmRouter }
+ */
+async function planCall() {
+  const [first] = positionals;
+
+  if (first?.endsWith('.json')) {
+    const scenario = JSON.parse(await readFile(first, 'utf8'));
+    print(`# ${scenario.name || first}`);
+    await setUpScenario(scenario);
+    return {
+      turns: scenario.turns.map((turn) => (typeof turn === 'string' ? turn : turn.user)),
+      from: scenario.callerPhone || options.phone,
+      llmRouter: scenario.llm && !options.live ? new ScriptedLLM(scenario.llm) : null,
+    };
+  }
+
+  resetOfflineState();
+  return { turns: positionals, from: options.phone, llmRouter: null };
+}
+
+/**
+ * Count the events the server sent, by type
+ * @param {Array} events - From MediaStreamClient
+ * @returns {string} e.g. "media 512, mark 7, clear 1"
+ */
+function summarizeEvents(events) {
+  const counts = new Map();
+  events.forEach(({ event }) => counts.set(event, (counts.get(event) || 0) + 1));
+  return [...counts].map(([event, count]) => `${event} ${count}`).join(', ');
+}
+
+/**
+ * Place the call
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const { turns, from, llmRouter } = await planCall();
+  const server = options.url ? null : await startStreamServer({ llmRouter });
+  const client = new MediaStreamClient({ url: options.url || server.url, from, playback: options.playback });
+
+  let failed = false;
+
+  try {
+    await client.connect();
+    print(`  agent> ${await client.waitForReply({ timeoutMs: 30000 })}`);
+
+    for (const turn of turns) {
+      if (client.closed) break;
+
+      const bargeIn = turn.startsWith('!');
+      const text = bargeIn ? turn.slice(1).trim() : turn;
+      if (!bargeIn) await client.waitForPlayback();
+
+      if (text.endsWith('.wav')) {
+        print(`patient> (${text})`);
+        await client.sendWav(text);
+      } else {
+        print(`patient> ${text}`);
+        client.say(text);
+      }
+
+      print(`  agent> ${await client.waitForReply({ timeoutMs: 30000 })}`);
+    }
+  } catch (error) {
+    print(`\n✗ ${error.message}`);
+    failed = true;
+  } finally {
+    await client.hangUp();
+    resetClock();
+  }
+
+  const file = join(options.out, `${client.callSid}.wav`);
+  await client.saveRecording(file);
+
+  print(`\nEvents: ${summarizeEvents(client.events)}`);
+  print(`Audio: ${file}`);
+
+  // Let the server write its call log before shutting it down
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  await server?.close();
+
+  return failed ? 1 : 0;
+}
+
+try {
+  process.exit(await main());
+} catch (error) {
+  print(`✗ ${error.message}`);
+  process.exit(1);
+}
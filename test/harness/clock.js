@@ -0,0 +1,48 @@
+/**
+ * Pretend it's another time
+ * Scenarios book against fixed dates, so they start the clock at a set
+ * instant ("now" in the scenario). Time keeps running from there; only Date
+ * is shifted, timers are untouched.
+ */
+
+const RealDate = globalThis.Date;
+let offsetMs = 0;
+
+class ShiftedDate extends RealDate {
+  constructor(...args) {
+    if (args.length === 0) {
+      super(RealDate.now() + offsetMs);
+    } else {
+      super(...args);
+    }
+  }
+
+  static now() {
+    return RealDate.now() + offsetMs;
+  }
+}
+
+/**
+ * Move the clock so that "now" is the given instant
+ * @param {string|Date} instant - ISO string or Date
+ */
+export function setClock(instant) {
+  const target = new RealDate(instant).getTime();
+  if (Number.isNaN(target)) throw new Error(`Invalid clock time: ${instant}`);
+
+  offsetMs = target - RealDate.now();
+  globalThis.Date = ShiftedDate;
+}
+
+/**
+ * Back to real time
+ */
+export function resetClock() {
+  offsetMs = 0;
+  globalThis.Date = RealDate;
+}
+
+export default {
+  setClock,
+  resetClock,
+};
@@ -0,0 +1,139 @@
+/**
+ * Talk to the booking agent in a terminal, or play back a scenario
+ *
+ * Usage:
+ *   npm run converse                                  # interactive, real LLM
+ *   npm run converse -- test/scenarios/book-cleaning.json
+ *   npm run converse -- test/scenarios/book-cleaning.json --live
+ *   npm run converse -- --channel sms --phone +15550001111
+ *
+ * Options:
+ *   --live      Use the real LLM even if the scenario scripts one (needs GROQ_API_KEY)
+ *   --channel   voice (default) or sms
+ *   --phone     Patient's phone number
+ *   --now       Pretend clock for interactive sessions (ISO time)
+ *   --verbose   Show the agent's log lines
+ *
+ * Database, SMS and calendar are in-memory (see register.js); nothing is sent.
+ * Scenario runs exit non-zero if the conversation fails.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    live: { type: 'boolean', default: false },
+    channel: { type: 'string', default: 'voice' },
+    phone: { type: 'string' },
+    now: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// The agent logs every step; keep the terminal to the conversation unless asked
+// (before loading it - some modules log on import)
+if (!options.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const { TextSession, runScenario, resetOfflineState, formatEntry } = await import('./text-session.js');
+const { LLMRouter } = await import('../../src/services/llm-router.js');
+const { getMemoryTables } = await import('./memory-db.js');
+const { getSentSms } = await import('./fake-sms.js');
+const { setClock } = await import('./clock.js');
+
+/**
+ * Print a transcript entry
+ * @param {Object} entry - From TextSession
+ */
+function printEntry(entry) {
+  print(formatEntry(entry));
+}
+
+/**
+ * Print what the conversation left behind
+ */
+function printOutcome() {
+  const { appointments } = getMemoryTables();
+  for (const appointment of appointments) {
+    print(`[appointment] ${appointment.status} ${appointment.caller_name} ${appointment.appointment_time.toISOString()} ${appointment.service_type || ''}`);
+  }
+  for (const sms of getSentSms()) {
+    print(`[sms] ${sms.kind} to ${sms.to}${sms.body ? `: ${sms.body}` : ''}`);
+  }
+}
+
+/**
+ * Play back a scenario file
+ * @param {string} file - Scenario JSON
+ * @returns {Promise<number>} Exit code
+ */
+async function playScenario(file) {
+  const scenario = JSON.parse(await readFile(file, 'utf8'));
+  print(`# ${scenario.name || file}`);
+
+  const result = await runScenario(scenario, {
+    llm: options.live ? new LLMRouter() : null,
+    onEvent: printEntry,
+  });
+
+  printOutcome();
+
+  if (result.error) {
+    print(`\n✗ ${result.error.message}`);
+    return 1;
+  }
+
+  print(`\n✓ ${result.turns.length} turn(s), ${result.llmCalls} LLM call(s)${result.ended ? ', conversation ended' : ''}`);
+  return 0;
+}
+
+/**
+ * Interactive session: type as the patient, blank line or Ctrl-D to stop
+ * @returns {Promise<number>} Exit code
+ */
+async function interactive() {
+  resetOfflineState();
+  if (options.now) setClock(options.now);
+
+  const session = new TextSession({
+    channel: options.channel,
+    callerPhone: options.phone,
+    onEvent: (entry) => {
+      if (entry.speaker !== 'user') printEntry(entry);
+    },
+  });
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    while (!session.ended) {
+      const text = (await rl.question('patient> ').catch(() => '')).trim();
+      if (!text) break;
+
+      try {
+        await session.say(text);
+      } catch (error) {
+        print(`  (error: ${error.message})`);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  printOutcome();
+  return 0;
+}
+
+try {
+  process.exit(positionals[0] ? await playScenario(positionals[0]) : await interactive());
+} catch (error) {
+  print(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,285 @@
+/**
+ * Scenario expectations - what a conversation must and must not do
+ * Checked against a runScenario() result. A scenario's "expect" block is:
+ *   {
+ *     "toolCalls": [                         // must happen, in this order
+ *       { "name": "get_available_slots", "arguments": { "serviceType": "cleaning" } },
+ *       { "name": "create_appointment", "turn": 5,
+ *         "arguments": { "time": "09:00", "reason": { "matches": "clean" } } }
+ *     ],
+ *     "appointments": [{ "status": "scheduled", "service_type": "cleaning" }],
+ *     "sms": ["confirmation"],                // kinds of text sent, in order
+ *     "ended": true,
+ *     "forbid": {
+ *       "tools": ["cancel_appointment"],      // never called
+ *       "maxCalls": { "create_appointment": 1 },
+ *       "maxSlotsPerReply": 3,                // times read out in one reply
+ *       "bookingBeforeChoice": true,          // booked before the caller heard the options
+ *       "maxConfirmations": 1,                // "9 AM Wednesday - shall I book it?" asked again
+ *       "replies": ["confirmed"]              // patterns no reply may match
+ *     }
+ *   }
+ *
+ * Argument and row values are matchers: a plain value must be equal (strings
+ * ignoring case), { "matches": "regex" } (case-insensitive), { "oneOf": [...] }
+ * or { "present": true | false }.
+ */
+
+// A run of clock times ending in AM/PM: "9 AM", "2:30 p.m.", "9, 10 or 11 AM"
+const TIME_LIST = /\b(?:(?:1[0-2]|0?[1-9])(?::[0-5]\d)?(?:\s*[ap]\.?m\.?)?(?:\s*,\s*|\s*,?\s+(?:or|and)\s+))*(?:1[0-2]|0?[1-9])(?::[0-5]\d)?\s*[ap]\.?m\.?(?![a-z])/gi;
+const TIME = /\b(1[0-2]|0?[1-9])(?::([0-5]\d))?(\s*[ap]\.?m\.?)?/gi;
+// A reply whose last sentence is a yes/no question ("Shall I book it?", "Does that work?")
+const YES_NO_QUESTION = /(?:^|[.!?]\s+|\s-\s)(?:shall|should|can|could|do|does|is|are|would|will|want)\b[^.!?]*\?\s*$/i;
+const BOOKING_TOOLS = ['create_appointment', 'reschedule_appointment'];
+const SLOT_TOOLS = ['check_availability', 'get_available_slots'];
+
+/**
+ * Clock times mentioned in a reply, as minutes after midnight
+ * Heuristic: catches "9 AM", "2:30 p.m." and lists like "9, 10 or 11 AM";
+ * times in a list without their own AM/PM take the last one's.
+ * @param {string} text - Agent reply
+ * @returns {Array<number>} Distinct times
+ */
+export function timesMentioned(text) {
+  const times = new Set();
+
+  for (const [run] of (text || '').matchAll(TIME_LIST)) {
+    const listPm = /p\.?m\.?$/i.test(run);
+    for (const [, hour, minute, suffix] of run.matchAll(TIME)) {
+      const pm = suffix ? /p/i.test(suffix) : listPm;
+      const hour24 = (Number(hour) % 12) + (pm ? 12 : 0);
+      times.add(hour24 * 60 + Number(minute || 0));
+    }
+  }
+
+  return [...times];
+}
+
+/**
+ * Whether a value satisfies a matcher
+ * @param {*} matcher - Plain value or { matches | oneOf | present }
+ * @param {*} value - Actual value
+ * @returns {boolean}
+ */
+export function matchValue(matcher, value) {
+  if (matcher && typeof matcher === 'object' && !Array.isArray(matcher)) {
+    if ('present' in matcher) return (value !== undefined && value !== null) === matcher.present;
+    if ('matches' in matcher) return value != null && new RegExp(matcher.matches, 'i').test(String(value));
+    if ('oneOf' in matcher) return matcher.oneOf.some((option) => matchValue(option, value));
+  }
+
+  if (value instanceof Date) value = value.toISOString();
+  if (typeof matcher === 'string' && typeof value === 'string') {
+    return matcher.toLowerCase() === value.toLowerCase();
+  }
+
+  return JSON.stringify(matcher) === JSON.stringify(value);
+}
+
+/**
+ * Fields of an object that don't satisfy their matchers
+ * @param {Object} matchers - { field: matcher }
+ * @param {Object} actual - Object to check
+ * @returns {Array<string>} Descriptions of the mismatches
+ */
+function mismatches(matchers = {}, actual = {}) {
+  return Object.entries(matchers)
+    .filter(([field, matcher]) => !matchValue(matcher, actual[field]))
+    .map(([field, matcher]) => `${field}: expected ${JSON.stringify(matcher)}, got ${JSON.stringify(actual[field])}`);
+}
+
+/**
+ * Number the transcript by patient turn (the greeting is turn 0)
+ * @param {Array} transcript - From runScenario
+ * @returns {Array<Object>} Entries with a turn number
+ */
+function numberTurns(transcript) {
+  let turn = 0;
+  return transcript.map((entry) => {
+    if (entry.speaker === 'user') turn += 1;
+    return { ...entry, turn };
+  });
+}
+
+/**
+ * Check the expected tool calls happened in order
+ * @param {Array} expected - Expected calls
+ * @param {Array} calls - Tool entries from the transcript
+ * @returns {Array<Object>} Failures
+ */
+function checkToolCalls(expected, calls) {
+  const failures = [];
+  let from = 0;
+
+  for (const expectation of expected) {
+    const candidates = calls.slice(from).filter((call) => call.name === expectation.name);
+    const match = candidates.find((call) => (expectation.turn === undefined || call.turn === expectation.turn)
+      && mismatches(expectation.arguments, call.arguments).length === 0);
+
+    if (match) {
+      from = calls.indexOf(match) + 1;
+      continue;
+    }
+
+    const closest = candidates[0];
+    const where = expectation.turn !== undefined ? ` in turn ${expectation.turn}` : '';
+    failures.push({
+      rule: 'toolCalls',
+      message: closest
+        ? `${expectation.name}${where} called with different arguments (turn ${closest.turn}): ${mismatches(expectation.arguments, closest.arguments).join('; ') || 'wrong turn'}`
+        : `${expectation.name}${where} was not called${from > 0 ? ` after ${calls[from - 1].name}` : ''}`,
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Minutes after midnight of a create/reschedule call's time ("HH:MM")
+ * @param {Object} call - Tool entry
+ * @returns {number|null}
+ */
+function bookedMinutes(call) {
+  const time = call.arguments.time || call.arguments.newTime;
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Check the things a conversation must never do
+ * @param {Object} forbid - Forbidden behaviors
+ * @param {Array} entries - Numbered transcript
+ * @returns {Array<Object>} Failures
+ */
+function checkForbidden(forbid, entries) {
+  const failures = [];
+  const calls = entries.filter((e) => e.speaker === 'tool');
+  const replies = entries.filter((e) => e.speaker === 'agent');
+
+  for (const name of forbid.tools || []) {
+    for (const call of calls.filter((c) => c.name === name)) {
+      failures.push({ rule: 'tools', message: `${name} was called (turn ${call.turn})` });
+    }
+  }
+
+  for (const [name, max] of Object.entries(forbid.maxCalls || {})) {
+    const count = calls.filter((c) => c.name === name).length;
+    if (count > max) {
+      failures.push({ rule: 'maxCalls', message: `${name} was called ${count} times (at most ${max})` });
+    }
+  }
+
+  if (forbid.maxSlotsPerReply !== undefined) {
+    for (const reply of replies) {
+      const count = timesMentioned(reply.text).length;
+      if (count > forbid.maxSlotsPerReply) {
+        failures.push({
+          rule: 'maxSlotsPerReply',
+          message: `turn ${reply.turn} read out ${count} times (at most ${forbid.maxSlotsPerReply}): "${reply.text}"`,
+        });
+      }
+    }
+  }
+
+  const bookings = calls.filter((c) => BOOKING_TOOLS.includes(c.name) && c.result?.success !== false);
+
+  if (forbid.bookingBeforeChoice) {
+    // The caller has to hear the options and answer before anything is booked
+    for (const booking of bookings) {
+      const offered = calls.some((c) => SLOT_TOOLS.includes(c.name) && c.turn < booking.turn);
+      if (!offered) {
+        failures.push({
+          rule: 'bookingBeforeChoice',
+          message: `${booking.name} in turn ${booking.turn} before the caller was offered times and chose one`,
+        });
+      }
+    }
+  }
+
+  if (forbid.maxConfirmations !== undefined) {
+    // A confirmation restates the one chosen time and asks yes or no about it
+    for (const booking of bookings) {
+      const minutes = bookedMinutes(booking);
+      const lastOffer = entries.findLastIndex((e, i) => i < entries.indexOf(booking)
+        && e.speaker === 'agent' && timesMentioned(e.text).length > 1);
+      const confirmations = entries
+        .slice(lastOffer + 1, entries.indexOf(booking))
+        .filter((e) => e.speaker === 'agent' && !e.interim && YES_NO_QUESTION.test(e.text))
+        .filter((e) => {
+          const times = timesMentioned(e.text);
+          return times.length === 1 && times[0] === minutes;
+        });
+
+      if (confirmations.length > forbid.maxConfirmations) {
+        failures.push({
+          rule: 'maxConfirmations',
+          message: `the time was confirmed ${confirmations.length} times before ${booking.name} (at most ${forbid.maxConfirmations})`,
+        });
+      }
+    }
+  }
+
+  for (const pattern of forbid.replies || []) {
+    const regex = new RegExp(pattern, 'i');
+    for (const reply of replies.filter((r) => regex.test(r.text))) {
+      failures.push({ rule: 'replies', message: `turn ${reply.turn} matched /${pattern}/: "${reply.text}"` });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Check a scenario run against its expectations
+ * @param {Object} expect - The scenario's "expect" block (see top of file)
+ * @param {Object} result - From runScenario
+ * @returns {Array<{rule: string, message: string}>} Failures; empty if it passed
+ */
+export function checkExpectations(expect = {}, result) {
+  const entries = numberTurns(result.transcript);
+  const calls = entries.filter((e) => e.speaker === 'tool');
+  const failures = [];
+
+  if (result.error) {
+    failures.push({ rule: 'error', message: result.error.message });
+  }
+
+  failures.push(...checkToolCalls(expect.toolCalls || [], calls));
+
+  if (expect.appointments) {
+    if (result.appointments.length !== expect.appointments.length) {
+      failures.push({
+        rule: 'appointments',
+        message: `${result.appointments.length} appointment(s) in the database, expected ${expect.appointments.length}`,
+      });
+    } else {
+      expect.appointments.forEach((matchers, i) => {
+        const wrong = mismatches(matchers, result.appointments[i]);
+        if (wrong.length > 0) {
+          failures.push({ rule: 'appointments', message: `appointment ${i + 1}: ${wrong.join('; ')}` });
+        }
+      });
+    }
+  }
+
+  if (expect.sms) {
+    const kinds = result.sms.map((sms) => sms.kind);
+    if (JSON.stringify(kinds) !== JSON.stringify(expect.sms)) {
+      failures.push({ rule: 'sms', message: `texts sent: [${kinds.join(', ')}], expected [${expect.sms.join(', ')}]` });
+    }
+  }
+
+  if (expect.ended !== undefined && result.ended !== expect.ended) {
+    failures.push({ rule: 'ended', message: expect.ended ? 'the conversation was not ended' : 'the conversation was ended' });
+  }
+
+  failures.push(...checkForbidden(expect.forbid || {}, entries));
+
+  return failures;
+}
+
+export default {
+  checkExpectations,
+  matchValue,
+  timesMentioned,
+};
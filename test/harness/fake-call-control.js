@@ -0,0 +1,72 @@
+/**
+ * Stand-in for src/services/call-control.js
+ * Swapped in by the harness loader (hooks.js): calls placed and redirects are
+ * recorded instead of sent to Twilio, with the same exports and return shapes.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+let redirects = [];
+let placedCalls = [];
+let failure = null;
+
+/**
+ * Calls "placed" so far
+ * @returns {Array<Object>} { callSid, to, from, url, machineDetection }
+ */
+export function getPlacedCalls() {
+  return placedCalls.map((call) => ({ ...call }));
+}
+
+/**
+ * Forget placed calls (between scenarios)
+ */
+export function clearPlacedCalls() {
+  placedCalls = [];
+}
+
+/**
+ * Calls "redirected" so far
+ * @returns {Array<Object>} { callSid, twiml }
+ */
+export function getRedirects() {
+  return redirects.map((redirect) => ({ ...redirect }));
+}
+
+/**
+ * Forget recorded redirects (between scenarios)
+ */
+export function clearRedirects() {
+  redirects = [];
+  failure = null;
+}
+
+/**
+ * Make the next redirect fail, as when Twilio rejects it
+ * @param {Error} error - Error to throw
+ */
+export function failNextRedirect(error) {
+  failure = error;
+}
+
+export async function redirectCall(callSid, twiml) {
+  if (failure) {
+    const error = failure;
+    failure = null;
+    throw error;
+  }
+
+  redirects.push({ callSid, twiml });
+  return { callSid, status: 'in-progress' };
+}
+
+export async function placeCall({ to, from, url, machineDetection = null, statusCallback = null }) {
+  const callSid = `CA${randomBytes(16).toString('hex')}`;
+  placedCalls.push({ callSid, to, from, url, machineDetection, statusCallback });
+  return { callSid, status: 'queued' };
+}
+
+export default {
+  placeCall,
+  redirectCall,
+};
@@ -0,0 +1,84 @@
+/**
+ * Stand-in for src/services/cartesia.js (CartesiaService), swapped in by hooks.js
+ * "Speaks" text as fake speech (fake-speech.js), so the agent's words can be
+ * read back out of the audio it sends. Keeps the real service's queueing and
+ * barge-in behavior: requests play one at a time and cancel() drops the
+ * queue and stops the one in flight.
+ */
+
+import { encodeSpeech } from './fake-speech.js';
+
+// Audio goes out in chunks like Cartesia's (200ms), yielding between them so a
+// barge-in can land mid-utterance
+const CHUNK_BYTES = 1600;
+
+export class CartesiaService {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.generation = 0; // Bumped by cancel(); requests from older generations stop
+    this.connected = false;
+  }
+
+  /**
+   * Deliver one text segment's audio
+   * @param {string} text - Text to speak
+   * @param {Function} onAudioChunk - Called with each audio Buffer
+   * @param {number} generation - Generation the request belongs to
+   * @returns {Promise<boolean>} False if cancelled part way
+   */
+  async speak(text, onAudioChunk, generation) {
+    const audio = encodeSpeech(text);
+
+    for (let offset = 0; offset < audio.length; offset += CHUNK_BYTES) {
+      if (generation !== this.generation) return false;
+      onAudioChunk(audio.subarray(offset, offset + CHUNK_BYTES));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    return generation === this.generation;
+  }
+
+  /**
+   * Queue a request behind the ones already playing
+   * @param {Function} run - async (generation) => void
+   * @returns {Promise<void>}
+   */
+  enqueue(run) {
+    const generation = this.generation;
+    const request = this.queue.then(() => (generation === this.generation ? run(generation) : undefined));
+    this.queue = request.catch(() => {});
+    return request;
+  }
+
+  async queueSpeakText(text, onAudioChunk) {
+    return this.enqueue((generation) => this.speak(text, onAudioChunk, generation));
+  }
+
+  async queueSpeakStream(segments, onAudioChunk) {
+    return this.enqueue(async (generation) => {
+      for await (const segment of segments) {
+        if (!(await this.speak(segment, onAudioChunk, generation))) break;
+      }
+    });
+  }
+
+  cancel() {
+    this.generation++;
+    return null;
+  }
+
+  async connect() {
+    this.connected = true;
+    return this;
+  }
+
+  needsRefresh() {
+    return false;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+}
+
+export default CartesiaService;
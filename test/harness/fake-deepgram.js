@@ -0,0 +1,104 @@
+/**
+ * Stand-in for src/services/deepgram.js (DeepgramService), swapped in by hooks.js
+ * "Recognizes" the text carried by fake speech (fake-speech.js): the first
+ * text frame of an utterance fires onSpeechStarted, and 300ms of silence
+ * after it ends the utterance, like Deepgram's endpointing. Other sound
+ * (real recordings, the fake TTS tone) is never transcribed.
+ */
+
+import { FRAME_BYTES } from '../../src/utils/audio.js';
+import { classifyFrame } from './fake-speech.js';
+
+const ENDPOINT_MS = 300;
+
+export class DeepgramService {
+  /**
+   * Start a "transcription stream"
+   * @param {Function} onTranscript - Called with each complete utterance
+   * @param {Function} onError - Unused (nothing fails offline)
+   * @param {Function} onSpeechStarted - Called when the caller starts talking
+   * @param {Function} onEvent - Called with each transcript event (finals only)
+   * @returns {Promise<Object>} Connection to pass to sendAudio/closeStream
+   */
+  async startStream(onTranscript, onError, onSpeechStarted = null, onEvent = null) {
+    return {
+      onTranscript,
+      onSpeechStarted,
+      onEvent,
+      pending: Buffer.alloc(0), // Audio short of a whole frame
+      text: [], // Text frames of the current utterance
+      speaking: false,
+      silentMs: 0,
+      closed: false,
+    };
+  }
+
+  /**
+   * Feed audio to the stream
+   * @param {Object} connection - From startStream
+   * @param {Buffer} audioData - mu-law, 8kHz
+   */
+  sendAudio(connection, audioData) {
+    if (connection.closed) return;
+
+    let audio = Buffer.concat([connection.pending, audioData]);
+    while (audio.length >= FRAME_BYTES) {
+      this.hearFrame(connection, audio.subarray(0, FRAME_BYTES));
+      audio = audio.subarray(FRAME_BYTES);
+    }
+    connection.pending = Buffer.from(audio);
+  }
+
+  /**
+   * Process one 20ms frame
+   * @param {Object} connection - From startStream
+   * @param {Buffer} frame - 160 bytes of mu-law
+   */
+  hearFrame(connection, frame) {
+    const { kind, payload } = classifyFrame(frame);
+
+    if (kind === 'silence') {
+      connection.silentMs += 20;
+      if (connection.speaking && connection.silentMs >= ENDPOINT_MS) {
+        this.endUtterance(connection);
+      }
+      return;
+    }
+
+    connection.silentMs = 0;
+    connection.speaking = true;
+
+    if (kind === 'text') {
+      connection.text.push(payload);
+      if (connection.text.length === 1 && connection.onSpeechStarted) {
+        connection.onSpeechStarted(payload.toString('utf8'));
+      }
+    }
+  }
+
+  /**
+   * Deliver the current utterance, if any words were heard
+   * @param {Object} connection - From startStream
+   */
+  endUtterance(connection) {
+    const text = Buffer.concat(connection.text).toString('utf8').trim();
+    connection.text = [];
+    connection.speaking = false;
+
+    if (!text) return;
+    if (connection.onEvent) {
+      connection.onEvent({ type: 'transcript', transcript: text, confidence: 1, isFinal: true, speechFinal: true });
+    }
+    connection.onTranscript(text);
+  }
+
+  /**
+   * Close the stream
+   * @param {Object} connection - From startStream
+   */
+  closeStream(connection) {
+    connection.closed = true;
+  }
+}
+
+export default DeepgramService;
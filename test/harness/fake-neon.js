@@ -0,0 +1,13 @@
+/**
+ * Stand-in for src/db/neon.js, swapped in by hooks.js
+ * Queries go to memory-db.js instead, so nothing should reach SQL; anything
+ * that still does (admin routes, scripts) fails loudly.
+ */
+
+export function sql() {
+  throw new Error('No Postgres in the offline harness - add the query to memory-db.js');
+}
+
+export async function testConnection() {
+  return true;
+}
@@ -0,0 +1,82 @@
+/**
+ * Stand-in for src/services/sms.js
+ * Swapped in by the harness loader (hooks.js): texts are recorded instead of
+ * sent through Twilio, with the same exports and return shapes.
+ */
+
+let sent = [];
+let counter = 0;
+let beforeSend = null;
+
+/**
+ * Record an outbound text
+ * @param {string} kind - Which sender was used (confirmation, reminder, ...)
+ * @param {string} to - Recipient
+ * @param {Object} details - What the real sender would have put in the text
+ * @returns {Promise<Object>} Twilio-like message response
+ */
+async function record(kind, to, details) {
+  if (beforeSend) {
+    const run = beforeSend;
+    beforeSend = null;
+    await run();
+  }
+
+  counter++;
+  const messageSid = `SMfake${String(counter).padStart(6, '0')}`;
+  sent.push({ kind, to, ...details, messageSid });
+  return { messageSid, status: 'queued', to };
+}
+
+/**
+ * Texts "sent" so far
+ * @returns {Array<Object>} { kind, to, messageSid, ... }
+ */
+export function getSentSms() {
+  return sent.map((message) => ({ ...message }));
+}
+
+/**
+ * Forget recorded texts (between scenarios)
+ */
+export function clearSentSms() {
+  sent = [];
+  beforeSend = null;
+}
+
+/**
+ * Run something while the next text is going out (before it's recorded),
+ * e.g. staff moving the appointment it's about
+ * @param {Function} run - async () => void
+ */
+export function beforeNextSms(run) {
+  beforeSend = run;
+}
+
+export async function sendAppointmentConfirmation({ callerName, callerPhone, appointmentTime, reason = 'appointment' }) {
+  return record('confirmation', callerPhone, { callerName, appointmentTime, reason });
+}
+
+export async function sendAppointmentReminder({ callerName, callerPhone, appointmentTime }) {
+  return record('reminder', callerPhone, { callerName, appointmentTime });
+}
+
+export async function sendCancellationConfirmation({ callerName, callerPhone }) {
+  return record('cancellation', callerPhone, { callerName });
+}
+
+export async function sendRescheduleConfirmation({ callerName, callerPhone, appointmentTime, reason = 'appointment' }) {
+  return record('reschedule', callerPhone, { callerName, appointmentTime, reason });
+}
+
+export async function sendSms(to, body) {
+  return record('message', to, { body });
+}
+
+export default {
+  sendAppointmentConfirmation,
+  sendAppointmentReminder,
+  sendCancellationConfirmation,
+  sendRescheduleConfirmation,
+  sendSms,
+};
@@ -0,0 +1,120 @@
+/**
+ * Text carried inside mu-law audio, for the offline STT and TTS stand-ins
+ * Real speech can't be recognized offline, so fake "speech" carries its words:
+ * a run of text frames (a marker, a length byte and UTF-8) followed by a tone
+ * long enough to take about as long as saying it. The stand-in STT reads the
+ * text frames back; anything else is heard as noise (tone, real recordings)
+ * or silence.
+ *
+ * Audio is 20ms frames (160 bytes) starting at the beginning of the stream,
+ * as Twilio sends it.
+ */
+
+import { FRAME_BYTES, MULAW_SILENCE, SAMPLE_RATE, pcmToMulaw } from '../../src/utils/audio.js';
+
+const MARKER = Buffer.from('SAY:', 'ascii');
+const PAYLOAD_BYTES = FRAME_BYTES - MARKER.length - 1;
+const TONE_HZ = 440;
+const TONE_AMPLITUDE = 4000;
+
+// How long fake speech lasts per character (real speech is ~60ms)
+export const MS_PER_CHAR = 10;
+
+/**
+ * One frame of tone, so fake speech is audible in recordings
+ * @param {number} frameIndex - Position in the utterance (keeps the wave continuous)
+ * @returns {Buffer} mu-law frame
+ */
+function toneFrame(frameIndex) {
+  const frame = Buffer.alloc(FRAME_BYTES);
+  for (let i = 0; i < FRAME_BYTES; i++) {
+    const t = (frameIndex * FRAME_BYTES + i) / SAMPLE_RATE;
+    frame[i] = pcmToMulaw(Math.round(TONE_AMPLITUDE * Math.sin(2 * Math.PI * TONE_HZ * t)));
+  }
+  return frame;
+}
+
+/**
+ * Silence
+ * @param {number} ms - Length (rounded up to whole frames)
+ * @returns {Buffer} mu-law audio
+ */
+export function silence(ms) {
+  return Buffer.alloc(Math.ceil(ms / 20) * FRAME_BYTES, MULAW_SILENCE);
+}
+
+/**
+ * "Say" some text as mu-law audio
+ * @param {string} text - Words to carry
+ * @param {Object} options
+ * @param {number} options.msPerChar - Speaking time per character
+ * @returns {Buffer} mu-law audio, a whole number of frames
+ */
+export function encodeSpeech(text, { msPerChar = MS_PER_CHAR } = {}) {
+  const bytes = Buffer.from(text, 'utf8');
+  const frames = [];
+
+  for (let offset = 0; offset < bytes.length; offset += PAYLOAD_BYTES) {
+    const payload = bytes.subarray(offset, offset + PAYLOAD_BYTES);
+    const frame = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+    MARKER.copy(frame, 0);
+    frame[MARKER.length] = payload.length;
+    payload.copy(frame, MARKER.length + 1);
+    frames.push(frame);
+  }
+
+  const totalFrames = Math.max(Math.ceil((text.length * msPerChar) / 20), frames.length + 1);
+  for (let i = frames.length; i < totalFrames; i++) {
+    frames.push(toneFrame(i));
+  }
+
+  return Buffer.concat(frames);
+}
+
+/**
+ * What a frame holds
+ * @param {Buffer} frame - 160 bytes of mu-law
+ * @returns {{kind: 'text' | 'sound' | 'silence', payload?: Buffer}}
+ */
+export function classifyFrame(frame) {
+  if (frame.length >= MARKER.length + 1 && frame.subarray(0, MARKER.length).equals(MARKER)) {
+    const length = frame[MARKER.length];
+    return { kind: 'text', payload: frame.subarray(MARKER.length + 1, MARKER.length + 1 + length) };
+  }
+
+  // 0xFF and 0x7F are both zero in mu-law
+  const silent = frame.every((byte) => byte === MULAW_SILENCE || byte === 0x7F);
+  return { kind: silent ? 'silence' : 'sound' };
+}
+
+/**
+ * Read back the text in some audio
+ * Separate utterances (text runs split by tone or silence) are joined with spaces.
+ * @param {Buffer} audio - mu-law audio, frame-aligned
+ * @returns {string} Text carried, '' if none
+ */
+export function decodeSpeech(audio) {
+  const runs = [];
+  let run = [];
+
+  for (let offset = 0; offset + FRAME_BYTES <= audio.length; offset += FRAME_BYTES) {
+    const frame = classifyFrame(audio.subarray(offset, offset + FRAME_BYTES));
+    if (frame.kind === 'text') {
+      run.push(frame.payload);
+    } else if (run.length > 0) {
+      runs.push(Buffer.concat(run).toString('utf8'));
+      run = [];
+    }
+  }
+  if (run.length > 0) runs.push(Buffer.concat(run).toString('utf8'));
+
+  return runs.join(' ');
+}
+
+export default {
+  MS_PER_CHAR,
+  classifyFrame,
+  decodeSpeech,
+  encodeSpeech,
+  silence,
+};
@@ -0,0 +1,24 @@
+/**
+ * Module loader hooks for the offline harness
+ * Redirects the modules that talk to outside services to local stand-ins, so
+ * the real agent code runs unchanged. Registered by register.js.
+ */
+
+const STAND_INS = {
+  '/src/db/neon.js': new URL('./fake-neon.js', import.meta.url).href,
+  '/src/db/queries.js': new URL('./memory-db.js', import.meta.url).href,
+  '/src/services/sms.js': new URL('./fake-sms.js', import.meta.url).href,
+  '/src/services/deepgram.js': new URL('./fake-deepgram.js', import.meta.url).href,
+  '/src/services/cartesia.js': new URL('./fake-cartesia.js', import.meta.url).href,
+  '/src/services/call-control.js': new URL('./fake-call-control.js', import.meta.url).href,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+
+  for (const [suffix, url] of Object.entries(STAND_INS)) {
+    if (resolved.url.endsWith(suffix)) return { ...resolved, url };
+  }
+
+  return resolved;
+}
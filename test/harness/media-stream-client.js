@@ -0,0 +1,357 @@
+/**
+ * Fake Twilio Media Streams client
+ * Connects to the server's /stream WebSocket the way Twilio does for a call:
+ * sends connected/start, the caller's audio as 20ms mu-law media frames,
+ * presses keypad keys as dtmf events, echoes marks back once their audio has
+ * "played" and sends stop on hang-up.
+ * Everything the server sends is kept - events for assertions, media as the
+ * call's audio (savable as a WAV).
+ *
+ * With the harness stand-ins loaded (register.js), say() speaks text the
+ * offline STT understands and the agent's replies can be read back as text
+ * (fake-speech.js). sendWav() plays real recordings for a server using the
+ * real Deepgram.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import WebSocket from 'ws';
+import { FRAME_BYTES, readWav, wavToMulaw, writeWav } from '../../src/utils/audio.js';
+import { decodeSpeech, encodeSpeech, silence } from './fake-speech.js';
+
+const ACCOUNT_SID = `AC${'0'.repeat(32)}`;
+
+/**
+ * Twilio-style SID
+ * @param {string} prefix - Two-letter resource prefix (CA, MZ)
+ * @returns {string}
+ */
+function fakeSid(prefix) {
+  return `${prefix}${randomBytes(16).toString('hex')}`;
+}
+
+export class MediaStreamClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server WebSocket URL (ws://localhost:8080/stream)
+   * @param {string} options.from - Caller's number (customParameters.From)
+   * @param {string} options.to - Number called (customParameters.To)
+   * @param {Object} options.parameters - More customParameters (e.g. AnsweredBy on outbound calls)
+   * @param {string} options.playback - 'instant': marks echo as soon as they arrive;
+   *   'realtime': marks echo once the audio before them would have finished playing
+   *   (8 bytes per ms), so the caller can talk over the agent
+   */
+  constructor({ url, from = '+15551234567', to = '+15550000000', parameters = {}, playback = 'instant' }) {
+    this.url = url;
+    this.from = from;
+    this.to = to;
+    this.parameters = parameters;
+    this.playback = playback;
+    this.callSid = fakeSid('CA');
+    this.streamSid = fakeSid('MZ');
+
+    this.ws = null;
+    this.connectedAt = null;
+    this.sequenceNumber = 0;
+    this.chunk = 0;
+    this.audioSentMs = 0; // Media timestamp of the caller's audio
+
+    this.events = []; // { event, at, ... } for everything the server sent (media as { bytes })
+    this.audio = []; // Server audio, in order
+    this.replyAudio = []; // Server audio since the caller last spoke
+    this.replyEventIndex = 0; // First event of the current reply
+    this.listeners = new Set();
+
+    this.playbackCursor = 0; // When the server's audio would finish playing (ms epoch)
+    this.pendingMarks = new Map(); // name -> timer, realtime playback only
+    this.closed = false;
+  }
+
+  /**
+   * Open the stream and start the call
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.ws = new WebSocket(this.url);
+    this.ws.on('message', (data) => this.onMessage(JSON.parse(data)));
+
+    this.closedPromise = new Promise((resolve) => {
+      this.ws.on('close', () => {
+        this.closed = true;
+        this.pendingMarks.forEach((timer) => clearTimeout(timer));
+        this.pendingMarks.clear();
+        this.notify();
+        resolve();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.connectedAt = Date.now();
+    this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    this.send({
+      event: 'start',
+      start: {
+        accountSid: ACCOUNT_SID,
+        streamSid: this.streamSid,
+        callSid: this.callSid,
+        tracks: ['inbound'],
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        customParameters: { From: this.from, To: this.to, ...this.parameters },
+      },
+    });
+  }
+
+  /**
+   * Send a Media Streams message
+   * @param {Object} message - Message without sequence number / streamSid
+   */
+  send(message) {
+    if (this.closed) return;
+
+    const framed = { ...message, sequenceNumber: String(++this.sequenceNumber) };
+    if (message.event !== 'connected') framed.streamSid = this.streamSid;
+    this.ws.send(JSON.stringify(framed));
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {Object} message - Parsed message
+   */
+  onMessage(message) {
+    const at = Date.now() - this.connectedAt;
+
+    if (message.event === 'media') {
+      const audio = Buffer.from(message.media?.payload || '', 'base64');
+      this.audio.push(audio);
+      this.replyAudio.push(audio);
+      this.events.push({ event: 'media', at, bytes: audio.length });
+      this.playbackCursor = Math.max(Date.now(), this.playbackCursor) + audio.length / 8;
+    } else {
+      this.events.push({ ...message, at });
+    }
+
+    if (message.event === 'mark') this.onMark(message.mark?.name);
+    if (message.event === 'clear') this.onClear();
+
+    this.notify();
+  }
+
+  /**
+   * Echo a mark back once the audio before it has played
+   * @param {string} name - Mark name
+   */
+  onMark(name) {
+    const echo = () => {
+      this.pendingMarks.delete(name);
+      this.send({ event: 'mark', mark: { name } });
+      this.notify();
+    };
+
+    if (this.playback !== 'realtime') {
+      echo();
+      return;
+    }
+
+    this.pendingMarks.set(name, setTimeout(echo, Math.max(this.playbackCursor - Date.now(), 0)));
+  }
+
+  /**
+   * The server flushed its audio - like Twilio, stop playing and return the
+   * marks that were waiting on it
+   */
+  onClear() {
+    this.playbackCursor = 0;
+    for (const [name, timer] of this.pendingMarks) {
+      clearTimeout(timer);
+      this.send({ event: 'mark', mark: { name } });
+    }
+    this.pendingMarks.clear();
+  }
+
+  /**
+   * Wake anything waiting on new events
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Wait until a condition holds, re-checking as events arrive
+   * @param {Function} check - Returns a truthy value when done
+   * @param {number} timeoutMs - Give up after this long
+   * @param {string} waitingFor - For the timeout error
+   * @returns {Promise<*>} The truthy value
+   */
+  until(check, timeoutMs, waitingFor) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const listener = () => {
+        const value = check();
+        if (!value) return;
+        clearTimeout(timer);
+        this.listeners.delete(listener);
+        resolve(value);
+      };
+
+      timer = setTimeout(() => {
+        this.listeners.delete(listener);
+        reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${waitingFor}`));
+      }, timeoutMs);
+
+      this.listeners.add(listener);
+      listener();
+    });
+  }
+
+  /**
+   * Wait for an event from the server
+   * @param {string|Function} match - Event name, or predicate on the event
+   * @param {Object} options
+   * @param {number} options.since - Only events from this index on (default: ones not yet seen)
+   * @param {number} options.timeoutMs - Give up after this long
+   * @returns {Promise<Object>} The event
+   */
+  waitFor(match, { since = this.events.length, timeoutMs = 10000 } = {}) {
+    const test = typeof match === 'function' ? match : (e) => e.event === match;
+    return this.until(() => this.events.slice(since).find(test), timeoutMs, typeof match === 'string' ? match : 'event');
+  }
+
+  /**
+   * Wait for the agent to finish talking: at least one mark since the caller
+   * last spoke (or since the call started), then quiet
+   * @param {Object} options
+   * @param {number} options.quietMs - Silence from the server that counts as done
+   * @param {number} options.timeoutMs - Give up after this long (ringback alone is ~8s)
+   * @returns {Promise<string>} What the agent said (text read back from fake speech)
+   */
+  async waitForReply({ quietMs = 300, timeoutMs = 15000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    await this.until(
+      () => this.closed || this.events.slice(this.replyEventIndex).some((e) => e.event === 'mark'),
+      timeoutMs,
+      'the agent to reply'
+    );
+
+    // More may follow (e.g. "Let me check..." then the answer)
+    while (!this.closed) {
+      const lastEventAt = this.connectedAt + (this.events.at(-1)?.at ?? 0);
+      const wait = lastEventAt + quietMs - Date.now();
+      if (wait <= 0) break;
+      if (Date.now() + wait > deadline) throw new Error(`Agent was still talking after ${timeoutMs}ms`);
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    return decodeSpeech(Buffer.concat(this.replyAudio));
+  }
+
+  /**
+   * Wait until everything the agent sent has "played" (realtime playback) -
+   * talking before then is a barge-in
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Give up after this long
+   * @returns {Promise<void>}
+   */
+  async waitForPlayback({ timeoutMs = 15000 } = {}) {
+    await this.until(() => this.closed || this.pendingMarks.size === 0, timeoutMs, 'playback to finish');
+  }
+
+  /**
+   * Send the caller's audio as 20ms media frames
+   * @param {Buffer} mulaw - 8kHz mu-law audio
+   */
+  sendAudio(mulaw) {
+    // Twilio's timestamps follow the clock (in whole frames), pauses included
+    this.audioSentMs = Math.max(this.audioSentMs, Math.floor((Date.now() - this.connectedAt) / 20) * 20);
+
+    for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+      const frame = mulaw.subarray(offset, offset + FRAME_BYTES);
+      this.send({
+        event: 'media',
+        media: {
+          track: 'inbound',
+          chunk: String(++this.chunk),
+          timestamp: String(this.audioSentMs),
+          payload: frame.toString('base64'),
+        },
+      });
+      this.audioSentMs += frame.length / 8;
+    }
+  }
+
+  /**
+   * Start listening for the agent's reply to what the caller is about to say
+   */
+  startReply() {
+    this.replyAudio = [];
+    this.replyEventIndex = this.events.length;
+  }
+
+  /**
+   * Say something (fake speech the offline STT understands), then pause
+   * @param {string} text - What the caller says
+   * @param {Object} options
+   * @param {number} options.pauseMs - Silence afterwards (the STT needs 300ms to end the utterance)
+   */
+  say(text, { pauseMs = 500 } = {}) {
+    this.startReply();
+    this.sendAudio(Buffer.concat([encodeSpeech(text), silence(pauseMs)]));
+  }
+
+  /**
+   * Press keys on the phone's keypad (one dtmf event per key)
+   * @param {string} keys - 0-9, * and #, e.g. '5551234567#'
+   */
+  pressKeys(keys) {
+    this.startReply();
+    for (const digit of keys) {
+      this.send({ event: 'dtmf', dtmf: { track: 'inbound_track', digit } });
+    }
+  }
+
+  /**
+   * Play a recording as the caller, then pause
+   * @param {string} file - 8kHz mono WAV, 16-bit PCM or mu-law
+   * @param {Object} options
+   * @param {number} options.pauseMs - Silence afterwards
+   */
+  async sendWav(file, { pauseMs = 1000 } = {}) {
+    const audio = wavToMulaw(readWav(await readFile(file)));
+    this.startReply();
+    this.sendAudio(Buffer.concat([audio, silence(pauseMs)]));
+  }
+
+  /**
+   * End the call (stop event) and close the stream
+   * @returns {Promise<void>}
+   */
+  async hangUp() {
+    this.send({ event: 'stop', stop: { accountSid: ACCOUNT_SID, callSid: this.callSid } });
+    if (!this.closed) this.ws.close();
+    await this.closedPromise;
+  }
+
+  /**
+   * Everything the server played, as a mu-law WAV
+   * @returns {Buffer} WAV file contents
+   */
+  recording() {
+    return writeWav(Buffer.concat(this.audio));
+  }
+
+  /**
+   * Save the call's audio
+   * @param {string} file - Where to write the WAV
+   */
+  async saveRecording(file) {
+    await writeFile(file, this.recording());
+  }
+}
+
+export default {
+  MediaStreamClient,
+};
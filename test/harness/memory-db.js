@@ -0,0 +1,593 @@
+/**
+ * In-memory stand-in for src/db/queries.js
+ * The harness loader (hooks.js) swaps it in for the real module, so the agent
+ * runs without Postgres. Same exports, same row shapes (snake_case columns);
+ * only what the booking conversation and SMS channel need is modelled closely.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+let appointments = [];
+let callLogs = [];
+let slotHolds = [];
+let smsConversations = new Map();
+let staffMessages = []; // the messages table
+let reminderPreferences = new Map();
+let reminderJobs = [];
+let schedulerLocks = new Map();
+let beforeInsert = null;
+let beforeUpdate = null;
+
+/**
+ * Forget everything (between scenarios)
+ */
+export function resetMemoryDb() {
+  appointments = [];
+  callLogs = [];
+  slotHolds = [];
+  smsConversations = new Map();
+  staffMessages = [];
+  reminderPreferences = new Map();
+  reminderJobs = [];
+  schedulerLocks = new Map();
+  beforeInsert = null;
+  beforeUpdate = null;
+}
+
+/**
+ * Run something just before the next appointment insert: throw to make it
+ * fail as when Postgres is unreachable, or save a row to make it lose a race
+ * @param {Function} run - async (appointmentData) => void
+ */
+export function beforeNextAppointmentInsert(run) {
+  beforeInsert = run;
+}
+
+/**
+ * Run something just before the next appointment time change (a reschedule);
+ * throw to make it fail
+ * @param {Function} run - async (appointmentId) => void
+ */
+export function beforeNextAppointmentUpdate(run) {
+  beforeUpdate = run;
+}
+
+/**
+ * Current contents, for assertions
+ * @returns {{appointments: Array, callLogs: Array, slotHolds: Array, smsConversations: Array, messages: Array, reminderPreferences: Array, reminderJobs: Array}}
+ */
+export function getMemoryTables() {
+  return {
+    appointments: appointments.map((row) => ({ ...row })),
+    callLogs: callLogs.map((row) => ({ ...row })),
+    slotHolds: slotHolds.map((row) => ({ ...row })),
+    smsConversations: [...smsConversations.values()].map((row) => ({ ...row })),
+    messages: staffMessages.map((row) => ({ ...row })),
+    reminderPreferences: [...reminderPreferences.values()].map((row) => ({ ...row })),
+    reminderJobs: reminderJobs.map((row) => ({ ...row })),
+  };
+}
+
+/**
+ * Find an appointment row or throw like the real queries do
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} Row (live, for updating)
+ */
+function findAppointment(appointmentId) {
+  const row = appointments.find((a) => a.id === appointmentId);
+  if (!row) throw new Error(`Appointment not found: ${appointmentId}`);
+  return row;
+}
+
+export async function createAppointment(appointmentData) {
+  const {
+    callerName,
+    callerPhone,
+    appointmentTime,
+    reason = 'Appointment',
+    serviceType = null,
+    durationMinutes = 30,
+    providerId = null,
+    resourceId = null,
+    googleCalendarEventId,
+    resourceEventId = null,
+    idempotencyKey = null,
+    reminderChannel = null,
+    callerTimezone = null,
+    status = 'confirmed',
+  } = appointmentData;
+
+  if (beforeInsert) {
+    const run = beforeInsert;
+    beforeInsert = null;
+    await run(appointmentData);
+  }
+
+  // idx_appointments_idempotency_key
+  if (idempotencyKey && status === 'confirmed'
+    && appointments.some((a) => a.idempotency_key === idempotencyKey && a.status === 'confirmed')) {
+    const error = new Error('duplicate key value violates unique constraint "idx_appointments_idempotency_key"');
+    error.code = '23505';
+    throw error;
+  }
+
+  const now = new Date();
+  const row = {
+    id: randomUUID(),
+    caller_name: callerName,
+    caller_phone: callerPhone,
+    appointment_time: new Date(appointmentTime),
+    reason,
+    service_type: serviceType,
+    duration_minutes: durationMinutes,
+    provider_id: providerId,
+    resource_id: resourceId,
+    google_calendar_event_id: googleCalendarEventId,
+    resource_event_id: resourceEventId,
+    idempotency_key: idempotencyKey,
+    status,
+    sms_sent: false,
+    reminder_sent: false,
+    patient_confirmed_at: null,
+    reminder_channel: reminderChannel,
+    reminder_result: null,
+    caller_timezone: callerTimezone,
+    created_at: now,
+    updated_at: now,
+  };
+  appointments.push(row);
+  return { ...row };
+}
+
+export async function getAppointmentByIdempotencyKey(idempotencyKey) {
+  const row = appointments.find((a) => a.idempotency_key === idempotencyKey && a.status === 'confirmed');
+  return row ? { ...row } : null;
+}
+
+export async function getAppointmentsByPhone(callerPhone) {
+  return appointments
+    .filter((a) => a.caller_phone === callerPhone)
+    .sort((a, b) => b.appointment_time - a.appointment_time)
+    .map((row) => ({ ...row }));
+}
+
+export async function getUpcomingAppointments(callerPhone) {
+  const now = new Date();
+  return appointments
+    .filter((a) => a.caller_phone === callerPhone && a.appointment_time > now && a.status === 'confirmed')
+    .sort((a, b) => a.appointment_time - b.appointment_time)
+    .map((row) => ({ ...row }));
+}
+
+export async function updateAppointmentStatus(appointmentId, status) {
+  const row = findAppointment(appointmentId);
+  Object.assign(row, { status, updated_at: new Date() });
+  return { ...row };
+}
+
+export async function updateAppointmentTime(appointmentId, appointmentTime, assignment = null) {
+  if (beforeUpdate) {
+    const run = beforeUpdate;
+    beforeUpdate = null;
+    await run(appointmentId);
+  }
+
+  const row = findAppointment(appointmentId);
+  Object.assign(row, {
+    appointment_time: new Date(appointmentTime),
+    reminder_sent: false,
+    updated_at: new Date(),
+    ...(assignment && {
+      provider_id: assignment.providerId,
+      resource_id: assignment.resourceId,
+      google_calendar_event_id: assignment.eventId,
+      resource_event_id: assignment.resourceEventId,
+    }),
+  });
+  return { ...row };
+}
+
+export async function updateAppointmentEvents(appointmentId, events, expectedEventId) {
+  const row = appointments.find((a) => a.id === appointmentId && (a.google_calendar_event_id ?? null) === (expectedEventId ?? null));
+  if (!row) return null;
+  Object.assign(row, {
+    google_calendar_event_id: events.eventId,
+    resource_event_id: events.resourceEventId,
+    updated_at: new Date(),
+  });
+  return { ...row };
+}
+
+export async function getConfirmedAppointmentsBetween(timeMin, timeMax) {
+  const min = new Date(timeMin);
+  const max = new Date(timeMax);
+  return appointments
+    .filter((a) => a.status === 'confirmed' && a.appointment_time >= min && a.appointment_time < max)
+    .sort((a, b) => a.appointment_time - b.appointment_time)
+    .map((row) => ({ ...row }));
+}
+
+export async function getReferencedEventIds(eventIds) {
+  const wanted = new Set(eventIds);
+  return new Set(appointments
+    .filter((a) => a.status === 'confirmed')
+    .flatMap((a) => [a.google_calendar_event_id, a.resource_event_id])
+    .filter((id) => id && wanted.has(id)));
+}
+
+export async function acquireSchedulerLock(name, workerId, leaseSeconds) {
+  const now = new Date();
+  const lock = schedulerLocks.get(name);
+  if (lock && lock.locked_until >= now && lock.locked_by !== workerId) return false;
+
+  schedulerLocks.set(name, { name, locked_by: workerId, locked_until: new Date(now.getTime() + leaseSeconds * 1000) });
+  return true;
+}
+
+export async function releaseSchedulerLock(name, workerId) {
+  if (schedulerLocks.get(name)?.locked_by === workerId) schedulerLocks.delete(name);
+}
+
+export async function markSmsSent(appointmentId) {
+  const row = appointments.find((a) => a.id === appointmentId);
+  if (!row) return undefined;
+  row.sms_sent = true;
+  return { ...row };
+}
+
+export async function createCallLog(callData) {
+  const {
+    twilioCallSid,
+    callerPhone,
+    callStartedAt,
+    callEndedAt = null,
+    durationSeconds = 0,
+    transcript = '',
+    appointmentBooked = false,
+    appointmentId = null,
+    recordingUrl = null,
+    answeredBy = null,
+    outcome = null,
+  } = callData;
+
+  const row = {
+    id: randomUUID(),
+    twilio_call_sid: twilioCallSid,
+    caller_phone: callerPhone,
+    call_started_at: callStartedAt,
+    call_ended_at: callEndedAt,
+    duration_seconds: durationSeconds,
+    transcript,
+    appointment_booked: appointmentBooked,
+    appointment_id: appointmentId,
+    recording_url: recordingUrl,
+    answered_by: answeredBy,
+    outcome,
+    created_at: new Date(),
+  };
+  callLogs.push(row);
+  return { ...row };
+}
+
+export async function updateCallLog(twilioCallSid, updateData) {
+  const row = callLogs.find((log) => log.twilio_call_sid === twilioCallSid);
+  if (!row) throw new Error(`Call log not found: ${twilioCallSid}`);
+
+  const { callEndedAt, durationSeconds, transcript, appointmentBooked, appointmentId } = updateData;
+  if (callEndedAt) row.call_ended_at = callEndedAt;
+  if (durationSeconds) row.duration_seconds = durationSeconds;
+  if (transcript) row.transcript = transcript;
+  if (appointmentBooked !== undefined) row.appointment_booked = appointmentBooked;
+  if (appointmentId) row.appointment_id = appointmentId;
+  return { ...row };
+}
+
+export async function getCallLogsWithExpiredRecordings(before) {
+  return callLogs
+    .filter((log) => log.recording_url && log.created_at < before)
+    .sort((a, b) => a.created_at - b.created_at)
+    .map((row) => ({ ...row }));
+}
+
+export async function clearCallLogRecording(callLogId) {
+  const row = callLogs.find((log) => log.id === callLogId);
+  if (!row) throw new Error(`Call log not found: ${callLogId}`);
+  row.recording_url = null;
+  return { ...row };
+}
+
+export async function getAppointmentById(appointmentId) {
+  return { ...findAppointment(appointmentId) };
+}
+
+export async function markReminderSent(appointmentId) {
+  const row = findAppointment(appointmentId);
+  row.reminder_sent = true;
+  return { ...row };
+}
+
+export async function markAppointmentConfirmed(appointmentId) {
+  const row = findAppointment(appointmentId);
+  Object.assign(row, { patient_confirmed_at: new Date(), updated_at: new Date() });
+  return { ...row };
+}
+
+export async function setReminderResult(appointmentId, result) {
+  const row = findAppointment(appointmentId);
+  Object.assign(row, { reminder_result: result, updated_at: new Date() });
+  return { ...row };
+}
+
+export async function getReminderPreference(callerPhone) {
+  return reminderPreferences.get(callerPhone)?.reminder_channel || null;
+}
+
+export async function setReminderPreference(callerPhone, reminderChannel) {
+  const row = { caller_phone: callerPhone, reminder_channel: reminderChannel, updated_at: new Date() };
+  reminderPreferences.set(callerPhone, row);
+  return { ...row };
+}
+
+export async function scheduleReminderJobs(appointmentId, jobs) {
+  reminderJobs = reminderJobs.filter((j) => j.appointment_id !== appointmentId || j.status === 'running');
+
+  const now = new Date();
+  const created = [];
+  for (const { offsetMinutes, dueAt } of jobs) {
+    // UNIQUE (appointment_id, offset_minutes)
+    if (reminderJobs.some((j) => j.appointment_id === appointmentId && j.offset_minutes === offsetMinutes)) continue;
+
+    const row = {
+      id: randomUUID(),
+      appointment_id: appointmentId,
+      offset_minutes: offsetMinutes,
+      due_at: new Date(dueAt),
+      status: 'pending',
+      attempts: 0,
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      sent_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    reminderJobs.push(row);
+    created.push({ ...row });
+  }
+  return created;
+}
+
+export async function claimDueReminderJobs({ workerId, leaseSeconds, limit = 20 }) {
+  const now = new Date();
+  return reminderJobs
+    .filter((j) => (j.status === 'pending' && j.due_at <= now) || (j.status === 'running' && j.locked_until < now))
+    .sort((a, b) => a.due_at - b.due_at)
+    .slice(0, limit)
+    .map((row) => {
+      Object.assign(row, {
+        status: 'running',
+        locked_by: workerId,
+        locked_until: new Date(now.getTime() + leaseSeconds * 1000),
+        attempts: row.attempts + 1,
+        updated_at: now,
+      });
+      return { ...row };
+    });
+}
+
+export async function finishReminderJob(jobId, workerId, { status, dueAt = null, lastError = null, countAttempt = true }) {
+  const row = reminderJobs.find((j) => j.id === jobId && j.locked_by === workerId);
+  if (!row) return null;
+
+  const now = new Date();
+  Object.assign(row, {
+    status,
+    due_at: dueAt ? new Date(dueAt) : row.due_at,
+    attempts: countAttempt ? row.attempts : row.attempts - 1,
+    last_error: lastError,
+    sent_at: status === 'sent' ? now : row.sent_at,
+    locked_by: null,
+    locked_until: null,
+    updated_at: now,
+  });
+  return { ...row };
+}
+
+export async function getAppointmentsWithoutReminderJobs() {
+  const now = new Date();
+  return appointments
+    .filter((a) => a.status === 'confirmed' && a.appointment_time > now
+      && !reminderJobs.some((j) => j.appointment_id === a.id))
+    .sort((a, b) => a.appointment_time - b.appointment_time)
+    .map((row) => ({ ...row }));
+}
+
+export async function placeSlotHold({ holder, calendarIds, startsAt, endsAt, ttlSeconds }) {
+  const now = new Date();
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  const taken = slotHolds.some((h) => h.holder !== holder && calendarIds.includes(h.calendar_id)
+    && h.expires_at > now && h.starts_at < end && h.ends_at > start);
+  if (taken) return false;
+
+  slotHolds = slotHolds.filter((h) => h.holder !== holder);
+
+  for (const calendarId of new Set(calendarIds)) {
+    slotHolds.push({
+      id: randomUUID(),
+      holder,
+      calendar_id: calendarId,
+      starts_at: start,
+      ends_at: end,
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+      created_at: now,
+    });
+  }
+  return true;
+}
+
+export async function getActiveSlotHolds({ calendarIds, timeMin, timeMax, excludeHolder = null }) {
+  const now = new Date();
+  const min = new Date(timeMin);
+  const max = new Date(timeMax);
+  return slotHolds
+    .filter((h) => calendarIds.includes(h.calendar_id) && h.expires_at > now
+      && h.starts_at < max && h.ends_at > min && h.holder !== excludeHolder)
+    .map(({ calendar_id, starts_at, ends_at, holder }) => ({ calendar_id, starts_at, ends_at, holder }));
+}
+
+export async function releaseSlotHolds(holder) {
+  const before = slotHolds.length;
+  slotHolds = slotHolds.filter((h) => h.holder !== holder);
+  return before - slotHolds.length;
+}
+
+export async function getSmsConversation(phone, timeoutMinutes) {
+  const row = smsConversations.get(phone);
+  if (!row || row.updated_at <= new Date(Date.now() - timeoutMinutes * 60000)) return null;
+  // Round-trip through JSON like JSONB does
+  return JSON.parse(JSON.stringify(row));
+}
+
+export async function saveSmsConversation({ phone, sessionId, messages, appointmentData }) {
+  const existing = smsConversations.get(phone);
+  const now = new Date();
+  smsConversations.set(phone, {
+    phone,
+    session_id: sessionId,
+    messages: JSON.parse(JSON.stringify(messages)),
+    appointment_data: JSON.parse(JSON.stringify(appointmentData)),
+    created_at: existing?.session_id === sessionId ? existing.created_at : now,
+    updated_at: now,
+  });
+  return { phone, session_id: sessionId, updated_at: now };
+}
+
+export async function deleteSmsConversation(phone) {
+  return smsConversations.delete(phone);
+}
+
+/**
+ * Find a message row or throw like the real queries do
+ * @param {string} messageId - Message ID
+ * @returns {Object} Row (live, for updating)
+ */
+function findMessage(messageId) {
+  const row = staffMessages.find((m) => m.id === messageId);
+  if (!row) throw new Error(`Message not found: ${messageId}`);
+  return row;
+}
+
+export async function createMessage({
+  sessionId,
+  channel = 'voice',
+  callerName = null,
+  callbackPhone,
+  topic,
+  details = null,
+  urgency = 'normal',
+}) {
+  const now = new Date();
+  const row = {
+    id: randomUUID(),
+    call_log_id: null,
+    session_id: sessionId,
+    channel,
+    caller_name: callerName,
+    callback_phone: callbackPhone,
+    topic,
+    details,
+    urgency,
+    status: 'open',
+    assigned_to: null,
+    assigned_at: null,
+    resolved_at: null,
+    resolution: null,
+    staff_notified: false,
+    created_at: now,
+    updated_at: now,
+  };
+  staffMessages.push(row);
+  return { ...row };
+}
+
+export async function linkMessagesToCallLog(twilioCallSid, callLogId) {
+  const rows = staffMessages.filter((m) => m.session_id === twilioCallSid && !m.call_log_id);
+  rows.forEach((row) => Object.assign(row, { call_log_id: callLogId, updated_at: new Date() }));
+  return rows.length;
+}
+
+export async function markMessageStaffNotified(messageId) {
+  const row = staffMessages.find((m) => m.id === messageId);
+  if (row) Object.assign(row, { staff_notified: true, updated_at: new Date() });
+}
+
+export async function getMessageById(messageId) {
+  const row = staffMessages.find((m) => m.id === messageId);
+  return row ? { ...row } : null;
+}
+
+export async function getMessages({ statuses = null, assignedTo = null, limit = 100 } = {}) {
+  return staffMessages
+    .filter((m) => (statuses === null || statuses.includes(m.status)) && (assignedTo === null || m.assigned_to === assignedTo))
+    .sort((a, b) => (b.urgency === 'urgent') - (a.urgency === 'urgent') || a.created_at - b.created_at)
+    .slice(0, limit)
+    .map((row) => ({ ...row }));
+}
+
+export async function assignMessage(messageId, assignedTo) {
+  const row = findMessage(messageId);
+  const now = new Date();
+  Object.assign(row, { status: 'assigned', assigned_to: assignedTo, assigned_at: now, updated_at: now });
+  return { ...row };
+}
+
+export async function resolveMessage(messageId, resolution = null) {
+  const row = findMessage(messageId);
+  const now = new Date();
+  Object.assign(row, { status: 'resolved', resolution, resolved_at: now, updated_at: now });
+  return { ...row };
+}
+
+export default {
+  createAppointment,
+  getAppointmentByIdempotencyKey,
+  getAppointmentsByPhone,
+  getUpcomingAppointments,
+  updateAppointmentStatus,
+  updateAppointmentTime,
+  updateAppointmentEvents,
+  getConfirmedAppointmentsBetween,
+  getReferencedEventIds,
+  acquireSchedulerLock,
+  releaseSchedulerLock,
+  markSmsSent,
+  createCallLog,
+  updateCallLog,
+  getCallLogsWithExpiredRecordings,
+  clearCallLogRecording,
+  getAppointmentById,
+  markReminderSent,
+  markAppointmentConfirmed,
+  setReminderResult,
+  getReminderPreference,
+  setReminderPreference,
+  scheduleReminderJobs,
+  claimDueReminderJobs,
+  finishReminderJob,
+  getAppointmentsWithoutReminderJobs,
+  placeSlotHold,
+  getActiveSlotHolds,
+  releaseSlotHolds,
+  getSmsConversation,
+  saveSmsConversation,
+  deleteSmsConversation,
+  createMessage,
+  linkMessagesToCallLog,
+  markMessageStaffNotified,
+  getMessageById,
+  getMessages,
+  assignMessage,
+  resolveMessage,
+};
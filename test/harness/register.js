@@ -0,0 +1,16 @@
+/**
+ * Offline harness setup - load before any agent module
+ *   node --import ./test/harness/register.js <script>
+ * or import it first and load the agent with dynamic import().
+ * Swaps Postgres, Twilio SMS and call control, Deepgram and Cartesia for local stand-ins
+ * (hooks.js) and books into the local calendar backend.
+ */
+
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
+
+process.env.CALENDAR_BACKEND = 'local';
+
+// Under node --test, agent log lines would bury the test output (errors still show)
+if (process.env.NODE_TEST_CONTEXT) console.log = () => {};
@@ -0,0 +1,70 @@
+/**
+ * Scenario regression suite
+ * Runs scenarios (text-session.js) and checks each against its "expect"
+ * block (expectations.js). Offline, a scenario plays back its recorded LLM
+ * responses so the result is the same every time; given a live model, the
+ * same turns go to it instead and the recording is ignored.
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { runScenario } from './text-session.js';
+import { checkExpectations } from './expectations.js';
+import { RecordingLLM } from './scripted-llm.js';
+
+/**
+ * Load scenario files, expanding directories to the .json files in them
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Promise<Array<{file: string, scenario: Object}>>}
+ */
+export async function loadScenarios(paths) {
+  const files = [];
+
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const names = (await readdir(path)).filter((name) => name.endsWith('.json')).sort();
+      files.push(...names.map((name) => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+
+  return Promise.all(files.map(async (file) => ({
+    file,
+    scenario: JSON.parse(await readFile(file, 'utf8')),
+  })));
+}
+
+/**
+ * Run one scenario and check its expectations
+ * @param {Object} scenario - Scenario with an "expect" block
+ * @param {Object} options
+ * @param {Object} options.llm - Live model; the scenario's recording is used without one
+ * @param {Function} options.onEvent - Called with each transcript entry as it happens
+ * @returns {Promise<Object>} { name, status: 'pass' | 'fail' | 'skip', failures, result, recorded }
+ *   recorded holds a live model's responses, ready to save as the scenario's "llm"
+ */
+export async function runRegression(scenario, { llm = null, onEvent = null } = {}) {
+  const name = scenario.name || 'scenario';
+
+  if (!llm && !scenario.llm) {
+    return { name, status: 'skip', failures: [], result: null, recorded: null };
+  }
+
+  const recorder = llm ? new RecordingLLM(llm) : null;
+  const result = await runScenario(scenario, { llm: recorder, onEvent });
+  const failures = checkExpectations(scenario.expect, result);
+
+  return {
+    name,
+    status: failures.length === 0 ? 'pass' : 'fail',
+    failures,
+    result,
+    recorded: recorder ? recorder.recorded : null,
+  };
+}
+
+export default {
+  loadScenarios,
+  runRegression,
+};
@@ -0,0 +1,147 @@
+/**
+ * Replay a recorded call bundle against the current code
+ *
+ * Usage:
+ *   npm run replay -- data/call-bundles/CA123.json       # recorded model answers
+ *   npm run replay:live -- data/call-bundles/CA123.json --prompt fixed-prompt.txt
+ *   npm run replay -- data/call-bundles/CA123.json --dump-prompt > fixed-prompt.txt
+ *   npm run replay -- data/call-bundles/CA123.json --extract-audio caller.wav
+ *
+ * Bundles are written by the phone handler when CALL_BUNDLE_DIR is set. The
+ * caller's transcribed turns are replayed through the current Conversation
+ * and tools, with the database and calendar in-memory (see register.js).
+ * Prints the original and replayed replies side by side, marks the turns
+ * that changed and compares the outcome.
+ *
+ * Options:
+ *   --live            Carry on with the real LLM once the replay stops matching
+ *                     the recording (needs GROQ_API_KEY)
+ *   --prompt          File with a system prompt to use instead of the original (needs --live)
+ *   --calendar        JSON list of busy times to load first ({ summary, start, end })
+ *   --dump-prompt     Print the original system prompt and exit
+ *   --extract-audio   Write the caller's audio to this WAV (e.g. for npm run call
+ *                     against a server with the real Deepgram) and exit
+ *   --verbose         Show the agent's log lines
+ *
+ * Exits non-zero if the replay fails for any reason other than no longer
+ * matching the recording.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    live: { type: 'boolean', default: false },
+    prompt: { type: 'string' },
+    calendar: { type: 'string' },
+    'dump-prompt': { type: 'boolean', default: false },
+    'extract-audio': { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// Keep the terminal to the comparison unless asked (before loading the agent - some modules log on import)
+if (!options.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const { loadCallBundle } = await import('../../src/services/call-bundle.js');
+const { BundleLLM, ReplayDivergedError, replayBundle } = await import('./bundle-replay.js');
+const { LLMRouter } = await import('../../src/services/llm-router.js');
+
+/**
+ * Print one side of a turn
+ * @param {string} label - 'was' or 'now'
+ * @param {Object} side - { replies, toolCalls }
+ */
+function printSide(label, { replies, toolCalls }) {
+  const tools = toolCalls.map((call) => call.name).join(', ');
+  print(`    ${label}: ${replies.join(' ') || '(nothing)'}${tools ? `  [${tools}]` : ''}`);
+}
+
+/**
+ * Replay the bundle and print the comparison
+ * @param {Object} bundle - From loadCallBundle
+ * @returns {Promise<number>} Exit code
+ */
+async function replay(bundle) {
+  if (options.prompt && !options.live) {
+    throw new Error('--prompt needs --live (the recorded answers were given to the original prompt)');
+  }
+
+  const llm = new BundleLLM(bundle, { fallback: options.live ? new LLMRouter() : null });
+  const result = await replayBundle(bundle, {
+    llm,
+    systemPrompt: options.prompt ? await readFile(options.prompt, 'utf8') : null,
+    calendarEvents: options.calendar ? JSON.parse(await readFile(options.calendar, 'utf8')) : [],
+  });
+
+  print(`# ${bundle.callSid} from ${bundle.from} at ${bundle.startedAt}\n`);
+
+  for (const turn of result.turns) {
+    print(`${turn.changed ? '≠' : '='} patient> ${turn.user}`);
+    printSide('was', turn.original);
+    if (turn.changed) printSide('now', turn.replay);
+  }
+
+  const { original, replay: replayed } = result.outcome;
+  const booked = (side) => (side.appointmentBooked ? 'booked' : 'not booked');
+  print(`\nOutcome: was ${booked(original)}, now ${booked(replayed)}`);
+  for (const appointment of replayed.appointments) {
+    print(`  [appointment] ${appointment.status} ${appointment.caller_name} ${appointment.appointment_time.toISOString()} ${appointment.service_type || ''}`);
+  }
+
+  if (result.divergedAt) {
+    print(`Differs from the recording from LLM call ${result.divergedAt}${llm.fallback ? ' (live model from there)' : ''}`);
+  }
+
+  if (result.error instanceof ReplayDivergedError) {
+    print('Stopped there - add --live to carry on with the real LLM');
+    return 0;
+  }
+
+  if (result.error) {
+    print(`\n✗ ${result.error.message}`);
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Load the bundle and do what was asked
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const [file] = positionals;
+  if (!file) throw new Error('Usage: npm run replay -- <bundle.json> [options]');
+
+  const bundle = await loadCallBundle(file);
+
+  if (options['dump-prompt']) {
+    const first = bundle.events.find((e) => e.type === 'llm_request');
+    if (!first) throw new Error('The bundle has no LLM requests');
+    print(first.messages[0].content);
+    return 0;
+  }
+
+  if (options['extract-audio']) {
+    await writeFile(options['extract-audio'], bundle.inboundAudio);
+    print(`Caller audio: ${options['extract-audio']}`);
+    return 0;
+  }
+
+  return replay(bundle);
+}
+
+try {
+  process.exit(await main());
+} catch (error) {
+  print(`✗ ${error.message}`);
+  process.exit(1);
+}
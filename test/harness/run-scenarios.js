@@ -0,0 +1,95 @@
+/**
+ * Run the scenario regression suite and print a pass/fail report
+ *
+ * Usage:
+ *   npm run scenarios                                 # every test/scenarios/*.json, recorded responses
+ *   npm run scenarios -- test/scenarios/book-cleaning.json
+ *   npm run scenarios:live                            # same turns against the real LLM
+ *   npm run scenarios:live -- --record                # ...and save passing runs as the new recording
+ *
+ * Options:
+ *   --live      Send the turns to the real LLM (needs GROQ_API_KEY)
+ *   --record    With --live, write each passing run's responses back to its scenario file
+ *   --report    Also write the report as JSON to this file
+ *   --verbose   Print every transcript, not just the failing ones
+ *
+ * Exits non-zero if any scenario fails.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    live: { type: 'boolean', default: false },
+    record: { type: 'boolean', default: false },
+    report: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// Keep the agent's log lines out of the report (before loading it - some modules log on import)
+console.log = () => {};
+console.warn = () => {};
+
+const { loadScenarios, runRegression } = await import('./regression.js');
+const { formatEntry } = await import('./text-session.js');
+const { LLMRouter } = await import('../../src/services/llm-router.js');
+
+const MARKS = { pass: '✓', fail: '✗', skip: '-' };
+
+/**
+ * Run every scenario and print the report
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  if (options.record && !options.live) {
+    throw new Error('--record needs --live');
+  }
+
+  const scenarios = await loadScenarios(positionals.length > 0 ? positionals : ['test/scenarios']);
+  const llm = options.live ? new LLMRouter() : null;
+  const report = [];
+
+  print(`Running ${scenarios.length} scenario(s) ${options.live ? 'against the live LLM' : 'with recorded responses'}\n`);
+
+  for (const { file, scenario } of scenarios) {
+    const outcome = await runRegression(scenario, { llm });
+    report.push({ file, name: outcome.name, status: outcome.status, failures: outcome.failures });
+
+    print(`${MARKS[outcome.status]} ${outcome.name} (${file})${outcome.status === 'skip' ? ' - no recorded responses' : ''}`);
+    for (const failure of outcome.failures) {
+      print(`    [${failure.rule}] ${failure.message}`);
+    }
+
+    if (outcome.result && (outcome.status === 'fail' || options.verbose)) {
+      print();
+      outcome.result.transcript.forEach((entry) => print(`    ${formatEntry(entry).replace(/\n/g, '\n    ')}`));
+      print();
+    }
+
+    if (options.record && outcome.status === 'pass') {
+      await writeFile(file, `${JSON.stringify({ ...scenario, llm: outcome.recorded }, null, 2)}\n`);
+      print('    recorded');
+    }
+  }
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  print(`\n${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped`);
+
+  if (options.report) {
+    await writeFile(options.report, `${JSON.stringify({ live: options.live, scenarios: report }, null, 2)}\n`);
+  }
+
+  return count('fail') > 0 ? 1 : 0;
+}
+
+try {
+  process.exit(await main());
+} catch (error) {
+  print(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,147 @@
+/**
+ * Scripted stand-in for LLMRouter
+ * Plays back a fixed list of responses in order, one per LLM call (first and
+ * follow-up calls alike), so a conversation runs the same way every time.
+ *
+ * A response is { content, toolCalls: [{ name, arguments }] } - either field
+ * may be left out. Arguments are plain objects; IDs are filled in.
+ * RecordingLLM captures a real model's responses in the same format.
+ */
+
+/**
+ * Convert a scripted tool call to the OpenAI format the agent receives
+ * @param {Object} call - { name, arguments }
+ * @param {string} id - Tool call ID
+ * @returns {Object} Tool call
+ */
+function toToolCall(call, id) {
+  return {
+    id,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: JSON.stringify(call.arguments || {}),
+    },
+  };
+}
+
+export class ScriptedLLM {
+  /**
+   * @param {Array<Object>} responses - Responses to play back, in order
+   */
+  constructor(responses = []) {
+    this.responses = [...responses];
+    this.requests = []; // { messages, tools } per call, for inspection
+    this.toolCallCounter = 0;
+  }
+
+  /**
+   * Whether every scripted response has been used
+   * @returns {boolean}
+   */
+  get finished() {
+    return this.responses.length === 0;
+  }
+
+  /**
+   * Take the next scripted response as an LLMRouter response
+   * @param {Array} messages - Conversation so far
+   * @param {Array|null} tools - Tools offered on this call
+   * @returns {Object} Response with provider info, latency, cost
+   */
+  next(messages, tools) {
+    this.requests.push({ messages: structuredClone(messages), tools });
+
+    if (this.responses.length === 0) {
+      throw new Error(`Scripted LLM ran out of responses (call ${this.requests.length})`);
+    }
+
+    const scripted = this.responses.shift();
+    const toolCalls = (scripted.toolCalls || [])
+      .map((call) => toToolCall(call, `call_${++this.toolCallCounter}`));
+
+    if (toolCalls.length > 0 && !tools) {
+      throw new Error(`Scripted LLM response ${this.requests.length} calls tools on a follow-up call`);
+    }
+
+    return {
+      content: scripted.content || null,
+      toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+      provider: 'scripted',
+      latency: 0,
+      cost: 0,
+      tokens: 0,
+    };
+  }
+
+  async chat(messages, callId, tools = null) {
+    return this.next(messages, tools);
+  }
+
+  async chatWithToolResults(messages) {
+    return this.next(messages, null);
+  }
+
+  async *chatStream(messages, callId, tools = null) {
+    const response = this.next(messages, tools);
+
+    if (response.content) yield { type: 'text', text: response.content };
+    for (const toolCall of response.toolCalls || []) {
+      yield { type: 'tool_call', name: toolCall.function.name };
+    }
+
+    yield { type: 'done', ...response, firstTokenLatency: 0 };
+  }
+
+  async *chatWithToolResultsStream(messages, callId) {
+    yield* this.chatStream(messages, callId, null);
+  }
+}
+
+/**
+ * Convert an LLMRouter response to a scripted response
+ * @param {Object} response - From LLMRouter
+ * @returns {Object} { content, toolCalls }
+ */
+function toScripted(response) {
+  const scripted = {};
+  if (response.content) scripted.content = response.content;
+  if (response.toolCalls?.length > 0) {
+    scripted.toolCalls = response.toolCalls.map((call) => ({
+      name: call.function.name,
+      arguments: JSON.parse(call.function.arguments || '{}'),
+    }));
+  }
+  return scripted;
+}
+
+/**
+ * Passes calls through to a real model and keeps its responses, so a live
+ * run can be saved and replayed with ScriptedLLM
+ */
+export class RecordingLLM {
+  /**
+   * @param {Object} llm - LLMRouter to record
+   */
+  constructor(llm) {
+    this.llm = llm;
+    this.recorded = []; // Scripted responses, in call order
+  }
+
+  async chat(messages, callId, tools = null) {
+    const response = await this.llm.chat(messages, callId, tools);
+    this.recorded.push(toScripted(response));
+    return response;
+  }
+
+  async chatWithToolResults(messages, callId) {
+    const response = await this.llm.chatWithToolResults(messages, callId);
+    this.recorded.push(toScripted(response));
+    return response;
+  }
+}
+
+export default {
+  RecordingLLM,
+  ScriptedLLM,
+};
@@ -0,0 +1,40 @@
+/**
+ * In-process /stream server for the fake Media Streams client
+ * The same WebSocket endpoint server.js serves, without the rest of the app,
+ * on a free local port. Load register.js first so STT, TTS, database and
+ * SMS are the offline stand-ins.
+ */
+
+import { createServer } from 'node:http';
+import { WebSocketServer } from 'ws';
+import { handleTwilioStream } from '../../src/services/twilio-handler.js';
+
+/**
+ * Start a stream server
+ * @param {Object} options
+ * @param {Object} options.llmRouter - LLM for every call (a real LLMRouter by default)
+ * @returns {Promise<{url: string, close: Function}>} url is ws://127.0.0.1:<port>/stream
+ */
+export async function startStreamServer({ llmRouter = null } = {}) {
+  const server = createServer();
+  const wss = new WebSocketServer({ server, path: '/stream' });
+
+  wss.on('connection', (ws) => {
+    handleTwilioStream(ws, { llmRouter }).catch(() => ws.close());
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}/stream`,
+    close: async () => {
+      wss.clients.forEach((ws) => ws.terminate());
+      await new Promise((resolve) => wss.close(resolve));
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+export default {
+  startStreamServer,
+};
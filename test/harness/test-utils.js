@@ -0,0 +1,71 @@
+/**
+ * Helpers shared by the test files
+ * Polling for something to happen, running with environment variables set,
+ * and calling Express handlers without a server.
+ */
+
+/**
+ * Poll until a condition holds
+ * @param {Function} check - Returns true (or a promise of true) when done
+ * @param {number} timeoutMs - Give up after this long
+ */
+export async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Run with some environment variables set, then put back what was there
+ * @param {Object} vars - Name to value
+ * @param {Function} run - async () => void
+ * @returns {Promise<*>} What run returned
+ */
+export async function withEnv(vars, run) {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await run();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+/**
+ * Express-like response that keeps what was sent
+ * @returns {Object} { type(), send(), status(), json(), statusCode, body }
+ */
+export function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    type() { return this; },
+    send(body) { this.body = body; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+  };
+}
+
+/**
+ * Call an API handler with an Express-like request and response
+ * @param {Function} handler - Route handler
+ * @param {Object} req - { params, query, body }
+ * @returns {Promise<{status: number, body: *}>}
+ */
+export async function callApi(handler, { params = {}, query = {}, body = {} } = {}) {
+  const res = fakeResponse();
+  await handler({ params, query, body }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+export default {
+  callApi,
+  fakeResponse,
+  waitUntil,
+  withEnv,
+};
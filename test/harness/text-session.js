@@ -0,0 +1,257 @@
+/**
+ * Text-mode conversations with the booking agent
+ * Drives the same Conversation the phone and SMS channels use with typed
+ * turns - no Twilio, Deepgram or Cartesia. Load register.js first so the
+ * database and SMS are in-memory and the calendar is local.
+ *
+ * A scenario (JSON) is:
+ *   {
+ *     "name": "Book a cleaning",
+ *     "persona": "Sarah, flexible about the time",  // who's calling (for people reading it)
+ *     "channel": "voice",                    // or "sms"; default voice
+ *     "callerPhone": "+15551234567",
+ *     "now": "2026-11-16T09:00:00-08:00",    // pretend clock (optional)
+ *     "calendarEvents": [{ "calendarId": "primary", "summary": "Staff meeting",
+ *                          "start": "...", "end": "..." }],
+ *     "turns": ["Hi, I'd like to book a cleaning", ...],
+ *     "llm": [{ "content": "...", "toolCalls": [{ "name": "...", "arguments": {} }] }],
+ *     "expect": { ... }                      // checked by the regression suite (expectations.js)
+ *   }
+ * "llm" scripts the model (see scripted-llm.js); without it the real
+ * LLMRouter is used.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Conversation } from '../../src/services/conversation.js';
+import { getInitialGreeting } from '../../src/services/twilio-handler.js';
+import { getCalendarBackend, getDefaultCalendarId } from '../../src/services/calendar.js';
+import { clearLocalCalendars } from '../../src/services/local-calendar.js';
+import { clearBusyCache } from '../../src/services/busy-cache.js';
+import { LLMRouter } from '../../src/services/llm-router.js';
+import { resetMemoryDb, getMemoryTables } from './memory-db.js';
+import { clearSentSms, getSentSms } from './fake-sms.js';
+import { clearPlacedCalls, clearRedirects } from './fake-call-control.js';
+import { ScriptedLLM } from './scripted-llm.js';
+import { setClock, resetClock } from './clock.js';
+
+const DEFAULT_CALLER_PHONE = '+15551234567';
+
+/**
+ * A tool call's arguments as an object
+ * @param {string} text - Arguments as the LLM sent them
+ * @returns {Object|string} Parsed arguments, or the text itself when it isn't JSON
+ */
+function parseArguments(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Pair the tool calls made during a turn with their results
+ * @param {Array} messages - Messages added to the history during the turn
+ * @returns {Array<{name: string, arguments: Object|string, result: Object}>}
+ */
+function toolCallsIn(messages) {
+  const results = new Map(messages
+    .filter((m) => m.role === 'tool')
+    .map((m) => [m.tool_call_id, JSON.parse(m.content)]));
+
+  return messages
+    .filter((m) => m.role === 'assistant' && m.tool_calls)
+    .flatMap((m) => m.tool_calls)
+    .map((call) => ({
+      name: call.function.name,
+      arguments: parseArguments(call.function.arguments),
+      result: results.get(call.id) ?? null,
+    }));
+}
+
+/**
+ * Render a transcript entry for the terminal
+ * @param {Object} entry - Transcript entry
+ * @returns {string} One or more lines
+ */
+export function formatEntry(entry) {
+  if (entry.speaker === 'user') return `patient> ${entry.text}`;
+  if (entry.speaker === 'agent') return `  agent> ${entry.text}`;
+
+  const call = `   tool: ${entry.name}(${JSON.stringify(entry.arguments)})`;
+  return entry.result?.message ? `${call}\n         -> ${entry.result.message}` : call;
+}
+
+/**
+ * One conversation driven by typed turns
+ */
+export class TextSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.channel - 'voice' (starts with the phone greeting) or 'sms'
+   * @param {string} options.callerPhone - Patient's phone number
+   * @param {Object} options.llm - LLMRouter or ScriptedLLM (a real router by default)
+   * @param {Function} options.onEvent - Called with each transcript entry as it happens
+   */
+  constructor({ channel = 'voice', callerPhone = DEFAULT_CALLER_PHONE, llm = null, onEvent = null } = {}) {
+    this.channel = channel;
+    this.transcript = []; // { speaker: 'agent' | 'user' | 'tool', ... }
+    this.onEvent = onEvent;
+    this.conversation = new Conversation({
+      sessionId: `${channel}:${randomUUID()}`,
+      callerPhone,
+      channel,
+      llmRouter: llm || new LLMRouter(),
+    });
+
+    if (channel === 'voice') {
+      const greeting = getInitialGreeting();
+      this.conversation.messages.push({ role: 'assistant', content: greeting });
+      this.log({ speaker: 'agent', text: greeting });
+    }
+  }
+
+  /**
+   * Whether the agent ended the conversation (end_call_with_confirmation)
+   * @returns {boolean}
+   */
+  get ended() {
+    return this.conversation.ended;
+  }
+
+  /**
+   * Add a transcript entry
+   * @param {Object} entry - Transcript entry
+   */
+  log(entry) {
+    this.transcript.push(entry);
+    if (this.onEvent) this.onEvent(entry);
+  }
+
+  /**
+   * Say something to the agent and wait for its answer
+   * @param {string} text - What the patient says or texts
+   * @returns {Promise<{replies: Array<string>, toolCalls: Array<Object>, ended: boolean}>}
+   */
+  async say(text) {
+    if (this.ended) throw new Error('The conversation has already ended');
+
+    const { messages } = this.conversation;
+    const start = messages.length;
+
+    messages.push({ role: 'user', content: text });
+    this.log({ speaker: 'user', text });
+
+    // Tools go in the transcript as soon as they've run, ahead of the reply that follows
+    let logged = 0;
+    const logToolCalls = () => {
+      const calls = toolCallsIn(messages.slice(start));
+      calls.slice(logged).forEach((call) => this.log({ speaker: 'tool', ...call }));
+      logged = calls.length;
+      return calls;
+    };
+
+    const replies = [];
+    await this.conversation.respond({
+      onReply: async (reply, message, { interim }) => {
+        logToolCalls();
+        replies.push(reply);
+        this.log({ speaker: 'agent', text: reply, interim });
+      },
+    });
+
+    const toolCalls = logToolCalls();
+
+    return { replies, toolCalls, ended: this.ended };
+  }
+}
+
+/**
+ * Put the offline stand-ins back to empty
+ */
+export function resetOfflineState() {
+  resetMemoryDb();
+  clearSentSms();
+  clearRedirects();
+  clearPlacedCalls();
+  clearLocalCalendars();
+  clearBusyCache();
+}
+
+/**
+ * Put the offline state where a scenario starts: empty, with its pretend
+ * clock and calendar events
+ * @param {Object} scenario - Scenario (see top of file)
+ * @returns {Promise<void>}
+ */
+export async function setUpScenario(scenario) {
+  resetOfflineState();
+  if (scenario.now) setClock(scenario.now);
+
+  const backend = getCalendarBackend();
+  for (const event of scenario.calendarEvents || []) {
+    await backend.createEvent(event.calendarId || getDefaultCalendarId(), {
+      summary: event.summary || 'Busy',
+      start: new Date(event.start),
+      end: new Date(event.end),
+    });
+  }
+}
+
+/**
+ * Run a scenario from start to finish
+ * @param {Object} scenario - Scenario (see top of file)
+ * @param {Object} options
+ * @param {Object} options.llm - Model to use instead of the scenario's script
+ * @param {Function} options.onEvent - Called with each transcript entry as it happens
+ * @returns {Promise<Object>} { name, transcript, turns, appointments, sms, ended, llmCalls, error }
+ */
+export async function runScenario(scenario, { llm = null, onEvent = null } = {}) {
+  const model = llm || (scenario.llm ? new ScriptedLLM(scenario.llm) : null);
+  const turns = [];
+  let session = null;
+  let error = null;
+
+  try {
+    await setUpScenario(scenario);
+
+    session = new TextSession({
+      channel: scenario.channel || 'voice',
+      callerPhone: scenario.callerPhone || DEFAULT_CALLER_PHONE,
+      llm: model,
+      onEvent,
+    });
+
+    for (const turn of scenario.turns || []) {
+      const text = typeof turn === 'string' ? turn : turn.user;
+      turns.push({ user: text, ...(await session.say(text)) });
+    }
+
+    if (model instanceof ScriptedLLM && !model.finished) {
+      throw new Error(`Scripted LLM has ${model.responses.length} unused response(s)`);
+    }
+  } catch (err) {
+    error = err;
+  } finally {
+    resetClock();
+  }
+
+  return {
+    name: scenario.name || 'scenario',
+    transcript: session?.transcript || [],
+    turns,
+    appointments: getMemoryTables().appointments,
+    sms: getSentSms(),
+    ended: Boolean(session?.ended),
+    llmCalls: session?.conversation.llmCalls || 0,
+    error,
+  };
+}
+
+export default {
+  TextSession,
+  formatEntry,
+  resetOfflineState,
+  runScenario,
+  setUpScenario,
+};
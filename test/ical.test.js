@@ -0,0 +1,115 @@
+/**
+ * Unit tests for src/utils/ical.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatDateTime, parseDateValue, parseEvents, serializeEvents, setEventTimes } from '../src/utils/ical.js';
+
+const LA = 'America/Los_Angeles';
+
+const SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:America/Los_Angeles',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:staff-meeting@example.com',
+  'DTSTAMP:20261001T120000Z',
+  'DTSTART;TZID=America/Los_Angeles:20261020T090000',
+  'DURATION:PT1H30M',
+  'SUMMARY:Staff meeting\\, weekly',
+  'DESCRIPTION:Line one\\nLine two that is long enough that the exporter folded it',
+  '  onto a second line',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Alarm text',
+  'TRIGGER:-PT10M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:holiday',
+  'DTSTART;VALUE=DATE:20261026',
+  'SUMMARY:Office note',
+  'TRANSP:TRANSPARENT',
+  'STATUS:TENTATIVE',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+test('parseDateValue reads UTC, zoned, floating and all-day values', () => {
+  assert.equal(parseDateValue('20261020T160000Z', {}, LA).date.toISOString(), '2026-10-20T16:00:00.000Z');
+  assert.equal(parseDateValue('20261020T090000', { TZID: 'America/New_York' }, LA).date.toISOString(), '2026-10-20T13:00:00.000Z');
+  assert.equal(parseDateValue('20261020T090000', {}, LA).date.toISOString(), '2026-10-20T16:00:00.000Z');
+
+  const allDay = parseDateValue('20261020', { VALUE: 'DATE' }, LA);
+  assert.equal(allDay.allDay, true);
+  assert.equal(allDay.date.toISOString(), '2026-10-20T07:00:00.000Z');
+
+  assert.throws(() => parseDateValue('tomorrow', {}, LA), /Invalid iCalendar date/);
+});
+
+test('parseEvents reads events, unfolding lines and skipping alarms', () => {
+  const [meeting, holiday] = parseEvents(SAMPLE, LA);
+
+  assert.equal(meeting.id, 'staff-meeting@example.com');
+  assert.equal(meeting.summary, 'Staff meeting, weekly');
+  assert.equal(meeting.description, 'Line one\nLine two that is long enough that the exporter folded it onto a second line');
+  assert.equal(meeting.start.toISOString(), '2026-10-20T16:00:00.000Z');
+  assert.equal(meeting.end.toISOString(), '2026-10-20T17:30:00.000Z');
+  assert.equal(meeting.status, 'confirmed');
+  assert.equal(meeting.transparent, false);
+
+  // No DTEND on a date means one day
+  assert.equal(holiday.allDay, true);
+  assert.equal(holiday.end.getTime() - holiday.start.getTime(), 86400000);
+  assert.equal(holiday.transparent, true);
+  assert.equal(holiday.status, 'tentative');
+});
+
+test('serializeEvents round-trips events and agent tags', () => {
+  const event = {
+    id: 'abc-123',
+    status: 'confirmed',
+    summary: 'Cleaning - Jane; Doe, Jr.',
+    description: 'Patient: Jane\nPhone: 416-881-****',
+    start: new Date('2026-10-20T17:00:00Z'),
+    end: new Date('2026-10-20T17:45:00Z'),
+    created: new Date('2026-10-19T12:00:00Z'),
+    properties: { source: 'appointment-agent', appointmentKey: 'CA123:2026-10-20T17:00:00.000Z' },
+    reminderMinutes: 60,
+  };
+
+  const text = serializeEvents([event]);
+  assert.ok(text.split('\r\n').every((line) => line.length <= 75));
+  assert.match(text, /TRIGGER:-PT60M/);
+
+  const [parsed] = parseEvents(text, LA);
+  assert.equal(parsed.id, event.id);
+  assert.equal(parsed.summary, event.summary);
+  assert.equal(parsed.description, event.description);
+  assert.equal(parsed.start.toISOString(), event.start.toISOString());
+  assert.equal(parsed.end.toISOString(), event.end.toISOString());
+  assert.equal(parsed.created.toISOString(), event.created.toISOString());
+  assert.deepEqual(parsed.properties, event.properties);
+});
+
+test('setEventTimes moves the event and keeps its other properties', () => {
+  const moved = setEventTimes(SAMPLE, new Date('2026-10-21T18:00:00Z'), new Date('2026-10-21T18:30:00Z'));
+  const [meeting, holiday] = parseEvents(moved, LA);
+
+  assert.equal(meeting.start.toISOString(), '2026-10-21T18:00:00.000Z');
+  assert.equal(meeting.end.toISOString(), '2026-10-21T18:30:00.000Z');
+  assert.equal(meeting.summary, 'Staff meeting, weekly');
+  assert.match(moved, /TRIGGER:-PT10M/);
+  assert.doesNotMatch(moved, /DURATION/);
+
+  // Only the first event moves
+  assert.equal(holiday.start.toISOString(), '2026-10-26T07:00:00.000Z');
+});
+
+test('formatDateTime writes UTC date-times', () => {
+  assert.equal(formatDateTime(new Date('2026-10-20T17:05:09.123Z')), '20261020T170509Z');
+});
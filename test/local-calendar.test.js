@@ -0,0 +1,142 @@
+/**
+ * Unit tests for src/services/local-calendar.js and the calendar service on top of it
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  queryBusy,
+  listEvents,
+  getEvent,
+  createEvent,
+  patchEvent,
+  deleteEvent,
+  clearLocalCalendars,
+} from '../src/services/local-calendar.js';
+import calendar from '../src/services/calendar.js';
+import { clearBusyCache } from '../src/services/busy-cache.js';
+
+const at = (iso) => new Date(iso);
+
+beforeEach(() => {
+  delete process.env.LOCAL_CALENDAR_DIR;
+  process.env.CALENDAR_BACKEND = 'local';
+  calendar.resetCalendarBackend();
+  clearLocalCalendars();
+  clearBusyCache();
+});
+
+test('busy time skips free and deleted events', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'local-calendar-'));
+  process.env.LOCAL_CALENDAR_DIR = dir;
+
+  try {
+    // Staff marked lunch as free in their calendar app
+    await writeFile(path.join(dir, 'dr.ics'), [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:lunch',
+      'DTSTART:20261020T200000Z',
+      'DTEND:20261020T210000Z',
+      'SUMMARY:Lunch',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n'));
+
+    await createEvent('dr', { summary: 'Filling', start: at('2026-10-20T17:00:00Z'), end: at('2026-10-20T18:00:00Z') });
+    const cancelled = await createEvent('dr', { summary: 'Cleaning', start: at('2026-10-20T19:00:00Z'), end: at('2026-10-20T19:30:00Z') });
+    await deleteEvent('dr', cancelled.id);
+
+    const busy = await queryBusy(['dr', 'hygienist'], at('2026-10-20T00:00:00Z'), at('2026-10-21T00:00:00Z'));
+
+    assert.deepEqual(busy.hygienist, []);
+    assert.deepEqual(busy.dr.map((b) => b.start.toISOString()), ['2026-10-20T17:00:00.000Z']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('deleted events stay visible as cancelled, like Google Calendar', async () => {
+  const event = await createEvent('dr', { summary: 'Checkup', start: at('2026-10-20T17:00:00Z'), end: at('2026-10-20T17:30:00Z') });
+  await deleteEvent('dr', event.id);
+
+  const range = [at('2026-10-20T00:00:00Z'), at('2026-10-21T00:00:00Z')];
+  assert.equal((await listEvents('dr', ...range)).length, 0);
+  assert.equal((await listEvents('dr', ...range, { showDeleted: true }))[0].status, 'cancelled');
+  assert.equal((await getEvent('dr', event.id)).status, 'cancelled');
+  assert.equal(await getEvent('dr', 'unknown'), null);
+
+  await assert.rejects(deleteEvent('dr', event.id), (error) => error.code === 404);
+  await assert.rejects(patchEvent('dr', 'unknown', { start: range[0], end: range[1] }), (error) => error.code === 404);
+});
+
+test('calendar service books, moves and cancels through the local backend', async () => {
+  const appointmentTime = at('2026-10-20T17:00:00Z');
+  const range = [at('2026-10-20T15:00:00Z'), at('2026-10-20T23:00:00Z')];
+
+  assert.deepEqual((await calendar.getBusyIntervals(['dr'], ...range)).dr, []);
+
+  const created = await calendar.createAppointment({
+    calendarId: 'dr',
+    callerName: 'Jane Doe',
+    callerPhone: '+14168881234',
+    appointmentTime,
+    durationMinutes: 45,
+    appointmentKey: 'CA1:2026-10-20T17:00:00.000Z',
+  });
+  assert.equal(created.endTime, '2026-10-20T17:45:00.000Z');
+
+  // The write cleared the cached (empty) day
+  assert.equal((await calendar.getBusyIntervals(['dr'], ...range)).dr.length, 1);
+
+  const event = await calendar.getEvent('dr', created.eventId);
+  assert.equal(event.properties.source, calendar.AGENT_EVENT_SOURCE);
+  assert.equal(event.properties.appointmentKey, 'CA1:2026-10-20T17:00:00.000Z');
+  assert.match(event.description, /Phone: 416-888-\*\*\*\*/);
+
+  // Ignoring the event being moved
+  const ignoring = await calendar.getBusyIntervals(['dr'], ...range, { ignoreEventIds: [created.eventId] });
+  assert.deepEqual(ignoring.dr, []);
+
+  const moved = await calendar.rescheduleAppointment(created.eventId, at('2026-10-20T20:00:00Z'), 45, 'dr');
+  assert.equal(moved.startTime, '2026-10-20T20:00:00.000Z');
+
+  await calendar.cancelAppointment(created.eventId, 'dr');
+  assert.deepEqual((await calendar.getBusyIntervals(['dr'], ...range)).dr, []);
+});
+
+test('LOCAL_CALENDAR_DIR persists calendars as .ics files', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'local-calendar-'));
+  process.env.LOCAL_CALENDAR_DIR = dir;
+
+  try {
+    const event = await createEvent('front-desk@example.com', {
+      summary: 'Crown fitting',
+      start: at('2026-10-21T16:00:00Z'),
+      end: at('2026-10-21T17:00:00Z'),
+      properties: { source: 'appointment-agent' },
+    });
+
+    const text = await readFile(path.join(dir, 'front-desk@example.com.ics'), 'utf8');
+    assert.match(text, /SUMMARY:Crown fitting/);
+
+    // A fresh process reads it back
+    clearLocalCalendars();
+    const reloaded = await getEvent('front-desk@example.com', event.id);
+    assert.equal(reloaded.summary, 'Crown fitting');
+    assert.equal(reloaded.start.toISOString(), '2026-10-21T16:00:00.000Z');
+    assert.equal(reloaded.properties.source, 'appointment-agent');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('unknown CALENDAR_BACKEND is rejected', () => {
+  process.env.CALENDAR_BACKEND = 'outlook';
+  assert.throws(() => calendar.getCalendarBackend(), /Invalid CALENDAR_BACKEND: outlook/);
+});
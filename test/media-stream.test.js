@@ -0,0 +1,226 @@
+/**
+ * End-to-end tests for the /stream WebSocket (handleTwilioStream) using the
+ * fake Media Streams client and the offline STT/TTS stand-ins (test/harness/)
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const { encodeSpeech, decodeSpeech, silence } = await import('./harness/fake-speech.js');
+const { DeepgramService } = await import('./harness/fake-deepgram.js');
+const { CartesiaService } = await import('./harness/fake-cartesia.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getInitialGreeting } = await import('../src/services/twilio-handler.js');
+const { readWav } = await import('../src/utils/audio.js');
+const { loadCallBundle } = await import('../src/services/call-bundle.js');
+const { replayBundle } = await import('./harness/bundle-replay.js');
+const { waitUntil } = await import('./harness/test-utils.js');
+
+const bookCleaning = JSON.parse(await readFile(new URL('./scenarios/book-cleaning.json', import.meta.url), 'utf8'));
+
+test('fake speech carries its text, long or short, and reads back joined by utterance', () => {
+  const long = 'word '.repeat(100).trim();
+
+  assert.equal(decodeSpeech(encodeSpeech('Hello there')), 'Hello there');
+  assert.equal(decodeSpeech(encodeSpeech(long)), long);
+  assert.equal(decodeSpeech(Buffer.concat([encodeSpeech('One.'), silence(100), encodeSpeech('Two.')])), 'One. Two.');
+  assert.equal(decodeSpeech(silence(1000)), '');
+  assert.equal(encodeSpeech('x'.repeat(100)).length, 8000); // 10ms per character
+});
+
+test('offline STT fires speech-started on the first words and the transcript after 300ms of silence', async () => {
+  const heard = [];
+  const stt = new DeepgramService();
+  const connection = await stt.startStream(
+    (text) => heard.push(['transcript', text]),
+    () => {},
+    (text) => heard.push(['started', text])
+  );
+
+  const audio = Buffer.concat([encodeSpeech('Do you have anything Friday?'), silence(200)]);
+  for (let offset = 0; offset < audio.length; offset += 100) {
+    stt.sendAudio(connection, audio.subarray(offset, offset + 100)); // not frame-aligned chunks
+  }
+  assert.deepEqual(heard, [['started', 'Do you have anything Friday?']]);
+
+  stt.sendAudio(connection, silence(100));
+  assert.deepEqual(heard.at(-1), ['transcript', 'Do you have anything Friday?']);
+
+  // Sound without words is never transcribed
+  stt.sendAudio(connection, Buffer.concat([encodeSpeech('').fill(0x10), silence(400)]));
+  assert.equal(heard.length, 2);
+});
+
+test('offline TTS queues requests and stops on cancel', async () => {
+  const tts = new CartesiaService();
+  const chunks = [];
+
+  const first = tts.queueSpeakText('First sentence, long enough to take several chunks to send.', (c) => chunks.push(['first', c]));
+  const second = tts.queueSpeakText('Second.', (c) => chunks.push(['second', c]));
+  tts.cancel();
+  await Promise.all([first, second]);
+
+  assert.ok(chunks.length <= 1);
+  assert.ok(chunks.every(([which]) => which === 'first'));
+
+  await tts.queueSpeakStream((async function* () { yield 'Hi.'; yield 'Bye.'; })(), (c) => chunks.push(['stream', c]));
+  const streamed = Buffer.concat(chunks.filter(([which]) => which === 'stream').map(([, c]) => c));
+  assert.equal(decodeSpeech(streamed), 'Hi. Bye.');
+});
+
+test('a call over the Media Streams protocol books an appointment, handles barge-in and records the audio', async () => {
+  await setUpScenario(bookCleaning);
+  const server = await startStreamServer({ llmRouter: new ScriptedLLM(bookCleaning.llm.slice(0, 8)) });
+  const client = new MediaStreamClient({ url: server.url, playback: 'realtime' });
+
+  try {
+    await client.connect();
+
+    // Ringback plays first, then the greeting ends with a mark
+    assert.equal(await client.waitForReply({ timeoutMs: 20000 }), getInitialGreeting());
+    const firstMark = client.events.findIndex((e) => e.event === 'mark');
+    assert.ok(client.events.slice(0, firstMark).filter((e) => e.event === 'media').length > 300);
+
+    // Talking over the greeting clears the agent's audio
+    client.say(bookCleaning.turns[0]);
+    assert.equal(await client.waitForReply(), bookCleaning.llm[0].content);
+    assert.ok(client.events.some((e) => e.event === 'clear' && e.streamSid === client.streamSid));
+    await client.waitForPlayback();
+
+    client.playback = 'instant';
+    for (const [i, turn] of bookCleaning.turns.slice(1, 5).entries()) {
+      client.say(turn);
+      const reply = await client.waitForReply();
+      if (i === 0) assert.equal(reply, bookCleaning.llm[2].content); // after set_caller_timezone
+    }
+
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    resetClock();
+    await server.close();
+  }
+
+  const { appointments, callLogs: [callLog] } = getMemoryTables();
+  assert.equal(appointments.length, 1);
+  assert.equal(appointments[0].appointment_time.toISOString(), '2026-11-18T17:00:00.000Z');
+
+  assert.equal(callLog.twilio_call_sid, client.callSid);
+  assert.equal(callLog.caller_phone, client.from);
+  assert.equal(callLog.appointment_booked, true);
+  assert.match(callLog.transcript, /^\[ai\]: Thanks for calling .* \[interrupted\]\n\[user\]: Hi, I'd like to book a cleaning\n/);
+
+  const recording = readWav(client.recording());
+  assert.equal(recording.format, 'mulaw');
+  assert.equal(recording.data.length, client.events.filter((e) => e.event === 'media').reduce((sum, e) => sum + e.bytes, 0));
+});
+
+test('a quiet caller is asked if they are there, then the call ends; talking resets the timer', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'bundles-'));
+  Object.assign(process.env, { SILENCE_REPROMPT_SECONDS: '1', SILENCE_HANGUP_SECONDS: '1.5', CALL_BUNDLE_DIR: dir });
+
+  const llm = [{ content: 'No problem. What can I help you with today?' }];
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+  const server = await startStreamServer({ llmRouter: new ScriptedLLM(llm) });
+  const client = new MediaStreamClient({ url: server.url });
+
+  /**
+   * The next thing the agent says, without the caller saying anything
+   * @returns {Promise<string>}
+   */
+  const nextReply = () => {
+    client.startReply();
+    return client.waitForReply();
+  };
+
+  let bundle = null;
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+
+    assert.equal(await nextReply(), 'Are you still there?');
+    client.say('Sorry, yes');
+    assert.equal(await client.waitForReply(), llm[0].content);
+
+    // Speaking started the count over: another re-prompt before the goodbye
+    assert.equal(await nextReply(), 'Are you still there?');
+    assert.match(await nextReply(), /so I'll let you go/);
+
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+    bundle = await loadCallBundle(join(dir, `${client.callSid}.json`));
+  } finally {
+    delete process.env.SILENCE_REPROMPT_SECONDS;
+    delete process.env.SILENCE_HANGUP_SECONDS;
+    delete process.env.CALL_BUNDLE_DIR;
+    resetClock();
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  const { callLogs: [callLog] } = getMemoryTables();
+  const lines = callLog.transcript.split('\n').slice(1);
+  assert.deepEqual(lines, [
+    '[silence]: No response for 1s',
+    '[ai]: Are you still there?',
+    '[user]: Sorry, yes',
+    `[ai]: ${llm[0].content}`,
+    '[silence]: No response for 1s',
+    '[ai]: Are you still there?',
+    '[silence]: No response for 1.5s',
+    "[ai]: I haven't heard anything, so I'll let you go. Feel free to call back anytime. Goodbye!",
+  ]);
+
+  // The replay says the same things at the same points, and ends the call too
+  const replay = await replayBundle(bundle);
+  assert.equal(replay.error, null);
+  assert.equal(replay.divergedAt, null);
+  assert.deepEqual(replay.turns.map((turn) => turn.changed), [false]);
+});
+
+test('a caller who cuts in is not asked if they are there while still talking', async () => {
+  process.env.SILENCE_REPROMPT_SECONDS = '1';
+
+  const llm = [{ content: 'Of course. Which appointment would you like to move?' }];
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+  const server = await startStreamServer({ llmRouter: new ScriptedLLM(llm) });
+  const client = new MediaStreamClient({ url: server.url, playback: 'realtime' });
+
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+
+    // Cutting into the greeting clears it, and Twilio hands back its mark
+    client.startReply();
+    client.sendAudio(encodeSpeech('Hi, sorry, I need to'));
+    await client.waitFor('clear', { since: 0 });
+
+    // Still mid-sentence well past the re-prompt time
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    client.sendAudio(Buffer.concat([encodeSpeech(' move my appointment'), silence(500)]));
+    assert.equal(await client.waitForReply(), llm[0].content);
+
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    delete process.env.SILENCE_REPROMPT_SECONDS;
+    resetClock();
+    await server.close();
+  }
+
+  const { callLogs: [callLog] } = getMemoryTables();
+  assert.deepEqual(callLog.transcript.split('\n').slice(1), [
+    '[user]: Hi, sorry, I need to move my appointment',
+    `[ai]: ${llm[0].content}`,
+  ]);
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for outbound calls with answering machine detection
+ * (src/services/outbound-call.js): placing the call, the answer webhook and
+ * the voicemail the agent leaves on a machine
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { getVoicemailMessage, isMachineAnswer } = await import('../src/services/outbound-call.js');
+const { handleOutboundAnswer } = await import('../src/api/twilio/outbound.js');
+const { handleDemoCall } = await import('../src/api/demo/call.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setUpScenario, resetOfflineState } = await import('./harness/text-session.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getPlacedCalls } = await import('./harness/fake-call-control.js');
+const { fakeResponse, waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const OFFICE_NUMBER = '+15550000000';
+const PATIENT = '+15551234567';
+
+const outboundEnv = {
+  TWILIO_PHONE_NUMBER: OFFICE_NUMBER,
+  FLY_STREAM_URL: 'wss://agent.example.com/stream',
+};
+
+/**
+ * Ask the answer webhook what to do with a call
+ * @param {string} answeredBy - Twilio's AnsweredBy
+ * @returns {Promise<string>} TwiML
+ */
+async function answer(answeredBy) {
+  const res = fakeResponse();
+  await handleOutboundAnswer({
+    query: { purpose: 'demo' },
+    body: { CallSid: `CA-${answeredBy}`, To: PATIENT, From: OFFICE_NUMBER, AnsweredBy: answeredBy },
+  }, res);
+  return res.body;
+}
+
+/**
+ * The stream side of an answered outbound call
+ * @param {string} answeredBy - Twilio's AnsweredBy
+ * @returns {Promise<Object>} { reply, llm, callLog }
+ */
+async function streamOutboundCall(answeredBy) {
+  const llm = new ScriptedLLM([]);
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+  const server = await startStreamServer({ llmRouter: llm });
+  const client = new MediaStreamClient({
+    url: server.url,
+    from: PATIENT,
+    to: OFFICE_NUMBER,
+    parameters: { AnsweredBy: answeredBy, Purpose: 'demo' },
+  });
+
+  let reply;
+  try {
+    await withEnv(outboundEnv, async () => {
+      await client.connect();
+      reply = await client.waitForReply({ timeoutMs: 20000 });
+    });
+
+    // After a voicemail the agent hangs up by itself
+    if (isMachineAnswer(answeredBy)) await waitUntil(() => client.closed);
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    resetClock();
+    await server.close();
+  }
+
+  return { reply, llm, callLog: getMemoryTables().callLogs[0] };
+}
+
+test('the demo call goes out with machine detection and asks the answer webhook what to do', async () => {
+  resetOfflineState();
+
+  const res = fakeResponse();
+  await withEnv(outboundEnv, () => handleDemoCall({ body: { phoneNumber: PATIENT } }, res));
+
+  const [{ callSid, ...call }] = getPlacedCalls();
+  assert.equal(res.body.callSid, callSid);
+  assert.deepEqual(call, {
+    to: PATIENT,
+    from: OFFICE_NUMBER,
+    url: 'https://agent.example.com/api/twilio/outbound-answer?purpose=demo',
+    machineDetection: 'DetectMessageEnd',
+    statusCallback: null,
+  });
+});
+
+test('people are connected to the agent, machines get a voicemail, faxes are hung up on', async () => {
+  resetOfflineState();
+
+  assert.equal(isMachineAnswer('machine_end_beep'), true);
+  assert.equal(isMachineAnswer('unknown'), false);
+  assert.equal(isMachineAnswer(undefined), false);
+
+  await withEnv(outboundEnv, async () => {
+    const person = await answer('human');
+    assert.match(person, /<Connect><Stream url="wss:\/\/agent\.example\.com\/stream">/);
+    assert.match(person, /<Parameter name="To" value="\+15550000000"\/><Parameter name="From" value="\+15551234567"\/>/);
+    assert.match(person, /<Parameter name="AnsweredBy" value="human"\/><Parameter name="Purpose" value="demo"\/>/);
+    assert.match(person, /<\/Connect><Pause length="60"\/><\/Response>/);
+
+    const machine = await answer('machine_end_beep');
+    assert.match(machine, /<Parameter name="AnsweredBy" value="machine_end_beep"\/>/);
+    assert.match(machine, /<\/Connect><Hangup\/><\/Response>/);
+
+    assert.match(await answer('fax'), /<Response><Hangup\/><\/Response>/);
+  });
+
+  const [faxLog] = getMemoryTables().callLogs;
+  assert.equal(faxLog.twilio_call_sid, 'CA-fax');
+  assert.equal(faxLog.caller_phone, PATIENT);
+  assert.equal(faxLog.outcome, 'fax');
+});
+
+test('on a machine the agent leaves the voicemail and hangs up without starting a conversation', async () => {
+  const call = await streamOutboundCall('machine_end_beep');
+
+  await withEnv(outboundEnv, async () => {
+    assert.equal(call.reply, getVoicemailMessage('demo'));
+  });
+  assert.match(call.reply, /^Hi, this is Dr\. Smith's Dental Office returning your call\. Call us back at \(555\) 000-0000/);
+  assert.deepEqual(call.llm.requests, []);
+
+  assert.equal(call.callLog.caller_phone, PATIENT);
+  assert.equal(call.callLog.answered_by, 'machine_end_beep');
+  assert.equal(call.callLog.outcome, 'voicemail');
+  assert.equal(call.callLog.transcript, `[ai]: ${call.reply}`);
+});
+
+test('a person who picks up gets the usual greeting, and the call is logged as answered', async () => {
+  const call = await streamOutboundCall('human');
+
+  assert.match(call.reply, /^Thanks for calling/);
+  assert.equal(call.callLog.answered_by, 'human');
+  assert.equal(call.callLog.outcome, 'answered');
+});
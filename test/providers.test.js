@@ -0,0 +1,88 @@
+/**
+ * Unit tests for src/services/providers.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PROVIDERS,
+  normalizeProviders,
+  normalizeResources,
+  getProvider,
+  providersForService,
+  resourcesForService,
+  formatProviders,
+} from '../src/services/providers.js';
+import { normalizeCatalog } from '../src/services/service-catalog.js';
+
+const catalog = normalizeCatalog([
+  { id: 'checkup', name: 'Checkup', durationMinutes: 30 },
+  { id: 'cleaning', name: 'Dental cleaning', durationMinutes: 60 },
+]);
+
+const providers = normalizeProviders([
+  { id: 'dr_smith', name: 'Dr. Smith', role: 'dentist', calendarId: 'smith' },
+  {
+    id: 'dr_lee',
+    name: 'Dr. Lee',
+    role: 'dentist',
+    calendarId: 'lee',
+    services: ['checkup'],
+    weekly: {
+      monday: [{ start: '09:00', end: '17:00' }],
+      tuesday: [{ start: '09:00', end: '17:00' }],
+    },
+  },
+], catalog);
+
+test('default providers are valid', () => {
+  assert.equal(normalizeProviders(DEFAULT_PROVIDERS, catalog).length, DEFAULT_PROVIDERS.length);
+});
+
+test('normalizeProviders fills defaults', () => {
+  const [provider] = normalizeProviders([{ id: 'dr_smith', name: 'Dr. Smith' }], catalog);
+
+  assert.equal(provider.role, 'provider');
+  assert.equal(provider.calendarId, process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || 'primary');
+  assert.equal(provider.services, null);
+  assert.equal(provider.weekly, null);
+});
+
+test('normalizeProviders and normalizeResources reject bad definitions', () => {
+  assert.throws(() => normalizeProviders([], catalog), /non-empty array/);
+  assert.throws(() => normalizeProviders([{ id: 'Dr Smith', name: 'Dr. Smith' }], catalog), /needs an id/);
+  assert.throws(() => normalizeProviders([{ id: 'a', name: 'A' }, { id: 'a', name: 'B' }], catalog), /duplicate id/);
+  assert.throws(() => normalizeProviders([{ id: 'a', name: 'A', services: ['whitening'] }], catalog), /unknown service/);
+  assert.throws(() => normalizeResources([{ id: 'op1', name: 'Operatory 1' }], catalog), /needs a calendarId/);
+});
+
+test('getProvider matches IDs and spoken names', () => {
+  assert.equal(getProvider('dr_lee', providers).id, 'dr_lee');
+  assert.equal(getProvider('Dr. Lee', providers).id, 'dr_lee');
+  assert.equal(getProvider('Doctor Lee', providers).id, 'dr_lee');
+  assert.equal(getProvider('lee', providers).id, 'dr_lee');
+  assert.equal(getProvider('Dr. Jones', providers), null);
+  assert.equal(getProvider(null, providers), null);
+});
+
+test('providersForService and resourcesForService filter by service', () => {
+  const resources = normalizeResources([
+    { id: 'op1', name: 'Operatory 1', calendarId: 'op1', services: ['cleaning'] },
+  ], catalog);
+
+  assert.deepEqual(providersForService('cleaning', providers).map((p) => p.id), ['dr_smith']);
+  assert.deepEqual(providersForService('checkup', providers).map((p) => p.id), ['dr_smith', 'dr_lee']);
+  assert.deepEqual(resourcesForService('cleaning', resources).map((r) => r.id), ['op1']);
+  assert.deepEqual(resourcesForService('checkup', resources), []);
+});
+
+test('formatProviders lists services and working hours', () => {
+  assert.equal(
+    formatProviders(providers, catalog),
+    [
+      '- Dr. Smith (providerId: "dr_smith", dentist) - all services',
+      '- Dr. Lee (providerId: "dr_lee", dentist) - Checkup; works Monday - Tuesday 9:00 AM - 5:00 PM',
+    ].join('\n')
+  );
+});
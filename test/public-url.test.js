@@ -0,0 +1,43 @@
+/**
+ * Unit tests for src/utils/public-url.js
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { publicUrl } from '../src/utils/public-url.js';
+
+function request(proto = 'https') {
+  return {
+    protocol: 'http',
+    headers: { 'x-forwarded-proto': proto },
+    get: (name) => (name === 'host' ? 'agent.example.com' : undefined),
+  };
+}
+
+beforeEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+  delete process.env.FLY_STREAM_URL;
+});
+
+test('publicUrl rebuilds the URL a request was sent to behind a proxy', () => {
+  assert.equal(publicUrl('/api/twilio/sms', request()), 'https://agent.example.com/api/twilio/sms');
+  assert.equal(publicUrl('/api/twilio/sms', request('https, http')), 'https://agent.example.com/api/twilio/sms');
+});
+
+test('publicUrl uses the host of FLY_STREAM_URL when there is no request', () => {
+  process.env.FLY_STREAM_URL = 'wss://agent.example.com/stream';
+  assert.equal(publicUrl('/api/twilio/voicemail'), 'https://agent.example.com/api/twilio/voicemail');
+  assert.equal(publicUrl('/api/twilio/outbound-answer?purpose=demo'), 'https://agent.example.com/api/twilio/outbound-answer?purpose=demo');
+});
+
+test('PUBLIC_BASE_URL overrides the request and FLY_STREAM_URL', () => {
+  process.env.FLY_STREAM_URL = 'wss://agent.example.com/stream';
+  process.env.PUBLIC_BASE_URL = 'https://public.example.com/';
+  assert.equal(publicUrl('/api/twilio/sms', request()), 'https://public.example.com/api/twilio/sms');
+  assert.equal(publicUrl('/api/twilio/voicemail'), 'https://public.example.com/api/twilio/voicemail');
+});
+
+test('publicUrl needs somewhere to point without a request', () => {
+  assert.throws(() => publicUrl('/api/twilio/voicemail'), /PUBLIC_BASE_URL or FLY_STREAM_URL is required/);
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests for reminder calls (src/services/reminder-calls.js): choosing call or
+ * text, the reminder conversation, the voicemail, calls nobody answers and
+ * asking for call reminders when booking
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { processDueReminders } = await import('../src/services/reminder-scheduler.js');
+const { scheduleReminders } = await import('../src/services/reminder-jobs.js');
+const { getReminderChannel } = await import('../src/services/reminder-calls.js');
+const { getVoicemailMessage } = await import('../src/services/outbound-call.js');
+const { handleOutboundAnswer, handleOutboundStatus } = await import('../src/api/twilio/outbound.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { setClock, resetClock } = await import('./harness/clock.js');
+const { createAppointment, getMemoryTables, setReminderPreference } = await import('./harness/memory-db.js');
+const { getPlacedCalls } = await import('./harness/fake-call-control.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+const { fakeResponse, waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const OFFICE_NUMBER = '+15550000000';
+const PATIENT = '+15551234567';
+const NOW = '2026-11-16T10:00:00-08:00';
+
+const outboundEnv = {
+  TWILIO_PHONE_NUMBER: OFFICE_NUMBER,
+  FLY_STREAM_URL: 'wss://agent.example.com/stream',
+};
+
+/**
+ * Tomorrow's 10 AM appointment for a patient
+ * @param {Object} overrides - createAppointment fields to change
+ * @returns {Promise<Object>} Appointment row
+ */
+function bookTomorrow(overrides = {}) {
+  return createAppointment({
+    callerName: 'Jane Doe',
+    callerPhone: PATIENT,
+    appointmentTime: '2026-11-17T10:00:00-08:00',
+    reason: 'Cleaning',
+    serviceType: 'cleaning',
+    ...overrides,
+  });
+}
+
+/**
+ * The stream side of an answered reminder call
+ * @param {Object} appointment - Appointment being reminded about
+ * @param {Object} options
+ * @param {string} options.answeredBy - Twilio's AnsweredBy
+ * @param {Array} options.script - ScriptedLLM responses
+ * @param {Function} options.talk - async (client) => void, once the greeting or voicemail has played
+ * @returns {Promise<Object>} { greeting, llm, callLog, appointment }
+ */
+async function streamReminderCall(appointment, { answeredBy, script = [], talk = async () => {} }) {
+  const llm = new ScriptedLLM(script);
+  const server = await startStreamServer({ llmRouter: llm });
+  const client = new MediaStreamClient({
+    url: server.url,
+    from: PATIENT,
+    to: OFFICE_NUMBER,
+    parameters: { AnsweredBy: answeredBy, Purpose: 'reminder', AppointmentId: appointment.id },
+  });
+
+  let greeting;
+  try {
+    await withEnv(outboundEnv, async () => {
+      await client.connect();
+      greeting = await client.waitForReply({ timeoutMs: 20000 });
+      await talk(client);
+    });
+
+    if (answeredBy.startsWith('machine_')) await waitUntil(() => client.closed);
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0);
+  } finally {
+    await server.close();
+  }
+
+  const { callLogs: [callLog], appointments } = getMemoryTables();
+  return { greeting, llm, callLog, appointment: appointments.find((a) => a.id === appointment.id) };
+}
+
+test('reminders go by call for patients who asked for one, by text otherwise', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+
+  try {
+    const byAppointment = await bookTomorrow({ reminderChannel: 'call' });
+    const byPatient = await bookTomorrow({ callerName: 'Sam Lee', callerPhone: '+15557654321' });
+    const byText = await bookTomorrow({ callerName: 'Ana Ruiz', callerPhone: '+15559990000' });
+    await setReminderPreference('+15557654321', 'call');
+
+    // The appointment's own choice wins over the patient's
+    assert.equal(await getReminderChannel(byAppointment), 'call');
+    assert.equal(await getReminderChannel(byPatient), 'call');
+    assert.equal(await getReminderChannel(byText), 'sms');
+    assert.equal(await getReminderChannel({ ...byPatient, reminder_channel: 'sms' }), 'sms');
+
+    for (const appointment of [byAppointment, byPatient, byText]) await scheduleReminders(appointment);
+    setClock(NOW);
+
+    let result;
+    await withEnv(outboundEnv, async () => {
+      result = await processDueReminders({ workerId: 'test' });
+    });
+    assert.equal(result.total, 3);
+    assert.equal(result.called, 2);
+    assert.equal(result.sent, 1);
+
+    const calls = getPlacedCalls();
+    assert.deepEqual(calls.map((c) => c.to), [PATIENT, '+15557654321']);
+    assert.equal(calls[0].url, `https://agent.example.com/api/twilio/outbound-answer?purpose=reminder&appointmentId=${byAppointment.id}`);
+    assert.equal(calls[0].statusCallback, `https://agent.example.com/api/twilio/outbound-status?purpose=reminder&appointmentId=${byAppointment.id}`);
+    assert.equal(calls[0].machineDetection, 'DetectMessageEnd');
+
+    assert.deepEqual(getSentSms().map((m) => [m.kind, m.to]), [['reminder', '+15559990000']]);
+    assert.ok(getMemoryTables().appointments.every((a) => a.reminder_sent));
+  } finally {
+    resetClock();
+  }
+});
+
+test('the answer webhook passes the appointment on to the stream', async () => {
+  await withEnv(outboundEnv, async () => {
+    const res = fakeResponse();
+    await handleOutboundAnswer({
+      query: { purpose: 'reminder', appointmentId: 'appt-1' },
+      body: { CallSid: 'CA-human', To: PATIENT, From: OFFICE_NUMBER, AnsweredBy: 'human' },
+    }, res);
+
+    assert.match(res.body, /<Parameter name="Purpose" value="reminder"\/><Parameter name="AppointmentId" value="appt-1"\/>/);
+  });
+});
+
+test('a patient who picks up hears the appointment and can confirm it on the call', async () => {
+  await setUpScenario({ now: NOW });
+  const appointment = await bookTomorrow({ reminderChannel: 'call' });
+
+  const script = [
+    { toolCalls: [{ name: 'confirm_appointment', arguments: { appointmentId: appointment.id } }] },
+    { content: 'Great, we have you down. See you tomorrow!' },
+  ];
+
+  let reply;
+  let call;
+  try {
+    call = await streamReminderCall(appointment, {
+      answeredBy: 'human',
+      script,
+      talk: async (client) => {
+        client.say("Yes, I'll be there");
+        reply = await client.waitForReply();
+      },
+    });
+  } finally {
+    resetClock();
+  }
+
+  assert.equal(call.greeting, "Hi, this is Dr. Smith's Dental Office calling with a reminder for Jane Doe. Your appointment is on Tuesday, November 17 at 10:00 AM. Will you be able to make it?");
+  assert.equal(reply, script[1].content);
+
+  const systemPrompt = call.llm.requests[0].messages[0].content;
+  assert.match(systemPrompt, /## This Is A Reminder Call:/);
+  assert.match(systemPrompt, new RegExp(`Appointment ID: ${appointment.id}`));
+
+  assert.equal(call.appointment.reminder_result, 'confirmed');
+  assert.ok(call.appointment.patient_confirmed_at);
+  assert.equal(call.callLog.outcome, 'answered');
+});
+
+test('a machine gets the reminder as a voicemail', async () => {
+  await setUpScenario({ now: NOW });
+  const appointment = await bookTomorrow({ reminderChannel: 'call' });
+
+  let call;
+  try {
+    call = await streamReminderCall(appointment, { answeredBy: 'machine_end_beep' });
+
+    await withEnv(outboundEnv, async () => {
+      assert.equal(call.greeting, getVoicemailMessage('reminder', { appointment }));
+    });
+  } finally {
+    resetClock();
+  }
+
+  assert.match(call.greeting, /^Hi, this is Dr\. Smith's Dental Office with a reminder for Jane Doe: your appointment is on Tuesday, November 17 at 10:00 AM\. If you need to cancel or change it, call us at \(555\) 000-0000/);
+  assert.deepEqual(call.llm.requests, []);
+  assert.equal(call.appointment.reminder_result, 'voicemail');
+  assert.equal(call.callLog.outcome, 'voicemail');
+});
+
+test('a reminder call nobody picks up is recorded and texted instead', async () => {
+  await setUpScenario({ now: NOW });
+  const appointment = await bookTomorrow({ reminderChannel: 'call' });
+
+  const statusUpdate = (CallStatus) => {
+    const res = fakeResponse();
+    return handleOutboundStatus({
+      query: { purpose: 'reminder', appointmentId: appointment.id },
+      body: { CallSid: 'CA-reminder', CallStatus },
+    }, res).then(() => res.body);
+  };
+
+  try {
+    // An answered call's result comes from the stream, not from here
+    assert.match(await statusUpdate('completed'), /<Response\/>/);
+    assert.equal(getMemoryTables().appointments[0].reminder_result, null);
+    assert.deepEqual(getSentSms(), []);
+
+    await statusUpdate('no-answer');
+  } finally {
+    resetClock();
+  }
+
+  assert.equal(getMemoryTables().appointments[0].reminder_result, 'no_answer');
+  assert.deepEqual(getSentSms().map((m) => [m.kind, m.to]), [['reminder', PATIENT]]);
+});
+
+test('a patient can ask for call reminders when booking, and it sticks for next time', async () => {
+  await setUpScenario({ now: NOW });
+
+  const script = [
+    {
+      toolCalls: [{
+        name: 'create_appointment',
+        arguments: {
+          callerName: 'Jane Doe',
+          callerPhone: PATIENT,
+          date: '2026-11-18',
+          time: '09:00',
+          reason: 'Cleaning',
+          serviceType: 'cleaning',
+          reminderChannel: 'call',
+        },
+      }],
+    },
+    { content: "You're booked, and we'll call you the day before." },
+  ];
+
+  try {
+    const session = new TextSession({ channel: 'sms', llm: new ScriptedLLM(script) });
+    await session.say("Book me for Wednesday at 9, and please call instead of texting - I don't read texts");
+  } finally {
+    resetClock();
+  }
+
+  const { appointments: [appointment], reminderPreferences } = getMemoryTables();
+  assert.equal(appointment.reminder_channel, 'call');
+  assert.deepEqual(reminderPreferences.map((p) => [p.caller_phone, p.reminder_channel]), [[PATIENT, 'call']]);
+});
@@ -0,0 +1,317 @@
+/**
+ * Tests for the reminder job queue (src/services/reminder-jobs.js and
+ * src/services/reminder-scheduler.js): reminder stages, leases between
+ * machines, catching up after downtime, quiet hours and retries
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  getQuietHours,
+  getQuietHoursEnd,
+  getReminderOffsets,
+  scheduleReminders,
+} = await import('../src/services/reminder-jobs.js');
+const {
+  processDueReminders,
+  scheduleMissingReminders,
+  startReminderScheduler,
+} = await import('../src/services/reminder-scheduler.js');
+const { setUpScenario } = await import('./harness/text-session.js');
+const { setClock, resetClock } = await import('./harness/clock.js');
+const {
+  claimDueReminderJobs,
+  createAppointment,
+  finishReminderJob,
+  getMemoryTables,
+  updateAppointmentStatus,
+  updateAppointmentTime,
+} = await import('./harness/memory-db.js');
+const { beforeNextSms, getSentSms } = await import('./harness/fake-sms.js');
+const { waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const PATIENT = '+15551234567';
+
+/**
+ * Book an appointment for a patient
+ * @param {string} appointmentTime - ISO time
+ * @param {Object} overrides - createAppointment fields to change
+ * @returns {Promise<Object>} Appointment row
+ */
+function book(appointmentTime, overrides = {}) {
+  return createAppointment({
+    callerName: 'Jane Doe',
+    callerPhone: PATIENT,
+    appointmentTime,
+    reason: 'Cleaning',
+    serviceType: 'cleaning',
+    ...overrides,
+  });
+}
+
+/**
+ * The queued jobs, as [offset hours, due time, status]
+ * @returns {Array}
+ */
+function jobSummary() {
+  return getMemoryTables().reminderJobs
+    .sort((a, b) => a.due_at - b.due_at)
+    .map((j) => [j.offset_minutes / 60, j.due_at.toISOString(), j.status]);
+}
+
+test('reminder stages and quiet hours come from the environment', async () => {
+  await withEnv({ REMINDER_OFFSETS_HOURS: '2, 72,24,24,soon' }, async () => {
+    assert.deepEqual(getReminderOffsets(), [72 * 60, 24 * 60, 120]);
+  });
+  assert.deepEqual(getReminderOffsets(), [24 * 60]);
+
+  assert.deepEqual(getQuietHours(), { start: 21 * 60, end: 8 * 60 });
+  await withEnv({ REMINDER_QUIET_HOURS: 'off' }, async () => {
+    assert.equal(getQuietHours(), null);
+  });
+  await withEnv({ REMINDER_QUIET_HOURS: 'late' }, async () => {
+    assert.deepEqual(getQuietHours(), { start: 21 * 60, end: 8 * 60 });
+  });
+
+  // Late evening waits for the next morning, early morning for later that morning
+  const office = 'America/Los_Angeles';
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T22:30:00-08:00'), office).toISOString(), '2026-11-17T16:00:00.000Z');
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T06:00:00-08:00'), office).toISOString(), '2026-11-16T16:00:00.000Z');
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T12:00:00-08:00'), office), null);
+
+  // 7:30 PM in California is already 10:30 PM in New York
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T19:30:00-08:00'), office), null);
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T19:30:00-08:00'), 'America/New_York').toISOString(), '2026-11-17T13:00:00.000Z');
+
+  // A daytime window doesn't wrap
+  assert.equal(getQuietHoursEnd(new Date('2026-11-16T12:30:00-08:00'), office, { start: 12 * 60, end: 13 * 60 }).toISOString(), '2026-11-16T21:00:00.000Z');
+});
+
+test('booking queues the stages still ahead, and moving the appointment replaces them', async () => {
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+
+  try {
+    await withEnv({ REMINDER_OFFSETS_HOURS: '72,24,2' }, async () => {
+      // Two days out: too late for the 72-hour reminder
+      const appointment = await book('2026-11-18T10:00:00-08:00');
+      await scheduleReminders(appointment);
+      assert.deepEqual(jobSummary(), [
+        [24, '2026-11-17T18:00:00.000Z', 'pending'],
+        [2, '2026-11-18T16:00:00.000Z', 'pending'],
+      ]);
+
+      const moved = await updateAppointmentTime(appointment.id, '2026-11-20T15:00:00-08:00');
+      await scheduleReminders(moved);
+      assert.deepEqual(jobSummary(), [
+        [72, '2026-11-17T23:00:00.000Z', 'pending'],
+        [24, '2026-11-19T23:00:00.000Z', 'pending'],
+        [2, '2026-11-20T21:00:00.000Z', 'pending'],
+      ]);
+
+      // Appointments booked before the queue existed are picked up on boot
+      await book('2026-11-19T12:00:00-08:00', { callerPhone: '+15557654321' });
+      assert.equal(await scheduleMissingReminders(), 1);
+      assert.equal(getMemoryTables().reminderJobs.length, 6);
+    });
+  } finally {
+    resetClock();
+  }
+});
+
+test('a due reminder goes out once, even with two machines', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+
+  try {
+    const appointment = await book('2026-11-17T10:00:00-08:00');
+    await scheduleReminders(appointment);
+
+    // Nothing is due yet
+    assert.equal((await processDueReminders({ workerId: 'machine-a' })).total, 0);
+
+    // Machine A takes the job and stops before finishing it
+    setClock('2026-11-16T10:01:00-08:00');
+    const [job] = await claimDueReminderJobs({ workerId: 'machine-a', leaseSeconds: 300 });
+    assert.equal(job.attempts, 1);
+    assert.equal((await processDueReminders({ workerId: 'machine-b' })).total, 0);
+
+    // Once A's lease runs out, B picks it up
+    setClock('2026-11-16T10:07:00-08:00');
+    const result = await processDueReminders({ workerId: 'machine-b' });
+    assert.equal(result.sent, 1);
+    assert.equal(result.total, 1);
+
+    // A finishing late doesn't undo B's work
+    assert.equal(await finishReminderJob(job.id, 'machine-a', { status: 'pending' }), null);
+    assert.equal((await processDueReminders({ workerId: 'machine-b' })).total, 0);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getSentSms().map((m) => [m.kind, m.to]), [['reminder', PATIENT]]);
+
+  const [job] = getMemoryTables().reminderJobs;
+  assert.equal(job.status, 'sent');
+  assert.equal(job.attempts, 2);
+  assert.ok(job.sent_at);
+  assert.ok(getMemoryTables().appointments[0].reminder_sent);
+});
+
+test('an appointment moved while its reminder is going out gets that reminder again for the new time', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+
+  try {
+    const appointment = await book('2026-11-17T10:00:00-08:00');
+    await scheduleReminders(appointment);
+
+    // Staff move it to Friday while the text is being sent
+    beforeNextSms(async () => {
+      const moved = await updateAppointmentTime(appointment.id, '2026-11-20T15:00:00-08:00');
+      await scheduleReminders(moved);
+      assert.deepEqual(jobSummary(), [[24, '2026-11-16T18:00:00.000Z', 'running']]);
+    });
+
+    setClock('2026-11-16T10:01:00-08:00');
+    assert.equal((await processDueReminders({ workerId: 'machine-a' })).sent, 1);
+    assert.deepEqual(jobSummary(), [[24, '2026-11-19T23:00:00.000Z', 'pending']]);
+
+    setClock('2026-11-19T15:01:00-08:00');
+    assert.equal((await processDueReminders({ workerId: 'machine-a' })).sent, 1);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(
+    getSentSms().map((m) => new Date(m.appointmentTime).toISOString()),
+    ['2026-11-17T18:00:00.000Z', '2026-11-20T23:00:00.000Z']
+  );
+});
+
+test('the scheduler starts a run only once the last one has finished', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+  const OTHER_PATIENT = '+15557654321';
+
+  let stop = null;
+  try {
+    await scheduleReminders(await book('2026-11-17T10:00:00-08:00'));
+    await scheduleReminders(await book('2026-11-17T10:02:00-08:00', { callerPhone: OTHER_PATIENT }));
+
+    // The first text is slow to go out, and the second reminder falls due meanwhile
+    let release;
+    let sending = false;
+    beforeNextSms(async () => {
+      sending = true;
+      setClock('2026-11-16T10:03:00-08:00');
+      await new Promise((resolve) => { release = resolve; });
+    });
+
+    setClock('2026-11-16T10:01:00-08:00');
+    stop = startReminderScheduler({ intervalMs: 20 });
+    await waitUntil(() => sending);
+
+    // Several polls' worth of waiting: no second run picks up the new reminder
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepEqual(getSentSms(), []);
+
+    release();
+    await waitUntil(() => getMemoryTables().reminderJobs.every((j) => j.status === 'sent'));
+  } finally {
+    stop?.();
+    resetClock();
+  }
+
+  assert.deepEqual(getSentSms().map((m) => m.to), [PATIENT, OTHER_PATIENT]);
+});
+
+test('after downtime, reminders within the grace window still go out and older ones are dropped', async () => {
+  await setUpScenario({ now: '2026-11-15T09:00:00-08:00' });
+
+  const recent = await book('2026-11-17T12:00:00-08:00');
+  const stale = await book('2026-11-17T05:00:00-08:00', { callerPhone: '+15557654321' });
+  const cancelled = await book('2026-11-17T11:00:00-08:00', { callerPhone: '+15559990000' });
+
+  try {
+    for (const appointment of [recent, stale, cancelled]) await scheduleReminders(appointment);
+    await updateAppointmentStatus(cancelled.id, 'cancelled');
+
+    // First machine boots at 6 PM: 6 hours late for one, 13 for the other
+    setClock('2026-11-16T18:00:00-08:00');
+    const result = await processDueReminders({ workerId: 'machine-a' });
+    assert.equal(result.sent, 1);
+    assert.equal(result.expired, 1);
+    assert.equal(result.cancelled, 1);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getSentSms().map((m) => m.to), [PATIENT]);
+
+  const statusFor = (appointment) => getMemoryTables().reminderJobs.find((j) => j.appointment_id === appointment.id).status;
+  assert.equal(statusFor(recent), 'sent');
+  assert.equal(statusFor(stale), 'expired');
+  assert.equal(statusFor(cancelled), 'cancelled');
+});
+
+test("quiet hours follow the patient's timezone, and waiting doesn't count as an attempt", async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+
+  try {
+    // Due at 7 PM office time, which is 10 PM in New York
+    const local = await book('2026-11-17T19:00:00-08:00');
+    const eastern = await book('2026-11-17T19:00:00-08:00', { callerPhone: '+15557654321', callerTimezone: 'America/New_York' });
+    await scheduleReminders(local);
+    await scheduleReminders(eastern);
+
+    setClock('2026-11-16T19:01:00-08:00');
+    const result = await processDueReminders({ workerId: 'machine-a' });
+    assert.equal(result.sent, 1);
+    assert.equal(result.deferred, 1);
+    assert.deepEqual(getSentSms().map((m) => m.to), [PATIENT]);
+
+    const waiting = getMemoryTables().reminderJobs.find((j) => j.appointment_id === eastern.id);
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.due_at.toISOString(), '2026-11-17T13:00:00.000Z');
+    assert.equal(waiting.attempts, 0);
+
+    // 8 AM in New York
+    setClock('2026-11-17T05:00:00-08:00');
+    assert.equal((await processDueReminders({ workerId: 'machine-a' })).sent, 1);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getSentSms().map((m) => m.to), [PATIENT, '+15557654321']);
+});
+
+test('a reminder that fails is retried, then marked failed', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+
+  try {
+    // A call reminder with no TWILIO_PHONE_NUMBER to call from
+    const appointment = await book('2026-11-17T10:00:00-08:00', { reminderChannel: 'call' });
+    await scheduleReminders(appointment);
+
+    await withEnv({ REMINDER_MAX_ATTEMPTS: '2' }, async () => {
+      setClock('2026-11-16T10:00:00-08:00');
+      assert.equal((await processDueReminders({ workerId: 'machine-a' })).retried, 1);
+
+      const [job] = getMemoryTables().reminderJobs;
+      assert.equal(job.status, 'pending');
+      assert.equal(job.attempts, 1);
+      assert.equal(job.last_error, 'TWILIO_PHONE_NUMBER not configured');
+      assert.ok(job.due_at > new Date('2026-11-16T10:14:00-08:00'));
+
+      setClock('2026-11-16T10:16:00-08:00');
+      assert.equal((await processDueReminders({ workerId: 'machine-a' })).failed, 1);
+    });
+  } finally {
+    resetClock();
+  }
+
+  const [job] = getMemoryTables().reminderJobs;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 2);
+  assert.equal(getMemoryTables().appointments[0].reminder_sent, false);
+});
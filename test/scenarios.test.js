@@ -0,0 +1,151 @@
+/**
+ * Scenario regression suite (test/scenarios/) and its expectation checks
+ * Every scenario replays its recorded LLM responses through the real booking
+ * conversation and must meet its "expect" block.
+ * Run with: npm test (npm run scenarios for the full report)
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { loadScenarios, runRegression } = await import('./harness/regression.js');
+const { checkExpectations, matchValue, timesMentioned } = await import('./harness/expectations.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+
+const scenarios = await loadScenarios([new URL('./scenarios', import.meta.url).pathname]);
+
+for (const { file, scenario } of scenarios) {
+  test(`scenario: ${scenario.name}`, async () => {
+    const outcome = await runRegression(scenario);
+
+    assert.notEqual(outcome.status, 'skip', `${file} has no recorded LLM responses`);
+    assert.deepEqual(outcome.failures, []);
+  });
+}
+
+/**
+ * A finished run with just a transcript, for checking expectations
+ * @param {Array} transcript - Transcript entries
+ * @returns {Object} runScenario-shaped result
+ */
+function runWith(transcript) {
+  return { transcript, appointments: [], sms: [], ended: false, error: null };
+}
+
+const user = (text) => ({ speaker: 'user', text });
+const agent = (text, interim = false) => ({ speaker: 'agent', text, interim });
+const tool = (name, args = {}, result = { success: true }) => ({ speaker: 'tool', name, arguments: args, result });
+
+const slots = tool('get_available_slots', { date: '2026-11-18', serviceType: 'cleaning' });
+const booking = tool('create_appointment', { date: '2026-11-18', time: '09:00', serviceType: 'cleaning' });
+
+test('timesMentioned reads single times and lists', () => {
+  assert.deepEqual(timesMentioned('See you at 2:30 p.m.!'), [870]);
+  assert.deepEqual(timesMentioned('I have 9, 10 or 11 AM'), [540, 600, 660]);
+  assert.deepEqual(timesMentioned('11 AM or 2 PM'), [660, 840]);
+  assert.deepEqual(timesMentioned('Wednesday, November 18th at 9 AM'), [540]);
+  assert.deepEqual(timesMentioned('No times here, just 3 amazing offers'), []);
+});
+
+test('matchValue handles plain values and matchers', () => {
+  assert.ok(matchValue('Sarah', 'sarah'));
+  assert.ok(matchValue({ matches: '^dana' }, 'Dana Lee'));
+  assert.ok(matchValue({ oneOf: ['cleaning', 'checkup'] }, 'checkup'));
+  assert.ok(matchValue({ present: false }, undefined));
+  assert.ok(matchValue('2026-11-18T17:00:00.000Z', new Date('2026-11-18T17:00:00Z')));
+  assert.ok(!matchValue(true, 'true'));
+});
+
+test('expected tool calls must happen in order with matching arguments', () => {
+  const result = runWith([user('cleaning Wednesday'), slots, agent('9 or 10 AM?'), user('9'), booking]);
+
+  assert.deepEqual(checkExpectations({
+    toolCalls: [{ name: 'get_available_slots' }, { name: 'create_appointment', turn: 2, arguments: { time: '09:00' } }],
+  }, result), []);
+
+  const [outOfOrder] = checkExpectations({
+    toolCalls: [{ name: 'create_appointment' }, { name: 'get_available_slots' }],
+  }, result);
+  assert.match(outOfOrder.message, /get_available_slots was not called after create_appointment/);
+
+  const [wrongTime] = checkExpectations({
+    toolCalls: [{ name: 'create_appointment', arguments: { time: '10:00' } }],
+  }, result);
+  assert.match(wrongTime.message, /time: expected "10:00", got "09:00"/);
+});
+
+test('reading out more than the allowed number of slots fails', () => {
+  const result = runWith([user('cleaning Wednesday'), slots, agent('I have 9 AM, 10 AM, 11 AM, 1 PM and 2 PM.')]);
+
+  const failures = checkExpectations({ forbid: { maxSlotsPerReply: 3 } }, result);
+
+  assert.deepEqual(failures.map((f) => f.rule), ['maxSlotsPerReply']);
+  assert.match(failures[0].message, /read out 5 times/);
+});
+
+test('booking before the caller was offered times fails', () => {
+  const result = runWith([user('cleaning Wednesday'), slots, booking, agent('Booked you at 9 AM!')]);
+
+  const failures = checkExpectations({ forbid: { bookingBeforeChoice: true } }, result);
+
+  assert.deepEqual(failures.map((f) => f.rule), ['bookingBeforeChoice']);
+});
+
+test('confirming the chosen time twice fails', () => {
+  const transcript = [
+    user('cleaning Wednesday'), slots, agent('I have 9 AM or 10 AM. Which works?'),
+    user('9'), agent('Wednesday at 9 AM for a cleaning. Shall I book it?'),
+    user('yes'), agent('Just to confirm, Wednesday at 9 AM - is that right?'),
+    user('yes!'), booking,
+  ];
+
+  assert.deepEqual(checkExpectations({ forbid: { maxConfirmations: 1 } }, runWith(transcript.slice(0, 6).concat(booking))), []);
+
+  const failures = checkExpectations({ forbid: { maxConfirmations: 1 } }, runWith(transcript));
+  assert.deepEqual(failures.map((f) => f.rule), ['maxConfirmations']);
+});
+
+test('forbidden tools, call counts and reply patterns are reported', () => {
+  const result = runWith([
+    user('cancel it'), tool('cancel_appointment'), agent('Your appointment is confirmed as cancelled.'),
+    user('book again'), booking, booking,
+  ]);
+
+  const failures = checkExpectations({
+    forbid: { tools: ['cancel_appointment'], maxCalls: { create_appointment: 1 }, replies: ['confirmed'] },
+  }, result);
+
+  assert.deepEqual(failures.map((f) => f.rule), ['tools', 'maxCalls', 'replies']);
+});
+
+test('a run that errored fails its scenario', async () => {
+  const outcome = await runRegression({
+    name: 'Script too short',
+    channel: 'sms',
+    turns: ['Hi', 'Anyone there?'],
+    llm: [{ content: 'Hi! How can I help?' }],
+  });
+
+  assert.equal(outcome.status, 'fail');
+  assert.match(outcome.failures[0].message, /ran out of responses/);
+});
+
+test('scenarios without recorded responses are skipped offline', async () => {
+  const outcome = await runRegression({ name: 'Live only', turns: ['Hi'] });
+
+  assert.equal(outcome.status, 'skip');
+});
+
+test('a live run records responses that replay the same way', async () => {
+  const { scenario } = scenarios.find(({ file }) => file.endsWith('book-cleaning.json'));
+  const { llm: recording, ...turnsOnly } = scenario;
+
+  // Any LLMRouter-shaped model will do as the "live" one
+  const live = await runRegression(turnsOnly, { llm: new ScriptedLLM(recording) });
+  assert.equal(live.status, 'pass');
+  assert.deepEqual(live.recorded, recording);
+
+  const replay = await runRegression({ ...turnsOnly, llm: live.recorded });
+  assert.equal(replay.status, 'pass');
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for src/services/schedule.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  getOpenHours,
+  getOpenIntervals,
+  isOpenFor,
+  formatOfficeHours,
+} from '../src/services/schedule.js';
+
+const LA = 'America/Los_Angeles';
+
+const schedule = normalizeSchedule({
+  weekly: {
+    monday: [
+      { start: '13:00', end: '17:00' },
+      { start: '09:00', end: '12:00' },
+    ],
+    tuesday: [{ start: '09:00', end: '17:00' }],
+    saturday: [{ start: '09:00', end: '13:00' }],
+  },
+  holidays: [{ date: '2026-12-25', name: 'Christmas Day' }],
+  closures: [
+    { date: '2026-10-20', reason: 'Staff training', start: '12:00', end: '14:00' },
+    { date: '2026-10-27', reason: 'Office move' },
+  ],
+});
+
+test('normalizeSchedule sorts ranges and fills missing weekdays', () => {
+  assert.deepEqual(schedule.weekly.monday.map((r) => r.start), ['09:00', '13:00']);
+  assert.deepEqual(schedule.weekly.sunday, []);
+  assert.deepEqual(schedule.weekly.wednesday, []);
+});
+
+test('normalizeSchedule rejects bad definitions', () => {
+  assert.throws(() => normalizeSchedule({}), /"weekly" hours are required/);
+  assert.throws(() => normalizeSchedule({ weekly: { funday: [] } }), /unknown weekday/);
+  assert.throws(() => normalizeSchedule({ weekly: { monday: [{ start: '9am', end: '17:00' }] } }), /bad time/);
+  assert.throws(() => normalizeSchedule({ weekly: { monday: [{ start: '17:00', end: '09:00' }] } }), /ends before it starts/);
+  assert.throws(() => normalizeSchedule({ weekly: {}, holidays: [{ date: 'Dec 25' }] }), /bad date/);
+  assert.throws(() => normalizeSchedule({ weekly: {}, closures: [{ date: '2026-10-20', start: '12:00' }] }), /both start and end/);
+});
+
+test('getOpenHours follows the weekly hours', () => {
+  assert.deepEqual(getOpenHours('2026-10-19', schedule), {
+    ranges: [
+      { start: '09:00', end: '12:00' },
+      { start: '13:00', end: '17:00' },
+    ],
+    closedReason: null,
+  });
+  assert.deepEqual(getOpenHours('2026-10-24', schedule).ranges, [{ start: '09:00', end: '13:00' }]);
+  assert.deepEqual(getOpenHours('2026-10-25', schedule), { ranges: [], closedReason: null });
+});
+
+test('getOpenHours applies holidays and closures', () => {
+  assert.deepEqual(getOpenHours('2026-12-25', schedule), { ranges: [], closedReason: 'Christmas Day' });
+  assert.deepEqual(getOpenHours('2026-10-27', schedule), { ranges: [], closedReason: 'Office move' });
+  assert.deepEqual(getOpenHours('2026-10-20', schedule), {
+    ranges: [
+      { start: '09:00', end: '12:00' },
+      { start: '14:00', end: '17:00' },
+    ],
+    closedReason: 'Staff training',
+  });
+});
+
+test('getOpenIntervals converts open hours to UTC in the business timezone', () => {
+  const intervals = getOpenIntervals('2026-10-19', schedule, LA);
+
+  assert.deepEqual(
+    intervals.map((i) => [i.start.toISOString(), i.end.toISOString()]),
+    [
+      ['2026-10-19T16:00:00.000Z', '2026-10-19T19:00:00.000Z'],
+      ['2026-10-19T20:00:00.000Z', '2026-10-20T00:00:00.000Z'],
+    ]
+  );
+
+  // After fall-back the same wall-clock hours are an hour later in UTC
+  assert.equal(getOpenIntervals('2026-11-02', schedule, LA)[0].start.toISOString(), '2026-11-02T17:00:00.000Z');
+});
+
+test('isOpenFor requires the whole appointment inside one open period', () => {
+  const at = (iso) => new Date(iso);
+
+  // Monday 11:30-12:00 fits before lunch, 11:45-12:15 runs into it
+  assert.equal(isOpenFor(at('2026-10-19T18:30:00Z'), 30, schedule, LA), true);
+  assert.equal(isOpenFor(at('2026-10-19T18:45:00Z'), 30, schedule, LA), false);
+
+  // Saturday closes at 1 PM
+  assert.equal(isOpenFor(at('2026-10-24T19:30:00Z'), 30, schedule, LA), true);
+  assert.equal(isOpenFor(at('2026-10-24T20:00:00Z'), 30, schedule, LA), false);
+
+  // Sunday and holidays are closed
+  assert.equal(isOpenFor(at('2026-10-25T17:00:00Z'), 30, schedule, LA), false);
+  assert.equal(isOpenFor(at('2026-12-25T18:00:00Z'), 30, schedule, LA), false);
+});
+
+test('formatOfficeHours groups days and lists upcoming closures', () => {
+  const text = formatOfficeHours({
+    now: new Date('2026-10-19T18:00:00Z'),
+    lookaheadDays: 30,
+    schedule,
+    timezone: LA,
+  });
+
+  assert.equal(
+    text,
+    [
+      '- Monday: 9:00 AM - 12:00 PM, 1:00 PM - 5:00 PM',
+      '- Tuesday: 9:00 AM - 5:00 PM',
+      '- Wednesday - Friday: Closed',
+      '- Saturday: 9:00 AM - 1:00 PM',
+      '- Sunday: Closed',
+      '',
+      '**Upcoming Closures:**',
+      '- Tuesday, October 20: Open 9:00 AM - 12:00 PM, 2:00 PM - 5:00 PM only (Staff training)',
+      '- Tuesday, October 27: Closed (Office move)',
+    ].join('\n')
+  );
+});
+
+test('default schedule matches the hours the office advertises', () => {
+  const text = formatOfficeHours({
+    now: new Date('2026-01-15T18:00:00Z'),
+    lookaheadDays: 7,
+    schedule: normalizeSchedule(DEFAULT_SCHEDULE),
+    timezone: LA,
+  });
+
+  assert.equal(
+    text,
+    [
+      '- Monday - Friday: 9:00 AM - 5:00 PM',
+      '- Saturday: 9:00 AM - 1:00 PM',
+      '- Sunday: Closed',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for src/services/service-catalog.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SERVICES,
+  normalizeCatalog,
+  getService,
+  getBookingWindow,
+  checkBookingWindow,
+  formatServiceCatalog,
+} from '../src/services/service-catalog.js';
+
+const catalog = normalizeCatalog([
+  { id: 'cleaning', name: 'Dental cleaning', durationMinutes: 60, bufferAfterMinutes: 15, minNoticeHours: 24, maxAdvanceDays: 90 },
+  { id: 'new_patient', name: 'New patient visit', durationMinutes: 90, minNoticeHours: 48, maxAdvanceDays: 60 },
+  { id: 'emergency', name: 'Emergency visit', durationMinutes: 45, minNoticeHours: 1, maxAdvanceDays: 3 },
+]);
+
+test('default catalog is valid', () => {
+  assert.equal(normalizeCatalog(DEFAULT_SERVICES).length, DEFAULT_SERVICES.length);
+});
+
+test('normalizeCatalog fills defaults', () => {
+  const [emergency] = normalizeCatalog([{ id: 'emergency', durationMinutes: 45 }]);
+
+  assert.equal(emergency.name, 'emergency');
+  assert.equal(emergency.bufferBeforeMinutes, 0);
+  assert.equal(emergency.bufferAfterMinutes, 0);
+  assert.equal(emergency.minNoticeHours, 0);
+  assert.equal(emergency.maxAdvanceDays, 90);
+});
+
+test('normalizeCatalog rejects bad definitions', () => {
+  assert.throws(() => normalizeCatalog([]), /non-empty array/);
+  assert.throws(() => normalizeCatalog([{ id: 'Deep Clean', durationMinutes: 60 }]), /needs an id/);
+  assert.throws(() => normalizeCatalog([{ id: 'a', durationMinutes: 30 }, { id: 'a', durationMinutes: 30 }]), /duplicate id/);
+  assert.throws(() => normalizeCatalog([{ id: 'a', durationMinutes: 0 }]), /durationMinutes/);
+  assert.throws(() => normalizeCatalog([{ id: 'a', durationMinutes: 30, bufferAfterMinutes: -5 }]), /bufferAfterMinutes/);
+});
+
+test('getService matches IDs and names loosely', () => {
+  assert.equal(getService('cleaning', catalog).id, 'cleaning');
+  assert.equal(getService('New Patient', catalog).id, 'new_patient');
+  assert.equal(getService('new-patient', catalog).id, 'new_patient');
+  assert.equal(getService('dental cleaning', catalog).id, 'cleaning');
+  assert.equal(getService('whitening', catalog), null);
+  assert.equal(getService(undefined, catalog), null);
+});
+
+test('booking window applies minimum notice and horizon', () => {
+  const now = new Date('2026-10-19T17:00:00Z');
+  const cleaning = getService('cleaning', catalog);
+  const emergency = getService('emergency', catalog);
+
+  const { earliest, latest } = getBookingWindow(cleaning, now);
+  assert.equal(earliest.toISOString(), '2026-10-20T17:00:00.000Z');
+  assert.equal(latest.toISOString(), '2027-01-17T17:00:00.000Z');
+
+  assert.equal(checkBookingWindow(cleaning, new Date('2026-10-20T16:00:00Z'), now), 'too_soon');
+  assert.equal(checkBookingWindow(cleaning, new Date('2026-10-21T16:00:00Z'), now), null);
+  assert.equal(checkBookingWindow(cleaning, new Date('2027-02-01T16:00:00Z'), now), 'too_far');
+
+  assert.equal(checkBookingWindow(emergency, new Date('2026-10-19T17:30:00Z'), now), 'too_soon');
+  assert.equal(checkBookingWindow(emergency, new Date('2026-10-19T20:00:00Z'), now), null);
+  assert.equal(checkBookingWindow(emergency, new Date('2026-10-23T20:00:00Z'), now), 'too_far');
+});
+
+test('formatServiceCatalog lists each service with its serviceType', () => {
+  assert.equal(
+    formatServiceCatalog(catalog),
+    [
+      '- Dental cleaning (serviceType: "cleaning") - 60 min, book at least 1 day ahead, up to 90 days out',
+      '- New patient visit (serviceType: "new_patient") - 90 min, book at least 2 days ahead, up to 60 days out',
+      '- Emergency visit (serviceType: "emergency") - 45 min, same-day OK with 1 hour notice, up to 3 days out',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for holding times the agent confirms are open (src/services/slot-holds.js)
+ * and the hold-then-verify sequence create_appointment books with
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setClock, resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getCalendarBackend, getDefaultCalendarId } = await import('../src/services/calendar.js');
+const { holdAssignment } = await import('../src/services/slot-holds.js');
+const { providersForService } = await import('../src/services/providers.js');
+const { getService } = await import('../src/services/service-catalog.js');
+
+const NOW = '2026-11-16T09:00:00-08:00';
+const WEDNESDAY_10AM = { date: '2026-11-18', time: '10:00', serviceType: 'cleaning' };
+
+/**
+ * A caller texting the agent, whose model calls whichever tool the test says
+ * @returns {{llm: ScriptedLLM, session: TextSession}}
+ */
+function newCaller() {
+  const llm = new ScriptedLLM();
+  return { llm, session: new TextSession({ channel: 'sms', llm }) };
+}
+
+/**
+ * Have a caller's agent call one tool
+ * @param {Object} caller - From newCaller
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} Tool result
+ */
+async function useTool(caller, name, args) {
+  caller.llm.responses.push({ toolCalls: [{ name, arguments: args }] }, { content: 'OK' });
+  const { toolCalls } = await caller.session.say('Go ahead');
+  return toolCalls[0].result;
+}
+
+/**
+ * Book Wednesday at 10 for a caller
+ * @param {Object} caller - From newCaller
+ * @param {string} callerName - Patient name
+ * @returns {Promise<Object>} Tool result
+ */
+function book(caller, callerName) {
+  return useTool(caller, 'create_appointment', {
+    ...WEDNESDAY_10AM,
+    callerName,
+    callerPhone: '+15551234567',
+    reason: 'Cleaning',
+  });
+}
+
+test('a time one caller was told is open is held from everyone else until they book', async () => {
+  await setUpScenario({ now: NOW });
+  const first = newCaller();
+  const second = newCaller();
+
+  try {
+    assert.equal((await useTool(first, 'check_availability', WEDNESDAY_10AM)).available, true);
+
+    // Neither the same time nor one overlapping it
+    assert.equal((await useTool(second, 'check_availability', WEDNESDAY_10AM)).available, false);
+    assert.equal((await useTool(second, 'check_availability', { ...WEDNESDAY_10AM, time: '10:30' })).available, false);
+    const slots = await useTool(second, 'get_available_slots', { date: '2026-11-18', serviceType: 'cleaning' });
+    assert.ok(!slots.slots.some((slot) => slot.time === '10:00'));
+
+    const taken = await book(second, 'Sam');
+    assert.equal(taken.justTaken, true);
+    assert.match(taken.message, /10:00 on 2026-11-18 was just taken/);
+
+    // The holder can still look again, and book
+    assert.equal((await useTool(first, 'check_availability', WEDNESDAY_10AM)).available, true);
+    assert.equal((await book(first, 'Jane')).success, true);
+  } finally {
+    resetClock();
+  }
+
+  const { appointments, slotHolds } = getMemoryTables();
+  assert.deepEqual(appointments.map((a) => a.caller_name), ['Jane']);
+  assert.deepEqual(slotHolds, []);
+});
+
+test('a hold covers the cleanup time after the appointment', async () => {
+  await setUpScenario({ now: NOW });
+  const first = newCaller();
+  const second = newCaller();
+
+  try {
+    // A cleaning at 10 needs the room until 11:15
+    assert.equal((await useTool(first, 'check_availability', WEDNESDAY_10AM)).available, true);
+
+    const checkup = { date: '2026-11-18', serviceType: 'checkup' };
+    assert.equal((await useTool(second, 'check_availability', { ...checkup, time: '11:00' })).available, false);
+    assert.equal((await useTool(second, 'check_availability', { ...checkup, time: '11:30' })).available, true);
+  } finally {
+    resetClock();
+  }
+
+  const [hold] = getMemoryTables().slotHolds.filter((h) => h.starts_at.toISOString() === '2026-11-18T18:00:00.000Z');
+  assert.equal(hold.ends_at.toISOString(), '2026-11-18T19:15:00.000Z');
+});
+
+test('a caller who loses the race for a time keeps the time they had', async () => {
+  await setUpScenario({ now: NOW });
+  const first = newCaller();
+  const second = newCaller();
+
+  try {
+    assert.equal((await useTool(first, 'check_availability', WEDNESDAY_10AM)).available, true);
+    assert.equal((await useTool(second, 'check_availability', { ...WEDNESDAY_10AM, time: '14:00' })).available, true);
+
+    // Second saw 10 AM free just before first's hold went in
+    const assignment = { provider: providersForService('cleaning')[0], resource: null };
+    const tenAm = new Date('2026-11-18T10:00:00-08:00');
+    assert.equal(await holdAssignment(second.session.conversation.sessionId, assignment, tenAm, getService('cleaning')), false);
+
+    // 2 PM is still second's
+    assert.equal((await useTool(first, 'check_availability', { ...WEDNESDAY_10AM, time: '14:00' })).available, false);
+    const booked = await useTool(second, 'create_appointment', {
+      ...WEDNESDAY_10AM,
+      time: '14:00',
+      callerName: 'Sam',
+      callerPhone: '+15551234567',
+      reason: 'Cleaning',
+    });
+    assert.equal(booked.success, true);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments.map((a) => a.caller_name), ['Sam']);
+});
+
+test('a hold nobody booked expires and frees the time', async () => {
+  await setUpScenario({ now: NOW });
+  const first = newCaller();
+  const second = newCaller();
+
+  try {
+    assert.equal((await useTool(first, 'check_availability', WEDNESDAY_10AM)).available, true);
+    assert.equal((await useTool(second, 'check_availability', WEDNESDAY_10AM)).available, false);
+
+    // SLOT_HOLD_SECONDS (5 minutes by default) later
+    setClock('2026-11-16T09:05:30-08:00');
+    assert.equal((await useTool(second, 'check_availability', WEDNESDAY_10AM)).available, true);
+    assert.equal((await book(second, 'Sam')).success, true);
+
+    // Now the first caller is the one who missed out
+    assert.equal((await book(first, 'Jane')).justTaken, true);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments.map((a) => a.caller_name), ['Sam']);
+});
+
+test('a booking re-checks the live calendar, and a time staff filled meanwhile is reported taken', async () => {
+  await setUpScenario({ now: NOW });
+  const caller = newCaller();
+
+  try {
+    // Offered from the busy cache...
+    assert.equal((await useTool(caller, 'check_availability', WEDNESDAY_10AM)).available, true);
+
+    // ...then staff put something in the calendar directly, which the cache hasn't seen
+    await getCalendarBackend().createEvent(getDefaultCalendarId(), {
+      summary: 'Emergency patient',
+      start: new Date('2026-11-18T10:00:00-08:00'),
+      end: new Date('2026-11-18T11:00:00-08:00'),
+    });
+
+    const result = await book(caller, 'Jane');
+    assert.equal(result.success, false);
+    assert.equal(result.justTaken, true);
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments, []);
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for src/utils/sms-commands.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSmsCommand } from '../src/utils/sms-commands.js';
+
+test('parseSmsCommand recognises keywords in any case and punctuation', () => {
+  assert.equal(parseSmsCommand('CANCEL'), 'cancel');
+  assert.equal(parseSmsCommand(' c '), 'cancel');
+  assert.equal(parseSmsCommand('Cancel please!'), 'cancel');
+  assert.equal(parseSmsCommand('confirm'), 'confirm');
+  assert.equal(parseSmsCommand('Y'), 'confirm');
+  assert.equal(parseSmsCommand('Yes!'), 'confirm');
+  assert.equal(parseSmsCommand('Reschedule'), 'reschedule');
+  assert.equal(parseSmsCommand('help'), 'help');
+});
+
+test('parseSmsCommand only takes YES and single letters on their own', () => {
+  assert.equal(parseSmsCommand('C you tomorrow'), null);
+  assert.equal(parseSmsCommand('R u open saturday'), null);
+  // Questions, not confirmations
+  assert.equal(parseSmsCommand('Yes, but can I move it?'), null);
+  assert.equal(parseSmsCommand('Y not Friday?'), null);
+});
+
+test('parseSmsCommand leaves carrier opt-out keywords to Twilio', () => {
+  assert.equal(parseSmsCommand('STOP'), 'opt_out');
+  assert.equal(parseSmsCommand('unsubscribe'), 'opt_out');
+  // Not a bare keyword, so not an opt-out
+  assert.equal(parseSmsCommand('stop by at 3?'), null);
+});
+
+test('parseSmsCommand returns null for anything else', () => {
+  assert.equal(parseSmsCommand('What time is my appointment?'), null);
+  assert.equal(parseSmsCommand(''), null);
+  assert.equal(parseSmsCommand(undefined), null);
+  assert.equal(parseSmsCommand('👍'), null);
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for conversational SMS booking (src/services/sms-conversation.js):
+ * conversations that go quiet start over, and texts from one number are
+ * answered one at a time
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  getConversationTimeoutMinutes,
+  handleSmsConversation,
+  hasActiveSmsConversation,
+} = await import('../src/services/sms-conversation.js');
+const { setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { setClock, resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const PATIENT = '+15551234567';
+
+/**
+ * What the patient had said so far when the model was called
+ * @param {ScriptedLLM} llm - Model
+ * @param {number} call - Call index
+ * @returns {Array<string>} Patient messages
+ */
+function patientTextsSeen(llm, call) {
+  return llm.requests[call].messages.filter((m) => m.role === 'user').map((m) => m.content);
+}
+
+/**
+ * The saved conversation's session ID
+ * @returns {string|undefined}
+ */
+function savedSessionId() {
+  return getMemoryTables().smsConversations.find((c) => c.phone === PATIENT)?.session_id;
+}
+
+test('a conversation continues while the patient keeps texting and starts over once it goes quiet', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+  const llm = new ScriptedLLM([
+    { content: 'Sure - what day works for you?' },
+    { content: 'Let me look at Wednesday.' },
+    { content: 'Hi! How can we help?' },
+  ]);
+
+  try {
+    assert.equal(await hasActiveSmsConversation(PATIENT), false);
+    await handleSmsConversation({ from: PATIENT, body: 'Can I get a cleaning?' }, { llmRouter: llm });
+    const firstSession = savedSessionId();
+    assert.ok(firstSession);
+
+    setClock('2026-11-16T09:29:00-08:00');
+    assert.equal(await hasActiveSmsConversation(PATIENT), true);
+    assert.equal(
+      await handleSmsConversation({ from: PATIENT, body: 'Wednesday' }, { llmRouter: llm }),
+      'Let me look at Wednesday.'
+    );
+    assert.deepEqual(patientTextsSeen(llm, 1), ['Can I get a cleaning?', 'Wednesday']);
+    assert.equal(savedSessionId(), firstSession);
+
+    // 30 minutes after the last text
+    setClock('2026-11-16T09:59:30-08:00');
+    assert.equal(await hasActiveSmsConversation(PATIENT), false);
+    await handleSmsConversation({ from: PATIENT, body: 'Hello?' }, { llmRouter: llm });
+    assert.deepEqual(patientTextsSeen(llm, 2), ['Hello?']);
+    assert.notEqual(savedSessionId(), firstSession);
+
+    // A shorter timeout from the environment
+    setClock('2026-11-16T10:05:00-08:00');
+    assert.equal(await hasActiveSmsConversation(PATIENT), true);
+    await withEnv({ SMS_CONVERSATION_TIMEOUT_MINUTES: '5' }, async () => {
+      assert.equal(getConversationTimeoutMinutes(), 5);
+      assert.equal(await hasActiveSmsConversation(PATIENT), false);
+    });
+    await withEnv({ SMS_CONVERSATION_TIMEOUT_MINUTES: 'soon' }, async () => {
+      assert.equal(getConversationTimeoutMinutes(), 30);
+    });
+  } finally {
+    resetClock();
+  }
+});
+
+test('two texts that arrive together are answered in order, in one conversation', async () => {
+  await setUpScenario({ now: '2026-11-16T09:00:00-08:00' });
+  const llm = new ScriptedLLM([
+    { content: 'Sure - what day works for you?' },
+    { content: 'Mornings on Wednesday are open.' },
+  ]);
+
+  // Hold the model's first answer until both texts are in
+  let release;
+  let waiting = false;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const chat = llm.chat.bind(llm);
+  llm.chat = async (...args) => {
+    if (llm.requests.length === 0) {
+      waiting = true;
+      await gate;
+    }
+    return chat(...args);
+  };
+
+  try {
+    const first = handleSmsConversation({ from: PATIENT, body: 'Can I get a cleaning?' }, { llmRouter: llm });
+    const second = handleSmsConversation({ from: PATIENT, body: 'Mornings are best' }, { llmRouter: llm });
+
+    await waitUntil(() => waiting);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    release();
+
+    assert.deepEqual(await Promise.all([first, second]), [
+      'Sure - what day works for you?',
+      'Mornings on Wednesday are open.',
+    ]);
+  } finally {
+    resetClock();
+  }
+
+  // The second text was answered with the first one (and its reply) in view
+  assert.equal(llm.requests.length, 2);
+  assert.deepEqual(patientTextsSeen(llm, 1), ['Can I get a cleaning?', 'Mornings are best']);
+
+  const [saved] = getMemoryTables().smsConversations;
+  assert.deepEqual(
+    saved.messages.filter((m) => m.role !== 'system').map((m) => [m.role, m.content]),
+    [
+      ['user', 'Can I get a cleaning?'],
+      ['assistant', 'Sure - what day works for you?'],
+      ['user', 'Mornings are best'],
+      ['assistant', 'Mornings on Wednesday are open.'],
+    ]
+  );
+});
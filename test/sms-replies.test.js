@@ -0,0 +1,166 @@
+/**
+ * Tests for keyword replies to confirmation and reminder texts
+ * (src/services/sms-replies.js) and how the inbound SMS webhook
+ * (src/api/twilio/sms.js) routes them
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Cleanings need an operatory, so a cancellation has two events to free
+process.env.RESOURCES = JSON.stringify([{ id: 'op1', name: 'Operatory 1', calendarId: 'operatory-1' }]);
+
+const { handleSmsReply } = await import('../src/services/sms-replies.js');
+const { handleInboundSms } = await import('../src/api/twilio/sms.js');
+const { handleSmsConversation } = await import('../src/services/sms-conversation.js');
+const { getCalendarBackend, getDefaultCalendarId } = await import('../src/services/calendar.js');
+const { TextSession, setUpScenario } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables } = await import('./harness/memory-db.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+const { callApi, waitUntil, withEnv } = await import('./harness/test-utils.js');
+
+const NOW = '2026-11-16T09:00:00-08:00';
+const PATIENT = '+15551234567';
+
+/**
+ * Book a cleaning for the patient through the agent
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} Appointment row
+ */
+async function book(date) {
+  const llm = new ScriptedLLM([
+    {
+      toolCalls: [{
+        name: 'create_appointment',
+        arguments: {
+          date,
+          time: '10:00',
+          serviceType: 'cleaning',
+          callerName: 'Jane',
+          callerPhone: PATIENT,
+          reason: 'Cleaning',
+        },
+      }],
+    },
+    { content: 'Booked.' },
+  ]);
+  const { toolCalls } = await new TextSession({ channel: 'sms', llm }).say('Book me in');
+  assert.equal(toolCalls[0].result.success, true);
+  return getMemoryTables().appointments.find((a) => a.id === toolCalls[0].result.appointmentId);
+}
+
+/**
+ * An appointment row as it is now
+ * @param {string} id - Appointment ID
+ * @returns {Object}
+ */
+function appointmentNow(id) {
+  return getMemoryTables().appointments.find((a) => a.id === id);
+}
+
+test('CANCEL cancels the next upcoming appointment and frees its calendar time', async () => {
+  await setUpScenario({ now: NOW });
+
+  let next;
+  let later;
+  try {
+    later = await book('2026-11-25');
+    next = await book('2026-11-18');
+
+    const result = await handleSmsReply({ from: PATIENT, body: 'Cancel' });
+    assert.deepEqual(result, { command: 'cancel', appointmentId: next.id, reply: null });
+  } finally {
+    resetClock();
+  }
+
+  assert.equal(appointmentNow(next.id).status, 'cancelled');
+  assert.equal(appointmentNow(later.id).status, 'confirmed');
+
+  const backend = getCalendarBackend();
+  assert.equal((await backend.getEvent(getDefaultCalendarId(), next.google_calendar_event_id)).status, 'cancelled');
+  assert.equal((await backend.getEvent('operatory-1', next.resource_event_id)).status, 'cancelled');
+  assert.equal((await backend.getEvent(getDefaultCalendarId(), later.google_calendar_event_id)).status, 'confirmed');
+
+  // The cancellation text is the answer
+  assert.deepEqual(getSentSms().filter((m) => m.kind === 'cancellation').map((m) => m.to), [PATIENT]);
+});
+
+test('CONFIRM records that the patient is coming', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book('2026-11-18');
+
+    const result = await handleSmsReply({ from: PATIENT, body: 'yes' });
+    assert.equal(result.command, 'confirm');
+    assert.equal(result.appointmentId, appointment.id);
+    assert.match(result.reply, /Thanks, Jane! Your appointment on Wednesday, November 18 at 10:00 AM is confirmed/);
+  } finally {
+    resetClock();
+  }
+
+  const row = appointmentNow(appointment.id);
+  assert.equal(row.status, 'confirmed');
+  assert.ok(row.patient_confirmed_at);
+});
+
+test('a reply from a number with no upcoming appointment says so and changes nothing', async () => {
+  await setUpScenario({ now: NOW });
+
+  try {
+    await book('2026-11-18');
+
+    const result = await withEnv({ TWILIO_PHONE_NUMBER: '+15550001111' }, () => (
+      handleSmsReply({ from: '+15559876543', body: 'CANCEL' })
+    ));
+    assert.deepEqual(result, {
+      command: 'cancel',
+      appointmentId: null,
+      reply: "We couldn't find an upcoming appointment for this number. To book one, text us when you'd like to come in or call us at +15550001111.",
+    });
+  } finally {
+    resetClock();
+  }
+
+  assert.deepEqual(getMemoryTables().appointments.map((a) => a.status), ['confirmed']);
+  assert.deepEqual(getSentSms().filter((m) => m.kind === 'cancellation'), []);
+});
+
+test('the webhook answers keywords itself, but sends them to an open booking conversation', async () => {
+  await setUpScenario({ now: NOW });
+
+  let appointment;
+  try {
+    appointment = await book('2026-11-18');
+
+    // No conversation open: answered in the webhook's TwiML
+    const confirmed = await callApi(handleInboundSms, { body: { From: PATIENT, Body: 'CONFIRM', MessageSid: 'SM1' } });
+    assert.match(confirmed.body, /<Message>Thanks, Jane! Your appointment on Wednesday, November 18 at 10:00 AM is confirmed/);
+
+    // Mid-conversation, "cancel" is part of the conversation
+    await handleSmsConversation({ from: PATIENT, body: 'Can I book my son in too?' }, {
+      llmRouter: new ScriptedLLM([{ content: 'Sure - what day works?' }]),
+    });
+    const sent = getSentSms().length;
+
+    // No model here, so the conversation answers with its apology
+    const routed = await withEnv({ GROQ_API_KEY: '' }, async () => {
+      const response = await callApi(handleInboundSms, { body: { From: PATIENT, Body: 'Cancel', MessageSid: 'SM2' } });
+      await waitUntil(() => getSentSms().length > sent);
+      return response;
+    });
+    assert.doesNotMatch(routed.body, /<Message>/);
+    assert.deepEqual(getSentSms().slice(sent).map((m) => [m.kind, m.body]), [
+      ['message', "Sorry, we couldn't process your message. Please give us a call."],
+    ]);
+  } finally {
+    resetClock();
+  }
+
+  assert.equal(appointmentNow(appointment.id).status, 'confirmed');
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for streaming LLM text into TTS (src/utils/speech-stream.js)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncQueue, SentenceChunker } from '../src/utils/speech-stream.js';
+
+/**
+ * Push deltas through a chunker
+ * @param {Array<string>} deltas - Streamed fragments
+ * @returns {{sentences: Array<string>, rest: string}} Sentences as they came out, then the flush
+ */
+function chunk(deltas) {
+  const chunker = new SentenceChunker();
+  const sentences = deltas.flatMap((delta) => chunker.push(delta));
+  return { sentences, rest: chunker.flush() };
+}
+
+test('sentences come out as soon as they end, however the text is split', () => {
+  const chunker = new SentenceChunker();
+
+  assert.deepEqual(chunker.push('Sure'), []);
+  assert.deepEqual(chunker.push(', I can help with that'), []);
+  assert.deepEqual(chunker.push('! What day works'), ['Sure, I can help with that!']);
+  assert.deepEqual(chunker.push(' for you? "Tuesday." Then'), ['What day works for you?', '"Tuesday."']);
+  assert.equal(chunker.flush(), 'Then');
+  assert.equal(chunker.flush(), '');
+});
+
+test('abbreviations and initials do not end a sentence', () => {
+  assert.deepEqual(chunk(['Dr. Smith can see J. Doe at 3 p.m. on Tuesday. ', 'Does that work?']), {
+    sentences: ['Dr. Smith can see J. Doe at 3 p.m. on Tuesday.'],
+    rest: 'Does that work?',
+  });
+  assert.deepEqual(chunk(['We are at 12 Main St. Ste. 4, e.g. near the bank. ']).sentences, [
+    'We are at 12 Main St. Ste. 4, e.g. near the bank.',
+  ]);
+});
+
+test('"No." ends a sentence unless a number follows', () => {
+  assert.deepEqual(chunk(['No. That time is taken. ']).sentences, ['No.', 'That time is taken.']);
+  assert.deepEqual(chunk(['Your room is no. 5 today. ']).sentences, ['Your room is no. 5 today.']);
+
+  // Held until the next word shows which it is
+  const chunker = new SentenceChunker();
+  assert.deepEqual(chunker.push('No. '), []);
+  assert.deepEqual(chunker.push('4 is free. '), ['No. 4 is free.']);
+  assert.deepEqual(chunker.push('No. '), []);
+  assert.deepEqual(chunker.push('Sorry'), ['No.']);
+  assert.equal(chunker.flush(), 'Sorry');
+});
+
+test('leaked <function=...> text is held back until it closes', () => {
+  const chunker = new SentenceChunker();
+
+  assert.deepEqual(chunker.push('Let me check. <function=take_message>{"summary": "Wants a call. '), ['Let me check.']);
+  assert.deepEqual(chunker.push('Soon please."}'), []);
+  // Then comes out whole, so stripFunctionCalls can remove it
+  assert.deepEqual(chunker.push('</function> Done. '), ['<function=take_message>{"summary": "Wants a call. Soon please."}</function> Done.']);
+  assert.equal(chunker.flush(), '');
+
+  // Never closed: it all comes out at the end of the stream, for the caller to strip
+  assert.deepEqual(chunk(['One moment. <function=find_upcoming_appointments>{}. ']), {
+    sentences: ['One moment.'],
+    rest: '<function=find_upcoming_appointments>{}.',
+  });
+});
+
+test('the queue hands items to a for-await consumer in order, then ends', async () => {
+  const queue = new AsyncQueue();
+  queue.push('first');
+
+  const received = [];
+  const consumed = (async () => {
+    for await (const item of queue) received.push(item);
+  })();
+
+  // Pushed while the consumer is waiting
+  await new Promise((resolve) => setImmediate(resolve));
+  queue.push('second');
+  queue.push('third');
+  queue.end();
+  queue.push('ignored');
+
+  await consumed;
+  assert.deepEqual(received, ['first', 'second', 'third']);
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for messages left for staff (take_message, src/services/staff-messages.js)
+ * and the callback queue API (src/api/messages/queue.js)
+ * Run with: npm test
+ */
+
+import './harness/register.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { TextSession, setUpScenario, resetOfflineState } = await import('./harness/text-session.js');
+const { ScriptedLLM } = await import('./harness/scripted-llm.js');
+const { MediaStreamClient } = await import('./harness/media-stream-client.js');
+const { startStreamServer } = await import('./harness/stream-server.js');
+const { resetClock } = await import('./harness/clock.js');
+const { getMemoryTables, createMessage } = await import('./harness/memory-db.js');
+const { getSentSms } = await import('./harness/fake-sms.js');
+const { callApi, waitUntil } = await import('./harness/test-utils.js');
+const { handleListMessages, handleAssignMessage, handleResolveMessage } = await import('../src/api/messages/queue.js');
+
+const OFFICE_MANAGER = '+15550009999';
+
+const refillMessage = {
+  callerName: 'Dana Reyes',
+  callbackNumber: '(555) 222-3333',
+  topic: 'Prescription refill',
+  details: 'Needs her amoxicillin refilled before Friday',
+  urgency: 'urgent',
+};
+
+test('a message is saved with the callback number and urgency, and staff are texted', async () => {
+  resetOfflineState();
+  process.env.MESSAGE_SMS_NUMBER = OFFICE_MANAGER;
+
+  try {
+    const session = new TextSession({
+      llm: new ScriptedLLM([
+        { toolCalls: [{ name: 'take_message', arguments: refillMessage }] },
+        { content: "Got it, Dana. Someone will call you back at (555) 222-3333 as soon as they can. Anything else?" },
+      ]),
+    });
+
+    const { toolCalls } = await session.say('I just need a refill on my prescription, can someone call me?');
+    assert.equal(toolCalls[0].result.success, true);
+    assert.equal(toolCalls[0].result.callbackNumber, '(555) 222-3333');
+    assert.match(toolCalls[0].result.message, /call them back at \(555\) 222-3333 as soon as they can/);
+  } finally {
+    delete process.env.MESSAGE_SMS_NUMBER;
+  }
+
+  const [message] = getMemoryTables().messages;
+  assert.equal(message.channel, 'voice');
+  assert.equal(message.caller_name, 'Dana Reyes');
+  assert.equal(message.callback_phone, '+15552223333');
+  assert.equal(message.urgency, 'urgent');
+  assert.equal(message.status, 'open');
+  assert.equal(message.staff_notified, true);
+
+  assert.deepEqual(getSentSms().map(({ to, body }) => ({ to, body })), [{
+    to: OFFICE_MANAGER,
+    body: [
+      'URGENT message from Dana Reyes (+15552223333)',
+      'Topic: Prescription refill',
+      'Needs her amoxicillin refilled before Friday',
+      'Call back: +15552223333',
+    ].join('\n'),
+  }]);
+});
+
+test('"the same number" means the one they texted from; with nobody to text the message just waits', async () => {
+  resetOfflineState();
+
+  const session = new TextSession({
+    channel: 'sms',
+    callerPhone: '+15551234567',
+    llm: new ScriptedLLM([
+      {
+        toolCalls: [{
+          name: 'take_message',
+          arguments: { callerName: 'Sam', callbackNumber: 'same number', topic: 'Billing question', urgency: 'whenever' },
+        }],
+      },
+      { content: "Thanks Sam, we'll call you back." },
+    ]),
+  });
+
+  await session.say('Question about my bill, can someone call me?');
+
+  const [message] = getMemoryTables().messages;
+  assert.equal(message.channel, 'sms');
+  assert.equal(message.callback_phone, '+15551234567');
+  assert.equal(message.urgency, 'normal');
+  assert.equal(message.staff_notified, false);
+  assert.deepEqual(getSentSms(), []);
+});
+
+test('messages taken on a phone call are linked to its call log', async () => {
+  const llm = new ScriptedLLM([
+    { toolCalls: [{ name: 'take_message', arguments: { ...refillMessage, urgency: 'normal' } }] },
+    { content: "Thanks, Dana. We'll call you back. Anything else?" },
+  ]);
+
+  await setUpScenario({ now: '2026-11-16T10:00:00-08:00' });
+  const server = await startStreamServer({ llmRouter: llm });
+  const client = new MediaStreamClient({ url: server.url });
+
+  try {
+    await client.connect();
+    await client.waitForReply({ timeoutMs: 20000 });
+
+    client.say('Can the office call me about a refill?');
+    await client.waitForReply();
+    await client.hangUp();
+    await waitUntil(() => getMemoryTables().callLogs.length > 0 && getMemoryTables().messages[0]?.call_log_id);
+  } finally {
+    resetClock();
+    await server.close();
+  }
+
+  const { callLogs: [callLog], messages: [message] } = getMemoryTables();
+  assert.equal(message.session_id, client.callSid);
+  assert.equal(message.call_log_id, callLog.id);
+});
+
+test('the callback queue lists open messages urgent first, and messages can be assigned and resolved', async () => {
+  resetOfflineState();
+
+  const routine = await createMessage({ sessionId: 'CA1', callbackPhone: '+15550000001', topic: 'Billing question' });
+  const urgent = await createMessage({ sessionId: 'CA2', callbackPhone: '+15550000002', topic: 'Swelling', urgency: 'urgent' });
+  const done = await createMessage({ sessionId: 'CA3', callbackPhone: '+15550000003', topic: 'Records request' });
+
+  assert.equal((await callApi(handleResolveMessage, { params: { id: done.id } })).status, 200);
+
+  const queue = await callApi(handleListMessages);
+  assert.equal(queue.status, 200);
+  assert.deepEqual(queue.body.messages.map((m) => m.topic), ['Swelling', 'Billing question']);
+
+  // Assign, then filter by who has it
+  assert.equal((await callApi(handleAssignMessage, { params: { id: urgent.id }, body: {} })).status, 400);
+  const assigned = await callApi(handleAssignMessage, { params: { id: urgent.id }, body: { assignedTo: 'Maria' } });
+  assert.equal(assigned.body.message.status, 'assigned');
+  assert.equal(assigned.body.message.assigned_to, 'Maria');
+
+  const marias = await callApi(handleListMessages, { query: { assignedTo: 'Maria' } });
+  assert.deepEqual(marias.body.messages.map((m) => m.id), [urgent.id]);
+
+  // Resolve with a note; resolved messages leave the default view
+  const resolved = await callApi(handleResolveMessage, {
+    params: { id: urgent.id },
+    body: { resolution: 'Booked an emergency visit for this afternoon' },
+  });
+  assert.equal(resolved.body.message.status, 'resolved');
+  assert.equal(resolved.body.message.resolution, 'Booked an emergency visit for this afternoon');
+  assert.deepEqual((await callApi(handleListMessages)).body.messages.map((m) => m.id), [routine.id]);
+  assert.equal((await callApi(handleListMessages, { query: { status: 'resolved' } })).body.count, 2);
+  assert.equal((await callApi(handleListMessages, { query: { status: 'all' } })).body.count, 3);
+
+  // Mistakes
+  assert.equal((await callApi(handleResolveMessage, { params: { id: urgent.id } })).status, 409);
+  assert.equal((await callApi(handleAssignMessage, { params: { id: done.id }, body: { assignedTo: 'Maria' } })).status, 409);
+  assert.equal((await callApi(handleResolveMessage, { params: { id: 'not-a-uuid' } })).status, 404);
+  assert.equal((await callApi(handleListMessages, { query: { status: 'closed' } })).status, 400);
+  assert.equal((await callApi(handleListMessages, { query: { limit: '0' } })).status, 400);
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for src/utils/timezone.js
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseLocalTimeToMinutes,
+  toHHMM,
+  offsetMinutesForZone,
+  inferTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatDateInZone,
+  formatTimeInZone,
+  formatSpokenTime,
+} from '../src/utils/timezone.js';
+
+const LA = 'America/Los_Angeles';
+const NY = 'America/New_York';
+
+test('parseLocalTimeToMinutes handles 12h, 24h and bare hours', () => {
+  assert.equal(parseLocalTimeToMinutes('2:30 pm'), 14 * 60 + 30);
+  assert.equal(parseLocalTimeToMinutes('2pm'), 14 * 60);
+  assert.equal(parseLocalTimeToMinutes('12 a.m.'), 0);
+  assert.equal(parseLocalTimeToMinutes('12pm'), 12 * 60);
+  assert.equal(parseLocalTimeToMinutes('14:30'), 14 * 60 + 30);
+  assert.equal(parseLocalTimeToMinutes('1430'), 14 * 60 + 30);
+  assert.equal(parseLocalTimeToMinutes('2'), 2 * 60);
+  assert.equal(parseLocalTimeToMinutes('25:00'), null);
+  assert.equal(parseLocalTimeToMinutes('noonish'), null);
+  assert.equal(parseLocalTimeToMinutes(''), null);
+});
+
+test('toHHMM pads hours and minutes', () => {
+  assert.equal(toHHMM(0), '00:00');
+  assert.equal(toHHMM(9 * 60 + 5), '09:05');
+  assert.equal(toHHMM(23 * 60 + 59), '23:59');
+});
+
+test('offsetMinutesForZone follows DST', () => {
+  assert.equal(offsetMinutesForZone(LA, new Date('2025-01-15T20:00:00Z')), -480);
+  assert.equal(offsetMinutesForZone(LA, new Date('2025-07-15T20:00:00Z')), -420);
+  assert.equal(offsetMinutesForZone('America/Phoenix', new Date('2025-07-15T20:00:00Z')), -420);
+});
+
+test('inferTimezone picks the zone matching the reported time', () => {
+  const now = new Date('2025-07-15T20:00:00Z'); // 1:00 PM in Los Angeles (PDT)
+
+  assert.equal(inferTimezone('1:00 pm', now).tz, 'America/Los_Angeles');
+  assert.equal(inferTimezone('4:00 pm', now).tz, 'America/New_York');
+  assert.equal(inferTimezone('4:00 pm', now).offsetMinutes, -240);
+  assert.deepEqual(inferTimezone('sometime', now), { error: 'Unrecognized time format' });
+});
+
+test('zonedTimeToUtc interprets wall time in the given zone, not the server clock', () => {
+  assert.equal(zonedTimeToUtc('2025-01-15', '14:00', LA).toISOString(), '2025-01-15T22:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-07-15', '14:00', LA).toISOString(), '2025-07-15T21:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-07-15', '14:00', NY).toISOString(), '2025-07-15T18:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-07-15', '14:00', 'Etc/UTC').toISOString(), '2025-07-15T14:00:00.000Z');
+});
+
+test('zonedTimeToUtc is correct on the spring-forward day', () => {
+  // 2025-03-09: 2:00 AM PST jumps to 3:00 AM PDT in Los Angeles
+  assert.equal(zonedTimeToUtc('2025-03-09', '01:30', LA).toISOString(), '2025-03-09T09:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-03-09', '09:00', LA).toISOString(), '2025-03-09T16:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-03-09', '17:00', LA).toISOString(), '2025-03-10T00:00:00.000Z');
+
+  // 2:30 AM doesn't exist that day; it resolves forward to 3:30 AM PDT
+  assert.equal(zonedTimeToUtc('2025-03-09', '02:30', LA).toISOString(), '2025-03-09T10:30:00.000Z');
+});
+
+test('zonedTimeToUtc is correct on the fall-back day', () => {
+  // 2025-11-02: 2:00 AM PDT falls back to 1:00 AM PST in Los Angeles
+  assert.equal(zonedTimeToUtc('2025-11-02', '09:00', LA).toISOString(), '2025-11-02T17:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2025-11-02', '17:00', LA).toISOString(), '2025-11-03T01:00:00.000Z');
+
+  // 1:30 AM happens twice; the first (PDT) occurrence is used
+  assert.equal(zonedTimeToUtc('2025-11-02', '01:30', LA).toISOString(), '2025-11-02T08:30:00.000Z');
+});
+
+test('business day length reflects DST transitions', () => {
+  const hours = (date) =>
+    (zonedTimeToUtc(date, '17:00', LA) - zonedTimeToUtc(date, '09:00', LA)) / 3600000;
+
+  assert.equal(hours('2025-03-09'), 8);
+  assert.equal(hours('2025-11-02'), 8);
+
+  // Midnight-to-midnight spans 23 and 25 hours on transition days
+  const dayLength = (date, next) =>
+    (zonedTimeToUtc(next, '00:00', LA) - zonedTimeToUtc(date, '00:00', LA)) / 3600000;
+  assert.equal(dayLength('2025-03-09', '2025-03-10'), 23);
+  assert.equal(dayLength('2025-11-02', '2025-11-03'), 25);
+});
+
+test('zonedTimeToUtc rejects malformed input', () => {
+  assert.throws(() => zonedTimeToUtc('next tuesday', '14:00', LA), /Invalid date\/time/);
+  assert.throws(() => zonedTimeToUtc('2025-07-15', 'afternoon', LA), /Invalid date\/time/);
+});
+
+test('getZonedParts and formatters read the wall clock in the zone', () => {
+  // 05:00 UTC on Jan 2 is still Jan 1 (Wednesday) evening in Los Angeles
+  const instant = new Date('2025-01-02T05:00:00Z');
+
+  assert.deepEqual(getZonedParts(instant, LA), {
+    year: 2025,
+    month: 1,
+    day: 1,
+    hour: 21,
+    minute: 0,
+    weekday: 3,
+  });
+  assert.equal(formatDateInZone(instant, LA), '2025-01-01');
+  assert.equal(formatDateInZone(instant, NY), '2025-01-02');
+  assert.equal(formatTimeInZone(instant, LA), '21:00');
+  assert.equal(formatTimeInZone(instant, NY), '00:00');
+  assert.equal(formatSpokenTime(instant, LA), '9:00 PM');
+});
+
+test('round trip: zonedTimeToUtc then format gives back the wall time', () => {
+  for (const date of ['2025-03-09', '2025-06-01', '2025-11-02', '2025-12-31']) {
+    for (const time of ['09:00', '12:30', '16:45']) {
+      const instant = zonedTimeToUtc(date, time, LA);
+      assert.equal(formatDateInZone(instant, LA), date);
+      assert.equal(formatTimeInZone(instant, LA), time);
+    }
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for src/middleware/validate-twilio-signature.js
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+import { validateTwilioSignature } from '../src/middleware/validate-twilio-signature.js';
+
+const TOKEN = 'test-auth-token';
+const PARAMS = { From: '+14165550123', Body: 'CANCEL', MessageSid: 'SM123' };
+
+function request({ signature, body = PARAMS, proto = 'https' } = {}) {
+  return {
+    body,
+    protocol: 'http',
+    originalUrl: '/api/twilio/sms',
+    headers: { 'x-twilio-signature': signature, 'x-forwarded-proto': proto },
+    get: (name) => (name === 'host' ? 'agent.example.com' : undefined),
+    socket: {},
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send() {
+      return this;
+    },
+  };
+}
+
+function run(req) {
+  const res = response();
+  let passed = false;
+  validateTwilioSignature(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode };
+}
+
+beforeEach(() => {
+  process.env.TWILIO_AUTH_TOKEN = TOKEN;
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+test('accepts requests signed with the auth token', () => {
+  const signature = twilio.getExpectedTwilioSignature(TOKEN, 'https://agent.example.com/api/twilio/sms', PARAMS);
+  assert.deepEqual(run(request({ signature })), { passed: true, status: 200 });
+});
+
+test('checks the signature against PUBLIC_BASE_URL when it is set', () => {
+  process.env.PUBLIC_BASE_URL = 'https://sms.example.org/';
+  const signature = twilio.getExpectedTwilioSignature(TOKEN, 'https://sms.example.org/api/twilio/sms', PARAMS);
+  const forProxyHost = twilio.getExpectedTwilioSignature(TOKEN, 'https://agent.example.com/api/twilio/sms', PARAMS);
+
+  assert.deepEqual(run(request({ signature })), { passed: true, status: 200 });
+  assert.deepEqual(run(request({ signature: forProxyHost })), { passed: false, status: 403 });
+});
+
+test('rejects missing, forged or tampered signatures', () => {
+  const signature = twilio.getExpectedTwilioSignature(TOKEN, 'https://agent.example.com/api/twilio/sms', PARAMS);
+
+  assert.deepEqual(run(request()), { passed: false, status: 403 });
+  assert.deepEqual(run(request({ signature: 'forged' })), { passed: false, status: 403 });
+  assert.deepEqual(run(request({ signature, body: { ...PARAMS, Body: 'CONFIRM' } })), { passed: false, status: 403 });
+});
+
+test('refuses every request when no auth token is configured', () => {
+  delete process.env.TWILIO_AUTH_TOKEN;
+  assert.deepEqual(run(request({ signature: 'anything' })), { passed: false, status: 500 });
+});